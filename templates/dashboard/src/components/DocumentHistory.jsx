@@ -0,0 +1,338 @@
+import React, { useState, useEffect } from 'react';
+
+const styles = {
+  modal: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 1000
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderRadius: '8px',
+    padding: '24px',
+    maxWidth: '960px',
+    width: '95%',
+    maxHeight: '85vh',
+    display: 'flex',
+    flexDirection: 'column',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.3)'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '16px'
+  },
+  title: {
+    fontSize: '18px',
+    fontWeight: '600',
+    color: '#333',
+    margin: 0
+  },
+  closeButton: {
+    border: 'none',
+    background: 'none',
+    fontSize: '22px',
+    cursor: 'pointer',
+    color: '#666'
+  },
+  body: {
+    display: 'flex',
+    gap: '20px',
+    minHeight: 0,
+    flex: 1
+  },
+  versionList: {
+    width: '300px',
+    flexShrink: 0,
+    overflowY: 'auto',
+    borderRight: '1px solid #e0e0e0',
+    paddingRight: '12px'
+  },
+  versionItem: {
+    padding: '10px 12px',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    marginBottom: '6px',
+    border: '1px solid transparent',
+    fontSize: '13px',
+    color: '#555'
+  },
+  versionItemActive: {
+    backgroundColor: '#f1f8f1',
+    borderColor: '#4CAF50'
+  },
+  versionTitle: {
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: '2px'
+  },
+  sourceBadge: {
+    display: 'inline-block',
+    padding: '1px 8px',
+    marginLeft: '6px',
+    borderRadius: '10px',
+    backgroundColor: '#f0f0f0',
+    fontSize: '11px',
+    fontWeight: '500',
+    color: '#666'
+  },
+  detail: {
+    flex: 1,
+    minWidth: 0,
+    display: 'flex',
+    flexDirection: 'column'
+  },
+  detailHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px',
+    fontSize: '14px',
+    color: '#555'
+  },
+  rollbackButton: {
+    padding: '8px 16px',
+    fontSize: '13px',
+    border: 'none',
+    backgroundColor: '#4CAF50',
+    color: '#fff',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontWeight: '500'
+  },
+  diff: {
+    flex: 1,
+    overflow: 'auto',
+    border: '1px solid #e0e0e0',
+    borderRadius: '6px',
+    fontFamily: 'monospace',
+    fontSize: '12px'
+  },
+  line: {
+    padding: '1px 10px',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+    color: '#666'
+  },
+  lineAdd: {
+    backgroundColor: '#e6ffec',
+    color: '#1a7f37'
+  },
+  lineRemove: {
+    backgroundColor: '#ffebe9',
+    color: '#cf222e'
+  },
+  lineSkip: {
+    backgroundColor: '#f5f5f5',
+    color: '#999',
+    fontStyle: 'italic'
+  },
+  message: {
+    textAlign: 'center',
+    padding: '40px',
+    color: '#666'
+  },
+  error: {
+    backgroundColor: '#fee',
+    border: '1px solid #fcc',
+    borderRadius: '6px',
+    padding: '10px 14px',
+    marginBottom: '12px',
+    color: '#c33',
+    fontSize: '13px'
+  }
+};
+
+/** Unchanged lines shown around each change; longer unchanged runs are collapsed */
+const DIFF_CONTEXT = 3;
+
+function formatDateTime(dateString) {
+  if (!dateString) return 'Unknown';
+  return new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Collapse long runs of unchanged lines to DIFF_CONTEXT lines around each change.
+ * @param {Array<{type: string, text: string}>} diff - Line diff from the API
+ * @returns {Array<{type: string, text?: string, count?: number}>} Lines plus 'skip' markers
+ */
+function collapseDiff(diff) {
+  const changed = diff.map(line => line.type !== 'equal');
+  const rows = [];
+  let skipped = 0;
+  diff.forEach((line, i) => {
+    const nearChange = changed.slice(Math.max(0, i - DIFF_CONTEXT), i + DIFF_CONTEXT + 1).some(Boolean);
+    if (line.type === 'equal' && !nearChange) {
+      skipped++;
+      return;
+    }
+    if (skipped) rows.push({ type: 'skip', count: skipped });
+    skipped = 0;
+    rows.push(line);
+  });
+  if (skipped) rows.push({ type: 'skip', count: skipped });
+  return rows;
+}
+
+function DocumentHistory({ document, onClose, onRollback }) {
+  const [history, setHistory] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+  const [rollingBack, setRollingBack] = useState(false);
+
+  const fetchHistory = async () => {
+    try {
+      setError(null);
+      const response = await fetch(`/api/knowledge/${document.id}/versions`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load history');
+      }
+      setHistory(data);
+      // Default to the previous version so the latest change is shown
+      const previous = data.versions[1] || data.versions[0];
+      setSelected(previous ? previous.version : null);
+    } catch (err) {
+      console.error('Fetch history error:', err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchHistory();
+  }, [document.id]);
+
+  useEffect(() => {
+    if (!selected) return;
+    setDiff(null);
+    fetch(`/api/knowledge/${document.id}/diff?from=${selected}`)
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load diff');
+        setDiff(data);
+      })
+      .catch(err => setError(err.message));
+  }, [document.id, selected]);
+
+  const handleRollback = async () => {
+    if (!window.confirm(`Restore v${selected}? The current content is kept in history and the document is re-embedded.`)) {
+      return;
+    }
+    setRollingBack(true);
+    try {
+      const response = await fetch(`/api/knowledge/${document.id}/rollback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version: selected })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Rollback failed');
+      }
+      await fetchHistory();
+      if (onRollback) onRollback();
+    } catch (err) {
+      console.error('Rollback error:', err);
+      setError(err.message);
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  const currentVersion = history ? history.currentVersion : 0;
+
+  return (
+    <div style={styles.modal} onClick={onClose}>
+      <div style={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.header}>
+          <h3 style={styles.title}>History — {document.originalName || document.filename}</h3>
+          <button style={styles.closeButton} onClick={onClose}>&times;</button>
+        </div>
+
+        {error && <div style={styles.error}>{error}</div>}
+
+        {!history ? (
+          <div style={styles.message}>Loading history...</div>
+        ) : history.versions.length === 0 ? (
+          <div style={styles.message}>No changes recorded yet. History starts with the next edit.</div>
+        ) : (
+          <div style={styles.body}>
+            <div style={styles.versionList}>
+              {history.versions.map(v => (
+                <div
+                  key={v.version}
+                  style={{ ...styles.versionItem, ...(v.version === selected ? styles.versionItemActive : {}) }}
+                  onClick={() => setSelected(v.version)}
+                >
+                  <div style={styles.versionTitle}>
+                    v{v.version}{v.version === currentVersion ? ' (current)' : ''}
+                    <span style={styles.sourceBadge}>{v.source}</span>
+                  </div>
+                  <div>{formatDateTime(v.createdAt)}</div>
+                  <div>{v.author ? (v.author.name || v.author.email) : 'System'} · {v.length} chars</div>
+                  {v.note && <div style={{ color: '#888', marginTop: '2px' }}>{v.note}</div>}
+                </div>
+              ))}
+            </div>
+
+            <div style={styles.detail}>
+              <div style={styles.detailHeader}>
+                <span>
+                  {selected === currentVersion
+                    ? `v${selected} is the current version`
+                    : diff
+                      ? `Changes from v${selected} to current: +${diff.stats.added} / -${diff.stats.removed} lines`
+                      : 'Loading diff...'}
+                </span>
+                {selected !== currentVersion && (
+                  <button style={styles.rollbackButton} onClick={handleRollback} disabled={rollingBack}>
+                    {rollingBack ? 'Restoring...' : `Restore v${selected}`}
+                  </button>
+                )}
+              </div>
+              {diff && (
+                <div style={styles.diff}>
+                  {collapseDiff(diff.diff).map((line, i) => (
+                    line.type === 'skip' ? (
+                      <div key={i} style={{ ...styles.line, ...styles.lineSkip }}>
+                        … {line.count} unchanged {line.count === 1 ? 'line' : 'lines'}
+                      </div>
+                    ) : (
+                      <div
+                        key={i}
+                        style={{
+                          ...styles.line,
+                          ...(line.type === 'add' ? styles.lineAdd : {}),
+                          ...(line.type === 'remove' ? styles.lineRemove : {})
+                        }}
+                      >
+                        {line.type === 'add' ? '+ ' : line.type === 'remove' ? '- ' : '  '}{line.text}
+                      </div>
+                    )
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DocumentHistory;
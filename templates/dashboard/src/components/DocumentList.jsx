@@ -41,6 +41,16 @@ const styles = {
   deleteButtonHover: {
     backgroundColor: '#d32f2f'
   },
+  historyButton: {
+    padding: '6px 12px',
+    fontSize: '13px',
+    border: '1px solid #e0e0e0',
+    backgroundColor: '#fff',
+    color: '#333',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    marginRight: '8px'
+  },
   emptyState: {
     textAlign: 'center',
     padding: '60px 20px',
@@ -162,7 +172,7 @@ function getFileTypeLabel(mimeType) {
   return mimeType.split('/')[1]?.toUpperCase() || 'Unknown';
 }
 
-function DocumentList({ documents, onDelete }) {
+function DocumentList({ documents, onDelete, onHistory }) {
   const [sortBy, setSortBy] = useState('uploadedAt');
   const [sortOrder, setSortOrder] = useState('desc');
   const [deleteConfirm, setDeleteConfirm] = useState(null);
@@ -288,6 +298,11 @@ function DocumentList({ documents, onDelete }) {
               <td style={styles.td}>{formatDate(doc.uploadedAt)}</td>
               <td style={styles.td}>{doc.chunkCount || 0}</td>
               <td style={styles.td}>
+                {onHistory && (
+                  <button style={styles.historyButton} onClick={() => onHistory(doc)}>
+                    History{doc.version ? ` (v${doc.version})` : ''}
+                  </button>
+                )}
                 <button
                   style={{
                     ...styles.deleteButton,
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import DocumentUploader from '../components/DocumentUploader';
 import DocumentList from '../components/DocumentList';
+import DocumentHistory from '../components/DocumentHistory';
 
 const styles = {
   container: {
@@ -51,6 +52,7 @@ function KnowledgeBase() {
   const [documents, setDocuments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [historyDoc, setHistoryDoc] = useState(null);
 
   const fetchDocuments = async () => {
     try {
@@ -126,9 +128,17 @@ function KnowledgeBase() {
             Loading documents...
           </div>
         ) : (
-          <DocumentList documents={documents} onDelete={handleDelete} />
+          <DocumentList documents={documents} onDelete={handleDelete} onHistory={setHistoryDoc} />
         )}
       </div>
+
+      {historyDoc && (
+        <DocumentHistory
+          document={historyDoc}
+          onClose={() => setHistoryDoc(null)}
+          onRollback={fetchDocuments}
+        />
+      )}
     </div>
   );
 }
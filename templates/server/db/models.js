@@ -1,7 +1,9 @@
 /**
  * @file models.js — Mongoose schema definitions for all AIChatDesk collections
- * @description Defines 12 models: Chat, Message, Agent, Role, InviteLink, KnowledgeBase,
- *   Embedding, CannedResponse, WorkflowCategory, ResponseCache, TeamsConversation, Setting.
+ * @description Defines 24 models: Chat, Message, Agent, Role, InviteLink, KnowledgeBase,
+ *   KnowledgeBaseVersion, CrawlJob, Embedding, EmbeddingMigration, LearnedReply, KnowledgeGap,
+ *   CannedResponse, WorkflowCategory, ResponseCache, TeamsConversation, EvalCase, EvalRun,
+ *   Experiment, AiAction, Usage, RedactionEvent, CopilotSuggestion, Setting.
  *   All collections are prefixed with 'aichatdesk_' to namespace within shared databases.
  * @requires mongoose
  */
@@ -24,7 +26,15 @@ const chatSchema = new mongoose.Schema({
   ticketType: { type: String, enum: ['chat', 'bug', 'feature', 'question', 'support'], default: 'chat' }, // User-selected ticket classification
   userPriority: { type: String, enum: ['low', 'medium', 'high'] }, // User self-reported priority (from pre-chat form)
   mood: { type: Number, min: 1, max: 5 },                         // AI-detected user mood score (1=frustrated, 5=happy)
-  summary: String,                                                 // AI-generated chat summary
+  summary: String,                                                 // AI-generated chat summary (memory headline)
+  memory: {                                                        // Rolling summary of older turns (utils/conversationMemory)
+    headline: String,                                              // One sentence: the issue and where it stands
+    summary: String,                                               // Problem, what was tried and the outcome, what is open
+    facts: { type: [String], default: undefined },                 // Key facts the user gave: order numbers, plan, device, errors
+    summarizedCount: Number,                                       // Messages folded in so far
+    summarizedUntil: Date,                                         // sentAt of the newest folded message
+    updatedAt: Date
+  },
   metadata: mongoose.Schema.Types.Mixed,                           // Flexible field: sentiment reasoning, escalation details, etc.
   startedAt: { type: Date, default: Date.now },                    // When chat was created
   endedAt: Date,                                                   // When chat was closed (null if active)
@@ -48,9 +58,26 @@ const messageSchema = new mongoose.Schema({
     size: Number                                                   // File size in bytes
   }, { _id: false })],
   metadata: mongoose.Schema.Types.Mixed,                           // AI response metadata: confidence score, KB sources used, etc.
+  rich: mongoose.Schema.Types.Mixed,                               // Quick replies, buttons, cards, carousels shown with the text (see utils/richMessages)
+  payload: String,                                                 // Payload of the quick reply/button the user clicked to send this message
   isInternal: { type: Boolean, default: false },                   // True = internal agent note (hidden from user)
+  feedback: {                                                      // Customer's thumbs up/down on an AI answer (utils/messageFeedback)
+    rating: { type: String, enum: ['up', 'down'] },
+    reason: String,                                                // Thumbs down only: one of FEEDBACK_REASONS
+    comment: String,                                               // Thumbs down only: optional free text
+    knowledgeBaseIds: { type: [mongoose.Schema.Types.ObjectId], default: undefined }, // KB documents the answer was built from
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_workflow_categories' }, // Workflow category of the chat
+    at: Date,
+    review: {                                                      // Thumbs down only: review list state
+      status: { type: String, enum: ['open', 'resolved', 'dismissed'] },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' },
+      at: Date
+    }
+  },
   sentAt: { type: Date, default: Date.now }                        // Message timestamp
 }, { timestamps: true });
+messageSchema.index({ 'feedback.at': -1 }, { sparse: true });
+messageSchema.index({ 'feedback.review.status': 1, 'feedback.at': -1 }, { sparse: true });
 
 // ============================================================
 // Agent — Operator/admin user who manages chats from the dashboard
@@ -110,11 +137,60 @@ const knowledgeBaseSchema = new mongoose.Schema({
   content: String,                                                 // Full extracted text content from the document
   chunks: [{                                                       // Text split into chunks for vector embedding
     text: String,                                                  // Chunk text content
-    embeddingId: mongoose.Schema.Types.ObjectId                    // Reference to corresponding Embedding document
+    embeddingId: mongoose.Schema.Types.ObjectId,                   // Reference to corresponding Embedding document
+    metadata: mongoose.Schema.Types.Mixed                          // Chunk location: { strategy, headingPath, page, rows }
   }],
+  chunkStrategy: { type: String, enum: ['auto', 'text', 'markdown', 'rows'], default: 'auto' }, // utils/chunker strategy ('auto' = by file type)
   uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' }, // Agent who uploaded the document
   uploadedAt: { type: Date, default: Date.now },                   // Upload timestamp
-  active: { type: Boolean, default: true }                         // Soft delete — inactive docs excluded from AI search
+  active: { type: Boolean, default: true },                        // Soft delete — inactive docs excluded from AI search
+  tags: [{ type: String }],                                        // Lowercased labels for filtering, e.g. ['billing', 'sso']
+  audience: { type: String, enum: ['public', 'internal'], default: 'public' }, // internal = agent-only (copilot), never in customer answers
+  categoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_workflow_categories' }], // Workflow categories this doc serves (empty = all)
+  version: { type: Number, default: 0 },                           // Latest KnowledgeBaseVersion number (0 = no history recorded yet)
+  sourceUrl: { type: String, index: true },                        // Web page the content came from (URL import / crawl)
+  contentHash: String,                                             // SHA-256 of extracted page text — re-crawls skip unchanged pages
+  crawlJobId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_crawl_jobs', index: true } // Crawl that manages this page
+}, { timestamps: true });
+
+// ============================================================
+// KnowledgeBaseVersion — Content history of a KnowledgeBase document (one entry per change)
+// ============================================================
+const knowledgeBaseVersionSchema = new mongoose.Schema({
+  knowledgeBaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_knowledge_base', required: true }, // Document this version belongs to
+  version: { type: Number, required: true },                       // 1-based, increasing per document
+  content: String,                                                 // Full document content at this version
+  source: { type: String, enum: ['upload', 'import', 'crawl', 'edit', 'learned', 'push', 'rollback', 'gap'], required: true }, // What produced the change
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' }, // Agent who made the change (null = system/unauthenticated)
+  note: String,                                                    // e.g. 'Rolled back to v2', learned reply reference
+  createdAt: { type: Date, default: Date.now }                     // When the change was made
+});
+knowledgeBaseVersionSchema.index({ knowledgeBaseId: 1, version: -1 }, { unique: true });
+
+// ============================================================
+// CrawlJob — Website crawl that keeps a set of KB pages in sync with a site
+// ============================================================
+const crawlJobSchema = new mongoose.Schema({
+  rootUrl: { type: String, required: true },                       // Start page; links are followed on the same host only
+  sitemapUrl: String,                                              // Optional sitemap.xml (or sitemap index) seeding the crawl
+  maxDepth: { type: Number, default: 2 },                          // Link hops from the root/sitemap pages
+  maxPages: { type: Number, default: 50 },                         // Hard cap on pages fetched per run
+  resyncIntervalHours: { type: Number, default: 24 },              // Re-crawl schedule (0 = manual only)
+  tags: [{ type: String }],                                        // Retrieval scope applied to every crawled page
+  audience: { type: String, enum: ['public', 'internal'], default: 'public' },
+  categoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_workflow_categories' }],
+  status: { type: String, enum: ['idle', 'running', 'failed'], default: 'idle' },
+  cancelRequested: { type: Boolean, default: false },              // Checked between pages while running
+  progress: {                                                      // Live counters for the current/last run
+    discovered: Number, fetched: Number, created: Number, updated: Number,
+    unchanged: Number, deactivated: Number, skipped: Number, failed: Number,
+    currentUrl: String
+  },
+  lastError: String,                                               // Error that failed the last run
+  lastRunAt: Date,                                                 // When the last run finished
+  nextRunAt: Date,                                                 // When the scheduler will next run it (null = manual)
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' },
+  active: { type: Boolean, default: true }                         // Soft delete
 }, { timestamps: true });
 
 // ============================================================
@@ -124,10 +200,89 @@ const embeddingSchema = new mongoose.Schema({
   knowledgeBaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_knowledge_base' }, // Parent KB document
   chunkIndex: Number,                                              // Position of this chunk in the source document
   text: { type: String, required: true },                          // Original text that was embedded
-  embedding: { type: [Number], required: true },                   // Float vector array (OpenAI embedding dimensions)
-  metadata: mongoose.Schema.Types.Mixed                            // Source info, page numbers, etc.
+  embedding: { type: [Number], required: true },                   // Float vector array (dimension depends on the model)
+  embeddingModel: { type: String, index: true },                   // Model that produced `embedding`, e.g. 'openai:text-embedding-3-small'
+  pendingEmbedding: { type: [Number], default: undefined, select: false }, // Re-embedding migration: vector from the target model, swapped in at cut-over
+  pendingModel: String,                                            // Model that produced pendingEmbedding
+  metadata: mongoose.Schema.Types.Mixed                            // Chunk location { strategy, headingPath, page, rows } or source info
+}, { timestamps: true });
+
+// ============================================================
+// EmbeddingMigration — Background re-embedding of the KB and response cache into a new model
+// ============================================================
+const embeddingMigrationSchema = new mongoose.Schema({
+  target: mongoose.Schema.Types.Mixed,                             // Model spec { backend, model, baseUrl?, dimensions? } (utils/embeddingBackends)
+  targetModel: { type: String, required: true },                   // Model id the rows are re-embedded into
+  previousModel: String,                                           // Model id serving when the migration started
+  status: { type: String, enum: ['running', 'completed', 'failed', 'cancelled'], default: 'running', index: true },
+  cancelRequested: { type: Boolean, default: false },              // Checked between batches
+  progress: {                                                      // Live counters
+    total: { type: Number, default: 0 },                           // Embedding + ResponseCache rows to re-embed
+    embedded: { type: Number, default: 0 },                        // Rows with a target-model vector
+    failed: { type: Number, default: 0 }                           // Rows whose batch failed (retried before cut-over)
+  },
+  dimension: Number,                                               // Vector length of the target model
+  lastError: String,                                               // Error that failed the migration
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' },
+  finishedAt: Date                                                 // Cut-over, failure or cancellation time
 }, { timestamps: true });
 
+// ============================================================
+// LearnedReply — Q&A pairs learned from agent replies, held for review before entering the KB
+// ============================================================
+const learnedReplySchema = new mongoose.Schema({
+  chatId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_chats', index: true }, // Chat the reply was sent in
+  messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_messages' },   // Agent message that produced it
+  agentId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' },       // Agent who wrote the answer
+  question: { type: String, required: true },                      // Customer question (personal details stripped)
+  answer: { type: String, required: true },                        // Agent answer (editable by reviewers)
+  status: { type: String, enum: ['pending', 'approving', 'approved', 'rejected', 'merged'], default: 'pending', index: true }, // 'approving' while a review action runs
+  embedding: { type: [Number], select: false },                    // Q&A vector, reused on approval if the text and model are unchanged
+  embeddingModel: String,                                          // Model that produced `embedding`
+  proposedMerge: {                                                 // Closest public KB doc at learn time (similarity >= 0.85)
+    knowledgeBaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_knowledge_base' },
+    similarity: Number
+  },
+  knowledgeBaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_knowledge_base' }, // KB doc created or merged into on approval
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' },    // Agent who approved/merged/rejected
+  reviewedAt: Date,
+  audit: [{                                                        // Append-only trail of review actions
+    action: { type: String, enum: ['created', 'edited', 'approved', 'merged', 'rejected'] },
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' },
+    note: String,
+    changes: mongoose.Schema.Types.Mixed,                          // Before/after values for edits
+    at: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+// ============================================================
+// KnowledgeGap — An AI turn the knowledge base couldn't answer (clustered into topics by the gap report)
+// ============================================================
+const knowledgeGapSchema = new mongoose.Schema({
+  chatId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_chats', index: true }, // Chat the question was asked in
+  messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_messages' },   // AI message that fell short
+  question: { type: String, required: true },                      // Customer question (personal details masked)
+  answer: String,                                                  // What the AI replied
+  reason: { type: String, enum: ['low_confidence', 'no_answer'], required: true }, // Escalated on confidence, or said it had no answer
+  confidence: Number,                                              // Confidence of the AI answer
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_workflow_categories' },
+  embedding: { type: [Number], select: false },                    // Question vector used for clustering
+  embeddingModel: String,                                          // Model that produced `embedding`
+  agentReply: {                                                    // First agent reply in the chat after the gap
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_messages' },
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' },
+    agentName: String,
+    content: String,
+    at: Date
+  },
+  status: { type: String, enum: ['open', 'resolved', 'dismissed'], default: 'open', index: true },
+  knowledgeBaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_knowledge_base' }, // Article written for it
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' },    // Agent who resolved/dismissed it
+  resolvedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+knowledgeGapSchema.index({ status: 1, createdAt: -1 });
+
 // ============================================================
 // CannedResponse — Pre-written reply templates for agents
 // ============================================================
@@ -148,6 +303,8 @@ const workflowCategorySchema = new mongoose.Schema({
   name: { type: String, required: true },                          // Category label shown to users
   icon: { type: String, default: '💬' },                           // Emoji icon for UI display
   prompt: { type: String, required: true },                        // System prompt injected into AI when this category is selected
+  rich: mongoose.Schema.Types.Mixed,                               // Quick replies/cards attached to the first answer in this category (see utils/richMessages)
+  flow: mongoose.Schema.Types.Mixed,                               // Decision-tree flow run before/instead of the AI (see utils/flowEngine)
   active: { type: Boolean, default: true },                        // Whether to show in widget
   sortOrder: { type: Number, default: 0 }                          // Display order (ascending)
 }, { timestamps: true });
@@ -157,13 +314,32 @@ const workflowCategorySchema = new mongoose.Schema({
 // ============================================================
 const responseCacheSchema = new mongoose.Schema({
   questionEmbedding: { type: [Number], required: true },           // Vector embedding of the cached question (for similarity matching)
+  embeddingModel: { type: String, index: true },                   // Model that produced questionEmbedding
+  pendingEmbedding: { type: [Number], default: undefined, select: false }, // Re-embedding migration: question vector from the target model
+  pendingModel: String,                                            // Model that produced pendingEmbedding
   question: { type: String, required: true },                      // Original question text
   response: { type: String, required: true },                      // Cached AI response
   confidence: Number,                                              // AI confidence score when response was generated
   sources: [String],                                               // KB sources used to generate this response
+  citations: mongoose.Schema.Types.Mixed,                          // Footnotes for the response's [n] markers
+  knowledgeBaseIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_knowledge_base' }], // KB documents the answer was built from — changing one invalidates it
+  language: { type: String, default: 'en' },                       // Detected language of the question; only same-language questions match
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_workflow_categories', default: null }, // Workflow category it was asked in (null = none)
+  messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_messages', index: true }, // AI message that first gave the answer — a thumbs down on it evicts the entry
   hitCount: { type: Number, default: 0 },                          // Number of cache hits
-  createdAt: { type: Date, default: Date.now, expires: 604800 }    // Auto-delete after 7 days (MongoDB TTL index)
+  lastHitAt: Date,                                                 // Most recent cache hit
+  pinned: { type: Boolean, default: false },                       // Curated by an admin: preferred over other matches, never expires
+  pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' },
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' }, // Admin who rewrote the response
+  stale: {                                                         // Pinned entry whose source documents changed — not served until re-pinned
+    at: Date,
+    reason: String
+  },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, index: { expireAfterSeconds: 0 } }      // Auto-delete time (MongoDB TTL index); unset while pinned
 }, { timestamps: true });
+responseCacheSchema.index({ knowledgeBaseIds: 1 });
+responseCacheSchema.index({ embeddingModel: 1, language: 1, categoryId: 1, createdAt: -1 });
 
 // ============================================================
 // TeamsConversation — Microsoft Teams bot conversation state
@@ -176,18 +352,162 @@ const teamsConversationSchema = new mongoose.Schema({
   threadId: String                                                 // Teams thread/channel ID
 }, { timestamps: true });
 
+// ============================================================
+// EvalCase — Golden-set question for offline evaluation of the RAG pipeline
+// ============================================================
+const evalCaseSchema = new mongoose.Schema({
+  question: { type: String, required: true },                      // Customer question sent through the pipeline
+  referenceAnswer: String,                                         // Known-good answer, compared with the generated one
+  expectedSources: [{ type: String }],                             // KB document IDs, filenames, titles or URLs that should be retrieved/cited
+  shouldEscalate: Boolean,                                         // Expected human handoff (true for out-of-scope questions); unset = don't score
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_workflow_categories' }, // Workflow category to ask under
+  tags: [{ type: String }],                                        // Free-form grouping, e.g. 'billing', 'regression'
+  active: { type: Boolean, default: true }                         // Soft delete
+}, { timestamps: true });
+
+// ============================================================
+// EvalRun — One pass of the golden set through the pipeline, kept for comparison
+// ============================================================
+const evalRunSchema = new mongoose.Schema({
+  name: String,                                                    // Label, e.g. 'chunk 400 tokens' or 'prompt v7'
+  status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  stubbed: { type: Boolean, default: false },                      // Ran against the mock LLM and stub embeddings
+  trigger: { type: String, enum: ['api', 'cli'], default: 'api' },
+  config: mongoose.Schema.Types.Mixed,                             // Snapshot: provider/model, prompt version, retrieval, grounding, chunking
+  metrics: mongoose.Schema.Types.Mixed,                            // Aggregates { retrievalHitRate, mrr, answerSimilarity, citationAccuracy, escalationRate, ... }
+  results: [mongoose.Schema.Types.Mixed],                          // Per-case { caseId, question, answer, retrieved, citations, scores, ... }
+  progress: { done: Number, total: Number },
+  lastError: String,                                               // Error that failed the run
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' },
+  finishedAt: Date
+}, { timestamps: true });
+
+// ============================================================
+// Experiment — A/B test of prompt profiles and/or models on live /api/ai/query traffic
+// ============================================================
+const experimentSchema = new mongoose.Schema({
+  name: { type: String, required: true },                          // Label, e.g. 'Friendly tone vs v12'
+  description: String,                                             // Hypothesis / notes for reviewers
+  status: { type: String, enum: ['draft', 'running', 'stopped'], default: 'draft' }, // At most one experiment runs at a time
+  variants: [new mongoose.Schema({
+    key: { type: String, required: true },                         // Stable ID stamped into message metadata, e.g. 'control', 'b'
+    name: String,                                                  // Display label
+    weight: { type: Number, default: 50 },                         // Relative share of chats (weights need not sum to 100)
+    promptVersion: Number,                                         // Prompt profile version to answer with (unset = active profile)
+    provider: String,                                              // LLM provider for the 'query' feature (unset = configured provider)
+    model: String                                                  // LLM model for the 'query' feature (unset = provider default)
+  }, { _id: false })],                                             // First variant is the control the others are compared with
+  startedAt: Date,
+  stoppedAt: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' }
+}, { timestamps: true });
+
+// ============================================================
+// AiAction — Admin-registered HTTP endpoint the AI can call as a tool (order status, account lookup)
+// ============================================================
+const aiActionSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },           // Tool name the model calls, e.g. 'get_order_status'
+  description: { type: String, required: true },                   // When and why to use it — the model reads this
+  parameters: mongoose.Schema.Types.Mixed,                         // JSON schema (type: object) of the arguments the model supplies
+  method: { type: String, enum: ['GET', 'POST'], default: 'GET' },
+  url: { type: String, required: true },                           // May contain {{param}} and {{chat.userEmail}}-style placeholders
+  authHeader: {                                                    // Sent with every call; the value is never returned by the API
+    name: String,                                                  // e.g. 'Authorization', 'X-Api-Key'
+    value: String                                                  // e.g. 'Bearer sk_live_…'
+  },
+  responseMapping: mongoose.Schema.Types.Mixed,                    // { root?: 'data.order', fields?: { status: 'status', eta: 'shipping.eta' } }
+  timeoutMs: { type: Number, default: 5000 },
+  enabled: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents' }
+}, { timestamps: true });
+
+// ============================================================
+// Usage — One LLM or embedding call: tokens, model and computed cost (see utils/usage)
+// ============================================================
+const usageSchema = new mongoose.Schema({
+  feature: { type: String, required: true },                       // 'query', 'summarize', 'sentiment', 'suggest-reply', 'embeddings', …
+  provider: String,                                                // 'anthropic', 'openai-compatible', 'openai', 'mock'
+  model: String,
+  inputTokens: { type: Number, default: 0 },
+  outputTokens: { type: Number, default: 0 },
+  costUsd: { type: Number, default: 0 },                           // From the price table at call time
+  priced: { type: Boolean, default: true },                        // false = model missing from the price table (costUsd 0)
+  chatId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_chats' }, // Set when the call served a chat
+  latencyMs: Number,
+  createdAt: { type: Date, default: Date.now }
+});
+usageSchema.index({ createdAt: -1 });
+usageSchema.index({ chatId: 1 });
+
+// ============================================================
+// RedactionEvent — PII redacted from one outgoing LLM/embedding call (see utils/redaction).
+// Counts only: the redacted values are never stored
+// ============================================================
+const redactionEventSchema = new mongoose.Schema({
+  feature: { type: String, required: true },                       // 'query', 'summarize', 'embeddings', 'learned', …
+  chatId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_chats' }, // Set when the call served a chat
+  counts: { type: mongoose.Schema.Types.Mixed, default: {} },      // { email: 2, phone: 1, card: 0, address: 0, <custom>: n }
+  total: { type: Number, default: 0 },                             // Sum of counts
+  restored: { type: Number, default: 0 },                          // Placeholders put back into the model's output
+  createdAt: { type: Date, default: Date.now }
+});
+redactionEventSchema.index({ createdAt: -1 });
+redactionEventSchema.index({ chatId: 1 });
+
+// ============================================================
+// CopilotSuggestion — One set of draft replies the agent copilot offered, and what the agent
+// did with it (see utils/copilot)
+// ============================================================
+const copilotSuggestionSchema = new mongoose.Schema({
+  chatId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_chats', required: true, index: true },
+  agentId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_agents', required: true }, // Agent who asked
+  drafts: [new mongoose.Schema({                                   // Alternative replies, in the order offered
+    text: String,                                                  // With [n] citation markers
+    citations: mongoose.Schema.Types.Mixed                         // Footnotes for the markers; `internal` = agent-only source
+  }, { _id: false })],
+  knowledgeBaseIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_knowledge_base' }], // Documents retrieved for the prompt
+  tone: { type: String, enum: ['positive', 'neutral', 'negative'] }, // Chat sentiment the drafts were written for
+  provider: String,
+  model: String,
+  regeneratedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_copilot_suggestions' }, // Earlier drafts the agent asked to replace
+  used: {                                                          // Draft the agent inserted into the reply box (latest insert wins)
+    index: Number,
+    at: Date
+  },
+  sent: {                                                          // First message the agent sent after inserting it
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'aichatdesk_messages' },
+    edited: Boolean,                                               // false = sent as drafted
+    at: Date
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+copilotSuggestionSchema.index({ createdAt: -1 });
+copilotSuggestionSchema.index({ agentId: 1, createdAt: -1 });
+
 // Export models with aichatdesk_ collection names
 const Chat = mongoose.model('aichatdesk_chats', chatSchema);
 const Message = mongoose.model('aichatdesk_messages', messageSchema);
 const Agent = mongoose.model('aichatdesk_agents', agentSchema);
 const KnowledgeBase = mongoose.model('aichatdesk_knowledge_base', knowledgeBaseSchema);
+const KnowledgeBaseVersion = mongoose.model('aichatdesk_knowledge_base_versions', knowledgeBaseVersionSchema);
+const CrawlJob = mongoose.model('aichatdesk_crawl_jobs', crawlJobSchema);
 const Embedding = mongoose.model('aichatdesk_embeddings', embeddingSchema);
+const EmbeddingMigration = mongoose.model('aichatdesk_embedding_migrations', embeddingMigrationSchema);
+const LearnedReply = mongoose.model('aichatdesk_learned_replies', learnedReplySchema);
+const KnowledgeGap = mongoose.model('aichatdesk_knowledge_gaps', knowledgeGapSchema);
 const CannedResponse = mongoose.model('aichatdesk_canned_responses', cannedResponseSchema);
 const WorkflowCategory = mongoose.model('aichatdesk_workflow_categories', workflowCategorySchema);
 const ResponseCache = mongoose.model('aichatdesk_response_cache', responseCacheSchema);
 const TeamsConversation = mongoose.model('aichatdesk_teams_conversations', teamsConversationSchema);
 const Role = mongoose.model('aichatdesk_roles', roleSchema);
 const InviteLink = mongoose.model('aichatdesk_invite_links', inviteLinkSchema);
+const EvalCase = mongoose.model('aichatdesk_eval_cases', evalCaseSchema);
+const EvalRun = mongoose.model('aichatdesk_eval_runs', evalRunSchema);
+const Experiment = mongoose.model('aichatdesk_experiments', experimentSchema);
+const AiAction = mongoose.model('aichatdesk_ai_actions', aiActionSchema);
+const Usage = mongoose.model('aichatdesk_usage', usageSchema);
+const RedactionEvent = mongoose.model('aichatdesk_redaction_events', redactionEventSchema);
+const CopilotSuggestion = mongoose.model('aichatdesk_copilot_suggestions', copilotSuggestionSchema);
 
 // ============================================================
 // Setting — Key-value store for admin-configurable settings
@@ -204,12 +524,24 @@ module.exports = {
   Message,
   Agent,
   KnowledgeBase,
+  KnowledgeBaseVersion,
+  CrawlJob,
   Embedding,
+  EmbeddingMigration,
+  LearnedReply,
+  KnowledgeGap,
   CannedResponse,
   WorkflowCategory,
   ResponseCache,
   TeamsConversation,
   Role,
   InviteLink,
+  EvalCase,
+  EvalRun,
+  Experiment,
+  AiAction,
+  Usage,
+  RedactionEvent,
+  CopilotSuggestion,
   Setting
 };
@@ -62,9 +62,17 @@ if (fs.existsSync(dashboardPath)) {
 
 // --- API Route Mounts ---
 app.use('/api/chat', require('./routes/chat'));                     // Chat session lifecycle (create, close, list)
+app.use('/api/ai/eval', require('./routes/eval'));                  // Golden-set evaluation runs for the RAG pipeline
+app.use('/api/ai/experiments', require('./routes/experiments'));    // A/B experiments on prompt profiles and models
+app.use('/api/ai/actions', require('./routes/actions'));            // HTTP actions the AI can call as tools
+app.use('/api/ai/cache', require('./routes/cache'));                // Response cache browsing, pinning and purging
 app.use('/api/ai', require('./routes/ai'));                         // AI inference, sentiment analysis, KB-powered responses
 app.use('/api/agents', require('./routes/agents'));                 // Agent CRUD, auth (login/register), status management
 app.use('/api/knowledge', require('./routes/knowledge'));           // Knowledge base document upload and management
+app.use('/api/learned', require('./routes/learned'));               // Review queue for Q&A learned from agent replies
+app.use('/api/gaps', require('./routes/gaps'));                     // Knowledge gap report: questions the AI couldn't answer
+app.use('/api/feedback', require('./routes/feedback'));             // Review list of AI answers customers gave a thumbs down
+app.use('/api/crawl', require('./routes/crawl'));                   // Website crawl jobs with scheduled re-sync
 app.use('/api/upload', require('./routes/upload'));                 // File attachment uploads for chat messages
 app.use('/api/messages', require('./routes/messages'));             // Message creation, retrieval, internal agent notes
 app.use('/api/dashboard', require('./routes/dashboard'));           // Operator dashboard data (active chats, metrics)
@@ -118,6 +126,21 @@ async function migrateAgents() {
 
 connectDB().then(async () => {
   await migrateAgents();
+  // Drop cache entries that predate document links, and the TTL index that would expire pinned ones
+  await require('./utils/responseCache').prepareResponseCache();
+  // Stamp vectors stored before embedding models were tracked, then resume an interrupted
+  // re-embedding migration
+  const { stampLegacyVectors, resumeEmbeddingMigrations } = require('./utils/embeddingMigration');
+  await stampLegacyVectors();
+  resumeEmbeddingMigrations();
+  // Build the KB nearest-neighbour and keyword indexes in the background; searches use
+  // exact vector scan (and skip keyword matching) until they're ready
+  const { initVectorIndex } = require('./utils/annIndex');
+  const { initKeywordIndex } = require('./utils/keywordIndex');
+  initVectorIndex();
+  initKeywordIndex();
+  // Re-sync crawled websites on their schedules
+  require('./utils/crawler').startCrawlScheduler();
   server.listen(PORT, () => {
     console.log(`AIChatDesk server running on port ${PORT}`);
     console.log(`WebSocket ready at ws://localhost:${PORT}`);
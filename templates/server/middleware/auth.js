@@ -1,7 +1,8 @@
 /**
  * @file auth.js — JWT authentication and role-based authorization middleware
- * @description Provides three auth utilities:
+ * @description Provides four auth utilities:
  *   - authenticateAgent: Validates Bearer JWT tokens and attaches decoded agent to req.agent
+ *   - identifyAgent: Same, but optional — anonymous requests pass through without req.agent
  *   - requireRole: Factory that restricts endpoints to specific systemRole values (admin, manager, agent)
  *   - canManageAgent: Checks if a requesting agent manages any of the target agent's teams
  * @requires jsonwebtoken
@@ -48,6 +49,22 @@ function authenticateAgent(req, res, next) {
   }
 }
 
+/**
+ * Middleware that attaches req.agent when a valid Bearer token is sent, and otherwise
+ * continues anonymously. For open endpoints that still record who made a change.
+ */
+function identifyAgent(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (process.env.JWT_SECRET && authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      req.agent = jwt.verify(authHeader.substring(7), process.env.JWT_SECRET);
+    } catch (err) {
+      // Invalid/expired tokens are treated as anonymous on open endpoints
+    }
+  }
+  next();
+}
+
 /**
  * Middleware factory to check if agent has required system role
  * Uses systemRole field, falls back to role for backward compat
@@ -80,4 +97,4 @@ async function canManageAgent(requestingAgentId, targetAgent) {
   return targetRoles.some(r => managedRoleNames.includes(r));
 }
 
-module.exports = { authenticateAgent, requireRole, canManageAgent };
+module.exports = { authenticateAgent, identifyAgent, requireRole, canManageAgent };
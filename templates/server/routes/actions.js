@@ -0,0 +1,163 @@
+/**
+ * @file Action Routes — Admin-registered HTTP actions the AI can call as tools
+ * @description Admin/manager endpoints to register the HTTP endpoints /api/ai/query exposes
+ *   to the model (order status, account lookup, …): name, description, JSON schema of the
+ *   parameters, URL template, auth header, response mapping and timeout. See utils/aiActions
+ *   for how calls are made.
+ *
+ *   The auth header value is write-only: responses only say whether one is set, and a PUT
+ *   without `authHeader.value` keeps the stored one. POST /:id/test calls the endpoint with
+ *   sample arguments so admins can check the mapping before enabling an action.
+ *
+ * @requires ../utils/aiActions - Validation, execution and the action cache
+ * @requires ../middleware/auth - Admin/manager access
+ */
+
+const express = require('express');
+const router = express.Router();
+const { AiAction } = require('../db/models');
+const { normalizeAction, executeAction, clearActionCache } = require('../utils/aiActions');
+const { authenticateAgent, requireRole } = require('../middleware/auth');
+
+router.use(authenticateAgent, requireRole('admin', 'manager'));
+
+/** Action for API responses, with the auth header value masked */
+function formatAction(action) {
+  return {
+    id: action._id,
+    name: action.name,
+    description: action.description,
+    parameters: action.parameters || { type: 'object', properties: {}, required: [] },
+    method: action.method,
+    url: action.url,
+    authHeader: {
+      name: (action.authHeader && action.authHeader.name) || '',
+      hasValue: !!(action.authHeader && action.authHeader.value)
+    },
+    responseMapping: action.responseMapping || null,
+    timeoutMs: action.timeoutMs,
+    enabled: action.enabled,
+    createdAt: action.createdAt,
+    updatedAt: action.updatedAt
+  };
+}
+
+/**
+ * GET /api/ai/actions
+ * List all actions.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const actions = await AiAction.find({}).sort({ name: 1 }).lean();
+    res.json(actions.map(formatAction));
+  } catch (error) {
+    console.error('List actions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve actions' });
+  }
+});
+
+/**
+ * POST /api/ai/actions
+ * Register an action. Body: { name, description, parameters?, method?, url, authHeader?:
+ * { name, value }, responseMapping?: { root?, fields? }, timeoutMs?, enabled? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (!req.body.name || !req.body.description || !req.body.url) {
+      return res.status(400).json({ error: 'name, description and url are required' });
+    }
+    const { action, errors } = normalizeAction(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    if (await AiAction.exists({ name: action.name })) {
+      return res.status(400).json({ error: 'An action with this name already exists' });
+    }
+
+    const created = await AiAction.create({ ...action, createdBy: req.agent.agentId });
+    clearActionCache();
+    console.log(`[AI Actions] Registered ${created.name} (${created.method} ${created.url})`);
+    res.status(201).json(formatAction(created));
+  } catch (error) {
+    console.error('Create action error:', error);
+    res.status(500).json({ error: 'Failed to create action' });
+  }
+});
+
+/**
+ * PUT /api/ai/actions/:id
+ * Update an action. Omitting authHeader.value keeps the stored value; send '' to clear it.
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await AiAction.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+    const { action, errors } = normalizeAction(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    if (action.name && action.name !== existing.name && await AiAction.exists({ name: action.name })) {
+      return res.status(400).json({ error: 'An action with this name already exists' });
+    }
+    if (action.authHeader && action.authHeader.value === undefined) {
+      action.authHeader.value = existing.authHeader ? existing.authHeader.value : undefined;
+    }
+
+    Object.assign(existing, action);
+    await existing.save();
+    clearActionCache();
+    res.json(formatAction(existing));
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid action ID' });
+    }
+    console.error('Update action error:', error);
+    res.status(500).json({ error: 'Failed to update action' });
+  }
+});
+
+/**
+ * DELETE /api/ai/actions/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await AiAction.deleteOne({ _id: req.params.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+    clearActionCache();
+    res.json({ message: 'Action deleted' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid action ID' });
+    }
+    console.error('Delete action error:', error);
+    res.status(500).json({ error: 'Failed to delete action' });
+  }
+});
+
+/**
+ * POST /api/ai/actions/:id/test
+ * Call the endpoint the way the AI would. Body: { input: { ...arguments }, context?:
+ * { userEmail, userId, sessionId, chatId } } — returns the mapped result the model would see.
+ */
+router.post('/:id/test', async (req, res) => {
+  try {
+    const action = await AiAction.findById(req.params.id).lean();
+    if (!action) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+    const result = await executeAction(action, req.body.input || {}, req.body.context || {});
+    res.json(result);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid action ID' });
+    }
+    console.error('Test action error:', error);
+    res.status(500).json({ error: 'Failed to test action' });
+  }
+});
+
+module.exports = router;
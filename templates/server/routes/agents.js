@@ -22,7 +22,7 @@
  *
  * @requires bcryptjs - Password hashing
  * @requires jsonwebtoken - JWT token generation and verification
- * @requires @anthropic-ai/sdk - AI-powered emoji icon selection for roles
+ * @requires ../utils/llm - AI-powered emoji icon selection for roles
  * @requires ../middleware/auth - authenticateAgent, requireRole, canManageAgent
  */
 
@@ -30,7 +30,7 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const Anthropic = require('@anthropic-ai/sdk');
+const { complete } = require('../utils/llm');
 const { Agent, Role, InviteLink } = require('../db/models');
 const { authenticateAgent, requireRole, canManageAgent } = require('../middleware/auth');
 
@@ -46,22 +46,19 @@ function getSystemRole(agent) {
 }
 
 /**
- * Pick an emoji icon for a role using Claude Haiku.
- * Falls back to default team emoji on API failure or missing key.
+ * Pick an emoji icon for a role using the LLM 'icon' feature.
+ * Falls back to default team emoji on API failure or missing provider config.
  * @param {string} name - Role name
  * @param {string} description - Role description (truncated to 200 chars)
  * @returns {Promise<string>} Single emoji character
  */
 async function pickRoleIcon(name, description) {
   try {
-    if (!process.env.CLAUDE_API_KEY) return '👥';
-    const client = new Anthropic({ apiKey: process.env.CLAUDE_API_KEY });
-    const res = await client.messages.create({
-      model: 'claude-haiku-3-20240307',
-      max_tokens: 10,
+    const res = await complete('icon', {
+      maxTokens: 10,
       messages: [{ role: 'user', content: `Pick ONE emoji icon for this team/role.\nRole: ${name}\nDescription: ${(description || '').substring(0, 200)}\n\nRespond with ONLY the single emoji.` }]
     });
-    const emoji = res.content[0].text.trim();
+    const emoji = res.text.trim();
     if (emoji.length <= 8 && emoji.length > 0) return emoji;
     return '👥';
   } catch (err) { return '👥'; }
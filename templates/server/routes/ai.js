@@ -1,252 +1,343 @@
 /**
  * @file AI Routes — RAG-powered AI query engine with confidence scoring and human escalation
  * @description Handles all AI-driven interactions using a multi-stage RAG pipeline:
- *   1. Check semantic response cache (category-aware)
+ *   1. Check semantic response cache (scoped to the question's language and the chat's
+ *      workflow category; pinned answers first, see utils/responseCache)
  *   2. Detect user language for multilingual responses
- *   3. Fetch conversation history (last 20 messages) for context continuity
- *   4. Vector search knowledge base for relevant chunks (top 8, min 0.2 similarity)
- *   5. Build system prompt with KB context, workflow category overrides, and format rules
- *   6. Call Claude API with conversation history + current message
+ *   3. Fetch conversation context: the chat's rolling memory (summary + key facts of older
+ *      turns, utils/conversationMemory) and the messages after it, internal notes excluded
+ *   4. Hybrid search knowledge base for relevant chunks (BM25 + vector fusion, optional
+ *      rerank; top 8, min 0.2 vector similarity) — per-stage scores saved in message metadata
+ *   5. Render system prompt from the admin prompt profile (utils/promptProfile) with KB
+ *      context, page context and workflow category instructions composed in
+ *   6. Call the configured LLM provider with conversation history + current message
+ *      (optionally streamed token-by-token to the widget as ai.delta / ai.done WebSocket events).
+ *      Enabled admin-registered HTTP actions (utils/aiActions) are offered as tools; the calls
+ *      run server-side and are saved in metadata.toolCalls. Answers that used them are not cached
+ *   6b. Validate the answer's inline [n] citations against the retrieved chunks and return the
+ *      cited sources as footnotes; answers that cite nothing despite KB context are flagged
+ *      (metadata.uncited) for review
  *   7. Score confidence based on RAG similarity, workflow category, and uncertainty patterns
- *   8. Cache high-confidence responses; escalate low-confidence to human agents
+ *   7b. Optionally verify each claim in the answer against the retrieved chunks
+ *      (utils/grounding); groundedness caps confidence, and answers below the grounding
+ *      threshold are replaced with the fallback phrase, escalated, and logged (metadata.grounding)
+ *   8. Cache high-confidence responses, linked to the KB documents they were built from so
+ *      editing, deleting or re-crawling one invalidates them; escalate low-confidence to human agents. Escalated
+ *      turns and answers that say the KB has nothing on the question are logged as knowledge
+ *      gaps (utils/knowledgeGaps) for the gap report
+ *   9. Fold older messages into the chat's memory once enough have accumulated (background)
+ *   Steps 2 and 4-7b live in utils/answerPipeline, shared with the offline eval harness.
  *
- *   Also provides summarization, categorization, agent reply suggestions (copilot),
- *   and sentiment analysis with priority assignment.
+ *   While an A/B experiment is running (utils/experiments), each chat is bucketed by session
+ *   into a variant whose prompt profile version / model answer instead of the live config;
+ *   the variant is stamped into message and chat metadata (metadata.experiment) and that
+ *   traffic bypasses the response cache so every answer comes from its own variant.
  *
- * @requires @anthropic-ai/sdk - Claude API client
- * @requires ../utils/vectorSearch - Knowledge base vector similarity search
- * @requires ../utils/languageDetector - Message language detection
+ *   Every LLM and embedding call made for a chat is recorded with its tokens and cost against
+ *   that chat (utils/usage). Once the daily spend cap is reached, /query still answers from the
+ *   response cache, or from the top KB chunk without calling the LLM (metadata.spendCapped,
+ *   never cached); summarize, suggest-reply and sentiment return 429 until the next UTC day.
+ *
+ *   Emails, phone numbers, card numbers and addresses never reach the providers: complete()
+ *   sends placeholders and restores them in the answer (utils/redaction). Answers to questions
+ *   containing such data are not cached.
+ *
+ *   /query returns the saved AI message's id (messageId) so the widget can rate the answer
+ *   (POST /api/messages/:id/feedback); a thumbs down evicts its response cache entry.
+ *
+ *   /summarize brings the same memory up to date and returns its one-line headline instead of
+ *   re-reading the whole conversation.
+ *
+ *   Also provides summarization, categorization, agent reply suggestions (copilot: alternative
+ *   KB-grounded drafts with citations, toned to the chat's sentiment, and a log of which draft
+ *   the agent used — utils/copilot), and sentiment analysis with priority assignment.
+ *
+ * @requires ../utils/llm - Provider-agnostic LLM completions (Anthropic, OpenAI-compatible, mock)
+ * @requires ../utils/hybridSearch - Hybrid keyword + vector knowledge base retrieval
+ * @requires ../utils/answerPipeline - Retrieval, prompt, generation, citations, confidence and grounding
  * @requires ../utils/categoryClassifier - Keyword-based chat categorization
  * @requires ../utils/responseCache - Semantic response caching layer
+ * @requires ../utils/experiments - Live A/B experiment bucketing
+ * @requires ../utils/aiActions - Admin-registered HTTP actions exposed as tools
+ * @requires ../utils/usage - Per-chat usage attribution
+ * @requires ../utils/conversationMemory - Rolling summaries of long chats
+ * @requires ../utils/redaction - Keeps answers to questions with personal data out of the cache
+ * @requires ../utils/richMessages - Quick replies and cards on answers, human handoff choice
+ * @requires ../utils/flowEngine - Category flows that answer before or instead of the AI
+ * @requires ../utils/knowledgeGaps - Logs questions the knowledge base couldn't answer
+ * @requires ../utils/copilot - Agent draft replies: prompt, tone and citations
  */
 
 const express = require('express');
 const router = express.Router();
-const Anthropic = require('@anthropic-ai/sdk');
-const { Chat, Message, WorkflowCategory } = require('../db/models');
-const { searchKnowledgeBase } = require('../utils/vectorSearch');
-const { detectLanguage } = require('../utils/languageDetector');
+const mongoose = require('mongoose');
+const { Chat, Message, WorkflowCategory, CopilotSuggestion } = require('../db/models');
+const { hybridSearch } = require('../utils/hybridSearch');
 const { categorizeChat } = require('../utils/categoryClassifier');
-const { authenticateAgent } = require('../middleware/auth');
+const { authenticateAgent, requireRole } = require('../middleware/auth');
 const { findCachedResponse, cacheResponse } = require('../utils/responseCache');
+const { detectLanguage } = require('../utils/languageDetector');
+const { broadcast, broadcastToDashboard } = require('../websocket');
+const { complete, getProviderStatus } = require('../utils/llm');
+const { generateAnswer } = require('../utils/answerPipeline');
+const { getAssignment } = require('../utils/experiments');
+const { getEnabledActions } = require('../utils/aiActions');
+const { withUsageContext } = require('../utils/usage');
+const { updateMemory, getConversationContext } = require('../utils/conversationMemory');
+const { containsPii } = require('../utils/redaction');
+const { HANDOFF_PAYLOAD, normalizeRich, mergeRich } = require('../utils/richMessages');
+const { advanceChatFlow, getCollectedValues, withCollectedValues } = require('../utils/flowEngine');
+const { recordKnowledgeGap } = require('../utils/knowledgeGaps');
+const { toneFor, buildCopilotPrompt, parseDrafts } = require('../utils/copilot');
+
+/** Reply to a "Talk to a human" quick reply */
+const HANDOFF_TEXT = 'Connecting you with a team member — someone will be with you shortly.';
 
-/** Lazy-initialized Anthropic client singleton */
-let anthropic;
-function getAnthropicClient() {
-  if (!anthropic) {
-    if (!process.env.CLAUDE_API_KEY) {
-      throw new Error('CLAUDE_API_KEY environment variable is required');
-    }
-    anthropic = new Anthropic({
-      apiKey: process.env.CLAUDE_API_KEY
-    });
-  }
-  return anthropic;
+/**
+ * Build an onDelta callback that relays streamed text to the chat's session as
+ * `ai.delta` WebSocket events.
+ * @param {Object} target - Where to relay deltas
+ * @param {string} target.sessionId - Chat session to broadcast to
+ * @param {string} target.chatId - Chat ID (echoed in each event)
+ * @param {string} target.streamId - Client-generated ID tying deltas to one reply bubble
+ * @returns {Function} Delta handler for complete()
+ */
+function relayDeltas(target) {
+  return (delta) => {
+    broadcast({
+      type: 'ai.delta',
+      sessionId: target.sessionId,
+      chatId: target.chatId,
+      streamId: target.streamId,
+      delta
+    }, target.sessionId);
+  };
 }
 
 /**
  * POST /api/ai/query
- * Main AI query endpoint with RAG, language detection, and confidence scoring
+ * Main AI query endpoint with RAG, language detection, and confidence scoring.
+ * When `stream: true` and a `streamId` are sent, the LLM response is also relayed
+ * to the chat session over WebSocket (ai.delta per text chunk, ai.done when saved).
+ * The HTTP response still carries the complete answer, so clients without a live
+ * socket can ignore the stream entirely.
+ *
+ * `payload` is set when the message is a quick reply / button click (utils/richMessages):
+ * the model sees the choice next to its label, and HANDOFF_PAYLOAD hands the chat to a human
+ * without an AI answer. Answers carry `rich` — the model's quick replies and cards, plus the
+ * workflow category's on the first answer in that category.
+ *
+ * A category with an enabled flow (utils/flowEngine) answers from the flow until it ends —
+ * `flow: true` in the response — and the AI only takes over afterwards, with the values the
+ * flow collected ('before_ai' mode).
  */
 router.post('/query', async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { chatId, message, userId, userEmail, userName, pageContext } = req.body;
+    const { chatId, message, userId, userEmail, userName, pageContext, stream, streamId, payload } = req.body;
 
     if (!chatId || !message) {
       return res.status(400).json({ error: 'chatId and message are required' });
     }
 
-    // 0. Resolve category first (needed for cache key)
-    let categoryName = '';
+    // 0. Resolve category first (needed for cache scope and prompt composition)
+    let workflowCategory = null;
     const chatForCategory = await Chat.findById(chatId);
     if (chatForCategory && chatForCategory.metadata?.categoryId) {
-      const cat = await WorkflowCategory.findById(chatForCategory.metadata.categoryId);
-      if (cat) categoryName = cat.name || '';
+      workflowCategory = await WorkflowCategory.findById(chatForCategory.metadata.categoryId);
     }
 
-    // Check semantic response cache (include category in key for different greetings per category)
-    const cacheKey = categoryName ? `[${categoryName}] ${message}` : message;
-    const cachedResult = await findCachedResponse(cacheKey);
+    // A/B experiment variant for this chat (null when no experiment is running)
+    const assignment = chatForCategory ? await getAssignment(chatForCategory.sessionId) : null;
+    if (assignment && chatForCategory.metadata?.experiment?.id !== assignment.experimentId) {
+      await Chat.updateOne({ _id: chatId }, {
+        $set: { 'metadata.experiment': { id: assignment.experimentId, variant: assignment.variant } }
+      });
+    }
+
+    // "Talk to a human" choice: queue the chat for an agent instead of answering
+    if (payload === HANDOFF_PAYLOAD) {
+      const handoffMessage = await Message.create({
+        chatId,
+        sender: 'ai',
+        content: HANDOFF_TEXT,
+        metadata: { needsHuman: true, handoff: true, responseTime: Date.now() - startTime }
+      });
+      await Chat.findByIdAndUpdate(chatId, { status: 'waiting', mode: 'human' });
+      if (chatForCategory) {
+        broadcastToDashboard('dashboard.chat.updated', { sessionId: chatForCategory.sessionId, chatId, status: 'waiting', mode: 'human' });
+      }
+      console.log(`[AI Query] Chat ${chatId} handed off to a human at the user's request`);
+      return res.json({
+        messageId: handoffMessage._id,
+        response: HANDOFF_TEXT,
+        needsHuman: true,
+        handoff: true,
+        sources: [],
+        citations: [],
+        cached: false
+      });
+    }
+
+    // The category's flow answers until it is over
+    let answerCategory = workflowCategory;
+    if (workflowCategory && workflowCategory.flow && workflowCategory.flow.enabled && chatForCategory) {
+      const turn = await advanceChatFlow(chatForCategory, workflowCategory, { text: message, payload });
+      if (turn && turn.text) {
+        const flowMessage = await Message.create({
+          chatId,
+          sender: 'ai',
+          content: turn.text,
+          ...(turn.rich && { rich: turn.rich }),
+          metadata: { flow: true, flowStatus: turn.status, needsHuman: turn.handoff, responseTime: Date.now() - startTime }
+        });
+        return res.json({
+          messageId: flowMessage._id,
+          response: turn.text,
+          rich: turn.rich,
+          needsHuman: turn.handoff,
+          handoff: turn.handoff,
+          flow: true,
+          sources: [],
+          citations: [],
+          cached: false
+        });
+      }
+      if (turn && turn.handoff) {
+        return res.json({ response: '', needsHuman: true, handoff: true, flow: true, sources: [], citations: [], cached: false });
+      }
+      answerCategory = withCollectedValues(workflowCategory, turn ? turn.vars : getCollectedValues(chatForCategory, workflowCategory));
+    }
+
+    // A category's quick replies / cards go out with the first answer after it was selected
+    const categoryRich = workflowCategory && workflowCategory.rich
+      && String(chatForCategory.metadata?.categoryRichShown) !== String(workflowCategory._id)
+      ? normalizeRich(workflowCategory.rich)
+      : null;
+    if (categoryRich) {
+      await Chat.updateOne({ _id: chatId }, { $set: { 'metadata.categoryRichShown': workflowCategory._id } });
+    }
+
+    // Streaming needs a session to broadcast to; otherwise fall back to the blocking path
+    const streamTarget = stream && streamId && chatForCategory
+      ? { sessionId: chatForCategory.sessionId, chatId, streamId }
+      : null;
+
+    // Check semantic response cache, scoped to the question's language and the chat's category.
+    // Experiment traffic skips it — a cached answer would come from whichever variant stored it
+    const cacheScope = { language: detectLanguage(message), categoryId: workflowCategory ? workflowCategory._id : null };
+    const cachedResult = assignment ? null : await withUsageContext({ chatId }, () => findCachedResponse(message, cacheScope));
     if (cachedResult) {
-      await Message.create({
+      const cachedMessage = await Message.create({
         chatId,
         sender: 'ai',
         content: cachedResult.response,
+        ...(categoryRich && { rich: categoryRich }),
         metadata: {
           confidence: cachedResult.confidence,
           sources: cachedResult.sources,
+          citations: cachedResult.citations,
           cached: true,
           cacheSimlarity: cachedResult.similarity,
+          cacheEntryId: cachedResult.id,
+          knowledgeBaseIds: cachedResult.knowledgeBaseIds,
+          ...(cachedResult.pinned && { cachePinned: true }),
           responseTime: Date.now() - startTime
         }
       });
 
+      if (streamTarget) {
+        broadcast({
+          type: 'ai.done',
+          ...streamTarget,
+          messageId: cachedMessage._id,
+          response: cachedResult.response,
+          confidence: cachedResult.confidence,
+          citations: cachedResult.citations,
+          rich: categoryRich,
+          needsHuman: false,
+          cached: true
+        }, streamTarget.sessionId);
+      }
+
       return res.json({
+        messageId: cachedMessage._id,
         response: cachedResult.response,
         confidence: cachedResult.confidence,
         needsHuman: false,
         sources: (cachedResult.sources || []).map(s => ({ filename: s })),
+        citations: cachedResult.citations,
+        rich: categoryRich,
         cached: true
       });
     }
 
-    // 1. Detect language
-    const language = detectLanguage(message);
-    console.log(`[AI Query] Language detected: ${language}`);
-
-    // 2. Fetch conversation history (last 20 messages for context)
-    const conversationHistory = await Message.find({ chatId })
-      .sort({ sentAt: 1 })
-      .limit(20)
-      .select('sender content');
-
-    // 3. Search knowledge base for relevant context
-    const ragResults = await searchKnowledgeBase(message, {
-      topK: 8,
-      minSimilarity: 0.2
-    });
-
-    console.log(`[AI Query] Found ${ragResults.length} relevant knowledge base chunks`);
-
-    // 4. Build Claude prompt
-    let systemPrompt = `You are a helpful customer support AI assistant. Answer questions ONLY based on the provided knowledge base context. If the knowledge base doesn't contain the answer, say "I don't have that information in our knowledge base. Let me connect you with a team member who can help." Do NOT make up or guess product names, features, or details not in the knowledge base. Respond in ${language} language.
-
-Important rules:
-- ONLY use facts from the knowledge base context provided below — NEVER invent product names, company names, or features
-- If no knowledge base context is provided or it doesn't answer the question, clearly say you don't have that information
-- NEVER include the user's personal information (their name, phone, email) in your responses
-- Do NOT greet the user by name or reference their personal details
-- When suggesting the user contact support, ALWAYS include the actual email: support@jobtalk.ai — NEVER say "contact support" without the email
-- Do NOT give vague redirect responses like "they can help you" — instead answer the question directly using the knowledge base, and only suggest email as a last resort
-- Only provide company contact details when the user specifically asks for contact info, pricing, or important inquiries — do NOT add contact info to every reply
-- Focus only on answering the question with relevant product/service information from the knowledge base
-
-Format rules:
-- Keep answers SHORT — 2-3 sentences max unless the user asks for detail
-- Use bullet points only when listing 3+ items
-- Use **bold** sparingly for key terms
-- No filler or repetition — get straight to the point`;
-
-    // Add knowledge base context if available
-    let contextText = '';
-    if (ragResults.length > 0) {
-      contextText = 'Knowledge base:\n\n';
-      ragResults.forEach((result, idx) => {
-        contextText += `[Source ${idx + 1}: ${result.filename}]\n${result.text}\n\n`;
-      });
-      systemPrompt += `\n\n${contextText}`;
-    }
-
-    // Add page context if provided
-    if (pageContext) {
-      systemPrompt += `\n\nThe user is currently on page: ${pageContext}`;
-    }
-
-    // Inject workflow category prompt if chat has one (reuse data from cache key resolution)
-    let hasWorkflowCategory = false;
-    if (chatForCategory && chatForCategory.metadata?.categoryId) {
-      const category = await WorkflowCategory.findById(chatForCategory.metadata.categoryId);
-      if (category && category.prompt) {
-        systemPrompt = category.prompt + '\n\n' + systemPrompt;
-        hasWorkflowCategory = true;
-        console.log(`[AI Query] Using workflow category: ${category.name}`);
+    // 1. Fetch conversation context: memory of older turns + the messages after it
+    const { memory, history: conversationHistory } = await getConversationContext(chatForCategory || { _id: chatId });
+
+    // 2-8. Retrieve, prompt, generate (streamed to the widget when requested), validate
+    // citations, score confidence, check grounding and decide on escalation
+    const actions = await getEnabledActions();
+    const {
+      language, ragResults, retrieval, promptProfile, completion, toolCalls, responseText, citations,
+      rich: answerRich, invalidCitations, uncited, grounding, confidence, needsHuman, noAnswer
+    } = await withUsageContext({ chatId }, () => generateAnswer({
+      // A clicked choice reaches the model with its payload — labels like "Yes" alone can be ambiguous
+      message: payload && payload !== message ? `${message} (selected option: ${payload})` : message,
+      history: conversationHistory,
+      memory,
+      workflowCategory: answerCategory,
+      pageContext,
+      onDelta: streamTarget ? relayDeltas(streamTarget) : undefined,
+      promptProfile: assignment?.promptProfile,
+      llm: assignment?.llm,
+      actions,
+      actionContext: {
+        chatId: String(chatId),
+        sessionId: chatForCategory?.sessionId,
+        userEmail: chatForCategory?.userEmail,
+        userId: chatForCategory?.userId
       }
-    }
-
-    // 5. Build conversation messages for Claude
-    const messages = [];
-
-    // Include last 6 user/AI message pairs for conversation memory
-    // Filter out file-only messages so AI doesn't try to respond to them
-    const recentHistory = conversationHistory
-      .filter(msg => !msg.content.match(/^\[Sent \d+ file\(s\)\]$/))
-      .slice(-12);
-    recentHistory.forEach(msg => {
-      messages.push({
-        role: msg.sender === 'user' ? 'user' : 'assistant',
-        content: msg.content
-      });
-    });
-
-    // Add current user message
-    messages.push({
-      role: 'user',
-      content: message
-    });
-
-    // 6. Call Claude API
-    const client = getAnthropicClient();
-    const response = await client.messages.create({
-      model: process.env.CLAUDE_MODEL || 'claude-sonnet-4-5-20250929',
-      max_tokens: parseInt(process.env.CLAUDE_MAX_TOKENS || '1024'),
-      messages: messages,
-      system: systemPrompt
-    });
-
-    const responseText = response.content[0].text;
-
-    // 7. Calculate confidence score
-    // Confidence scoring tiers:
-    //   0.90 — High-similarity RAG match (>0.7 cosine similarity)
-    //   0.85 — Workflow category present (admin-curated prompt)
-    //   0.80 — Moderate RAG match (>=0.4 similarity)
-    //   0.70 — Multiple low-similarity matches (>=3 chunks provide broad context)
-    //   0.50 — Baseline (no RAG matches, no category)
-    //   -0.20 — Penalty if AI response contains uncertainty language
-    //   Minimum after penalty: 0.30
-    let confidence = 0.5; // Default baseline
-
-    // Workflow category responses are always high confidence (admin-defined prompts)
-    if (hasWorkflowCategory) {
-      confidence = 0.85;
-    }
-
-    if (ragResults.length > 0) {
-      const maxSimilarity = Math.max(...ragResults.map(r => r.similarity));
-      if (maxSimilarity > 0.7) {
-        confidence = 0.9;
-      } else if (maxSimilarity >= 0.4) {
-        confidence = Math.max(confidence, 0.8);
-      } else if (ragResults.length >= 3) {
-        // Multiple low-similarity matches still provide useful context
-        confidence = Math.max(confidence, 0.7);
-      }
-    }
-
-    // Reduce confidence if AI expresses uncertainty
-    const uncertaintyPatterns = [
-      /i don't know/i,
-      /not sure/i,
-      /uncertain/i,
-      /can't find/i,
-      /no information/i
-    ];
-
-    for (const pattern of uncertaintyPatterns) {
-      if (pattern.test(responseText)) {
-        confidence = Math.max(0.3, confidence - 0.2);
-        break;
-      }
-    }
-
-    // 8. Determine if human escalation is needed
-    // Default threshold: 0.7 — below this the chat is escalated to human mode
-    // Configurable via CLAUDE_CONFIDENCE_THRESHOLD env var
-    const confidenceThreshold = parseFloat(process.env.CLAUDE_CONFIDENCE_THRESHOLD || '0.7');
-    const needsHuman = confidence < confidenceThreshold;
+    }));
 
     // 9. Save AI message to database
+    const rich = mergeRich(answerRich, categoryRich);
     const aiMessage = await Message.create({
       chatId,
       sender: 'ai',
       content: responseText,
+      ...(rich && { rich }),
       metadata: {
         confidence,
         sources: ragResults.map(r => r.filename),
+        citations,
+        invalidCitations,
+        uncited,
+        grounding,
+        needsHuman,
+        ...(toolCalls.length > 0 && { toolCalls }),
+        ...(completion.spendCapped && { spendCapped: true }),
         language,
-        responseTime: Date.now() - startTime
+        promptVersion: promptProfile.version,
+        ...(assignment && { experiment: { id: assignment.experimentId, variant: assignment.variant } }),
+        responseTime: Date.now() - startTime,
+        streamed: !!streamTarget,
+        provider: completion.provider,
+        model: completion.model,
+        usage: completion.usage,
+        llmLatencyMs: completion.latencyMs,
+        retrieval: {
+          ...retrieval,
+          results: ragResults.map(r => ({
+            filename: r.filename,
+            knowledgeBaseId: r.knowledgeBaseId,
+            chunkIndex: r.chunkIndex,
+            location: r.location,
+            similarity: r.similarity,
+            ...r.scores
+          }))
+        }
       }
     });
 
@@ -259,21 +350,73 @@ Format rules:
       console.log(`[AI Query] Low confidence (${confidence.toFixed(2)}), escalating to human`);
     }
 
+    // Log the question as a knowledge gap (fire-and-forget). KB-only answers under the spend
+    // cap say nothing about what the knowledge base is missing.
+    if ((needsHuman || noAnswer) && !completion.spendCapped) {
+      withUsageContext({ chatId }, () => recordKnowledgeGap({
+        chatId,
+        messageId: aiMessage._id,
+        question: message,
+        answer: responseText,
+        reason: noAnswer ? 'no_answer' : 'low_confidence',
+        confidence,
+        categoryId: answerCategory?._id
+      }));
+    }
+
     console.log(`[AI Query] Response generated in ${Date.now() - startTime}ms, confidence: ${confidence.toFixed(2)}`);
 
-    // Cache the response for future similar questions (fire-and-forget)
-    if (confidence >= 0.7) {
-      cacheResponse(
-        cacheKey, null, responseText, confidence,
-        ragResults.map(r => r.filename)
-      ).catch(err => console.error('[Cache] Store failed:', err.message));
+    // Cache the response for future similar questions (fire-and-forget).
+    // Answers built from action results are about one customer's data — never reuse them.
+    // KB-only answers given under the spend cap would outlive the cap — don't keep them either.
+    // Nor answers to questions carrying personal data: the answer may repeat it, and the cache
+    // lookup embeds questions with that data masked, so another customer's question would match
+    if (confidence >= 0.7 && !assignment && toolCalls.length === 0 && !completion.spendCapped
+      && !(await containsPii(message))) {
+      withUsageContext({ chatId }, () => cacheResponse(
+        message, null, responseText, confidence,
+        ragResults.map(r => r.filename), citations,
+        { ...cacheScope, knowledgeBaseIds: ragResults.map(r => r.knowledgeBaseId), messageId: aiMessage._id }
+      )).catch(err => console.error('[Cache] Store failed:', err.message));
+    }
+
+    // Fold older turns into the chat's memory once enough have piled up (fire-and-forget)
+    if (chatForCategory) {
+      withUsageContext({ chatId }, () => updateMemory(chatId))
+        .catch(err => console.error('[Memory] Update failed:', err.message));
+    }
+
+    // Tell the streaming widget the reply is complete and persisted
+    if (streamTarget) {
+      broadcast({
+        type: 'ai.done',
+        ...streamTarget,
+        messageId: aiMessage._id,
+        response: responseText,
+        confidence,
+        citations,
+        rich,
+        needsHuman,
+        cached: false
+      }, streamTarget.sessionId);
     }
 
     res.json({
+      messageId: aiMessage._id,
       response: responseText,
       confidence,
       needsHuman,
-      sources: ragResults.map(r => ({ filename: r.filename, similarity: r.similarity })),
+      rich,
+      sources: ragResults.map(r => ({
+        filename: r.filename,
+        title: r.title,
+        url: r.sourceUrl,
+        location: r.location,
+        page: r.metadata?.page || null,
+        similarity: r.similarity
+      })),
+      citations,
+      groundedness: grounding ? grounding.groundedness : null,
       language,
       cached: false
     });
@@ -281,7 +424,7 @@ Format rules:
   } catch (error) {
     console.error('[AI Query] Error:', error);
 
-    if (error.message.includes('CLAUDE_API_KEY')) {
+    if (error.code === 'LLM_NOT_CONFIGURED') {
       return res.status(503).json({ error: 'AI service not configured' });
     }
 
@@ -295,7 +438,9 @@ Format rules:
 
 /**
  * POST /api/ai/summarize
- * Generate one-line summary for a chat conversation
+ * One-line summary of a chat, from its rolling memory: only messages since the last fold
+ * are sent to the LLM. The headline is saved as Chat.summary (done by the memory update).
+ * Also returns the longer summary and the key facts.
  */
 router.post('/summarize', async (req, res) => {
   try {
@@ -305,45 +450,32 @@ router.post('/summarize', async (req, res) => {
       return res.status(400).json({ error: 'chatId is required' });
     }
 
-    // Fetch all messages from the chat
-    const messages = await Message.find({ chatId })
-      .sort({ sentAt: 1 })
-      .select('sender content');
-
-    if (messages.length === 0) {
+    const memory = await withUsageContext({ chatId }, () => updateMemory(chatId, { force: true }));
+    if (!memory || !memory.summary) {
       return res.status(400).json({ error: 'No messages found for this chat' });
     }
 
-    // Build conversation text
-    const conversationText = messages
-      .map(m => `${m.sender}: ${m.content}`)
-      .join('\n');
-
-    // Call Claude to summarize
-    const client = getAnthropicClient();
-    const response = await client.messages.create({
-      model: process.env.CLAUDE_MODEL || 'claude-sonnet-4-5-20250929',
-      max_tokens: 100,
-      messages: [{
-        role: 'user',
-        content: `Summarize this support conversation in one concise sentence. Be specific about the user's issue or question.\n\n${conversationText}`
-      }]
+    res.json({
+      summary: memory.headline || memory.summary,
+      details: memory.summary,
+      facts: memory.facts || []
     });
 
-    const summary = response.content[0].text;
-
-    // Update chat with summary
-    await Chat.findByIdAndUpdate(chatId, { summary });
-
-    res.json({ summary });
-
   } catch (error) {
     console.error('[AI Summarize] Error:', error);
 
-    if (error.message.includes('CLAUDE_API_KEY')) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid chatId format' });
+    }
+
+    if (error.code === 'LLM_NOT_CONFIGURED') {
       return res.status(503).json({ error: 'AI service not configured' });
     }
 
+    if (error.code === 'SPEND_CAP_REACHED') {
+      return res.status(429).json({ error: 'Daily AI spend cap reached' });
+    }
+
     res.status(500).json({ error: 'Failed to generate summary' });
   }
 });
@@ -386,23 +518,22 @@ router.post('/categorize', async (req, res) => {
 
 /**
  * POST /api/ai/suggest-reply
- * AI copilot endpoint that suggests agent replies based on chat history
+ * AI copilot: DRAFT_COUNT alternative replies for the agent, grounded in KB excerpts from both
+ * public and internal (agent-only) documents, cited inline, in a tone matched to the chat's
+ * sentiment (utils/copilot). Logged as a CopilotSuggestion for the acceptance rate.
+ * Body: { chatId, regenerate? } — regenerate: id of the suggestion these drafts replace
+ * Returns: { suggestionId, tone, drafts: [{ text, citations }], suggestedReply (first draft), sources }
  */
 router.post('/suggest-reply', authenticateAgent, async (req, res) => {
   try {
-    const { chatId } = req.body;
+    const { chatId, regenerate } = req.body;
 
     // Validate chatId provided
     if (!chatId) {
       return res.status(400).json({ error: 'chatId is required' });
     }
-
-    // Check if CLAUDE_API_KEY is configured
-    let client;
-    try {
-      client = getAnthropicClient();
-    } catch (err) {
-      return res.status(503).json({ error: 'AI service not configured' });
+    if (regenerate !== undefined && !mongoose.isValidObjectId(regenerate)) {
+      return res.status(400).json({ error: 'Invalid suggestion ID' });
     }
 
     // Find chat and validate it exists
@@ -436,19 +567,33 @@ router.post('/suggest-reply', authenticateAgent, async (req, res) => {
       })
       .join('\n');
 
-    // Construct prompt for Claude API
-    const prompt = `You are an AI copilot assisting a customer support agent. Based on the chat history below, suggest a helpful reply the agent can send to the user. Keep it professional, concise, and empathetic.
-
-Chat history:
-${chatHistory}
+    // Ground the drafts in the KB — agents may see internal-only docs too.
+    // Retrieval is best-effort: a KB/embeddings outage shouldn't block suggestions.
+    let kbResults = [];
+    const lastUserMessage = messages.filter(msg => msg.sender === 'user' && !msg.isInternal).pop();
+    if (lastUserMessage) {
+      try {
+        ({ results: kbResults } = await withUsageContext({ chatId }, () => hybridSearch(lastUserMessage.content, {
+          topK: 5,
+          minSimilarity: 0.3,
+          filter: {
+            audiences: ['public', 'internal'],
+            categoryId: chat.metadata?.categoryId ? chat.metadata.categoryId.toString() : null
+          }
+        })));
+      } catch (err) {
+        console.error('[Suggest Reply] KB retrieval failed:', err.message);
+      }
+    }
 
-Suggest a reply:`;
+    const tone = toneFor(chat.sentiment);
+    const prompt = buildCopilotPrompt({ history: chatHistory, memory: chat.memory, kbResults, tone });
 
-    // Call Anthropic API
+    // Call the LLM
+    let completion;
     try {
-      const response = await client.messages.create({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 300,
+      completion = await withUsageContext({ chatId }, () => complete('suggest-reply', {
+        maxTokens: 900,
         temperature: 0.7,
         messages: [
           {
@@ -456,16 +601,43 @@ Suggest a reply:`;
             content: prompt
           }
         ]
-      });
-
-      // Extract suggested reply from response
-      const suggestedReply = response.content[0].text;
-
-      return res.status(200).json({ suggestedReply });
+      }));
     } catch (apiErr) {
-      console.error('Anthropic API error:', apiErr);
+      if (apiErr.code === 'LLM_NOT_CONFIGURED') {
+        return res.status(503).json({ error: 'AI service not configured' });
+      }
+      if (apiErr.code === 'SPEND_CAP_REACHED') {
+        return res.status(429).json({ error: 'Daily AI spend cap reached' });
+      }
+      console.error('LLM provider error:', apiErr);
       return res.status(500).json({ error: 'AI service error' });
     }
+
+    const drafts = parseDrafts(completion.text, kbResults);
+    if (drafts.length === 0) {
+      console.error('[Suggest Reply] No drafts in LLM response:', completion.text);
+      return res.status(500).json({ error: 'Failed to parse AI response' });
+    }
+
+    const suggestion = await CopilotSuggestion.create({
+      chatId: chat._id,
+      agentId: req.agent.agentId,
+      drafts,
+      knowledgeBaseIds: [...new Set(kbResults.map(r => String(r.knowledgeBaseId)))],
+      tone,
+      provider: completion.provider,
+      model: completion.model,
+      ...(regenerate && { regeneratedFrom: regenerate })
+    });
+    console.log(`[Suggest Reply] ${drafts.length} draft(s) for chat ${chat._id} (${tone} tone, ${kbResults.length} KB excerpt(s))`);
+
+    return res.status(200).json({
+      suggestionId: suggestion._id,
+      tone,
+      drafts,
+      suggestedReply: drafts[0].text,
+      sources: kbResults.map(r => ({ filename: r.filename, title: r.title, location: r.location, audience: r.audience, similarity: r.similarity }))
+    });
   } catch (err) {
     console.error('Suggest reply error:', err);
     if (err.name === 'CastError') {
@@ -478,6 +650,44 @@ Suggest a reply:`;
   }
 });
 
+/**
+ * POST /api/ai/suggest-reply/:id/use
+ * Log that the agent inserted one of a suggestion's drafts into their reply box. Inserting
+ * another draft later replaces it. Sending the reply with `suggestionId` (POST /api/messages)
+ * then records whether the draft was edited.
+ * Body: { index } — position of the draft in `drafts`
+ */
+router.post('/suggest-reply/:id/use', authenticateAgent, async (req, res) => {
+  try {
+    const { index } = req.body;
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ error: 'index must be a non-negative integer' });
+    }
+
+    const suggestion = await CopilotSuggestion.findOne({ _id: req.params.id, agentId: req.agent.agentId })
+      .select('drafts sent')
+      .lean();
+    if (!suggestion) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+    if (index >= suggestion.drafts.length) {
+      return res.status(400).json({ error: `index must be below ${suggestion.drafts.length}` });
+    }
+    if (suggestion.sent && suggestion.sent.messageId) {
+      return res.status(409).json({ error: 'A reply from this suggestion was already sent' });
+    }
+
+    await CopilotSuggestion.updateOne({ _id: suggestion._id }, { $set: { used: { index, at: new Date() } } });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Use suggestion error:', err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid suggestion ID' });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * POST /api/ai/analyze-sentiment
  * Analyze chat sentiment and assign priority based on message tone and content
@@ -518,14 +728,7 @@ router.post('/analyze-sentiment', async (req, res) => {
       .map(m => `[${new Date(m.sentAt).toISOString()}] ${m.content}`)
       .join('\n');
 
-    // Claude API call for sentiment analysis
-    let client;
-    try {
-      client = getAnthropicClient();
-    } catch (err) {
-      return res.status(503).json({ error: 'AI service not configured' });
-    }
-
+    // LLM call for sentiment analysis
     const prompt = `Analyze the sentiment and urgency of this customer support conversation.
 Consider: user tone (frustrated, angry, calm, happy), urgency keywords (urgent, ASAP, emergency, critical),
 issue severity (payment failed, data lost, minor question), message frequency/length.
@@ -540,17 +743,15 @@ Respond with JSON only:
   "reasoning": "Brief explanation"
 }`;
 
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 200,
+    const { text: responseText } = await withUsageContext({ chatId: chat._id }, () => complete('sentiment', {
+      maxTokens: 200,
       messages: [{
         role: 'user',
         content: prompt
       }]
-    });
+    }));
 
-    // Parse Claude response JSON
-    const responseText = response.content[0].text;
+    // Parse LLM response JSON
     let analysis;
     try {
       // Extract JSON from response (may include code blocks)
@@ -561,7 +762,7 @@ Respond with JSON only:
         throw new Error('No JSON found in response');
       }
     } catch (parseErr) {
-      console.error('[Sentiment Analysis] Failed to parse Claude response:', responseText);
+      console.error('[Sentiment Analysis] Failed to parse LLM response:', responseText);
       return res.status(500).json({ error: 'Failed to parse AI response' });
     }
 
@@ -575,7 +776,6 @@ Respond with JSON only:
     console.log(`[Sentiment Analysis] Chat ${chat._id}: ${analysis.sentiment} sentiment, ${analysis.priority} priority`);
 
     // Broadcast to dashboard via WebSocket
-    const { broadcastToDashboard } = require('../websocket');
     broadcastToDashboard('dashboard.chat.updated', {
       sessionId: chat.sessionId,
       chatId: chat._id,
@@ -592,10 +792,14 @@ Respond with JSON only:
   } catch (error) {
     console.error('[Sentiment Analysis] Error:', error);
 
-    if (error.message.includes('CLAUDE_API_KEY')) {
+    if (error.code === 'LLM_NOT_CONFIGURED') {
       return res.status(503).json({ error: 'AI service not configured' });
     }
 
+    if (error.code === 'SPEND_CAP_REACHED') {
+      return res.status(429).json({ error: 'Daily AI spend cap reached' });
+    }
+
     if (error.status === 429) {
       return res.status(429).json({ error: 'Too many requests, please try again later' });
     }
@@ -604,4 +808,18 @@ Respond with JSON only:
   }
 });
 
+/**
+ * GET /api/ai/providers
+ * Resolved LLM provider/model per feature plus call, token and latency counters
+ * since server start (admin/manager only)
+ */
+router.get('/providers', authenticateAgent, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    res.json(await getProviderStatus());
+  } catch (error) {
+    console.error('[AI Providers] Error:', error);
+    res.status(500).json({ error: 'Failed to load provider status' });
+  }
+});
+
 module.exports = router;
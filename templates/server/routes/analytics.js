@@ -2,17 +2,26 @@
  * @file Analytics Routes — Dashboard analytics and reporting metrics
  * @description Provides aggregated analytics data for the operator dashboard including
  *   total chats, AI vs human resolution rates, average response times, satisfaction
- *   ratings, category breakdowns, priority distribution, and common questions.
+ *   ratings, category breakdowns, priority distribution, common questions, customers' thumbs
+ *   up/down on individual AI answers by source document and category, how often agents send
+ *   the copilot's draft replies (as-is or edited), per-variant
+ *   results of A/B experiments with significance indicators, and LLM/embedding token
+ *   usage and cost, and the audit of PII redacted from those calls (admin/manager only).
  *   All endpoints require agent authentication and support configurable date ranges
  *   (defaults to last 30 days).
  *
  * @requires ../middleware/auth - Agent authentication
+ * @requires ../utils/experiments - Variant comparison and significance tests
+ * @requires ../utils/usage - Price table, spend caps and today's spend
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { Chat, Message } = require('../db/models');
-const { authenticateAgent } = require('../middleware/auth');
+const { Chat, Message, Agent, Experiment, Usage, RedactionEvent, KnowledgeBase, WorkflowCategory, CopilotSuggestion } = require('../db/models');
+const { authenticateAgent, requireRole } = require('../middleware/auth');
+const { ALPHA, MIN_SAMPLE, summarizeVariants } = require('../utils/experiments');
+const { DEFAULT_PRICES, getUsageSettings, getTodaySpend } = require('../utils/usage');
 
 /** Parse startDate/endDate from query params with defaults (30 days ago to now) */
 const getDateRange = (req) => {
@@ -147,6 +156,7 @@ router.get('/overview', authenticateAgent, async (req, res) => {
 /**
  * GET /api/analytics/common-questions
  * Most frequently asked first-messages across chats, grouped by content (case-insensitive).
+ * Questions the AI couldn't answer, clustered by meaning, are in the gap report (/api/gaps).
  * @param {string} [req.query.startDate] - Start of date range
  * @param {string} [req.query.endDate] - End of date range
  * @param {number} [req.query.limit=10] - Max results to return
@@ -204,4 +214,469 @@ router.get('/common-questions', authenticateAgent, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analytics/feedback
+ * Customers' thumbs up/down on AI answers (utils/messageFeedback), rated in the date range:
+ * totals, thumbs-down reasons, per UTC day, and per source document and workflow category
+ * (an answer built from several documents counts for each). Documents and categories are
+ * sorted by thumbs down; `satisfaction` is the share of thumbs up.
+ * @param {string} [req.query.startDate] - Start of date range (ISO date, default: 30 days ago)
+ * @param {string} [req.query.endDate] - End of date range (ISO date, default: now)
+ * @param {number} [req.query.limit=20] - Max documents returned
+ */
+router.get('/feedback', authenticateAgent, async (req, res) => {
+  try {
+    const { startDate, endDate } = getDateRange(req);
+    if (startDate > endDate) {
+      return res.status(400).json({ error: 'startDate cannot be after endDate' });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const sums = {
+      up: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'up'] }, 1, 0] } },
+      down: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'down'] }, 1, 0] } }
+    };
+    const [rollups] = await Message.aggregate([
+      { $match: { 'feedback.at': { $gte: startDate, $lte: endDate }, 'feedback.rating': { $in: ['up', 'down'] } } },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...sums } }],
+          byReason: [
+            { $match: { 'feedback.rating': 'down' } },
+            { $group: { _id: { $ifNull: ['$feedback.reason', null] }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+          ],
+          byDay: [
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$feedback.at' } }, ...sums } },
+            { $sort: { _id: 1 } }
+          ],
+          byDocument: [
+            { $unwind: '$feedback.knowledgeBaseIds' },
+            { $group: { _id: '$feedback.knowledgeBaseIds', ...sums } },
+            { $sort: { down: -1, up: 1 } },
+            { $limit: limit }
+          ],
+          byCategory: [
+            { $group: { _id: { $ifNull: ['$feedback.categoryId', null] }, ...sums } },
+            { $sort: { down: -1, up: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const [docs, categories] = await Promise.all([
+      KnowledgeBase.find({ _id: { $in: rollups.byDocument.map(r => r._id) } }).select('originalName filename active').lean(),
+      WorkflowCategory.find({ _id: { $in: rollups.byCategory.map(r => r._id).filter(Boolean) } }).select('name').lean()
+    ]);
+    const docById = new Map(docs.map(d => [d._id.toString(), d]));
+    const categoryById = new Map(categories.map(c => [c._id.toString(), c]));
+
+    const totals = r => {
+      const up = r ? r.up : 0;
+      const down = r ? r.down : 0;
+      return { up, down, satisfaction: up + down > 0 ? Math.round((up / (up + down)) * 100) / 100 : null };
+    };
+
+    res.json({
+      range: { startDate, endDate },
+      totals: totals(rollups.totals[0]),
+      byReason: rollups.byReason.map(r => ({ reason: r._id, count: r.count })),
+      byDay: rollups.byDay.map(r => ({ date: r._id, ...totals(r) })),
+      byDocument: rollups.byDocument.map(r => {
+        const doc = docById.get(r._id.toString());
+        return {
+          knowledgeBaseId: r._id,
+          name: doc ? doc.originalName || doc.filename : null,
+          active: doc ? doc.active : false,
+          ...totals(r)
+        };
+      }),
+      byCategory: rollups.byCategory.map(r => {
+        const category = r._id && categoryById.get(r._id.toString());
+        return {
+          categoryId: r._id,
+          name: category ? category.name : null,
+          ...totals(r)
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Answer feedback analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch answer feedback' });
+  }
+});
+
+/**
+ * GET /api/analytics/copilot
+ * Acceptance of the agent copilot's draft replies (utils/copilot), for suggestions made in the
+ * date range: how many were inserted into the reply box (`used`), sent as-is or edited, and
+ * replaced by a regenerated set — overall, per draft position, per tone and per agent.
+ * `acceptanceRate` is the share of suggestions whose draft was sent; `editRate` the share of
+ * those edited first (admin/manager only).
+ * @param {string} [req.query.startDate] - Start of date range (ISO date, default: 30 days ago)
+ * @param {string} [req.query.endDate] - End of date range (ISO date, default: now)
+ */
+router.get('/copilot', authenticateAgent, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { startDate, endDate } = getDateRange(req);
+    if (startDate > endDate) {
+      return res.status(400).json({ error: 'startDate cannot be after endDate' });
+    }
+
+    const sums = {
+      suggestions: { $sum: 1 },
+      used: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$used.index', null] }, null] }, 1, 0] } },
+      sent: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$sent.messageId', null] }, null] }, 1, 0] } },
+      edited: { $sum: { $cond: [{ $eq: ['$sent.edited', true] }, 1, 0] } }
+    };
+    const [rollups] = await CopilotSuggestion.aggregate([
+      { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...sums } }],
+          regenerated: [
+            { $match: { regeneratedFrom: { $exists: true } } },
+            { $group: { _id: '$regeneratedFrom' } },
+            { $count: 'count' }
+          ],
+          byDraft: [
+            { $match: { 'used.index': { $exists: true } } },
+            { $group: { _id: '$used.index', ...sums } },
+            { $sort: { _id: 1 } }
+          ],
+          byTone: [{ $group: { _id: '$tone', ...sums } }, { $sort: { suggestions: -1 } }],
+          byAgent: [{ $group: { _id: '$agentId', ...sums } }, { $sort: { suggestions: -1 } }]
+        }
+      }
+    ]);
+
+    const agents = await Agent.find({ _id: { $in: rollups.byAgent.map(r => r._id) } }).select('name email').lean();
+    const agentById = new Map(agents.map(a => [a._id.toString(), a]));
+
+    const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) / 100 : null);
+    const totals = r => {
+      const counts = {
+        suggestions: r ? r.suggestions : 0,
+        used: r ? r.used : 0,
+        sent: r ? r.sent : 0,
+        edited: r ? r.edited : 0
+      };
+      return {
+        ...counts,
+        sentAsIs: counts.sent - counts.edited,
+        acceptanceRate: rate(counts.sent, counts.suggestions),
+        editRate: rate(counts.edited, counts.sent)
+      };
+    };
+
+    res.json({
+      range: { startDate, endDate },
+      totals: {
+        ...totals(rollups.totals[0]),
+        regenerated: rollups.regenerated[0] ? rollups.regenerated[0].count : 0
+      },
+      byDraft: rollups.byDraft.map(r => ({ draft: r._id + 1, used: r.used, sent: r.sent, edited: r.edited })),
+      byTone: rollups.byTone.map(r => ({ tone: r._id || 'neutral', ...totals(r) })),
+      byAgent: rollups.byAgent.map(r => {
+        const agent = agentById.get(r._id.toString());
+        return { agentId: r._id, name: agent ? agent.name || agent.email : null, ...totals(r) };
+      })
+    });
+  } catch (error) {
+    console.error('Copilot analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch copilot analytics' });
+  }
+});
+
+/**
+ * GET /api/analytics/experiments/:id
+ * Per-variant results of an A/B experiment: chats, escalation rate (share of chats with an
+ * AI answer that escalated), average rating, thumbs up/down, and average AI response time.
+ * Each non-control variant carries `vsControl` with { delta, pValue, significant, enoughData }
+ * per metric. Covers the whole experiment — the date range params don't apply.
+ */
+router.get('/experiments/:id', authenticateAgent, async (req, res) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id).lean();
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    const experimentId = experiment._id.toString();
+
+    // 1. AI answers per variant: response time, and which chats escalated
+    const perChat = await Message.aggregate([
+      { $match: { sender: 'ai', 'metadata.experiment.id': experimentId } },
+      {
+        $group: {
+          _id: { variant: '$metadata.experiment.variant', chatId: '$chatId' },
+          messages: { $sum: 1 },
+          escalated: { $max: { $cond: [{ $eq: ['$metadata.needsHuman', true] }, 1, 0] } },
+          responseTimeSum: { $sum: { $ifNull: ['$metadata.responseTime', 0] } },
+          responseTimeSqSum: {
+            $sum: { $multiply: [{ $ifNull: ['$metadata.responseTime', 0] }, { $ifNull: ['$metadata.responseTime', 0] }] }
+          },
+          responseTimeCount: { $sum: { $cond: [{ $gt: ['$metadata.responseTime', null] }, 1, 0] } }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.variant',
+          chats: { $sum: 1 },
+          escalatedChats: { $sum: '$escalated' },
+          messages: { $sum: '$messages' },
+          responseTimeSum: { $sum: '$responseTimeSum' },
+          responseTimeSqSum: { $sum: '$responseTimeSqSum' },
+          responseTimeCount: { $sum: '$responseTimeCount' }
+        }
+      }
+    ]);
+
+    // 2. Ratings of chats in each variant (5 = thumbs up, 1 = thumbs down)
+    const ratings = await Chat.aggregate([
+      { $match: { 'metadata.experiment.id': experimentId, rating: { $exists: true, $ne: null } } },
+      {
+        $group: {
+          _id: '$metadata.experiment.variant',
+          ratingCount: { $sum: 1 },
+          ratingMean: { $avg: '$rating' },
+          ratingSd: { $stdDevSamp: '$rating' },
+          thumbsUp: { $sum: { $cond: [{ $eq: ['$rating', 5] }, 1, 0] } },
+          thumbsDown: { $sum: { $cond: [{ $eq: ['$rating', 1] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const stats = {};
+    for (const row of perChat) {
+      const n = row.responseTimeCount;
+      const mean = n > 0 ? row.responseTimeSum / n : null;
+      stats[row._id] = {
+        chats: row.chats,
+        escalatedChats: row.escalatedChats,
+        messages: row.messages,
+        responseTimeCount: n,
+        responseTimeMean: mean,
+        responseTimeSd: n > 1 ? Math.sqrt(Math.max(0, (row.responseTimeSqSum - n * mean * mean) / (n - 1))) : 0
+      };
+    }
+    for (const row of ratings) {
+      Object.assign(stats[row._id] || (stats[row._id] = {}), {
+        ratingCount: row.ratingCount,
+        ratingMean: row.ratingMean,
+        ratingSd: row.ratingSd || 0,
+        thumbsUp: row.thumbsUp,
+        thumbsDown: row.thumbsDown
+      });
+    }
+
+    res.json({
+      experiment: {
+        id: experiment._id,
+        name: experiment.name,
+        description: experiment.description || '',
+        status: experiment.status,
+        startedAt: experiment.startedAt || null,
+        stoppedAt: experiment.stoppedAt || null
+      },
+      significanceLevel: ALPHA,
+      minSampleSize: MIN_SAMPLE,
+      variants: summarizeVariants(experiment, stats)
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid experiment ID' });
+    }
+    console.error('Experiment analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch experiment results' });
+  }
+});
+
+/**
+ * GET /api/analytics/usage
+ * Token usage and cost of LLM and embedding calls in the date range: totals, and rollups per
+ * feature, per UTC day, per model and per chat (top 20 by cost). Also returns today's spend
+ * against the caps and the price table in effect (admin/manager only).
+ * @param {string} [req.query.startDate] - Start of date range (ISO date, default: 30 days ago)
+ * @param {string} [req.query.endDate] - End of date range (ISO date, default: now)
+ * @param {string} [req.query.feature] - Only calls of this feature
+ * @param {string} [req.query.chatId] - Only calls made for this chat
+ */
+router.get('/usage', authenticateAgent, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { startDate, endDate } = getDateRange(req);
+    if (startDate > endDate) {
+      return res.status(400).json({ error: 'startDate cannot be after endDate' });
+    }
+    if (req.query.chatId && !mongoose.isValidObjectId(req.query.chatId)) {
+      return res.status(400).json({ error: 'Invalid chat ID' });
+    }
+
+    const match = { createdAt: { $gte: startDate, $lte: endDate } };
+    if (req.query.feature) match.feature = String(req.query.feature);
+    if (req.query.chatId) match.chatId = new mongoose.Types.ObjectId(req.query.chatId);
+
+    const sums = {
+      calls: { $sum: 1 },
+      inputTokens: { $sum: '$inputTokens' },
+      outputTokens: { $sum: '$outputTokens' },
+      costUsd: { $sum: '$costUsd' }
+    };
+    const [rollups] = await Usage.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...sums } }],
+          byFeature: [{ $group: { _id: '$feature', ...sums } }, { $sort: { costUsd: -1 } }],
+          byDay: [
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, ...sums } },
+            { $sort: { _id: 1 } }
+          ],
+          byModel: [
+            {
+              $group: {
+                _id: { provider: '$provider', model: '$model' },
+                ...sums,
+                unpricedCalls: { $sum: { $cond: [{ $eq: ['$priced', false] }, 1, 0] } }
+              }
+            },
+            { $sort: { costUsd: -1 } }
+          ],
+          byChat: [
+            { $match: { chatId: { $ne: null } } },
+            { $group: { _id: '$chatId', ...sums } },
+            { $sort: { costUsd: -1 } },
+            { $limit: 20 }
+          ]
+        }
+      }
+    ]);
+
+    const chats = await Chat.find({ _id: { $in: rollups.byChat.map(r => r._id) } })
+      .select('userName userEmail sessionId startedAt')
+      .lean();
+    const chatById = new Map(chats.map(c => [c._id.toString(), c]));
+
+    const [{ pricing, caps }, todaySpend] = await Promise.all([getUsageSettings(), getTodaySpend()]);
+    const roundUsd = value => Math.round((value || 0) * 1e6) / 1e6;
+    const totals = r => ({
+      calls: r ? r.calls : 0,
+      inputTokens: r ? r.inputTokens : 0,
+      outputTokens: r ? r.outputTokens : 0,
+      costUsd: roundUsd(r && r.costUsd)
+    });
+
+    res.json({
+      range: { startDate, endDate },
+      totals: totals(rollups.totals[0]),
+      byFeature: rollups.byFeature.map(r => ({ feature: r._id, ...totals(r) })),
+      byDay: rollups.byDay.map(r => ({ date: r._id, ...totals(r) })),
+      byModel: rollups.byModel.map(r => ({
+        provider: r._id.provider || null,
+        model: r._id.model || null,
+        ...totals(r),
+        unpricedCalls: r.unpricedCalls
+      })),
+      byChat: rollups.byChat.map(r => {
+        const chat = chatById.get(r._id.toString()) || {};
+        return {
+          chatId: r._id,
+          userName: chat.userName || null,
+          userEmail: chat.userEmail || null,
+          startedAt: chat.startedAt || null,
+          ...totals(r)
+        };
+      }),
+      today: {
+        date: todaySpend.day,
+        spendUsd: roundUsd(todaySpend.totalUsd),
+        features: Object.fromEntries(Object.entries(todaySpend.features).map(([f, usd]) => [f, roundUsd(usd)])),
+        caps
+      },
+      pricing,
+      defaultPricing: DEFAULT_PRICES
+    });
+  } catch (error) {
+    console.error('Usage analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+/**
+ * GET /api/analytics/redactions
+ * Audit of PII redacted from LLM and embedding calls (utils/redaction): totals, per type,
+ * per feature, per UTC day, and the most recent events with their chat. Only counts are
+ * stored — never the redacted values (admin/manager only).
+ * @param {string} [req.query.startDate] - Start of date range (ISO date, default: 30 days ago)
+ * @param {string} [req.query.endDate] - End of date range (ISO date, default: now)
+ * @param {string} [req.query.feature] - Only events of this feature
+ * @param {string} [req.query.chatId] - Only events for this chat
+ */
+router.get('/redactions', authenticateAgent, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { startDate, endDate } = getDateRange(req);
+    if (startDate > endDate) {
+      return res.status(400).json({ error: 'startDate cannot be after endDate' });
+    }
+    if (req.query.chatId && !mongoose.isValidObjectId(req.query.chatId)) {
+      return res.status(400).json({ error: 'Invalid chat ID' });
+    }
+
+    const match = { createdAt: { $gte: startDate, $lte: endDate } };
+    if (req.query.feature) match.feature = String(req.query.feature);
+    if (req.query.chatId) match.chatId = new mongoose.Types.ObjectId(req.query.chatId);
+
+    const sums = {
+      events: { $sum: 1 },
+      redacted: { $sum: '$total' },
+      restored: { $sum: '$restored' }
+    };
+    const [rollups] = await RedactionEvent.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...sums } }],
+          byType: [
+            { $project: { counts: { $objectToArray: '$counts' } } },
+            { $unwind: '$counts' },
+            { $group: { _id: '$counts.k', count: { $sum: '$counts.v' } } },
+            { $sort: { count: -1 } }
+          ],
+          byFeature: [{ $group: { _id: '$feature', ...sums } }, { $sort: { redacted: -1 } }],
+          byDay: [
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, ...sums } },
+            { $sort: { _id: 1 } }
+          ],
+          recent: [{ $sort: { createdAt: -1 } }, { $limit: 50 }]
+        }
+      }
+    ]);
+
+    const totals = r => ({
+      events: r ? r.events : 0,
+      redacted: r ? r.redacted : 0,
+      restored: r ? r.restored : 0
+    });
+
+    res.json({
+      range: { startDate, endDate },
+      totals: totals(rollups.totals[0]),
+      byType: rollups.byType.map(r => ({ type: r._id, count: r.count })),
+      byFeature: rollups.byFeature.map(r => ({ feature: r._id, ...totals(r) })),
+      byDay: rollups.byDay.map(r => ({ date: r._id, ...totals(r) })),
+      recent: rollups.recent.map(e => ({
+        id: e._id,
+        feature: e.feature,
+        chatId: e.chatId || null,
+        counts: e.counts || {},
+        total: e.total,
+        restored: e.restored,
+        createdAt: e.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Redaction analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch redactions' });
+  }
+});
+
 module.exports = router;
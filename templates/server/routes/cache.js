@@ -0,0 +1,237 @@
+/**
+ * @file Cache Routes — Browse, curate and purge the AI response cache
+ * @description Admin/manager endpoints over the semantic response cache used by
+ *   /api/ai/query (utils/responseCache): list and search entries with their hit counts and
+ *   the KB documents they were built from, pin an entry (optionally rewriting its answer) to
+ *   promote it as the curated answer to that question, delete single entries, or purge
+ *   everything matching a filter.
+ *
+ *   Pinned entries never expire and are preferred over other matches. When one of their
+ *   documents changes they are marked stale and not served until pinned again.
+ *
+ * @requires ../utils/responseCache - Entry lifetime
+ * @requires ../middleware/auth - Admin/manager access
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { ResponseCache } = require('../db/models');
+const { CACHE_TTL_MS } = require('../utils/responseCache');
+const { authenticateAgent, requireRole } = require('../middleware/auth');
+
+const VIEWS = ['all', 'pinned', 'stale'];
+const SORTS = { recent: { createdAt: -1 }, hits: { hitCount: -1, createdAt: -1 } };
+
+router.use(authenticateAgent, requireRole('admin', 'manager'));
+
+/**
+ * Mongo filter from list/purge parameters.
+ * @param {Object} params - { search?, view?, language?, categoryId?, knowledgeBaseId? }
+ * @returns {{filter: Object, error: string|null}}
+ */
+function buildFilter({ search, view = 'all', language, categoryId, knowledgeBaseId }) {
+  if (!VIEWS.includes(view)) {
+    return { filter: null, error: `view must be one of: ${VIEWS.join(', ')}` };
+  }
+  for (const [name, id] of [['categoryId', categoryId], ['knowledgeBaseId', knowledgeBaseId]]) {
+    if (id && id !== 'none' && !mongoose.isValidObjectId(id)) {
+      return { filter: null, error: `Invalid ${name}` };
+    }
+  }
+
+  const filter = {};
+  const q = typeof search === 'string' ? search.trim() : '';
+  if (q) {
+    const regex = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filter.$or = [{ question: regex }, { response: regex }];
+  }
+  if (view === 'pinned') filter.pinned = true;
+  if (view === 'stale') filter['stale.at'] = { $exists: true };
+  if (language) filter.language = language;
+  if (categoryId) filter.categoryId = categoryId === 'none' ? null : categoryId;
+  if (knowledgeBaseId) filter.knowledgeBaseIds = knowledgeBaseId;
+  return { filter, error: null };
+}
+
+/** Entry for API responses (question vector omitted) */
+function formatEntry(entry) {
+  return {
+    id: entry._id,
+    question: entry.question,
+    response: entry.response,
+    confidence: entry.confidence,
+    sources: entry.sources || [],
+    documents: (entry.knowledgeBaseIds || []).map(doc => doc && doc._id
+      ? { id: doc._id, name: doc.originalName || doc.filename, active: doc.active }
+      : { id: doc, name: null, active: false }),
+    language: entry.language,
+    category: entry.categoryId ? { id: entry.categoryId._id || entry.categoryId, name: entry.categoryId.name || null } : null,
+    hitCount: entry.hitCount || 0,
+    lastHitAt: entry.lastHitAt || null,
+    pinned: !!entry.pinned,
+    pinnedBy: entry.pinnedBy || null,
+    edited: !!entry.editedBy,
+    stale: entry.stale && entry.stale.at ? entry.stale : null,
+    embeddingModel: entry.embeddingModel,
+    createdAt: entry.createdAt,
+    expiresAt: entry.expiresAt || null
+  };
+}
+
+/**
+ * GET /api/ai/cache
+ * List entries with totals for the page header.
+ * Query: ?search (question or answer text), ?view=all|pinned|stale, ?language,
+ *   ?categoryId (or 'none'), ?knowledgeBaseId, ?sort=recent|hits, ?limit=50, ?skip=0
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const sort = SORTS[req.query.sort || 'recent'];
+    if (!sort) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+    const [entries, total, totals] = await Promise.all([
+      ResponseCache.find(filter)
+        .select('-questionEmbedding')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('knowledgeBaseIds', 'originalName filename active')
+        .populate('categoryId', 'name')
+        .populate('pinnedBy', 'name email')
+        .lean(),
+      ResponseCache.countDocuments(filter),
+      ResponseCache.aggregate([{
+        $group: {
+          _id: null,
+          entries: { $sum: 1 },
+          pinned: { $sum: { $cond: ['$pinned', 1, 0] } },
+          stale: { $sum: { $cond: [{ $ifNull: ['$stale.at', false] }, 1, 0] } },
+          hits: { $sum: '$hitCount' }
+        }
+      }, { $project: { _id: 0 } }])
+    ]);
+
+    res.json({
+      entries: entries.map(formatEntry),
+      total,
+      totals: totals[0] || { entries: 0, pinned: 0, stale: 0, hits: 0 }
+    });
+  } catch (error) {
+    console.error('List cache entries error:', error);
+    res.status(500).json({ error: 'Failed to retrieve cache entries' });
+  }
+});
+
+/**
+ * PUT /api/ai/cache/:id
+ * Pin/unpin an entry and/or rewrite its answer. Pinning (again) clears a stale mark.
+ * Body: { pinned?: boolean, response?: string }
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { pinned, response } = req.body;
+    if (pinned === undefined && response === undefined) {
+      return res.status(400).json({ error: 'Provide pinned and/or response' });
+    }
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      return res.status(400).json({ error: 'pinned must be a boolean' });
+    }
+    if (response !== undefined && (typeof response !== 'string' || !response.trim())) {
+      return res.status(400).json({ error: 'response must be a non-empty string' });
+    }
+
+    const entry = await ResponseCache.findById(req.params.id).select('response pinned').lean();
+    if (!entry) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+
+    const $set = {};
+    const $unset = {};
+    if (response !== undefined && response.trim() !== entry.response) {
+      $set.response = response.trim();
+      $set.editedBy = req.agent.agentId;
+      // The footnotes pointed into the old text
+      $set.citations = [];
+    }
+    if (pinned === true) {
+      Object.assign($set, { pinned: true, pinnedBy: req.agent.agentId });
+      Object.assign($unset, { expiresAt: 1, stale: 1 });
+    } else if (pinned === false && entry.pinned) {
+      Object.assign($set, { pinned: false, expiresAt: new Date(Date.now() + CACHE_TTL_MS) });
+      $unset.pinnedBy = 1;
+    }
+
+    const saved = await ResponseCache.findByIdAndUpdate(entry._id, { $set, $unset }, { new: true })
+      .select('-questionEmbedding')
+      .populate('knowledgeBaseIds', 'originalName filename active')
+      .populate('categoryId', 'name')
+      .populate('pinnedBy', 'name email')
+      .lean();
+    console.log(`[Cache] Entry ${entry._id} updated by ${req.agent.agentId}${pinned !== undefined ? ` (pinned: ${saved.pinned})` : ''}`);
+    res.json(formatEntry(saved));
+  } catch (error) {
+    console.error('Update cache entry error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid cache entry ID' });
+    }
+    res.status(500).json({ error: 'Failed to update cache entry' });
+  }
+});
+
+/**
+ * DELETE /api/ai/cache/:id
+ * Remove one entry (pinned or not).
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await ResponseCache.deleteOne({ _id: req.params.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error('Delete cache entry error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid cache entry ID' });
+    }
+    res.status(500).json({ error: 'Failed to delete cache entry' });
+  }
+});
+
+/**
+ * POST /api/ai/cache/purge
+ * Delete every entry matching the filter; pinned entries are kept unless includePinned.
+ * Body: { search?, view?, language?, categoryId?, knowledgeBaseId?, includePinned? }
+ */
+router.post('/purge', async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (req.body.includePinned !== true) {
+      if (filter.pinned) {
+        return res.status(400).json({ error: 'Set includePinned to purge pinned entries' });
+      }
+      filter.pinned = { $ne: true };
+    }
+
+    const result = await ResponseCache.deleteMany(filter);
+    console.log(`[Cache] Purged ${result.deletedCount} entries by ${req.agent.agentId}`);
+    res.json({ success: true, deleted: result.deletedCount });
+  } catch (error) {
+    console.error('Purge cache error:', error);
+    res.status(500).json({ error: 'Failed to purge cache' });
+  }
+});
+
+module.exports = router;
@@ -1,51 +1,89 @@
 /**
  * @file Categories Routes — Workflow category management for AI behavior customization
  * @description Manages workflow categories that customize the AI assistant's behavior
- *   per chat session. Each category has a custom system prompt that is prepended to
- *   the AI's instructions, allowing different greeting styles, topic focus, or
+ *   per chat session. Each category has a custom prompt that is composed into the
+ *   AI's system prompt, allowing different greeting styles, topic focus, or
  *   personality per department/use case (e.g., "Sales", "Technical Support").
  *
  *   Categories are shown in the chat widget for user self-selection.
- *   When a chat has a categoryId, the AI query pipeline injects the category's
- *   prompt before the standard system prompt, overriding default behavior.
+ *   When a chat has a categoryId, the AI query pipeline renders the category's
+ *   prompt into the prompt profile's {{categoryInstructions}} slot (see
+ *   utils/promptProfile) — it shapes tone and focus but cannot override the
+ *   profile's knowledge-base and privacy rules.
  *
- *   Icons are auto-selected via Claude Haiku AI when not explicitly provided.
+ *   Icons are auto-selected via the LLM ('icon' feature) when not explicitly provided.
  *
- * @requires @anthropic-ai/sdk - AI-powered emoji icon selection
+ *   A category's `rich` content (quick replies, buttons, cards — see utils/richMessages) is
+ *   attached to the first AI answer after the category is selected, e.g. the options the
+ *   category greeting offers.
+ *
+ *   A category can also own a `flow` — a decision tree of questions, validated fields,
+ *   branches, action calls and handoffs that runs before or instead of the AI (see
+ *   utils/flowEngine). POST /flow/simulate runs a flow from the dashboard editor without
+ *   a chat. Action nodes call admin-registered HTTP actions (utils/aiActions) with their
+ *   stored credentials, so only admins and managers may save a flow containing them or
+ *   simulate one with live actions — the same roles that manage the actions.
+ *
+ * @requires ../utils/llm - AI-powered emoji icon selection
+ * @requires ../utils/richMessages - Validation of the category's quick replies and cards
+ * @requires ../utils/flowEngine - Flow validation and the simulator
  * @requires ../middleware/auth - Agent authentication for admin endpoints
  */
 
 const express = require('express');
 const router = express.Router();
-const Anthropic = require('@anthropic-ai/sdk');
+const { complete } = require('../utils/llm');
 const { WorkflowCategory } = require('../db/models');
 const { authenticateAgent } = require('../middleware/auth');
+const { normalizeRich } = require('../utils/richMessages');
+const { validateFlow, runFlow, callChatAction } = require('../utils/flowEngine');
+
+/** Roles that may wire actions into flows or run them live (as for /api/ai/actions) */
+const ACTION_ROLES = ['admin', 'manager'];
+
+/**
+ * Whether the agent may use action nodes: saving a flow that has them, or calling the real
+ * actions from the simulator.
+ * @param {Object} agent - Decoded JWT (req.agent)
+ * @returns {boolean}
+ */
+function canUseActions(agent) {
+  return ACTION_ROLES.includes(agent.systemRole || agent.role);
+}
 
 /**
- * Pick an emoji icon for a category using Claude Haiku.
- * Falls back to default chat emoji on API failure or missing key.
+ * Whether a validated flow calls any actions.
+ * @param {Object|null} flow - validateFlow(...).flow
+ * @returns {boolean}
+ */
+function hasActionNodes(flow) {
+  return !!flow && flow.nodes.some(node => node.type === 'action');
+}
+
+/**
+ * Pick an emoji icon for a category using the LLM 'icon' feature.
+ * Falls back to default chat emoji on API failure or missing provider config.
  * @param {string} name - Category name
  * @param {string} prompt - Category prompt (truncated to 200 chars for AI context)
  * @returns {Promise<string>} Single emoji character
  */
 async function pickIcon(name, prompt) {
   try {
-    if (!process.env.CLAUDE_API_KEY) return '💬';
-    const client = new Anthropic({ apiKey: process.env.CLAUDE_API_KEY });
-    const res = await client.messages.create({
-      model: 'claude-haiku-3-20240307',
-      max_tokens: 10,
+    const res = await complete('icon', {
+      maxTokens: 10,
       messages: [{
         role: 'user',
         content: `Pick ONE emoji icon that best represents this customer support category.\nCategory: ${name}\nPurpose: ${prompt.substring(0, 200)}\n\nRespond with ONLY the single emoji, nothing else.`
       }]
     });
-    const emoji = res.content[0].text.trim();
+    const emoji = res.text.trim();
     // Validate it's actually an emoji (1-2 chars or emoji sequences)
     if (emoji.length <= 8 && emoji.length > 0) return emoji;
     return '💬';
   } catch (err) {
-    console.error('[Categories] AI icon pick failed:', err.message);
+    if (err.code !== 'LLM_NOT_CONFIGURED') {
+      console.error('[Categories] AI icon pick failed:', err.message);
+    }
     return '💬';
   }
 }
@@ -87,17 +125,27 @@ router.get('/all', authenticateAgent, async (req, res) => {
  * Create a new workflow category. Requires agent authentication.
  * Auto-picks emoji icon via AI if not provided.
  * @param {string} req.body.name - Category display name
- * @param {string} req.body.prompt - System prompt prepended to AI instructions
+ * @param {string} req.body.prompt - Category instructions composed into the AI system prompt
  * @param {string} [req.body.icon] - Emoji icon (auto-picked if omitted)
  * @param {boolean} [req.body.active=true] - Whether category is visible in widget
  * @param {number} [req.body.sortOrder=0] - Display order (lower = first)
+ * @param {Object} [req.body.rich] - { quickReplies?, blocks? } shown with the first answer
+ * @param {Object} [req.body.flow] - { enabled, mode, startNodeId, nodes } (see utils/flowEngine);
+ *   action nodes need an admin or manager
  */
 router.post('/', authenticateAgent, async (req, res) => {
   try {
-    const { name, icon, prompt, active, sortOrder } = req.body;
+    const { name, icon, prompt, active, sortOrder, rich, flow } = req.body;
     if (!name || !prompt) {
       return res.status(400).json({ error: 'name and prompt are required' });
     }
+    const checkedFlow = flow ? validateFlow(flow) : null;
+    if (checkedFlow && checkedFlow.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid flow', details: checkedFlow.errors });
+    }
+    if (checkedFlow && hasActionNodes(checkedFlow.flow) && !canUseActions(req.agent)) {
+      return res.status(403).json({ error: 'Only admins and managers can add action steps to a flow' });
+    }
     // Auto-pick icon using AI if not provided
     const resolvedIcon = icon || await pickIcon(name, prompt);
     const category = await WorkflowCategory.create({
@@ -105,7 +153,9 @@ router.post('/', authenticateAgent, async (req, res) => {
       icon: resolvedIcon,
       prompt,
       active: active !== false,
-      sortOrder: sortOrder || 0
+      sortOrder: sortOrder || 0,
+      rich: normalizeRich(rich) || undefined,
+      flow: checkedFlow ? checkedFlow.flow : undefined
     });
     console.log(`[Categories] Created: ${name}`);
     res.status(201).json(category);
@@ -118,13 +168,26 @@ router.post('/', authenticateAgent, async (req, res) => {
 /**
  * PUT /api/categories/:id
  * Update an existing workflow category. Re-picks icon via AI if name/prompt
- * changed and no explicit icon provided.
+ * changed and no explicit icon provided. `rich: null` removes the category's rich content,
+ * `flow: null` its flow; a flow with errors is rejected with 400 and `details`, a flow with
+ * action nodes saved by anyone but an admin or manager with 403.
  */
 router.put('/:id', authenticateAgent, async (req, res) => {
   try {
-    const { name, icon, prompt, active, sortOrder } = req.body;
+    const { name, icon, prompt, active, sortOrder, rich, flow } = req.body;
     // Re-pick icon if name or prompt changed and no explicit icon provided
     const update = { name, prompt, active, sortOrder };
+    if (rich !== undefined) update.rich = normalizeRich(rich);
+    if (flow !== undefined) {
+      const checkedFlow = flow ? validateFlow(flow) : null;
+      if (checkedFlow && checkedFlow.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid flow', details: checkedFlow.errors });
+      }
+      if (checkedFlow && hasActionNodes(checkedFlow.flow) && !canUseActions(req.agent)) {
+        return res.status(403).json({ error: 'Only admins and managers can add action steps to a flow' });
+      }
+      update.flow = checkedFlow ? checkedFlow.flow : null;
+    }
     if (icon) {
       update.icon = icon;
     } else if (name && prompt) {
@@ -146,6 +209,45 @@ router.put('/:id', authenticateAgent, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/categories/flow/simulate
+ * Run one turn of a flow without a chat, for the dashboard simulator. The client keeps the
+ * state between turns: send `state: null` to start, then the returned state with each message.
+ * Actions are stubbed ({ ok: true, data: {} }) unless `liveActions` is set (admin/manager only).
+ * @param {Object} req.body.flow - Flow as edited (not necessarily saved)
+ * @param {Object|null} [req.body.state] - State returned by the previous turn
+ * @param {Object} [req.body.input] - { text, payload } the simulated customer sent
+ * @param {boolean} [req.body.liveActions=false] - Call the real action endpoints
+ * @param {Object} [req.body.chat] - { userName, userEmail } for {{chat.*}} placeholders and actions
+ */
+router.post('/flow/simulate', authenticateAgent, async (req, res) => {
+  try {
+    const { flow, state, input, liveActions, chat = {} } = req.body;
+    if (liveActions && !canUseActions(req.agent)) {
+      return res.status(403).json({ error: 'Only admins and managers can run live actions' });
+    }
+    const checked = validateFlow(flow);
+    if (checked.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid flow', details: checked.errors });
+    }
+    const actionCalls = [];
+    const result = await runFlow(checked.flow, state || null, input || null, {
+      chat,
+      callAction: async (name, args) => {
+        const outcome = liveActions
+          ? await callChatAction(name, args, { userEmail: chat.userEmail })
+          : { ok: true, data: {}, simulated: true };
+        actionCalls.push({ name, args, ...outcome });
+        return outcome;
+      }
+    });
+    res.json({ ...result, actionCalls });
+  } catch (error) {
+    console.error('[Categories] Flow simulate error:', error);
+    res.status(500).json({ error: 'Failed to simulate flow' });
+  }
+});
+
 /**
  * DELETE /api/categories/:id
  * Hard-delete a workflow category. Requires agent authentication.
@@ -36,7 +36,7 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { Chat, Agent, Message } = require('../db/models');
 const { assignAgentToChat } = require('../utils/routing');
-const { authenticateAgent } = require('../middleware/auth');
+const { authenticateAgent, identifyAgent } = require('../middleware/auth');
 const { broadcast } = require('../websocket');
 const { sendNewChatNotification } = require('../utils/email');
 const { createGitHubIssue } = require('../utils/github');
@@ -359,9 +359,12 @@ router.post('/:sessionId/return-to-ai', authenticateAgent, async (req, res) => {
 
 /**
  * GET /api/chat/:sessionId/messages
- * Get all messages for a chat session
+ * Get all messages for a chat session, with the customer's thumbs up/down on AI answers and
+ * their source footnotes (metadata.citations) — the widget redraws both when it resumes a chat.
+ * Signed-in agents also get the AI's action calls (metadata.toolCalls) — they can hold
+ * customer data the widget never shows.
  */
-router.get('/:sessionId/messages', async (req, res) => {
+router.get('/:sessionId/messages', identifyAgent, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const chat = await Chat.findOne({ sessionId });
@@ -372,7 +375,7 @@ router.get('/:sessionId/messages', async (req, res) => {
     const { Message } = require('../db/models');
     const messages = await Message.find({ chatId: chat._id })
       .sort({ sentAt: 1 })
-      .select('sender senderName content isInternal sentAt attachments');
+      .select(`sender senderName content rich payload isInternal sentAt attachments feedback.rating feedback.reason metadata.citations metadata.flow metadata.handoff${req.agent ? ' metadata.toolCalls' : ''}`);
 
     return res.json(messages);
   } catch (err) {
@@ -434,6 +437,8 @@ router.patch('/:sessionId/category', async (req, res) => {
 
     if (!chat.metadata) chat.metadata = {};
     chat.metadata.categoryId = categoryId;
+    // A new category starts its flow from the beginning
+    delete chat.metadata.flow;
     chat.markModified('metadata');
     await chat.save();
 
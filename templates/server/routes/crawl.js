@@ -0,0 +1,308 @@
+/**
+ * @file Crawl Routes — Website crawl jobs that keep KB pages in sync with a site
+ * @description Admin/manager endpoints to register a site (root URL and/or sitemap.xml),
+ *   run it now, watch progress and manage its re-sync schedule. Crawling itself lives in
+ *   utils/crawler; each crawled page becomes a KnowledgeBase document linked to its URL.
+ *
+ *   Runs execute in the background — POST returns 202 and progress arrives over the
+ *   dashboard WebSocket ('crawl.progress', 'crawl.finished') and via GET /:id.
+ *
+ * @requires ../utils/crawler - Crawl execution
+ * @requires ../utils/knowledgeScope - Scope (tags/audience/categories) applied to crawled pages
+ * @requires ../utils/responseCache - Invalidates cached answers built from re-scoped or removed pages
+ * @requires ../middleware/auth - Admin/manager access
+ */
+
+const express = require('express');
+const router = express.Router();
+const { CrawlJob, KnowledgeBase } = require('../db/models');
+const { runCrawl, normalizeUrl } = require('../utils/crawler');
+const { normalizeScope } = require('../utils/knowledgeScope');
+const { deleteEmbeddings } = require('../utils/embeddings');
+const { invalidateCachedAnswers } = require('../utils/responseCache');
+const { authenticateAgent, requireRole } = require('../middleware/auth');
+
+const MAX_DEPTH_LIMIT = 5;
+const MAX_PAGES_LIMIT = 1000;
+
+router.use(authenticateAgent, requireRole('admin', 'manager'));
+
+/**
+ * Validate crawl settings from a request body.
+ * @returns {{settings: Object, errors: string[]}} Only fields present in the body are returned
+ */
+function parseSettings(body) {
+  const settings = {};
+  const errors = [];
+
+  if (body.url !== undefined) {
+    const url = normalizeUrl(/^https?:\/\//i.test(body.url) ? body.url : `https://${body.url}`);
+    if (!url) errors.push('url must be a valid http(s) URL');
+    // A sitemap given as the URL seeds the crawl from the site root
+    else if (/\.xml($|\?)/i.test(new URL(url).pathname)) {
+      settings.sitemapUrl = url;
+      settings.rootUrl = new URL('/', url).href;
+    } else {
+      settings.rootUrl = url;
+    }
+  }
+  if (body.sitemapUrl !== undefined && body.sitemapUrl !== '') {
+    const sitemapUrl = normalizeUrl(body.sitemapUrl);
+    if (!sitemapUrl) errors.push('sitemapUrl must be a valid http(s) URL');
+    else settings.sitemapUrl = sitemapUrl;
+  }
+
+  const numbers = { maxDepth: [0, MAX_DEPTH_LIMIT], maxPages: [1, MAX_PAGES_LIMIT], resyncIntervalHours: [0, 24 * 30] };
+  for (const [field, [min, max]] of Object.entries(numbers)) {
+    if (body[field] === undefined || body[field] === '') continue;
+    const value = Number(body[field]);
+    if (isNaN(value) || value < min || value > max) errors.push(`${field} must be between ${min} and ${max}`);
+    else settings[field] = value;
+  }
+
+  const { scope, errors: scopeErrors } = normalizeScope(body);
+  return { settings: { ...settings, ...scope }, errors: [...errors, ...scopeErrors] };
+}
+
+function formatJob(job, pageCount) {
+  return {
+    id: job._id,
+    rootUrl: job.rootUrl,
+    sitemapUrl: job.sitemapUrl || null,
+    maxDepth: job.maxDepth,
+    maxPages: job.maxPages,
+    resyncIntervalHours: job.resyncIntervalHours,
+    tags: job.tags || [],
+    audience: job.audience,
+    categoryIds: job.categoryIds || [],
+    status: job.status,
+    progress: job.progress || null,
+    lastError: job.lastError || null,
+    lastRunAt: job.lastRunAt || null,
+    nextRunAt: job.nextRunAt || null,
+    pageCount,
+    createdAt: job.createdAt
+  };
+}
+
+/** Start a run in the background */
+function startRun(jobId) {
+  runCrawl(jobId).catch(err => console.error('[Crawler] Run error:', err.message));
+}
+
+/**
+ * GET /api/crawl
+ * List crawl jobs with their active page counts.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await CrawlJob.find({ active: true }).sort({ createdAt: -1 }).lean();
+    const counts = await KnowledgeBase.aggregate([
+      { $match: { crawlJobId: { $in: jobs.map(j => j._id) }, active: true } },
+      { $group: { _id: '$crawlJobId', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(counts.map(c => [c._id.toString(), c.count]));
+    res.json(jobs.map(job => formatJob(job, countMap.get(job._id.toString()) || 0)));
+  } catch (error) {
+    console.error('List crawl jobs error:', error);
+    res.status(500).json({ error: 'Failed to retrieve crawl jobs' });
+  }
+});
+
+/**
+ * POST /api/crawl
+ * Create a crawl job and (by default) start it.
+ * Body: { url (root page or sitemap.xml), sitemapUrl?, maxDepth?, maxPages?,
+ *         resyncIntervalHours? (0 = manual), tags?, audience?, categoryIds?, runNow? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (!req.body.url) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+    const { settings, errors } = parseSettings(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const runNow = req.body.runNow !== false;
+    const interval = settings.resyncIntervalHours !== undefined ? settings.resyncIntervalHours : 24;
+    const job = await CrawlJob.create({
+      ...settings,
+      createdBy: req.agent.agentId,
+      // A run now schedules the next one when it finishes; otherwise wait one interval
+      nextRunAt: !runNow && interval > 0 ? new Date(Date.now() + interval * 3600000) : null
+    });
+    if (runNow) startRun(job._id);
+
+    console.log(`[Crawler] Created crawl job for ${job.rootUrl}`);
+    res.status(201).json(formatJob(job, 0));
+  } catch (error) {
+    console.error('Create crawl job error:', error);
+    res.status(500).json({ error: 'Failed to create crawl job' });
+  }
+});
+
+/**
+ * GET /api/crawl/:id
+ * Job details, progress and its pages.
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await CrawlJob.findById(req.params.id).lean();
+    if (!job || !job.active) {
+      return res.status(404).json({ error: 'Crawl job not found' });
+    }
+    const pages = await KnowledgeBase.find({ crawlJobId: job._id })
+      .select('originalName sourceUrl active version updatedAt')
+      .sort({ sourceUrl: 1 })
+      .lean();
+
+    res.json({
+      ...formatJob(job, pages.filter(p => p.active).length),
+      pages: pages.map(p => ({
+        id: p._id,
+        title: p.originalName,
+        url: p.sourceUrl,
+        active: p.active,
+        version: p.version || 0,
+        updatedAt: p.updatedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get crawl job error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid crawl job ID' });
+    }
+    res.status(500).json({ error: 'Failed to retrieve crawl job' });
+  }
+});
+
+/**
+ * PUT /api/crawl/:id
+ * Update limits, schedule or scope. Scope changes apply to already-crawled pages immediately.
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { settings, errors } = parseSettings(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const job = await CrawlJob.findById(req.params.id);
+    if (!job || !job.active) {
+      return res.status(404).json({ error: 'Crawl job not found' });
+    }
+
+    Object.assign(job, settings);
+    if (settings.resyncIntervalHours !== undefined) {
+      const base = job.lastRunAt ? job.lastRunAt.getTime() : Date.now();
+      job.nextRunAt = job.resyncIntervalHours > 0 ? new Date(base + job.resyncIntervalHours * 3600000) : null;
+    }
+    await job.save();
+
+    const scopeFields = ['tags', 'audience', 'categoryIds'].filter(f => settings[f] !== undefined);
+    if (scopeFields.length > 0) {
+      await KnowledgeBase.updateMany(
+        { crawlJobId: job._id },
+        { $set: Object.fromEntries(scopeFields.map(f => [f, settings[f]])) }
+      );
+      const pages = await KnowledgeBase.find({ crawlJobId: job._id }).select('_id').lean();
+      await invalidateCachedAnswers(pages.map(p => p._id), 'Crawl job scope changed');
+    }
+
+    const pageCount = await KnowledgeBase.countDocuments({ crawlJobId: job._id, active: true });
+    res.json(formatJob(job, pageCount));
+  } catch (error) {
+    console.error('Update crawl job error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid crawl job ID' });
+    }
+    res.status(500).json({ error: 'Failed to update crawl job' });
+  }
+});
+
+/**
+ * POST /api/crawl/:id/run
+ * Start a re-sync now.
+ */
+router.post('/:id/run', async (req, res) => {
+  try {
+    const job = await CrawlJob.findById(req.params.id).lean();
+    if (!job || !job.active) {
+      return res.status(404).json({ error: 'Crawl job not found' });
+    }
+    if (job.status === 'running') {
+      return res.status(409).json({ error: 'Crawl is already running' });
+    }
+
+    startRun(job._id);
+    res.status(202).json({ success: true });
+  } catch (error) {
+    console.error('Run crawl job error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid crawl job ID' });
+    }
+    res.status(500).json({ error: 'Failed to start crawl' });
+  }
+});
+
+/**
+ * POST /api/crawl/:id/cancel
+ * Stop a running crawl after the current page. Pages not reached are left as they were.
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const result = await CrawlJob.updateOne({ _id: req.params.id, status: 'running' }, { $set: { cancelRequested: true } });
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ error: 'Crawl is not running' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Cancel crawl job error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid crawl job ID' });
+    }
+    res.status(500).json({ error: 'Failed to cancel crawl' });
+  }
+});
+
+/**
+ * DELETE /api/crawl/:id
+ * Remove a crawl job. ?keepPages=true keeps its pages in the KB as unmanaged documents;
+ * otherwise they are soft-deleted along with their embeddings.
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const job = await CrawlJob.findById(req.params.id);
+    if (!job || !job.active) {
+      return res.status(404).json({ error: 'Crawl job not found' });
+    }
+
+    job.active = false;
+    job.cancelRequested = true;
+    job.nextRunAt = null;
+    await job.save();
+
+    if (req.query.keepPages === 'true') {
+      await KnowledgeBase.updateMany({ crawlJobId: job._id }, { $unset: { crawlJobId: 1 } });
+    } else {
+      const pages = await KnowledgeBase.find({ crawlJobId: job._id, active: true }).select('_id');
+      for (const page of pages) {
+        await deleteEmbeddings(page._id);
+      }
+      await KnowledgeBase.updateMany({ crawlJobId: job._id }, { $set: { active: false } });
+      await invalidateCachedAnswers(pages.map(p => p._id), 'Crawl job deleted');
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Delete crawl job error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid crawl job ID' });
+    }
+    res.status(500).json({ error: 'Failed to delete crawl job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,360 @@
+/**
+ * @file Eval Routes — Golden set and offline evaluation runs for the RAG pipeline
+ * @description Admin/manager endpoints to maintain the golden set (questions with expected
+ *   sources and reference answers), run it through the same retrieval + prompt code as
+ *   /api/ai/query, and compare saved runs. Scoring lives in utils/evaluation; the same runs
+ *   can be started from the CLI (scripts/eval-rag.js).
+ *
+ *   Runs execute in the background — POST returns 202 and progress arrives over the
+ *   dashboard WebSocket ('eval.progress', 'eval.finished') and via GET /runs/:id.
+ *   `stub: true` runs against the mock LLM and stub embeddings, without network.
+ *
+ * @requires ../utils/evaluation - Case scoring, run execution and comparison
+ * @requires ../middleware/auth - Admin/manager access
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { EvalCase, EvalRun } = require('../db/models');
+const { runEvaluation, compareRuns } = require('../utils/evaluation');
+const { authenticateAgent, requireRole } = require('../middleware/auth');
+const { broadcastToDashboard } = require('../websocket');
+
+const MAX_IMPORT_CASES = 500;
+
+router.use(authenticateAgent, requireRole('admin', 'manager'));
+
+/** One in-process run at a time — runs share the LLM rate limit with live traffic */
+let activeRunId = null;
+
+/**
+ * Validate golden-set case fields from a request body.
+ * @returns {{fields: Object, errors: string[]}} Only fields present in the body are returned
+ */
+function parseCase(body) {
+  const fields = {};
+  const errors = [];
+
+  if (body.question !== undefined) {
+    if (typeof body.question !== 'string' || !body.question.trim()) errors.push('question must be a non-empty string');
+    else fields.question = body.question.trim();
+  }
+  if (body.referenceAnswer !== undefined) {
+    if (body.referenceAnswer !== null && typeof body.referenceAnswer !== 'string') errors.push('referenceAnswer must be a string');
+    else fields.referenceAnswer = (body.referenceAnswer || '').trim();
+  }
+  for (const list of ['expectedSources', 'tags']) {
+    if (body[list] === undefined) continue;
+    const values = typeof body[list] === 'string' ? body[list].split(',') : body[list];
+    if (!Array.isArray(values) || values.some(v => typeof v !== 'string')) errors.push(`${list} must be an array of strings`);
+    else fields[list] = values.map(v => v.trim()).filter(Boolean);
+  }
+  if (body.shouldEscalate !== undefined) {
+    if (body.shouldEscalate !== null && typeof body.shouldEscalate !== 'boolean') errors.push('shouldEscalate must be true, false or null');
+    else fields.shouldEscalate = body.shouldEscalate;
+  }
+  if (body.categoryId !== undefined) {
+    if (body.categoryId && !mongoose.isValidObjectId(body.categoryId)) errors.push('categoryId must be a valid ID');
+    else fields.categoryId = body.categoryId || null;
+  }
+
+  return { fields, errors };
+}
+
+function formatCase(evalCase) {
+  return {
+    id: evalCase._id,
+    question: evalCase.question,
+    referenceAnswer: evalCase.referenceAnswer || '',
+    expectedSources: evalCase.expectedSources || [],
+    shouldEscalate: typeof evalCase.shouldEscalate === 'boolean' ? evalCase.shouldEscalate : null,
+    categoryId: evalCase.categoryId || null,
+    tags: evalCase.tags || [],
+    createdAt: evalCase.createdAt
+  };
+}
+
+function formatRun(run) {
+  return {
+    id: run._id,
+    name: run.name,
+    status: run.status,
+    stubbed: run.stubbed,
+    trigger: run.trigger,
+    config: run.config || null,
+    metrics: run.metrics || null,
+    progress: run.progress || null,
+    lastError: run.lastError || null,
+    createdAt: run.createdAt,
+    finishedAt: run.finishedAt || null
+  };
+}
+
+// ============================================================
+// Golden set
+// ============================================================
+
+/**
+ * GET /api/ai/eval/cases
+ * List active golden-set cases. Query: ?tag=
+ */
+router.get('/cases', async (req, res) => {
+  try {
+    const filter = { active: true };
+    if (req.query.tag) filter.tags = req.query.tag;
+    const cases = await EvalCase.find(filter).sort({ createdAt: 1 }).lean();
+    res.json(cases.map(formatCase));
+  } catch (error) {
+    console.error('List eval cases error:', error);
+    res.status(500).json({ error: 'Failed to retrieve eval cases' });
+  }
+});
+
+/**
+ * POST /api/ai/eval/cases
+ * Add a case. Body: { question, referenceAnswer?, expectedSources? (KB IDs, filenames, titles
+ * or URLs), shouldEscalate?, categoryId?, tags? }
+ */
+router.post('/cases', async (req, res) => {
+  try {
+    if (!req.body.question) {
+      return res.status(400).json({ error: 'question is required' });
+    }
+    const { fields, errors } = parseCase(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    const evalCase = await EvalCase.create(fields);
+    res.status(201).json(formatCase(evalCase));
+  } catch (error) {
+    console.error('Create eval case error:', error);
+    res.status(500).json({ error: 'Failed to create eval case' });
+  }
+});
+
+/**
+ * POST /api/ai/eval/cases/import
+ * Add many cases at once. Body: { cases: [{ question, ... }] } — all are validated before any
+ * is saved.
+ */
+router.post('/cases/import', async (req, res) => {
+  try {
+    const items = req.body.cases;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'cases must be a non-empty array' });
+    }
+    if (items.length > MAX_IMPORT_CASES) {
+      return res.status(400).json({ error: `At most ${MAX_IMPORT_CASES} cases per import` });
+    }
+
+    const docs = [];
+    for (const [i, item] of items.entries()) {
+      const { fields, errors } = parseCase(item || {});
+      if (!fields.question) errors.unshift('question is required');
+      if (errors.length > 0) {
+        return res.status(400).json({ error: `Case ${i + 1}: ${errors.join('; ')}` });
+      }
+      docs.push(fields);
+    }
+
+    const created = await EvalCase.insertMany(docs);
+    console.log(`[Eval] Imported ${created.length} golden-set cases`);
+    res.status(201).json({ imported: created.length });
+  } catch (error) {
+    console.error('Import eval cases error:', error);
+    res.status(500).json({ error: 'Failed to import eval cases' });
+  }
+});
+
+/**
+ * PUT /api/ai/eval/cases/:id
+ * Update a case.
+ */
+router.put('/cases/:id', async (req, res) => {
+  try {
+    const { fields, errors } = parseCase(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    const evalCase = await EvalCase.findOneAndUpdate(
+      { _id: req.params.id, active: true },
+      { $set: fields },
+      { new: true }
+    );
+    if (!evalCase) {
+      return res.status(404).json({ error: 'Eval case not found' });
+    }
+    res.json(formatCase(evalCase));
+  } catch (error) {
+    console.error('Update eval case error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid eval case ID' });
+    }
+    res.status(500).json({ error: 'Failed to update eval case' });
+  }
+});
+
+/**
+ * DELETE /api/ai/eval/cases/:id
+ * Remove a case from the golden set (soft delete — past runs keep their results).
+ */
+router.delete('/cases/:id', async (req, res) => {
+  try {
+    const result = await EvalCase.updateOne({ _id: req.params.id, active: true }, { $set: { active: false } });
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Eval case not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error('Delete eval case error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid eval case ID' });
+    }
+    res.status(500).json({ error: 'Failed to delete eval case' });
+  }
+});
+
+// ============================================================
+// Runs
+// ============================================================
+
+/**
+ * POST /api/ai/eval
+ * Start a run of the golden set. Body: { name?, stub?, tag?, caseIds? }
+ * Returns 202 with the run; results arrive via WebSocket and GET /runs/:id.
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (activeRunId) {
+      return res.status(409).json({ error: 'An evaluation is already running', runId: activeRunId });
+    }
+    const { name, stub, tag, caseIds } = req.body;
+    if (caseIds !== undefined && (!Array.isArray(caseIds) || !caseIds.every(id => mongoose.isValidObjectId(id)))) {
+      return res.status(400).json({ error: 'caseIds must be an array of valid IDs' });
+    }
+
+    // Respond once the run exists; the cases execute in the background
+    activeRunId = 'starting';
+    const finished = runEvaluation({
+      name: typeof name === 'string' ? name.trim() : undefined,
+      stub: stub === true,
+      tag,
+      caseIds,
+      trigger: 'api',
+      startedBy: req.agent.agentId,
+      onStart: run => {
+        activeRunId = run._id.toString();
+        res.status(202).json(formatRun(run));
+      },
+      onProgress: (run, result) => broadcastToDashboard('eval.progress', {
+        runId: run._id,
+        progress: run.progress,
+        question: result.question,
+        error: result.error || null
+      })
+    });
+
+    finished
+      .then(run => broadcastToDashboard('eval.finished', formatRun(run)))
+      .catch(err => {
+        if (res.headersSent) {
+          console.error('[Eval] Run error:', err.message);
+        } else if (err.code === 'EVAL_NO_CASES') {
+          res.status(400).json({ error: 'No active eval cases match — add cases to the golden set first' });
+        } else {
+          console.error('Start eval run error:', err);
+          res.status(500).json({ error: 'Failed to start evaluation' });
+        }
+      })
+      .finally(() => { activeRunId = null; });
+  } catch (error) {
+    activeRunId = null;
+    console.error('Start eval run error:', error);
+    res.status(500).json({ error: 'Failed to start evaluation' });
+  }
+});
+
+/**
+ * GET /api/ai/eval/runs
+ * Saved runs, newest first (metrics only, no per-case results).
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const runs = await EvalRun.find({}).select('-results').sort({ createdAt: -1 }).limit(limit).lean();
+    res.json(runs.map(formatRun));
+  } catch (error) {
+    console.error('List eval runs error:', error);
+    res.status(500).json({ error: 'Failed to retrieve eval runs' });
+  }
+});
+
+/**
+ * GET /api/ai/eval/runs/compare?a=<runId>&b=<runId>
+ * Metric deltas (b relative to a) and per-case scores side by side.
+ */
+router.get('/runs/compare', async (req, res) => {
+  try {
+    const { a, b } = req.query;
+    if (!a || !b) {
+      return res.status(400).json({ error: 'a and b run IDs are required' });
+    }
+    const [runA, runB] = await Promise.all([EvalRun.findById(a).lean(), EvalRun.findById(b).lean()]);
+    if (!runA || !runB) {
+      return res.status(404).json({ error: 'Eval run not found' });
+    }
+    res.json(compareRuns(runA, runB));
+  } catch (error) {
+    console.error('Compare eval runs error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid eval run ID' });
+    }
+    res.status(500).json({ error: 'Failed to compare eval runs' });
+  }
+});
+
+/**
+ * GET /api/ai/eval/runs/:id
+ * A run with its per-case results.
+ */
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const run = await EvalRun.findById(req.params.id).lean();
+    if (!run) {
+      return res.status(404).json({ error: 'Eval run not found' });
+    }
+    res.json({ ...formatRun(run), results: run.results || [] });
+  } catch (error) {
+    console.error('Get eval run error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid eval run ID' });
+    }
+    res.status(500).json({ error: 'Failed to retrieve eval run' });
+  }
+});
+
+/**
+ * DELETE /api/ai/eval/runs/:id
+ * Delete a saved run.
+ */
+router.delete('/runs/:id', async (req, res) => {
+  try {
+    if (activeRunId === req.params.id) {
+      return res.status(409).json({ error: 'Run is still in progress' });
+    }
+    const result = await EvalRun.deleteOne({ _id: req.params.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Eval run not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error('Delete eval run error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid eval run ID' });
+    }
+    res.status(500).json({ error: 'Failed to delete eval run' });
+  }
+});
+
+module.exports = router;
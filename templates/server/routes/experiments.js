@@ -0,0 +1,198 @@
+/**
+ * @file Experiment Routes — Define and run A/B tests of prompt profiles and models
+ * @description Admin/manager endpoints to create experiments (variants with a traffic
+ *   weight and an optional prompt profile version and/or LLM provider+model), start and stop
+ *   them. While running, /api/ai/query buckets each chat into a variant by session
+ *   (utils/experiments); results are at GET /api/analytics/experiments/:id.
+ *
+ *   Only one experiment runs at a time. Variants are locked once an experiment has started —
+ *   changing them would reshuffle chats between buckets mid-test; name and description
+ *   stay editable. A stopped experiment can be resumed and keeps its buckets.
+ *
+ * @requires ../utils/experiments - Validation and running-experiment cache
+ * @requires ../middleware/auth - Admin/manager access
+ */
+
+const express = require('express');
+const router = express.Router();
+const { Experiment } = require('../db/models');
+const { normalizeExperiment, clearExperimentCache } = require('../utils/experiments');
+const { authenticateAgent, requireRole } = require('../middleware/auth');
+
+router.use(authenticateAgent, requireRole('admin', 'manager'));
+
+/**
+ * GET /api/ai/experiments
+ * List experiments, newest first.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const experiments = await Experiment.find({}).sort({ createdAt: -1 }).lean();
+    res.json(experiments);
+  } catch (error) {
+    console.error('List experiments error:', error);
+    res.status(500).json({ error: 'Failed to retrieve experiments' });
+  }
+});
+
+/**
+ * POST /api/ai/experiments
+ * Create a draft experiment. Body: { name, description?, variants: [{ key, name?, weight,
+ * promptVersion?, provider?, model? }] } — the first variant is the control.
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (!req.body.name || !req.body.variants) {
+      return res.status(400).json({ error: 'name and variants are required' });
+    }
+    const { experiment, errors } = normalizeExperiment(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    const created = await Experiment.create({ ...experiment, status: 'draft', createdBy: req.agent.agentId });
+    console.log(`[Experiments] Created "${created.name}" with ${created.variants.length} variants`);
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Create experiment error:', error);
+    res.status(500).json({ error: 'Failed to create experiment' });
+  }
+});
+
+/**
+ * GET /api/ai/experiments/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id).lean();
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    res.json(experiment);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid experiment ID' });
+    }
+    console.error('Get experiment error:', error);
+    res.status(500).json({ error: 'Failed to retrieve experiment' });
+  }
+});
+
+/**
+ * PUT /api/ai/experiments/:id
+ * Update name, description, and (drafts only) variants.
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    const { experiment: fields, errors } = normalizeExperiment(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    if (fields.variants && experiment.status !== 'draft') {
+      return res.status(409).json({ error: 'Variants can only be changed before the experiment starts' });
+    }
+
+    Object.assign(experiment, fields);
+    await experiment.save();
+    clearExperimentCache();
+    res.json(experiment);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid experiment ID' });
+    }
+    console.error('Update experiment error:', error);
+    res.status(500).json({ error: 'Failed to update experiment' });
+  }
+});
+
+/**
+ * POST /api/ai/experiments/:id/start
+ * Start (or resume) an experiment. 409 if another experiment is running.
+ */
+router.post('/:id/start', async (req, res) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    if (experiment.status === 'running') {
+      return res.json(experiment);
+    }
+    const running = await Experiment.findOne({ status: 'running', _id: { $ne: experiment._id } }).select('name').lean();
+    if (running) {
+      return res.status(409).json({ error: `Experiment "${running.name}" is already running — stop it first` });
+    }
+
+    experiment.status = 'running';
+    if (!experiment.startedAt) experiment.startedAt = new Date();
+    experiment.stoppedAt = undefined;
+    await experiment.save();
+    clearExperimentCache();
+    console.log(`[Experiments] Started "${experiment.name}"`);
+    res.json(experiment);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid experiment ID' });
+    }
+    console.error('Start experiment error:', error);
+    res.status(500).json({ error: 'Failed to start experiment' });
+  }
+});
+
+/**
+ * POST /api/ai/experiments/:id/stop
+ * Stop a running experiment; all chats go back to the live configuration.
+ */
+router.post('/:id/stop', async (req, res) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    if (experiment.status !== 'running') {
+      return res.status(409).json({ error: 'Experiment is not running' });
+    }
+
+    experiment.status = 'stopped';
+    experiment.stoppedAt = new Date();
+    await experiment.save();
+    clearExperimentCache();
+    console.log(`[Experiments] Stopped "${experiment.name}"`);
+    res.json(experiment);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid experiment ID' });
+    }
+    console.error('Stop experiment error:', error);
+    res.status(500).json({ error: 'Failed to stop experiment' });
+  }
+});
+
+/**
+ * DELETE /api/ai/experiments/:id
+ * Delete an experiment that is not running. Messages keep their metadata.experiment stamp.
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    if (experiment.status === 'running') {
+      return res.status(409).json({ error: 'Stop the experiment before deleting it' });
+    }
+    await experiment.deleteOne();
+    res.json({ message: 'Experiment deleted' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid experiment ID' });
+    }
+    console.error('Delete experiment error:', error);
+    res.status(500).json({ error: 'Failed to delete experiment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+/**
+ * @file Feedback Routes — Review list of AI answers customers gave a thumbs down
+ * @description The widget rates AI answers through POST /api/messages/:id/feedback
+ *   (utils/messageFeedback). Every thumbs down opens the turn here with the question it
+ *   answered, the reason and comment the customer gave, and the KB documents and category the
+ *   answer came from, so a reviewer can fix the source (the answer has already been evicted
+ *   from the response cache) and close it.
+ *
+ *   Actions:
+ *     - GET /              Thumbs-down turns by review status (default: open), newest first
+ *     - PUT /:messageId    Resolve, dismiss or reopen one
+ *
+ *   Ratings rolled up by document and category are at /api/analytics/feedback.
+ *
+ * @requires ../middleware/auth - Admin/manager access
+ */
+
+const express = require('express');
+const router = express.Router();
+const { Message, Chat, KnowledgeBase, WorkflowCategory } = require('../db/models');
+const { broadcastToDashboard } = require('../websocket');
+const { authenticateAgent, requireRole } = require('../middleware/auth');
+
+const STATUSES = ['open', 'resolved', 'dismissed'];
+
+router.use(authenticateAgent, requireRole('admin', 'manager'));
+
+/**
+ * GET /api/feedback
+ * Query: ?status=open (default) | resolved | dismissed, ?limit=50, ?skip=0
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+    const filter = { 'feedback.rating': 'down', 'feedback.review.status': status };
+    const [messages, total, countRows] = await Promise.all([
+      Message.find(filter)
+        .select('chatId content sentAt feedback metadata.confidence metadata.cached metadata.cachePinned')
+        .sort({ 'feedback.at': -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('feedback.review.by', 'name email')
+        .lean(),
+      Message.countDocuments(filter),
+      Message.aggregate([
+        { $match: { 'feedback.rating': 'down' } },
+        { $group: { _id: '$feedback.review.status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const docIds = [...new Set(messages.flatMap(m => (m.feedback.knowledgeBaseIds || []).map(String)))];
+    const categoryIds = [...new Set(messages.map(m => m.feedback.categoryId).filter(Boolean).map(String))];
+    const [chats, docs, categories, questions] = await Promise.all([
+      Chat.find({ _id: { $in: messages.map(m => m.chatId) } }).select('sessionId userName userEmail').lean(),
+      KnowledgeBase.find({ _id: { $in: docIds } }).select('originalName filename active').lean(),
+      WorkflowCategory.find({ _id: { $in: categoryIds } }).select('name').lean(),
+      // The customer message each answer replied to
+      Promise.all(messages.map(m => Message.findOne({ chatId: m.chatId, sender: 'user', sentAt: { $lte: m.sentAt } })
+        .sort({ sentAt: -1 })
+        .select('content')
+        .lean()))
+    ]);
+    const chatById = new Map(chats.map(c => [String(c._id), c]));
+    const docById = new Map(docs.map(d => [String(d._id), d]));
+    const categoryById = new Map(categories.map(c => [String(c._id), c]));
+
+    const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+    countRows.forEach(r => { if (r._id) counts[r._id] = r.count; });
+
+    res.json({
+      items: messages.map((m, i) => {
+        const chat = chatById.get(String(m.chatId)) || {};
+        const category = m.feedback.categoryId && categoryById.get(String(m.feedback.categoryId));
+        return {
+          messageId: m._id,
+          chatId: m.chatId,
+          sessionId: chat.sessionId || null,
+          userName: chat.userName || null,
+          userEmail: chat.userEmail || null,
+          question: questions[i] ? questions[i].content : null,
+          answer: m.content,
+          confidence: m.metadata ? m.metadata.confidence : null,
+          cached: !!(m.metadata && m.metadata.cached),
+          cachePinned: !!(m.metadata && m.metadata.cachePinned),
+          reason: m.feedback.reason || null,
+          comment: m.feedback.comment || null,
+          documents: (m.feedback.knowledgeBaseIds || []).map(id => {
+            const doc = docById.get(String(id));
+            return { id, name: doc ? doc.originalName || doc.filename : null, active: doc ? doc.active : false };
+          }),
+          category: category ? { id: category._id, name: category.name } : null,
+          at: m.feedback.at,
+          review: m.feedback.review
+        };
+      }),
+      total,
+      counts
+    });
+  } catch (error) {
+    console.error('List answer feedback error:', error);
+    res.status(500).json({ error: 'Failed to retrieve answer feedback' });
+  }
+});
+
+/**
+ * PUT /api/feedback/:messageId
+ * Body: { status: 'resolved' | 'dismissed' | 'open' }
+ */
+router.put('/:messageId', async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const review = status === 'open'
+      ? { status }
+      : { status, by: req.agent.agentId, at: new Date() };
+    const message = await Message.findOneAndUpdate(
+      { _id: req.params.messageId, 'feedback.rating': 'down' },
+      { $set: { 'feedback.review': review } },
+      { new: true }
+    ).select('chatId feedback').lean();
+    if (!message) {
+      return res.status(404).json({ error: 'Thumbs-down answer not found' });
+    }
+    broadcastToDashboard('feedback.updated', { messageId: message._id, status });
+
+    console.log(`[Feedback] Message ${message._id} marked ${status} by ${req.agent.agentId}`);
+    res.json({ success: true, messageId: message._id, review: message.feedback.review });
+  } catch (error) {
+    console.error('Update answer feedback error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid message ID' });
+    }
+    res.status(500).json({ error: 'Failed to update answer feedback' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+/**
+ * @file Gaps Routes — Knowledge gap report and one-step KB articles from it
+ * @description Questions the AI couldn't answer — escalated for low confidence or answered
+ *   with "I don't have that information" — are logged by /api/ai/query as KnowledgeGaps
+ *   (utils/knowledgeGaps). Here they are clustered by embedding similarity into topics,
+ *   ranked by how often they were asked, and shown with the reply an agent eventually gave.
+ *
+ *   Actions:
+ *     - GET /            Clustered report for a date range (default: last 30 days)
+ *     - POST /article    Turn a cluster into a KB document (fileType 'qa-pair') with its
+ *                        embedding; the cluster's gaps are marked resolved
+ *     - POST /dismiss    Close a cluster's gaps without writing to the knowledge base
+ *
+ * @requires ../utils/knowledgeGaps - Gap clustering
+ * @requires ../utils/embeddings - Embedding of the new article
+ * @requires ../utils/knowledgeVersions - First version of the new article
+ * @requires ../middleware/auth - Admin/manager access
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { KnowledgeGap, KnowledgeBase } = require('../db/models');
+const { getKnowledgeGapReport } = require('../utils/knowledgeGaps');
+const { embedText, createEmbedding } = require('../utils/embeddings');
+const { recordVersion } = require('../utils/knowledgeVersions');
+const { normalizeScope } = require('../utils/knowledgeScope');
+const { broadcastToDashboard } = require('../websocket');
+const { authenticateAgent, requireRole } = require('../middleware/auth');
+
+const STATUSES = ['open', 'resolved', 'dismissed'];
+
+router.use(authenticateAgent, requireRole('admin', 'manager'));
+
+/** Validate body.gapIds; sends the 400 and returns null when invalid */
+function parseGapIds(req, res) {
+  const { gapIds } = req.body;
+  if (!Array.isArray(gapIds) || gapIds.length === 0) {
+    res.status(400).json({ error: 'gapIds must be a non-empty array' });
+    return null;
+  }
+  if (!gapIds.every(id => mongoose.isValidObjectId(id))) {
+    res.status(400).json({ error: 'Invalid gap ID' });
+    return null;
+  }
+  return gapIds;
+}
+
+/**
+ * GET /api/gaps
+ * Open gaps clustered into topics, most frequent first.
+ * Query: ?startDate, ?endDate (default: last 30 days), ?status=open (default) | resolved |
+ *   dismissed, ?limit=20 (clusters), ?threshold (similarity 0-1, default GAP_CLUSTER_THRESHOLD)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
+    if (isNaN(startDate) || isNaN(endDate)) {
+      return res.status(400).json({ error: 'Invalid startDate or endDate' });
+    }
+    if (startDate > endDate) {
+      return res.status(400).json({ error: 'startDate cannot be after endDate' });
+    }
+
+    const status = req.query.status || 'open';
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    let threshold;
+    if (req.query.threshold !== undefined) {
+      threshold = parseFloat(req.query.threshold);
+      if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+        return res.status(400).json({ error: 'threshold must be a number between 0 and 1' });
+      }
+    }
+
+    const report = await getKnowledgeGapReport({
+      startDate,
+      endDate,
+      status,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      threshold
+    });
+    res.json(report);
+  } catch (error) {
+    console.error('Knowledge gap report error:', error);
+    res.status(500).json({ error: 'Failed to build knowledge gap report' });
+  }
+});
+
+/**
+ * POST /api/gaps/article
+ * Create a KB article answering a cluster and resolve its gaps.
+ * Body: { gapIds, question, answer, audience?, tags?, categoryIds? }
+ */
+router.post('/article', async (req, res) => {
+  try {
+    const gapIds = parseGapIds(req, res);
+    if (!gapIds) return;
+
+    const question = typeof req.body.question === 'string' ? req.body.question.trim() : '';
+    const answer = typeof req.body.answer === 'string' ? req.body.answer.trim() : '';
+    if (!question || !answer) {
+      return res.status(400).json({ error: 'question and answer are required' });
+    }
+    const { scope, errors: scopeErrors } = normalizeScope(req.body);
+    if (scopeErrors.length > 0) {
+      return res.status(400).json({ error: scopeErrors.join('; ') });
+    }
+
+    const openCount = await KnowledgeGap.countDocuments({ _id: { $in: gapIds }, status: 'open' });
+    if (openCount === 0) {
+      return res.status(409).json({ error: 'These gaps are already resolved or dismissed' });
+    }
+
+    const agentId = req.agent.agentId;
+    const text = `Q: ${question}\nA: ${answer}`;
+    const { vector, modelId } = await embedText(text);
+
+    const kbEntry = await KnowledgeBase.create({
+      filename: `knowledge-gap-${Date.now()}`,
+      originalName: 'Knowledge Gap Answer',
+      fileType: 'qa-pair',
+      fileSize: text.length,
+      content: text,
+      chunks: [{ text }],
+      uploadedBy: agentId,
+      active: true,
+      ...scope
+    });
+
+    const embedding = await createEmbedding({
+      knowledgeBaseId: kbEntry._id,
+      chunkIndex: 0,
+      text,
+      embedding: vector,
+      embeddingModel: modelId,
+      metadata: { source: 'knowledge-gap', gaps: openCount }
+    });
+    kbEntry.chunks[0].embeddingId = embedding._id;
+    await kbEntry.save();
+    await recordVersion(kbEntry, { source: 'gap', author: agentId, note: `Answers ${openCount} knowledge gap(s)` });
+
+    const result = await KnowledgeGap.updateMany(
+      { _id: { $in: gapIds }, status: 'open' },
+      { $set: { status: 'resolved', knowledgeBaseId: kbEntry._id, resolvedBy: agentId, resolvedAt: new Date() } }
+    );
+    broadcastToDashboard('gaps.updated', { status: 'resolved', count: result.modifiedCount });
+
+    console.log(`[Gaps] Created KB ${kbEntry._id} from ${result.modifiedCount} gap(s): "${question.substring(0, 50)}..."`);
+    res.json({ success: true, knowledgeBaseId: kbEntry._id, resolved: result.modifiedCount });
+  } catch (error) {
+    console.error('Create article from gaps error:', error);
+    res.status(500).json({ error: 'Failed to create knowledge base article' });
+  }
+});
+
+/**
+ * POST /api/gaps/dismiss
+ * Close a cluster's gaps (off-topic, spam, already covered).
+ * Body: { gapIds }
+ */
+router.post('/dismiss', async (req, res) => {
+  try {
+    const gapIds = parseGapIds(req, res);
+    if (!gapIds) return;
+
+    const result = await KnowledgeGap.updateMany(
+      { _id: { $in: gapIds }, status: 'open' },
+      { $set: { status: 'dismissed', resolvedBy: req.agent.agentId, resolvedAt: new Date() } }
+    );
+    broadcastToDashboard('gaps.updated', { status: 'dismissed', count: result.modifiedCount });
+
+    console.log(`[Gaps] Dismissed ${result.modifiedCount} gap(s)`);
+    res.json({ success: true, dismissed: result.modifiedCount });
+  } catch (error) {
+    console.error('Dismiss gaps error:', error);
+    res.status(500).json({ error: 'Failed to dismiss gaps' });
+  }
+});
+
+module.exports = router;
@@ -5,37 +5,89 @@
  *   Upload pipeline (POST /upload):
  *     1. File upload via multer (10MB limit, supports PDF/TXT/MD/DOCX/JSON/CSV/HTML)
  *     2. Text extraction via textExtractor utility (handles multiple formats)
- *     3. Text chunking with configurable size (default 1000 chars) and overlap (200 chars)
+ *     3. Structure-aware chunking by document type — heading sections for Markdown/HTML/DOCX,
+ *        row groups for CSV/JSON, pages for PDF — sized in tokens (CHUNK_TOKENS, default 300;
+ *        CHUNK_OVERLAP_TOKENS, default 50). Override per document with chunkStrategy.
  *     4. Vector embedding generation for each chunk (stored in Embedding collection)
  *     5. Cleanup: temp file deleted after processing
  *
  *   URL import (POST /import-url):
  *     Fetches web page, strips navigation/scripts, extracts main content via cheerio,
- *     then runs the same chunk + embed pipeline as file upload.
+ *     then runs the same chunk + embed pipeline as file upload. For whole sites kept in
+ *     sync on a schedule, use crawl jobs (routes/crawl).
  *
  *   Document editing (PUT /:id):
  *     Deletes old embeddings, re-chunks new content, regenerates embeddings.
  *
+ *   Version history (GET /:id/versions, GET /:id/versions/:version, GET /:id/diff,
+ *   POST /:id/rollback):
+ *     Every content change (upload, import, crawl, edit, learned reply, push, rollback) is stored
+ *     as a KnowledgeBaseVersion with its author — see utils/knowledgeVersions. Rollback
+ *     restores an old version as a new one and re-embeds. History needs an agent token;
+ *     rollback is admin/manager only.
+ *
  *   Knowledge push (POST /push):
  *     Direct Q&A snippet injection from agent conversations. Includes duplicate
- *     detection via cosine similarity (threshold 0.85) — merges similar content.
+ *     detection via nearest-neighbour lookup (cosine threshold 0.85) — merges similar content
+ *     into an existing document of the same audience.
+ *
+ *   Retrieval scope (PATCH /:id, also accepted on upload/import-url/PUT/push):
+ *     tags, audience ('public' | 'internal' agent-only) and linked WorkflowCategory ids —
+ *     see utils/knowledgeScope for how /api/ai/query and /api/ai/suggest-reply apply them.
+ *     PATCH, and a PUT that changes the audience, are admin/manager only. Internal documents
+ *     are listed and readable only with an agent token; anonymous callers get a 404.
+ *
+ *   Search indexes (GET /index/status, POST /index/rebuild):
+ *     Diagnostics and manual rebuild for the in-process HNSW and BM25 indexes used by KB search.
+ *
+ *   Embedding model (GET /embeddings, POST /embeddings/migrate, POST /embeddings/migrate/:id/cancel):
+ *     Active embedding backend/model, vector counts per model, and the background migration
+ *     that re-embeds the KB and response cache into a new model (utils/embeddingMigration).
  *
  *   Soft-delete: Documents are deactivated (active=false), embeddings are hard-deleted.
  *
+ *   Cached answers built from a document are invalidated when its content changes, its scope
+ *   changes or it is deleted (utils/responseCache).
+ *
  * @requires multer - File upload handling
  * @requires ../utils/textExtractor - Multi-format text extraction
- * @requires ../utils/chunker - Text chunking with overlap
+ * @requires ../utils/chunker - Structure-aware chunking
  * @requires ../utils/embeddings - Vector embedding generation and cleanup
+ * @requires ../utils/knowledgeVersions - Content history, diffs and rollback
+ * @requires ../utils/responseCache - Invalidation of cached answers built from a document
+ * @requires ../utils/annIndex - ANN index status and rebuild
+ * @requires ../utils/keywordIndex - BM25 keyword index status and rebuild
+ * @requires ../utils/embeddingMigration - Embedding model status and re-embedding migrations
  */
 
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const fs = require('fs').promises;
-const { KnowledgeBase, Embedding } = require('../db/models');
+const { KnowledgeBase } = require('../db/models');
 const { extractText } = require('../utils/textExtractor');
-const { chunkText } = require('../utils/chunker');
-const { generateEmbeddingsForChunks, deleteEmbeddings } = require('../utils/embeddings');
+const { chunkText, chunkOptionsFor, CHUNK_STRATEGIES } = require('../utils/chunker');
+const { generateEmbeddingsForChunks, deleteEmbeddings, embedText, createEmbedding, deleteEmbeddingById } = require('../utils/embeddings');
+const { findNearestEmbedding } = require('../utils/vectorSearch');
+const { initVectorIndex, getIndexStatus } = require('../utils/annIndex');
+const { initKeywordIndex, getKeywordIndexStatus } = require('../utils/keywordIndex');
+const { validateEmbeddingSpec, normalizeEmbeddingSpec } = require('../utils/embeddingBackends');
+const { getEmbeddingStatus, startEmbeddingMigration, cancelEmbeddingMigration } = require('../utils/embeddingMigration');
+const { normalizeScope, AUDIENCES } = require('../utils/knowledgeScope');
+const { recordVersion, updateDocumentContent, listVersions, getVersion, diffVersions, rollbackDocument } = require('../utils/knowledgeVersions');
+const { extractPageContent, hashContent } = require('../utils/crawler');
+const { invalidateCachedAnswers } = require('../utils/responseCache');
+const { identifyAgent, authenticateAgent, requireRole } = require('../middleware/auth');
+
+// Record the author of changes when the dashboard sends a token (endpoints stay open otherwise)
+router.use(identifyAgent);
+
+const SCOPE_ROLES = ['admin', 'manager'];
+
+/** Internal (agent-only) documents don't exist for anonymous callers */
+function hiddenFrom(req, document) {
+  return !req.agent && document.audience === 'internal';
+}
 
 // Configure multer for file uploads
 const upload = multer({
@@ -61,6 +113,7 @@ const ALLOWED_MIME_TYPES = [
 /**
  * POST /api/knowledge/upload
  * Upload and process FAQ document
+ * @param {string} [req.body.chunkStrategy] - auto (default, by file type) | text | markdown | rows
  */
 router.post('/upload', upload.single('file'), async (req, res) => {
   try {
@@ -71,6 +124,18 @@ router.post('/upload', upload.single('file'), async (req, res) => {
     const { originalname, mimetype, size, path: filePath } = req.file;
     const ext = originalname.substring(originalname.lastIndexOf('.')).toLowerCase();
 
+    const { scope, errors: scopeErrors } = normalizeScope(req.body);
+    if (scopeErrors.length > 0) {
+      await fs.unlink(filePath);
+      return res.status(400).json({ error: scopeErrors.join('; ') });
+    }
+
+    const chunkStrategy = req.body.chunkStrategy || 'auto';
+    if (!CHUNK_STRATEGIES.includes(chunkStrategy)) {
+      await fs.unlink(filePath);
+      return res.status(400).json({ error: `chunkStrategy must be one of: ${CHUNK_STRATEGIES.join(', ')}` });
+    }
+
     // Validate file type
     if (!ALLOWED_EXTENSIONS.includes(ext) && !ALLOWED_MIME_TYPES.includes(mimetype)) {
       await fs.unlink(filePath); // Clean up uploaded file
@@ -97,11 +162,8 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       });
     }
 
-    // Chunk the extracted text
-    const chunks = chunkText(extractedText, {
-      maxChunkSize: parseInt(process.env.CHUNK_SIZE || '1000'),
-      overlap: parseInt(process.env.CHUNK_OVERLAP || '200')
-    });
+    // Chunk the extracted text using the strategy for its type
+    const chunks = chunkText(extractedText, chunkOptionsFor({ fileType: mimetype, filename: originalname, chunkStrategy }));
 
     if (chunks.length === 0) {
       await fs.unlink(filePath);
@@ -119,20 +181,21 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       content: extractedText,
       chunks: chunks.map(chunk => ({
         text: chunk.text,
+        metadata: chunk.metadata,
         embeddingId: null // Will be populated by generateEmbeddingsForChunks
       })),
-      uploadedBy: req.body.uploadedBy || null, // Optional for Phase 4
+      chunkStrategy,
+      uploadedBy: req.agent?.agentId || req.body.uploadedBy || null,
       uploadedAt: new Date(),
-      active: true
+      active: true,
+      ...scope
     });
+    await recordVersion(knowledgeDoc, { source: 'upload', author: knowledgeDoc.uploadedBy });
 
     // Generate embeddings for all chunks
     let embeddingCount = 0;
     try {
-      embeddingCount = await generateEmbeddingsForChunks(
-        knowledgeDoc._id,
-        knowledgeDoc.chunks
-      );
+      embeddingCount = await generateEmbeddingsForChunks(knowledgeDoc._id, chunks);
       console.log(`Generated ${embeddingCount} embeddings for ${knowledgeDoc.filename}`);
     } catch (error) {
       console.error('Embedding generation failed:', error.message);
@@ -149,8 +212,12 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       fileType: knowledgeDoc.fileType,
       fileSize: knowledgeDoc.fileSize,
       chunkCount: chunks.length,
+      chunkStrategy: chunks[0].metadata.strategy,
       embeddingCount: embeddingCount || 0,
       uploadedAt: knowledgeDoc.uploadedAt,
+      tags: knowledgeDoc.tags,
+      audience: knowledgeDoc.audience,
+      categoryIds: knowledgeDoc.categoryIds,
       message: 'Document uploaded and processed'
     });
   } catch (error) {
@@ -182,13 +249,17 @@ router.post('/import-url', async (req, res) => {
       return res.status(400).json({ error: 'url is required' });
     }
 
+    const { scope, errors: scopeErrors } = normalizeScope(req.body);
+    if (scopeErrors.length > 0) {
+      return res.status(400).json({ error: scopeErrors.join('; ') });
+    }
+
     // Auto-prepend https:// if no protocol
     if (!/^https?:\/\//i.test(url)) {
       url = 'https://' + url;
     }
 
     // Fetch the page
-    const cheerio = require('cheerio');
     let response;
     try {
       response = await fetch(url);
@@ -197,37 +268,29 @@ router.post('/import-url', async (req, res) => {
       return res.status(400).json({ error: `Failed to fetch URL: ${err.message}` });
     }
 
-    const html = await response.text();
-    const $ = cheerio.load(html);
-
-    // Remove scripts, styles, nav, footer
-    $('script, style, nav, footer, header, noscript, iframe').remove();
-
-    // Extract text from main content areas
-    const title = $('title').text().trim() || url;
-    const bodyText = $('main, article, .content, .faq, #content, body')
-      .first()
-      .text()
-      .replace(/\s+/g, ' ')
-      .trim();
+    // Strip navigation/scripts and extract the main content
+    const { title, text: bodyText } = extractPageContent(await response.text(), url);
 
     if (!bodyText || bodyText.length < 50) {
       return res.status(400).json({ error: 'Could not extract meaningful content from this URL' });
     }
 
-    // Chunk and embed
-    const rawChunks = chunkText(bodyText);
-    // chunkText returns {text, index} objects
-    const chunkObjs = rawChunks.map(c => typeof c === 'string' ? { text: c } : c);
+    // Chunk by heading sections and embed
+    const chunkObjs = chunkText(bodyText, chunkOptionsFor({ fileType: 'web-page' }));
 
     const kbEntry = await KnowledgeBase.create({
       filename: `url-import-${Date.now()}`,
       originalName: title.substring(0, 100),
       fileType: 'web-page',
       content: bodyText,
-      chunks: chunkObjs.map(c => ({ text: c.text })),
-      active: true
+      chunks: chunkObjs.map(c => ({ text: c.text, metadata: c.metadata })),
+      sourceUrl: url,
+      contentHash: hashContent(bodyText),
+      uploadedBy: req.agent?.agentId || null,
+      active: true,
+      ...scope
     });
+    await recordVersion(kbEntry, { source: 'import', author: kbEntry.uploadedBy, note: url });
 
     // generateEmbeddingsForChunks(knowledgeBaseId, chunks) — chunks need .text property
     // It also links embeddings back to KB doc automatically
@@ -251,11 +314,29 @@ router.post('/import-url', async (req, res) => {
 /**
  * GET /api/knowledge
  * List all knowledge base documents
+ * @param {string} [req.query.tag] - Only documents with this tag
+ * @param {string} [req.query.audience] - Only 'public' or 'internal' documents
+ * @param {string} [req.query.categoryId] - Only documents linked to this workflow category
  */
 router.get('/', async (req, res) => {
   try {
-    const documents = await KnowledgeBase.find({ active: true })
-      .select('_id filename originalName fileType fileSize uploadedAt chunks')
+    const query = { active: true };
+    if (req.query.tag) query.tags = String(req.query.tag).toLowerCase();
+    if (req.query.audience) {
+      if (!AUDIENCES.includes(req.query.audience)) {
+        return res.status(400).json({ error: `audience must be one of: ${AUDIENCES.join(', ')}` });
+      }
+      // Documents created before audiences existed have no field and count as public
+      query.audience = req.query.audience === 'public' ? { $in: ['public', null] } : req.query.audience;
+    }
+    if (!req.agent) {
+      if (query.audience === 'internal') return res.json([]);
+      query.audience = { $in: ['public', null] };
+    }
+    if (req.query.categoryId) query.categoryIds = req.query.categoryId;
+
+    const documents = await KnowledgeBase.find(query)
+      .select('_id filename originalName fileType fileSize uploadedAt chunks tags audience categoryIds version')
       .sort({ uploadedAt: -1 });
 
     const response = documents.map(doc => ({
@@ -265,12 +346,19 @@ router.get('/', async (req, res) => {
       fileType: doc.fileType,
       fileSize: doc.fileSize,
       uploadedAt: doc.uploadedAt,
-      chunkCount: doc.chunks?.length || 0
+      chunkCount: doc.chunks?.length || 0,
+      tags: doc.tags || [],
+      audience: doc.audience || 'public',
+      categoryIds: doc.categoryIds || [],
+      version: doc.version || 0
     }));
 
     res.json(response);
   } catch (error) {
     console.error('List knowledge base error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid categoryId' });
+    }
     res.status(500).json({
       error: 'Failed to retrieve knowledge base documents',
       details: error.message
@@ -278,6 +366,85 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Fixed paths go before the /:id routes, which would otherwise match them
+
+/**
+ * GET /api/knowledge/index/status
+ * Search index diagnostics — ANN (ready, size, tombstone ratio) and BM25 keyword index.
+ * Admin/manager only.
+ */
+router.get('/index/status', authenticateAgent, requireRole('admin', 'manager'), (req, res) => {
+  res.json({ ann: getIndexStatus(), keyword: getKeywordIndexStatus() });
+});
+
+/**
+ * POST /api/knowledge/index/rebuild
+ * Rebuild the ANN and keyword indexes from MongoDB in the background (exact vector search
+ * keeps serving until the new ANN index is ready). Admin/manager only.
+ */
+router.post('/index/rebuild', authenticateAgent, requireRole('admin', 'manager'), (req, res) => {
+  initVectorIndex({ rebuild: true });
+  initKeywordIndex();
+  res.status(202).json({ success: true, status: { ann: getIndexStatus(), keyword: getKeywordIndexStatus() } });
+});
+
+/**
+ * GET /api/knowledge/embeddings
+ * Active embedding model, stored vectors per model, the ANN index's model and the latest
+ * migration. Admin/manager only.
+ */
+router.get('/embeddings', authenticateAgent, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    res.json(await getEmbeddingStatus());
+  } catch (err) {
+    console.error('[Knowledge] Embedding status error:', err.message);
+    res.status(500).json({ error: 'Failed to load embedding status' });
+  }
+});
+
+/**
+ * POST /api/knowledge/embeddings/migrate
+ * Start re-embedding the KB and response cache into another model. Body:
+ * { backend: 'openai' | 'openai-compatible' | 'transformers', model?, baseUrl?, dimensions? }.
+ * The target is probed first; the current model keeps serving until cut-over. Admin only.
+ */
+router.post('/embeddings/migrate', authenticateAgent, requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateEmbeddingSpec(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    const migration = await startEmbeddingMigration(normalizeEmbeddingSpec(req.body), req.agent.agentId);
+    console.log(`[Knowledge] Embedding migration to ${migration.targetModel} started by ${req.agent.agentId}`);
+    res.status(202).json({ success: true, migration });
+  } catch (err) {
+    if (err.code === 'MIGRATION_RUNNING') return res.status(409).json({ error: err.message });
+    if (err.code === 'SAME_MODEL' || err.code === 'PROBE_FAILED') return res.status(400).json({ error: err.message });
+    console.error('[Knowledge] Embedding migration error:', err.message);
+    res.status(500).json({ error: 'Failed to start embedding migration' });
+  }
+});
+
+/**
+ * POST /api/knowledge/embeddings/migrate/:id/cancel
+ * Stop a running migration; the current model stays active. Admin only.
+ */
+router.post('/embeddings/migrate/:id/cancel', authenticateAgent, requireRole('admin'), async (req, res) => {
+  try {
+    const migration = await cancelEmbeddingMigration(req.params.id);
+    if (!migration) {
+      return res.status(404).json({ error: 'No running migration with this ID' });
+    }
+    res.json({ success: true, migration });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid migration ID' });
+    }
+    console.error('[Knowledge] Cancel embedding migration error:', err.message);
+    res.status(500).json({ error: 'Failed to cancel embedding migration' });
+  }
+});
+
 /**
  * GET /api/knowledge/:id
  * Get single document details
@@ -286,7 +453,7 @@ router.get('/:id', async (req, res) => {
   try {
     const document = await KnowledgeBase.findById(req.params.id);
 
-    if (!document || !document.active) {
+    if (!document || !document.active || hiddenFrom(req, document)) {
       return res.status(404).json({ error: 'Document not found' });
     }
 
@@ -299,7 +466,12 @@ router.get('/:id', async (req, res) => {
       content: document.content,
       chunks: document.chunks,
       uploadedAt: document.uploadedAt,
-      uploadedBy: document.uploadedBy
+      uploadedBy: document.uploadedBy,
+      tags: document.tags || [],
+      audience: document.audience || 'public',
+      categoryIds: document.categoryIds || [],
+      chunkStrategy: document.chunkStrategy || 'auto',
+      version: document.version || 0
     });
   } catch (error) {
     console.error('Get document error:', error);
@@ -317,7 +489,8 @@ router.get('/:id', async (req, res) => {
 
 /**
  * PUT /api/knowledge/:id
- * Update document content, re-chunk and re-embed
+ * Update document content, re-chunk and re-embed. Optional tags/audience/categoryIds
+ * and chunkStrategy are updated in the same call.
  */
 router.put('/:id', async (req, res) => {
   try {
@@ -326,35 +499,84 @@ router.put('/:id', async (req, res) => {
       return res.status(400).json({ error: 'Content is required' });
     }
 
+    const { scope, errors: scopeErrors } = normalizeScope(req.body);
+    if (scopeErrors.length > 0) {
+      return res.status(400).json({ error: scopeErrors.join('; ') });
+    }
+
+    const { chunkStrategy } = req.body;
+    if (chunkStrategy !== undefined && !CHUNK_STRATEGIES.includes(chunkStrategy)) {
+      return res.status(400).json({ error: `chunkStrategy must be one of: ${CHUNK_STRATEGIES.join(', ')}` });
+    }
+
     const document = await KnowledgeBase.findById(req.params.id);
-    if (!document || !document.active) {
+    if (!document || !document.active || hiddenFrom(req, document)) {
       return res.status(404).json({ error: 'Document not found' });
     }
+    if (scope.audience !== undefined && scope.audience !== (document.audience || 'public')
+      && !SCOPE_ROLES.includes(req.agent?.systemRole || req.agent?.role)) {
+      return res.status(403).json({ error: 'Only admins and managers can change a document\'s audience' });
+    }
 
-    // Delete old embeddings
-    await deleteEmbeddings(document._id);
+    // Re-chunk and re-embed, recording the edit in the document's history
+    Object.assign(document, scope);
+    if (chunkStrategy !== undefined) document.chunkStrategy = chunkStrategy;
+    const result = await updateDocumentContent(document, content, {
+      source: 'edit',
+      author: req.agent?.agentId
+    });
 
-    // Re-chunk the new content
-    const rawChunks = chunkText(content);
-    const chunkObjs = rawChunks.map(c => typeof c === 'string' ? { text: c } : c);
+    console.log(`[KB] Updated document ${document.originalName} to v${result.version}: ${result.chunks} chunks, ${result.embeddings} embeddings`);
 
-    // Update document
-    document.content = content;
-    document.chunks = chunkObjs.map(c => ({ text: c.text }));
-    await document.save();
+    res.json({
+      success: true,
+      version: result.version,
+      chunks: result.chunks,
+      embeddings: result.embeddings
+    });
+  } catch (error) {
+    console.error('Update document error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid document ID' });
+    }
+    res.status(500).json({ error: 'Failed to update document' });
+  }
+});
+
+/**
+ * PATCH /api/knowledge/:id
+ * Update retrieval scope only — tags, audience, linked workflow categories.
+ * No re-embedding needed: scope is applied at query time. Admin/manager only.
+ */
+router.patch('/:id', authenticateAgent, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { scope, errors } = normalizeScope(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    if (Object.keys(scope).length === 0) {
+      return res.status(400).json({ error: 'Provide at least one of: tags, audience, categoryIds' });
+    }
+
+    const document = await KnowledgeBase.findById(req.params.id);
+    if (!document || !document.active) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-    // Re-generate embeddings
-    const embeddingCount = await generateEmbeddingsForChunks(document._id, chunkObjs);
+    Object.assign(document, scope);
+    await document.save();
+    await invalidateCachedAnswers(document._id, 'Document scope changed');
 
-    console.log(`[KB] Updated document ${document.originalName}: ${chunkObjs.length} chunks, ${embeddingCount} embeddings`);
+    console.log(`[KB] Updated scope for ${document.originalName}: ${JSON.stringify(scope)}`);
 
     res.json({
       success: true,
-      chunks: chunkObjs.length,
-      embeddings: embeddingCount
+      tags: document.tags,
+      audience: document.audience,
+      categoryIds: document.categoryIds
     });
   } catch (error) {
-    console.error('Update document error:', error);
+    console.error('Update document scope error:', error);
     if (error.name === 'CastError') {
       return res.status(400).json({ error: 'Invalid document ID' });
     }
@@ -362,6 +584,134 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/knowledge/:id/versions
+ * Version history, newest first: [{ version, source, author, note, createdAt, length }]
+ * Agents only.
+ */
+router.get('/:id/versions', authenticateAgent, async (req, res) => {
+  try {
+    const document = await KnowledgeBase.findById(req.params.id).select('originalName version active audience');
+    if (!document || !document.active || hiddenFrom(req, document)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({
+      id: document._id,
+      originalName: document.originalName,
+      currentVersion: document.version || 0,
+      versions: await listVersions(document._id)
+    });
+  } catch (error) {
+    console.error('List document versions error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid document ID' });
+    }
+    res.status(500).json({ error: 'Failed to retrieve version history' });
+  }
+});
+
+/**
+ * GET /api/knowledge/:id/versions/:version
+ * Full content of one version. Agents only.
+ */
+router.get('/:id/versions/:version', authenticateAgent, async (req, res) => {
+  try {
+    const document = await KnowledgeBase.findById(req.params.id).select('active audience');
+    if (!document || !document.active || hiddenFrom(req, document)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const version = await getVersion(document._id, parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json(version);
+  } catch (error) {
+    console.error('Get document version error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid document ID or version' });
+    }
+    res.status(500).json({ error: 'Failed to retrieve version' });
+  }
+});
+
+/**
+ * GET /api/knowledge/:id/diff?from=2&to=5
+ * Line diff between two versions; `to` defaults to the current content.
+ * Returns: { from, to, diff: [{type: 'equal'|'add'|'remove', text}], stats: {added, removed} }
+ * Agents only.
+ */
+router.get('/:id/diff', authenticateAgent, async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : undefined;
+    if (isNaN(from) || (to !== undefined && isNaN(to))) {
+      return res.status(400).json({ error: 'from (and optional to) must be version numbers' });
+    }
+
+    const document = await KnowledgeBase.findById(req.params.id);
+    if (!document || !document.active || hiddenFrom(req, document)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const result = await diffVersions(document, from, to);
+    if (!result) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Document diff error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid document ID' });
+    }
+    res.status(500).json({ error: 'Failed to build diff' });
+  }
+});
+
+/**
+ * POST /api/knowledge/:id/rollback
+ * Restore a previous version's content (recorded as a new 'rollback' version) and re-embed.
+ * Body: { version } — admin/manager only
+ */
+router.post('/:id/rollback', authenticateAgent, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const version = parseInt(req.body.version);
+    if (isNaN(version)) {
+      return res.status(400).json({ error: 'version is required' });
+    }
+
+    const document = await KnowledgeBase.findById(req.params.id);
+    if (!document || !document.active) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (version === document.version) {
+      return res.status(400).json({ error: `v${version} is already the current version` });
+    }
+
+    const result = await rollbackDocument(document, version, req.agent.agentId);
+    if (!result) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    console.log(`[KB] Rolled back ${document.originalName} to v${version} (now v${result.version}): ${result.chunks} chunks, ${result.embeddings} embeddings`);
+
+    res.json({
+      success: true,
+      version: result.version,
+      restoredFrom: version,
+      chunks: result.chunks,
+      embeddings: result.embeddings
+    });
+  } catch (error) {
+    console.error('Rollback document error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid document ID' });
+    }
+    res.status(500).json({ error: 'Failed to roll back document' });
+  }
+});
+
 /**
  * DELETE /api/knowledge/:id
  * Soft-delete document and clean up embeddings
@@ -370,7 +720,7 @@ router.delete('/:id', async (req, res) => {
   try {
     const document = await KnowledgeBase.findById(req.params.id);
 
-    if (!document || !document.active) {
+    if (!document || !document.active || hiddenFrom(req, document)) {
       return res.status(404).json({ error: 'Document not found' });
     }
 
@@ -380,6 +730,7 @@ router.delete('/:id', async (req, res) => {
     // Soft delete the document
     document.active = false;
     await document.save();
+    await invalidateCachedAnswers(document._id, 'Document deleted');
 
     res.status(204).send();
   } catch (error) {
@@ -401,10 +752,6 @@ router.delete('/:id', async (req, res) => {
  * Push a conversation snippet (question, answer, or both) directly into the knowledge base
  * This enables self-learning from agent conversations
  */
-const { generateEmbedding } = require('../utils/embeddings');
-const { cosineSimilarity } = require('../utils/vectorSearch');
-const { authenticateAgent, requireRole } = require('../middleware/auth');
-
 const DUPLICATE_THRESHOLD = 0.85;
 
 router.post('/push', authenticateAgent, requireRole('admin', 'manager'), async (req, res) => {
@@ -415,6 +762,12 @@ router.post('/push', authenticateAgent, requireRole('admin', 'manager'), async (
       return res.status(400).json({ error: 'At least question or answer is required' });
     }
 
+    const { scope, errors: scopeErrors } = normalizeScope(req.body);
+    if (scopeErrors.length > 0) {
+      return res.status(400).json({ error: scopeErrors.join('; ') });
+    }
+    const audience = scope.audience || 'public';
+
     // Build the text to embed
     let text = '';
     if (question && answer) {
@@ -426,40 +779,25 @@ router.post('/push', authenticateAgent, requireRole('admin', 'manager'), async (
     }
 
     // Generate embedding for duplicate check
-    const newEmbeddingVector = await generateEmbedding(text);
+    const { vector: newEmbeddingVector, modelId } = await embedText(text);
 
-    // Check ALL existing embeddings for duplicates
+    // Check the nearest existing embedding (any source, same audience) for duplicates
     if (newEmbeddingVector) {
-      const existingEmbeddings = await Embedding.find({}).lean();
-
-      let bestMatch = null;
-      let bestSimilarity = 0;
-
-      for (const existing of existingEmbeddings) {
-        if (!existing.embedding || existing.embedding.length === 0) continue;
-        const similarity = cosineSimilarity(newEmbeddingVector, existing.embedding);
-        if (similarity > bestSimilarity) {
-          bestSimilarity = similarity;
-          bestMatch = existing;
-        }
-      }
+      const bestMatch = await findNearestEmbedding(newEmbeddingVector, { audiences: [audience] }, modelId);
+      const bestSimilarity = bestMatch ? bestMatch.similarity : 0;
 
       // Duplicate found — merge new info into existing entry
       if (bestMatch && bestSimilarity >= DUPLICATE_THRESHOLD) {
         const existingKB = await KnowledgeBase.findById(bestMatch.knowledgeBaseId);
-        if (existingKB) {
+        if (existingKB && existingKB.active) {
           const existingContent = existingKB.content || '';
           const mergedContent = `${existingContent}\n\n---\n${text}`;
 
-          existingKB.content = mergedContent;
-          existingKB.chunks[0].text = mergedContent;
-          await existingKB.save();
-
-          // Re-generate embedding for the merged content
-          const mergedVector = await generateEmbedding(mergedContent);
-          await Embedding.findByIdAndUpdate(bestMatch._id, {
-            text: mergedContent,
-            embedding: mergedVector
+          // Re-chunk and re-embed the merged document, recording the change in its history
+          await updateDocumentContent(existingKB, mergedContent, {
+            source: 'push',
+            author: req.agent.agentId,
+            note: source
           });
 
           console.log(`[Knowledge] Merged push into existing KB (similarity: ${bestSimilarity.toFixed(3)}): "${text.substring(0, 50)}..."`);
@@ -470,9 +808,9 @@ router.post('/push', authenticateAgent, requireRole('admin', 'manager'), async (
             similarity: bestSimilarity.toFixed(3),
             textLength: mergedContent.length
           });
-        } else {
+        } else if (!existingKB) {
           // Orphan embedding — clean up
-          await Embedding.findByIdAndDelete(bestMatch._id);
+          await deleteEmbeddingById(bestMatch._id);
         }
       }
     }
@@ -485,16 +823,21 @@ router.post('/push', authenticateAgent, requireRole('admin', 'manager'), async (
       fileSize: text.length,
       content: text,
       chunks: [{ text }],
-      active: true
+      uploadedBy: req.agent.agentId,
+      active: true,
+      ...scope,
+      audience
     });
+    await recordVersion(kbEntry, { source: 'push', author: req.agent.agentId, note: source });
 
     // Store embedding
     if (newEmbeddingVector) {
-      const embDoc = await Embedding.create({
+      const embDoc = await createEmbedding({
         knowledgeBaseId: kbEntry._id,
         chunkIndex: 0,
         text: text,
         embedding: newEmbeddingVector,
+        embeddingModel: modelId,
         metadata: { source: 'chat-push', pushDate: new Date().toISOString() }
       });
       kbEntry.chunks[0].embeddingId = embDoc._id;
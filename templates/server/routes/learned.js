@@ -0,0 +1,424 @@
+/**
+ * @file Learned Routes — Review queue for Q&A pairs learned from agent replies
+ * @description Agent replies are captured as pending LearnedReply items (see
+ *   learnFromAgentReply in routes/messages) instead of going straight into the knowledge
+ *   base. Admins/managers review them here; only approved or merged items are embedded
+ *   and become retrievable by the AI.
+ *
+ *   Actions (pending items only):
+ *     - PUT /:id          Edit question/answer before approving (typos, customer specifics)
+ *     - POST /:id/approve Create a new KB document (fileType 'qa-pair') with its embedding
+ *     - POST /:id/merge   Append the Q&A to an existing KB document and re-embed it
+ *     - POST /:id/reject  Discard — nothing is written to the knowledge base
+ *     - GET /:id/diff     Preview a merge as a line diff of the target document
+ *
+ *   Approve, merge and reject first claim the item by switching it from 'pending' to
+ *   'approving' in one update, so two reviewers acting at once can't both write to the
+ *   knowledge base; a failed action puts it back to 'pending'.
+ *
+ *   Every action is appended to the item's audit trail with the reviewing agent.
+ *
+ * @requires ../utils/embeddings - Embedding creation on approval
+ * @requires ../utils/knowledgeVersions - Versioned re-embed of merged documents
+ * @requires ../utils/textDiff - Merge preview diffs
+ * @requires ../middleware/auth - Admin/manager access
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { LearnedReply, KnowledgeBase } = require('../db/models');
+const { embedText, getEmbeddingModelId, createEmbedding } = require('../utils/embeddings');
+const { recordVersion, updateDocumentContent } = require('../utils/knowledgeVersions');
+const { diffLines, diffStats } = require('../utils/textDiff');
+const { normalizeScope } = require('../utils/knowledgeScope');
+const { broadcastToDashboard } = require('../websocket');
+const { authenticateAgent, requireRole } = require('../middleware/auth');
+
+const STATUSES = ['pending', 'approving', 'approved', 'rejected', 'merged'];
+
+router.use(authenticateAgent, requireRole('admin', 'manager'));
+
+/** Format a Q&A pair the way it is stored in the knowledge base */
+function qaText(question, answer) {
+  return `Q: ${question}\nA: ${answer}`;
+}
+
+/** Content of a KB document after merging a Q&A pair into it */
+function mergedContent(existingContent, question, answer) {
+  return `${existingContent || ''}\n\n---\n${qaText(question, answer)}`;
+}
+
+function formatLearned(item) {
+  return {
+    id: item._id,
+    chatId: item.chatId,
+    messageId: item.messageId,
+    agent: item.agentId,
+    question: item.question,
+    answer: item.answer,
+    status: item.status,
+    proposedMerge: item.proposedMerge && item.proposedMerge.knowledgeBaseId ? item.proposedMerge : null,
+    knowledgeBaseId: item.knowledgeBaseId,
+    reviewedBy: item.reviewedBy,
+    reviewedAt: item.reviewedAt,
+    audit: item.audit,
+    createdAt: item.createdAt
+  };
+}
+
+/**
+ * Load a learned item that is still pending, sending 404/409 otherwise.
+ * @returns {Promise<Object|null>} Mongoose document, or null if a response was sent
+ */
+async function loadPending(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid learned reply ID' });
+    return null;
+  }
+  const item = await LearnedReply.findById(req.params.id);
+  if (!item) {
+    res.status(404).json({ error: 'Learned reply not found' });
+    return null;
+  }
+  if (item.status !== 'pending') {
+    res.status(409).json({ error: notPendingError(item.status) });
+    return null;
+  }
+  return item;
+}
+
+function notPendingError(status) {
+  return status === 'approving' ? 'Learned reply is already being reviewed' : `Learned reply is already ${status}`;
+}
+
+/**
+ * Claim a pending learned item for a review action: it moves to 'approving' only if it is
+ * still pending, so concurrent approvals can't both go through. Sends 400/404/409 otherwise.
+ * @returns {Promise<Object|null>} Claimed Mongoose document, or null if a response was sent
+ */
+async function claimPending(req, res, { withEmbedding = false } = {}) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid learned reply ID' });
+    return null;
+  }
+  const query = LearnedReply.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    { $set: { status: 'approving' } },
+    { new: true }
+  );
+  if (withEmbedding) query.select('+embedding');
+  const item = await query;
+  if (!item) {
+    const existing = await LearnedReply.findById(req.params.id).select('status').lean();
+    if (!existing) res.status(404).json({ error: 'Learned reply not found' });
+    else res.status(409).json({ error: notPendingError(existing.status) });
+    return null;
+  }
+  return item;
+}
+
+/** Put a claimed item back in the queue after its review action failed */
+async function releaseClaim(item) {
+  try {
+    await LearnedReply.updateOne({ _id: item._id, status: 'approving' }, { $set: { status: 'pending' } });
+  } catch (err) {
+    console.error(`[Learn] Failed to release learned reply ${item._id}:`, err.message);
+  }
+}
+
+/**
+ * Apply reviewer edits from a request body to a pending item, recording them in the audit trail.
+ * Edited text invalidates the stored embedding.
+ * @returns {string|null} Validation error, if any
+ */
+function applyEdits(item, body, agentId) {
+  const changes = {};
+  for (const field of ['question', 'answer']) {
+    if (body[field] === undefined) continue;
+    const value = String(body[field]).trim();
+    if (!value) return `${field} cannot be empty`;
+    if (value !== item[field]) {
+      changes[field] = { from: item[field], to: value };
+      item[field] = value;
+    }
+  }
+  if (Object.keys(changes).length > 0) {
+    item.embedding = undefined;
+    item.embeddingModel = undefined;
+    item.audit.push({ action: 'edited', agentId, changes });
+  }
+  return null;
+}
+
+/** Close out a claimed item with a final status and notify other reviewers */
+async function markReviewed(item, action, agentId, note) {
+  item.status = action;
+  item.reviewedBy = agentId;
+  item.reviewedAt = new Date();
+  item.audit.push({ action, agentId, note });
+  await item.save();
+  broadcastToDashboard('learned.reviewed', { id: item._id, status: item.status });
+}
+
+/**
+ * GET /api/learned
+ * List learned replies, newest first, with per-status counts for the queue badge.
+ * Query: ?status=pending (default) | approved | rejected | merged | all, ?limit=50
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (status !== 'all' && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}, all` });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const [items, countRows] = await Promise.all([
+      LearnedReply.find(status === 'all' ? {} : { status })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .populate('agentId reviewedBy audit.agentId', 'name email')
+        .populate('proposedMerge.knowledgeBaseId', 'originalName active')
+        .lean(),
+      LearnedReply.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+    countRows.forEach(row => { counts[row._id] = row.count; });
+
+    res.json({ items: items.map(formatLearned), counts });
+  } catch (error) {
+    console.error('List learned replies error:', error);
+    res.status(500).json({ error: 'Failed to retrieve learned replies' });
+  }
+});
+
+/**
+ * GET /api/learned/:id
+ * Single item with its full audit trail.
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const item = await LearnedReply.findById(req.params.id)
+      .populate('agentId reviewedBy audit.agentId', 'name email')
+      .populate('proposedMerge.knowledgeBaseId', 'originalName active')
+      .lean();
+    if (!item) {
+      return res.status(404).json({ error: 'Learned reply not found' });
+    }
+    res.json(formatLearned(item));
+  } catch (error) {
+    console.error('Get learned reply error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid learned reply ID' });
+    }
+    res.status(500).json({ error: 'Failed to retrieve learned reply' });
+  }
+});
+
+/**
+ * PUT /api/learned/:id
+ * Edit a pending item's question and/or answer.
+ * Body: { question?, answer? }
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const item = await loadPending(req, res);
+    if (!item) return;
+
+    const error = applyEdits(item, req.body, req.agent.agentId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await item.save();
+
+    res.json({ success: true, item: formatLearned(item) });
+  } catch (error) {
+    console.error('Edit learned reply error:', error);
+    res.status(500).json({ error: 'Failed to update learned reply' });
+  }
+});
+
+/**
+ * GET /api/learned/:id/diff
+ * Preview merging the item into a KB document.
+ * Query: ?knowledgeBaseId= (defaults to the proposed merge target)
+ * Returns: { knowledgeBase: {id, originalName}, before, after, diff: [{type, text}], stats }
+ */
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const item = await LearnedReply.findById(req.params.id).lean();
+    if (!item) {
+      return res.status(404).json({ error: 'Learned reply not found' });
+    }
+
+    const targetId = req.query.knowledgeBaseId || (item.proposedMerge && item.proposedMerge.knowledgeBaseId);
+    if (!targetId) {
+      return res.status(400).json({ error: 'knowledgeBaseId is required — this item has no proposed merge target' });
+    }
+
+    const document = await KnowledgeBase.findById(targetId).select('originalName content active').lean();
+    if (!document || !document.active) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const after = mergedContent(document.content, item.question, item.answer);
+    const diff = diffLines(document.content || '', after);
+
+    res.json({
+      knowledgeBase: { id: document._id, originalName: document.originalName },
+      before: document.content || '',
+      after,
+      diff,
+      stats: diffStats(diff)
+    });
+  } catch (error) {
+    console.error('Learned reply diff error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+    res.status(500).json({ error: 'Failed to build diff' });
+  }
+});
+
+/**
+ * POST /api/learned/:id/approve
+ * Add the Q&A to the knowledge base as a new document and embed it.
+ * Body: { question?, answer?, audience?, tags?, categoryIds?, note? } — edits are audited
+ */
+router.post('/:id/approve', async (req, res) => {
+  let item = null;
+  try {
+    const { scope, errors: scopeErrors } = normalizeScope(req.body);
+    if (scopeErrors.length > 0) {
+      return res.status(400).json({ error: scopeErrors.join('; ') });
+    }
+
+    item = await claimPending(req, res, { withEmbedding: true });
+    if (!item) return;
+
+    const agentId = req.agent.agentId;
+    const editError = applyEdits(item, req.body, agentId);
+    if (editError) {
+      await releaseClaim(item);
+      return res.status(400).json({ error: editError });
+    }
+
+    const text = qaText(item.question, item.answer);
+    // Reuse the vector computed at learn time unless the text was edited or the embedding model changed since
+    const reusable = item.embedding && item.embedding.length > 0
+      && item.embeddingModel === await getEmbeddingModelId();
+    const { vector, modelId } = reusable
+      ? { vector: item.embedding, modelId: item.embeddingModel }
+      : await embedText(text);
+
+    const kbEntry = await KnowledgeBase.create({
+      filename: `agent-reply-${Date.now()}`,
+      originalName: 'Agent Reply (reviewed)',
+      fileType: 'qa-pair',
+      fileSize: text.length,
+      content: text,
+      chunks: [{ text }],
+      uploadedBy: agentId,
+      active: true,
+      ...scope
+    });
+
+    const embedding = await createEmbedding({
+      knowledgeBaseId: kbEntry._id,
+      chunkIndex: 0,
+      text,
+      embedding: vector,
+      embeddingModel: modelId,
+      metadata: { source: 'agent-reply', chatId: item.chatId && item.chatId.toString(), learnedReplyId: item._id.toString() }
+    });
+    kbEntry.chunks[0].embeddingId = embedding._id;
+    await kbEntry.save();
+    await recordVersion(kbEntry, { source: 'learned', author: agentId, note: `Learned reply ${item._id}` });
+
+    item.knowledgeBaseId = kbEntry._id;
+    await markReviewed(item, 'approved', agentId, req.body.note);
+
+    console.log(`[Learn] Approved agent Q&A into KB ${kbEntry._id}: "${item.question.substring(0, 50)}..."`);
+    res.json({ success: true, knowledgeBaseId: kbEntry._id, item: formatLearned(item) });
+  } catch (error) {
+    console.error('Approve learned reply error:', error);
+    if (item) await releaseClaim(item);
+    res.status(500).json({ error: 'Failed to approve learned reply' });
+  }
+});
+
+/**
+ * POST /api/learned/:id/merge
+ * Append the Q&A to an existing KB document, then re-chunk and re-embed that document.
+ * Body: { knowledgeBaseId? (defaults to the proposed target), question?, answer?, note? }
+ */
+router.post('/:id/merge', async (req, res) => {
+  let item = null;
+  try {
+    item = await claimPending(req, res);
+    if (!item) return;
+
+    const targetId = req.body.knowledgeBaseId || (item.proposedMerge && item.proposedMerge.knowledgeBaseId);
+    if (!targetId) {
+      await releaseClaim(item);
+      return res.status(400).json({ error: 'knowledgeBaseId is required — this item has no proposed merge target' });
+    }
+    if (!mongoose.isValidObjectId(targetId)) {
+      await releaseClaim(item);
+      return res.status(400).json({ error: 'Invalid knowledgeBaseId' });
+    }
+
+    const document = await KnowledgeBase.findById(targetId);
+    if (!document || !document.active) {
+      await releaseClaim(item);
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const agentId = req.agent.agentId;
+    const editError = applyEdits(item, req.body, agentId);
+    if (editError) {
+      await releaseClaim(item);
+      return res.status(400).json({ error: editError });
+    }
+
+    const result = await updateDocumentContent(document, mergedContent(document.content, item.question, item.answer), {
+      source: 'learned',
+      author: agentId,
+      note: `Learned reply ${item._id}`
+    });
+
+    item.knowledgeBaseId = document._id;
+    await markReviewed(item, 'merged', agentId, req.body.note);
+
+    console.log(`[Learn] Merged agent Q&A into ${document.originalName} (v${result.version}): ${result.chunks} chunks, ${result.embeddings} embeddings`);
+    res.json({ success: true, knowledgeBaseId: document._id, version: result.version, chunks: result.chunks, item: formatLearned(item) });
+  } catch (error) {
+    console.error('Merge learned reply error:', error);
+    if (item) await releaseClaim(item);
+    res.status(500).json({ error: 'Failed to merge learned reply' });
+  }
+});
+
+/**
+ * POST /api/learned/:id/reject
+ * Discard a pending item. Body: { note? }
+ */
+router.post('/:id/reject', async (req, res) => {
+  let item = null;
+  try {
+    item = await claimPending(req, res);
+    if (!item) return;
+
+    await markReviewed(item, 'rejected', req.agent.agentId, req.body.note);
+
+    res.json({ success: true, item: formatLearned(item) });
+  } catch (error) {
+    console.error('Reject learned reply error:', error);
+    if (item) await releaseClaim(item);
+    res.status(500).json({ error: 'Failed to reject learned reply' });
+  }
+});
+
+module.exports = router;
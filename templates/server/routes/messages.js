@@ -8,42 +8,69 @@
  *     - Profanity detection: Checks user messages against a word list, flags chat
  *       metadata.profanity=true and broadcasts to dashboard for agent awareness
  *     - Agent learning (learnFromAgentReply): When an agent sends a non-internal message,
- *       the Q&A pair (last user question + agent answer) is embedded and stored in the
- *       knowledge base. Duplicate detection (cosine similarity >= 0.85) merges new info
- *       into existing entries instead of creating duplicates
+ *       the Q&A pair (last user question + agent answer) is queued as a pending LearnedReply.
+ *       It only reaches the knowledge base once approved via /api/learned. Near-duplicates
+ *       of an existing doc (cosine similarity >= 0.85) are flagged as proposed merges.
+ *       Emails, phone numbers, card numbers and addresses are masked in both halves first
+ *     - Knowledge gaps: the agent's reply is attached to the chat's open knowledge gaps
+ *       (utils/knowledgeGaps) — questions the AI couldn't answer — for the gap report
  *     - Internal notes: Agent-only messages (isInternal=true) require auth and are not
  *       broadcast to the widget user
+ *     - Rich messages: a user message may carry the `payload` of the quick reply or button
+ *       that sent it; authenticated agents may attach `rich` content (utils/richMessages)
+ *     - Answer feedback: the widget's thumbs up/down on an AI answer (utils/messageFeedback).
+ *       A thumbs down evicts the answer from the response cache and lands it in the review
+ *       list (/api/feedback); every rating is broadcast to the dashboard
+ *     - Copilot acceptance: an agent reply sent with the `suggestionId` of the copilot drafts
+ *       it was inserted from is logged against that suggestion, as-is or edited (utils/copilot)
  *     - Chat end: Closes session, saves optional rating, sends transcript email,
  *       broadcasts closure to both widget and dashboard
  *
  * @requires ../websocket - Real-time message broadcasting
  * @requires ../utils/email - Chat transcript email delivery
- * @requires ../utils/embeddings - Vector embedding generation for knowledge base
- * @requires ../utils/vectorSearch - Cosine similarity for duplicate detection
+ * @requires ../utils/embeddings - Vector embedding generation for duplicate detection
+ * @requires ../utils/vectorSearch - Nearest-neighbour lookup for duplicate detection
  * @requires ../utils/teamsBot - Forward user messages to Teams threads
+ * @requires ../utils/redaction - PII masking of learned Q&A pairs
+ * @requires ../utils/richMessages - Validation of rich content sent by agents
+ * @requires ../utils/knowledgeGaps - Agent replies to questions the AI couldn't answer
+ * @requires ../utils/messageFeedback - Thumbs up/down on AI answers
+ * @requires ../utils/copilot - Which copilot drafts agents actually send
  */
 
 const express = require('express');
-const { Message, Chat, Agent, KnowledgeBase, Embedding } = require('../db/models');
+const { Message, Chat, Agent, LearnedReply } = require('../db/models');
 const { authenticateAgent } = require('../middleware/auth');
 const { broadcast, broadcastToDashboard } = require('../websocket');
 const { sendChatTranscript } = require('../utils/email');
-const { generateEmbedding } = require('../utils/embeddings');
-const { cosineSimilarity } = require('../utils/vectorSearch');
+const { embedText } = require('../utils/embeddings');
+const { findNearestEmbedding } = require('../utils/vectorSearch');
 const { sendTeamsReply } = require('../utils/teamsBot');
+const { maskPii, recordRedactions } = require('../utils/redaction');
+const { withUsageContext } = require('../utils/usage');
+const { normalizeRich, MAX_PAYLOAD } = require('../utils/richMessages');
+const { attachAgentReply } = require('../utils/knowledgeGaps');
+const { normalizeFeedback, isRateable, recordMessageFeedback } = require('../utils/messageFeedback');
+const { recordSuggestionSent } = require('../utils/copilot');
 
 const router = express.Router();
 
-/** Cosine similarity threshold for duplicate Q&A detection — above this, merge instead of creating new */
+/** Cosine similarity threshold for duplicate Q&A detection — above this, propose a merge instead of a new doc */
 const DUPLICATE_THRESHOLD = 0.85;
 
+/** Answers shorter than this many words ("ok thanks", "one moment") aren't worth reviewing */
+const MIN_ANSWER_WORDS = 4;
+
 /**
- * Learn from agent reply: save Q&A pair to knowledge base with embedding.
- * Checks for duplicates first — if a similar Q&A exists, merges any new info.
+ * Learn from agent reply: queue the Q&A pair for review (see routes/learned).
+ * Nothing reaches the knowledge base until an admin/manager approves or merges it;
+ * the nearest existing public doc at >= DUPLICATE_THRESHOLD is recorded as a proposed merge.
  * Runs async (fire-and-forget) so it doesn't slow down the response.
  */
-async function learnFromAgentReply(chatId, agentAnswer) {
+async function learnFromAgentReply(chatId, agentAnswer, { messageId, agentId } = {}) {
   try {
+    if (agentAnswer.trim().split(/\s+/).length < MIN_ANSWER_WORDS) return;
+
     // Find the last user message before this agent reply
     const lastUserMsg = await Message.findOne({
       chatId,
@@ -53,97 +80,67 @@ async function learnFromAgentReply(chatId, agentAnswer) {
 
     if (!lastUserMsg) return;
 
-    const question = lastUserMsg.content;
-    // Strip user's personal info from the question only (keep agent answer intact for contact details etc.)
-    const cleanQuestion = question
-      .replace(/\b(my name is|i'm|i am)\s+[A-Z][a-z]+(\s+[A-Z][a-z]+)*/gi, '[user]')
-      .replace(/\b(my (email|phone|number|cell) is)\s+\S+/gi, '[user contact]');
-    const qaText = `Q: ${cleanQuestion}\nA: ${agentAnswer}`;
-
-    // Generate embedding for the new Q&A
-    const newEmbeddingVector = await generateEmbedding(qaText);
-
-    // Search ALL existing embeddings for duplicates (not just agent-reply)
-    const existingEmbeddings = await Embedding.find({}).lean();
-
-    let bestMatch = null;
-    let bestSimilarity = 0;
-
-    for (const existing of existingEmbeddings) {
-      if (!existing.embedding || existing.embedding.length === 0) continue;
-      const similarity = cosineSimilarity(newEmbeddingVector, existing.embedding);
-      if (similarity > bestSimilarity) {
-        bestSimilarity = similarity;
-        bestMatch = existing;
-      }
-    }
-
-    // Duplicate found — merge new info into existing entry
-    if (bestMatch && bestSimilarity >= DUPLICATE_THRESHOLD) {
-      const existingKB = await KnowledgeBase.findById(bestMatch.knowledgeBaseId);
-      if (!existingKB) {
-        // KB doc gone, clean up orphan embedding and create fresh
-        await Embedding.findByIdAndDelete(bestMatch._id);
-      } else {
-        // Merge: append the new answer if it adds info the old one doesn't have
-        const existingContent = existingKB.content || '';
-        const mergedContent = `${existingContent}\n\n---\nQ: ${question}\nA: ${agentAnswer}`;
-
-        existingKB.content = mergedContent;
-        existingKB.chunks[0].text = mergedContent;
-        await existingKB.save();
-
-        // Re-generate embedding for the merged content
-        const mergedVector = await generateEmbedding(mergedContent);
-        await Embedding.findByIdAndUpdate(bestMatch._id, {
-          text: mergedContent,
-          embedding: mergedVector
-        });
-
-        console.log(`[Learn] Merged agent Q&A into existing KB (similarity: ${bestSimilarity.toFixed(3)}): "${question.substring(0, 50)}..."`);
-        return;
-      }
-    }
-
-    // No duplicate — create new KB entry
-    const kbEntry = await KnowledgeBase.create({
-      filename: `agent-reply-${Date.now()}`,
-      originalName: 'Agent Reply (auto-learned)',
-      fileType: 'qa-pair',
-      content: qaText,
-      chunks: [{ text: qaText }],
-      active: true
+    // Approved pairs are shown to other customers — mask this customer's details in both halves.
+    // The company's own contacts survive via the redaction allow list (utils/redaction)
+    const maskedQuestion = await maskPii(lastUserMsg.content);
+    const maskedAnswer = await maskPii(agentAnswer);
+    const cleanQuestion = maskedQuestion.text
+      .replace(/\b([Mm]y name is|I'm|I am)\s+[A-Z][a-z]+(\s+[A-Z][a-z]+)*/g, '$1 [user]');
+    const cleanAnswer = maskedAnswer.text;
+    const counts = { ...maskedQuestion.counts };
+    Object.entries(maskedAnswer.counts).forEach(([type, n]) => { counts[type] = (counts[type] || 0) + n; });
+    withUsageContext({ chatId }, () => recordRedactions('learned', counts));
+    const qaText = `Q: ${cleanQuestion}\nA: ${cleanAnswer}`;
+
+    // Embed once now to find a merge target; the vector is reused if approved unedited
+    const { vector, modelId } = await embedText(qaText);
+
+    // Find the nearest existing public embedding across ALL sources
+    const bestMatch = await findNearestEmbedding(vector, { audiences: ['public'] }, modelId);
+    const proposedMerge = bestMatch && bestMatch.similarity >= DUPLICATE_THRESHOLD
+      ? { knowledgeBaseId: bestMatch.knowledgeBaseId, similarity: bestMatch.similarity }
+      : undefined;
+
+    const learned = await LearnedReply.create({
+      chatId,
+      messageId,
+      agentId,
+      question: cleanQuestion,
+      answer: cleanAnswer,
+      embedding: vector,
+      embeddingModel: modelId,
+      proposedMerge,
+      audit: [{ action: 'created', agentId }]
     });
 
-    const embedding = await Embedding.create({
-      knowledgeBaseId: kbEntry._id,
-      chunkIndex: 0,
-      text: qaText,
-      embedding: newEmbeddingVector,
-      metadata: { source: 'agent-reply', chatId: chatId.toString() }
+    broadcastToDashboard('learned.pending', {
+      id: learned._id,
+      question: learned.question,
+      proposedMerge: !!proposedMerge
     });
 
-    kbEntry.chunks[0].embeddingId = embedding._id;
-    await kbEntry.save();
-
-    console.log(`[Learn] Saved new agent Q&A to knowledge base: "${question.substring(0, 50)}..."`);
+    console.log(`[Learn] Queued agent Q&A for review${proposedMerge ? ` (merge candidate, similarity: ${proposedMerge.similarity.toFixed(3)})` : ''}: "${cleanQuestion.substring(0, 50)}..."`);
   } catch (err) {
-    console.error('[Learn] Failed to save agent reply to KB:', err.message);
+    console.error('[Learn] Failed to queue agent reply for review:', err.message);
   }
 }
 
 /**
  * POST /api/messages
  * Create a new message (supports agent messages and internal notes)
+ * Agents replying from a copilot draft also send its `suggestionId` (POST /api/ai/suggest-reply)
  */
 router.post('/', async (req, res) => {
   try {
-    const { chatId, content, isInternal, sender } = req.body;
+    const { chatId, content, isInternal, sender, payload } = req.body;
 
     // Validate required fields
     if (!chatId || !content) {
       return res.status(400).json({ error: 'chatId and content are required' });
     }
+    if (payload !== undefined && (typeof payload !== 'string' || payload.length > MAX_PAYLOAD)) {
+      return res.status(400).json({ error: `payload must be a string of at most ${MAX_PAYLOAD} characters` });
+    }
 
     // Profanity check on user messages — flag chat if detected
     const PROFANITY_LIST = [
@@ -221,6 +218,9 @@ router.post('/', async (req, res) => {
       return a;
     }).filter(Boolean);
 
+    // Quick replies and cards only come from agents; payloads only from the user's clicks
+    const rich = resolvedSender === 'agent' && !isInternal ? normalizeRich(req.body.rich) : null;
+
     // Create message document
     const message = new Message({
       chatId,
@@ -228,6 +228,8 @@ router.post('/', async (req, res) => {
       senderName,
       content,
       attachments,
+      ...(rich && { rich }),
+      ...(resolvedSender === 'user' && payload && { payload }),
       isInternal: isInternal || false
     });
 
@@ -242,6 +244,8 @@ router.post('/', async (req, res) => {
         senderName: message.senderName,
         content: message.content,
         attachments: message.attachments || [],
+        rich: message.rich || null,
+        payload: message.payload || null,
         sentAt: message.sentAt
       };
       // Send to session clients (widget)
@@ -264,7 +268,24 @@ router.post('/', async (req, res) => {
 
     // If agent sent a non-internal message, learn from it (async, fire-and-forget)
     if (resolvedSender === 'agent' && !isInternal) {
-      learnFromAgentReply(chatId, content).catch(() => {});
+      learnFromAgentReply(chatId, content, {
+        messageId: message._id,
+        agentId: req.agent && req.agent.agentId
+      }).catch(() => {});
+      attachAgentReply(chatId, {
+        messageId: message._id,
+        agentId: req.agent && req.agent.agentId,
+        agentName: message.senderName,
+        content
+      });
+      if (req.body.suggestionId && req.agent) {
+        recordSuggestionSent(req.body.suggestionId, {
+          agentId: req.agent.agentId,
+          chatId: chat._id,
+          messageId: message._id,
+          content
+        });
+      }
     }
 
     return res.status(201).json({
@@ -275,6 +296,8 @@ router.post('/', async (req, res) => {
         sender: message.sender,
         senderName: message.senderName,
         content: message.content,
+        rich: message.rich || null,
+        payload: message.payload || null,
         isInternal: message.isInternal,
         sentAt: message.sentAt
       }
@@ -288,6 +311,61 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/messages/:id/feedback
+ * Rate an AI answer from the widget. Sending again replaces the rating.
+ * Body: { chatId, rating: 'up'|'down', reason?, comment? } — reason and comment with 'down' only
+ */
+router.post('/:id/feedback', async (req, res) => {
+  try {
+    const { chatId } = req.body;
+    if (!chatId) {
+      return res.status(400).json({ error: 'chatId is required' });
+    }
+    const { feedback: rating, error } = normalizeFeedback(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const message = await Message.findById(req.params.id).lean();
+    // The widget only knows its own chat — a message from another chat is "not found"
+    if (!message || String(message.chatId) !== String(chatId)) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (!isRateable(message)) {
+      return res.status(400).json({ error: 'Only AI answers can be rated' });
+    }
+    const chat = await Chat.findById(message.chatId).select('sessionId metadata').lean();
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const { feedback, evicted } = await recordMessageFeedback(message, chat, rating);
+
+    broadcastToDashboard('message.feedback', {
+      sessionId: chat.sessionId,
+      chatId: chat._id,
+      messageId: message._id,
+      rating: feedback.rating,
+      reason: feedback.reason || null,
+      review: feedback.review ? feedback.review.status : null
+    });
+
+    return res.json({
+      success: true,
+      rating: feedback.rating,
+      reason: feedback.reason || null,
+      cacheEvicted: !!evicted && (evicted.deleted + evicted.stale) > 0
+    });
+  } catch (err) {
+    console.error('Message feedback error:', err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid message ID' });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * POST /api/chat/:sessionId/end
  * End chat session and send transcript email
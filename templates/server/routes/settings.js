@@ -5,13 +5,25 @@
  *   Reading requires admin/manager role; writing requires admin role.
  *   Public endpoint available for widget-accessible settings (e.g., branding).
  *
+ *   Prompt profile (/prompt-profile): versioned brand profile and system prompt
+ *   template used by /api/ai/query, with version history, rollback, and a preview
+ *   endpoint that renders the final prompt for a sample question.
+ *
  * @requires ../middleware/auth - authenticateAgent, requireRole
+ * @requires ../utils/promptProfile - Prompt profile storage and rendering
  */
 
 const express = require('express');
 const router = express.Router();
-const { Setting } = require('../db/models');
+const { Setting, WorkflowCategory } = require('../db/models');
 const { authenticateAgent, requireRole } = require('../middleware/auth');
+const { clearProviderCache } = require('../utils/llm');
+const promptProfile = require('../utils/promptProfile');
+const { hybridSearch, clearRetrievalConfigCache } = require('../utils/hybridSearch');
+const { clearGroundingConfigCache } = require('../utils/grounding');
+const { clearUsageSettingsCache } = require('../utils/usage');
+const { validateRedactionSettings, clearRedactionSettingsCache } = require('../utils/redaction');
+const { detectLanguage } = require('../utils/languageDetector');
 
 /**
  * GET /api/settings
@@ -36,6 +48,16 @@ router.get('/', authenticateAgent, requireRole('admin', 'manager'), async (req,
 router.put('/', authenticateAgent, requireRole('admin'), async (req, res) => {
   try {
     const updates = req.body; // { key: value, key2: value2, ... }
+    if ('embeddingModel' in updates) {
+      // Switching models without re-embedding would leave the KB unsearchable
+      return res.status(400).json({ error: 'embeddingModel is changed through POST /api/knowledge/embeddings/migrate' });
+    }
+    if ('redaction' in updates) {
+      const errors = validateRedactionSettings(updates.redaction);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: `Invalid redaction settings: ${errors.join('; ')}` });
+      }
+    }
     for (const [key, value] of Object.entries(updates)) {
       await Setting.findOneAndUpdate(
         { key },
@@ -43,6 +65,12 @@ router.put('/', authenticateAgent, requireRole('admin'), async (req, res) => {
         { upsert: true }
       );
     }
+    // Provider selection, retrieval, grounding, pricing and redaction config are cached — pick up changes immediately
+    if ('llmProviders' in updates) clearProviderCache();
+    if ('retrieval' in updates) clearRetrievalConfigCache();
+    if ('grounding' in updates) clearGroundingConfigCache();
+    if ('llmPricing' in updates || 'usageCaps' in updates) clearUsageSettingsCache();
+    if ('redaction' in updates) clearRedactionSettingsCache();
     console.log('[Settings] Updated:', Object.keys(updates).join(', '));
     res.json({ success: true });
   } catch (err) {
@@ -51,6 +79,137 @@ router.put('/', authenticateAgent, requireRole('admin'), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/settings/prompt-profile
+ * Active prompt profile plus defaults and the template variables it can use (admin/manager only)
+ */
+router.get('/prompt-profile', authenticateAgent, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const profile = await promptProfile.getActiveProfile();
+    res.json({
+      profile,
+      defaults: { ...promptProfile.DEFAULT_PROFILE, template: promptProfile.DEFAULT_TEMPLATE },
+      variables: promptProfile.TEMPLATE_VARIABLES,
+      answerLengths: promptProfile.ANSWER_LENGTHS
+    });
+  } catch (err) {
+    console.error('Get prompt profile error:', err.message);
+    res.status(500).json({ error: 'Failed to load prompt profile' });
+  }
+});
+
+/**
+ * PUT /api/settings/prompt-profile
+ * Save profile fields as a new version and activate it (admin only).
+ * Omitted fields carry over from the active version.
+ * @param {string} [req.body.note] - Change note recorded in version history
+ */
+router.put('/prompt-profile', authenticateAgent, requireRole('admin'), async (req, res) => {
+  try {
+    const { note, ...fields } = req.body;
+    const result = await promptProfile.saveProfile(fields, { updatedBy: req.agent.agentId, note });
+    if (result.errors) {
+      return res.status(400).json({ error: result.errors.join('; ') });
+    }
+    res.json({ success: true, version: result.version, profile: result.profile });
+  } catch (err) {
+    console.error('Save prompt profile error:', err.message);
+    res.status(500).json({ error: 'Failed to save prompt profile' });
+  }
+});
+
+/**
+ * GET /api/settings/prompt-profile/versions
+ * Prompt profile version history, newest first (admin/manager only)
+ */
+router.get('/prompt-profile/versions', authenticateAgent, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    res.json(await promptProfile.listVersions());
+  } catch (err) {
+    console.error('List prompt profile versions error:', err.message);
+    res.status(500).json({ error: 'Failed to load prompt profile versions' });
+  }
+});
+
+/**
+ * POST /api/settings/prompt-profile/rollback/:version
+ * Re-activate an earlier version (recorded as a new version) (admin only)
+ */
+router.post('/prompt-profile/rollback/:version', authenticateAgent, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await promptProfile.rollbackProfile(parseInt(req.params.version), { updatedBy: req.agent.agentId });
+    if (!result) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json({ success: true, version: result.version, profile: result.profile });
+  } catch (err) {
+    console.error('Rollback prompt profile error:', err.message);
+    res.status(500).json({ error: 'Failed to roll back prompt profile' });
+  }
+});
+
+/**
+ * POST /api/settings/prompt-profile/preview
+ * Render the final system prompt for a sample question without calling the LLM.
+ * Runs the same KB retrieval as /api/ai/query. Unsaved draft fields in `profile`
+ * are applied over the active version so admins can preview before saving.
+ * @param {string} req.body.question - Sample user question
+ * @param {string} [req.body.categoryId] - Workflow category to compose in
+ * @param {string} [req.body.pageContext] - Simulated page path
+ * @param {Object} [req.body.profile] - Draft profile fields
+ */
+router.post('/prompt-profile/preview', authenticateAgent, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { question, categoryId, pageContext, profile: draft } = req.body;
+    if (!question) {
+      return res.status(400).json({ error: 'question is required' });
+    }
+
+    const { profile: draftFields, errors } = promptProfile.normalizeProfile(draft || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    const profile = { ...(await promptProfile.getActiveProfile()), ...draftFields };
+
+    const category = categoryId ? await WorkflowCategory.findById(categoryId) : null;
+
+    // Retrieval failures (e.g. embeddings not configured) shouldn't block previewing the template
+    let ragResults = [];
+    let retrievalError = null;
+    try {
+      ({ results: ragResults } = await hybridSearch(question, {
+        topK: 8,
+        minSimilarity: 0.2,
+        filter: { audiences: ['public'], categoryId: category ? category._id.toString() : null }
+      }));
+    } catch (err) {
+      retrievalError = err.message;
+    }
+
+    const language = detectLanguage(question);
+    const prompt = promptProfile.buildSystemPrompt(profile, {
+      language,
+      ragResults,
+      pageContext,
+      category: category && category.prompt ? category : null
+    });
+
+    res.json({
+      prompt,
+      profileVersion: profile.version,
+      language,
+      sources: ragResults.map(r => ({ filename: r.filename, location: r.location, similarity: r.similarity, scores: r.scores })),
+      retrievalError
+    });
+  } catch (err) {
+    console.error('Preview prompt profile error:', err.message);
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid categoryId' });
+    }
+    res.status(500).json({ error: 'Failed to render prompt preview' });
+  }
+});
+
 /**
  * GET /api/settings/public/:key
  * Get a single setting value (public, no auth needed — for widget use)
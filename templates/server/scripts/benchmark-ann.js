@@ -0,0 +1,130 @@
+/**
+ * @file benchmark-ann — Compare ANN (HNSW) search against exact search
+ * @description Builds an HNSWIndex over a vector set, runs a batch of queries through both
+ * the index and brute-force cosine similarity, and reports recall@k, latency and build time.
+ *
+ * Run:
+ *   node scripts/benchmark-ann.js                      # synthetic clustered vectors
+ *   node scripts/benchmark-ann.js --count 20000 --dim 1536 --queries 200 --k 5
+ *   node scripts/benchmark-ann.js --db                 # real embeddings from MONGODB_URI
+ *   node scripts/benchmark-ann.js --ef 32,64,128       # sweep efSearch values
+ */
+
+require('dotenv').config();
+const { HNSWIndex } = require('../utils/annIndex');
+
+function parseArgs(argv) {
+  const args = { count: 5000, dim: 384, queries: 100, k: 5, ef: '64', M: 16, efConstruction: 200, db: false };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (name === 'db') args.db = true;
+    else if (name in args) args[name] = argv[++i];
+  }
+  return {
+    ...args,
+    count: parseInt(args.count),
+    dim: parseInt(args.dim),
+    queries: parseInt(args.queries),
+    k: parseInt(args.k),
+    M: parseInt(args.M),
+    efConstruction: parseInt(args.efConstruction),
+    ef: String(args.ef).split(',').map(Number)
+  };
+}
+
+/** Gaussian-ish noise via the sum of uniforms */
+function noise() {
+  return (Math.random() + Math.random() + Math.random() - 1.5) / 1.5;
+}
+
+/** Clustered random vectors — closer to real embedding distributions than uniform noise */
+function syntheticVectors(count, dim) {
+  const clusters = Array.from({ length: Math.max(10, Math.round(count / 100)) }, () =>
+    Array.from({ length: dim }, noise));
+  return Array.from({ length: count }, () => {
+    const center = clusters[Math.floor(Math.random() * clusters.length)];
+    return center.map(c => c + noise() * 0.6);
+  });
+}
+
+async function loadDbVectors() {
+  const { connectDB } = require('../db/connection');
+  const { Embedding } = require('../db/models');
+  const mongoose = require('mongoose');
+  await connectDB();
+  const docs = await Embedding.find({}).select('embedding').lean();
+  await mongoose.disconnect();
+  return docs.map(d => d.embedding).filter(v => v && v.length > 0);
+}
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+function exactTopK(vectors, query, k) {
+  return vectors
+    .map((v, i) => ({ id: String(i), similarity: cosine(query, v) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let vectors;
+  let queries;
+  if (args.db) {
+    vectors = await loadDbVectors();
+    // Queries are perturbed copies of stored vectors so each has meaningful neighbours
+    queries = Array.from({ length: args.queries }, () => {
+      const base = vectors[Math.floor(Math.random() * vectors.length)] || [];
+      return base.map(x => x + noise() * 0.01);
+    });
+  } else {
+    // Held-out points from the same clusters
+    vectors = syntheticVectors(args.count + args.queries, args.dim);
+    queries = vectors.splice(args.count);
+  }
+  if (vectors.length === 0) {
+    console.error('No vectors to benchmark');
+    process.exit(1);
+  }
+  console.log(`Vectors: ${vectors.length} x ${vectors[0].length} (${args.db ? 'MongoDB' : 'synthetic'}), ${queries.length} queries`);
+
+  const index = new HNSWIndex({ M: args.M, efConstruction: args.efConstruction });
+  let start = Date.now();
+  vectors.forEach((v, i) => index.add(String(i), v));
+  console.log(`HNSW build (M=${args.M}, efConstruction=${args.efConstruction}): ${Date.now() - start}ms`);
+
+  start = Date.now();
+  const truth = queries.map(q => exactTopK(vectors, q, args.k));
+  const exactMs = (Date.now() - start) / queries.length;
+  console.log(`Exact search: ${exactMs.toFixed(2)}ms/query`);
+
+  for (const ef of args.ef) {
+    index.efSearch = ef;
+    start = Date.now();
+    const results = queries.map(q => index.search(q, args.k));
+    const annMs = (Date.now() - start) / queries.length;
+
+    let hits = 0;
+    results.forEach((found, qi) => {
+      const expected = new Set(truth[qi].map(r => r.id));
+      hits += found.filter(r => expected.has(r.id)).length;
+    });
+    const recall = hits / (queries.length * args.k);
+
+    console.log(`ANN efSearch=${ef}: recall@${args.k}=${recall.toFixed(4)}, ${annMs.toFixed(2)}ms/query (${(exactMs / annMs).toFixed(1)}x faster)`);
+  }
+}
+
+main().catch(err => {
+  console.error('Benchmark failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+/**
+ * @file eval-rag — Run the RAG golden set from the command line
+ * @description Runs the stored golden set (EvalCase) through the same retrieval + prompt code
+ * as /api/ai/query, prints the metrics and saves the run so it shows up next to API/dashboard
+ * runs. See utils/evaluation for how answers are scored.
+ *
+ * Run:
+ *   node scripts/eval-rag.js                         # configured LLM + embedding providers
+ *   node scripts/eval-rag.js --stub                  # mock LLM + stub embeddings, no network
+ *   node scripts/eval-rag.js --name "chunk 400" --tag billing
+ *   node scripts/eval-rag.js --import golden.json    # add cases from a JSON array, then exit
+ *   node scripts/eval-rag.js --list                  # recent runs
+ *   node scripts/eval-rag.js --compare <runA> <runB> # metric deltas, b relative to a
+ *
+ * Exits non-zero if the run fails, so it can gate CI.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { connectDB } = require('../db/connection');
+const { EvalCase, EvalRun } = require('../db/models');
+const { initKeywordIndex } = require('../utils/keywordIndex');
+const { runEvaluation, compareRuns } = require('../utils/evaluation');
+
+function parseArgs(argv) {
+  const args = { stub: false, list: false, name: null, tag: null, import: null, compare: null };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (name === 'stub' || name === 'list') args[name] = true;
+    else if (name === 'compare') args.compare = [argv[++i], argv[++i]];
+    else if (name in args) args[name] = argv[++i];
+  }
+  return args;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '-';
+  return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+function printMetrics(metrics) {
+  for (const [metric, value] of Object.entries(metrics)) {
+    console.log(`  ${metric.padEnd(20)} ${formatValue(value)}`);
+  }
+}
+
+async function importCases(file) {
+  const items = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(items)) throw new Error('Import file must contain a JSON array of cases');
+  const invalid = items.findIndex(item => !item || typeof item.question !== 'string' || !item.question.trim());
+  if (invalid >= 0) throw new Error(`Case ${invalid + 1} has no question`);
+  const created = await EvalCase.insertMany(items.map(item => ({
+    question: item.question.trim(),
+    referenceAnswer: item.referenceAnswer,
+    expectedSources: item.expectedSources || [],
+    shouldEscalate: item.shouldEscalate,
+    categoryId: item.categoryId,
+    tags: item.tags || []
+  })));
+  console.log(`Imported ${created.length} cases`);
+}
+
+async function listRuns() {
+  const runs = await EvalRun.find({}).select('-results').sort({ createdAt: -1 }).limit(20).lean();
+  for (const run of runs) {
+    const m = run.metrics || {};
+    console.log(`${run._id}  ${run.createdAt.toISOString().substring(0, 16)}  ${run.status.padEnd(9)} `
+      + `hit ${formatValue(m.retrievalHitRate)}  sim ${formatValue(m.answerSimilarity)}  `
+      + `cite ${formatValue(m.citationAccuracy)}  esc ${formatValue(m.escalationRate)}  ${run.name}${run.stubbed ? ' (stub)' : ''}`);
+  }
+}
+
+async function printComparison(idA, idB) {
+  const [a, b] = await Promise.all([EvalRun.findById(idA).lean(), EvalRun.findById(idB).lean()]);
+  if (!a || !b) throw new Error('Eval run not found');
+  const comparison = compareRuns(a, b);
+  console.log(`a: ${a.name} (${a._id})\nb: ${b.name} (${b._id})\n`);
+  console.log(`  ${'metric'.padEnd(20)} ${'a'.padStart(8)} ${'b'.padStart(8)} ${'delta'.padStart(8)}`);
+  for (const row of comparison.metrics) {
+    const mark = row.better === true ? ' +' : row.better === false ? ' !' : '';
+    console.log(`  ${row.metric.padEnd(20)} ${formatValue(row.a).padStart(8)} ${formatValue(row.b).padStart(8)} ${formatValue(row.delta).padStart(8)}${mark}`);
+  }
+
+  const regressions = comparison.cases.filter(c => c.a && c.b && c.a.scores && c.b.scores
+    && (c.a.scores.retrievalHit && !c.b.scores.retrievalHit
+      || (c.b.scores.answerSimilarity || 0) < (c.a.scores.answerSimilarity || 0) - 0.2));
+  if (regressions.length > 0) {
+    console.log(`\nCases that got worse (${regressions.length}):`);
+    regressions.forEach(c => console.log(`  - ${c.question}`));
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  await connectDB();
+
+  try {
+    if (args.import) return await importCases(args.import);
+    if (args.list) return await listRuns();
+    if (args.compare) return await printComparison(...args.compare);
+
+    // BM25 is the only retrieval stage that works with stub embeddings against a real KB
+    await initKeywordIndex();
+    const run = await runEvaluation({
+      name: args.name,
+      tag: args.tag,
+      stub: args.stub,
+      trigger: 'cli',
+      onProgress: (r, result) => {
+        const { retrievalHit, answerSimilarity } = result.scores;
+        const hit = retrievalHit === null ? '-' : retrievalHit ? 'yes' : 'no';
+        const status = result.error ? `error: ${result.error}` : `hit ${hit}, sim ${formatValue(answerSimilarity)}`;
+        console.log(`[${r.progress.done}/${r.progress.total}] ${result.question.substring(0, 60)} — ${status}`);
+      }
+    });
+
+    console.log(`\nRun ${run._id} ${run.status}${run.stubbed ? ' (stubbed)' : ''}`);
+    if (run.status !== 'completed') {
+      console.error(run.lastError);
+      process.exitCode = 1;
+      return;
+    }
+    printMetrics(run.metrics);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('Evaluation failed:', err.message);
+  process.exit(1);
+});
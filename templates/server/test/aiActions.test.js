@@ -0,0 +1,241 @@
+/**
+ * @file AI action tests — utils/aiActions against a local HTTP stub
+ * @description executeAction() calls a stub server on a random local port that records every
+ *   request; completeWithActions() runs the tool loop with the mock LLM provider (utils/llm).
+ *   Settings, usage and redaction writes are replaced with in-memory fakes, so no database
+ *   is needed.
+ */
+
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const models = require('../db/models');
+
+mock.method(models.Setting, 'findOne', () => ({ lean: async () => null }));
+mock.method(models.Setting, 'find', () => ({ lean: async () => [] }));
+mock.method(models.Usage, 'create', async () => ({}));
+mock.method(models.RedactionEvent, 'create', async () => ({}));
+
+// Loaded after the fakes so no query reaches a real connection
+const { withProviderOverride } = require('../utils/llm');
+const { executeAction, completeWithActions } = require('../utils/aiActions');
+
+const AUTH = { name: 'X-Api-Key', value: 'stub-secret' };
+const ORDER = {
+  order: {
+    id: 'A123',
+    status: 'shipped',
+    items: [{ name: 'Anvil', qty: 1 }],
+    customer: { email: 'wile@example.com', phone: '555-0100' }
+  }
+};
+
+// --- Stub server ------------------------------------------------------------
+
+let server;
+let origin;
+const requests = [];
+
+function handle(req, res) {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, origin);
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+    const json = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.headers['x-api-key'] !== AUTH.value) return json(401, { error: 'Missing API key' });
+    if (url.pathname.startsWith('/orders/')) {
+      const id = decodeURIComponent(url.pathname.substring('/orders/'.length));
+      return id === 'A123' ? json(200, ORDER) : json(404, { error: 'No such order' });
+    }
+    if (url.pathname === '/refunds' && req.method === 'POST') return json(201, { received: JSON.parse(body) });
+    if (url.pathname === '/slow') {
+      setTimeout(() => json(200, { late: true }), 1000);
+      return;
+    }
+    if (url.pathname === '/moved') {
+      res.writeHead(302, { Location: '/orders/A123' });
+      return res.end();
+    }
+    if (url.pathname === '/plain') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.end('All systems operational');
+    }
+    json(404, { error: 'Not found' });
+  });
+}
+
+const action = fields => ({
+  name: 'get_order_status',
+  description: 'Look up an order',
+  method: 'GET',
+  url: `${origin}/orders/{{orderId}}`,
+  parameters: {
+    type: 'object',
+    properties: { orderId: { type: 'string' } },
+    required: ['orderId']
+  },
+  authHeader: AUTH,
+  ...fields
+});
+
+before(async () => {
+  server = http.createServer(handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+}));
+
+beforeEach(() => {
+  requests.length = 0;
+});
+
+// --- executeAction ----------------------------------------------------------
+
+test('fills URL placeholders from arguments and chat context, the rest go in the query string', async () => {
+  const result = await executeAction(action({
+    url: `${origin}/orders/{{orderId}}?email={{chat.userEmail}}`,
+    parameters: {
+      type: 'object',
+      properties: { orderId: { type: 'string' }, detail: { type: 'string', enum: ['summary', 'full'] } },
+      required: ['orderId']
+    }
+  }), { orderId: 'A123', detail: 'full' }, { userEmail: 'wile@example.com' });
+
+  assert.equal(result.ok, true);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].path, '/orders/A123');
+  assert.deepEqual(requests[0].query, { email: 'wile@example.com', detail: 'full' });
+  assert.equal(requests[0].headers['x-api-key'], AUTH.value);
+});
+
+test('encodes argument values placed in the URL path', async () => {
+  await executeAction(action(), { orderId: 'A 1/../admin' });
+  assert.equal(requests[0].path, '/orders/A%201%2F..%2Fadmin');
+});
+
+test('refuses to call without the chat values its URL needs', async () => {
+  const result = await executeAction(action({ url: `${origin}/orders/{{orderId}}?email={{chat.userEmail}}` }), { orderId: 'A123' }, {});
+  assert.equal(result.ok, false);
+  assert.match(result.error, /customer's userEmail is not known/);
+  assert.equal(requests.length, 0);
+});
+
+test('validates arguments against the schema before calling', async () => {
+  const checked = action({
+    parameters: {
+      type: 'object',
+      properties: { orderId: { type: 'string' }, qty: { type: 'integer' }, speed: { type: 'string', enum: ['standard', 'express'] } },
+      required: ['orderId']
+    }
+  });
+  const cases = [
+    [{}, /orderId is required/],
+    [{ orderId: 42 }, /orderId must be string/],
+    [{ orderId: 'A123', qty: 1.5 }, /qty must be integer/],
+    [{ orderId: 'A123', speed: 'teleport' }, /speed must be one of standard, express/],
+    [{ orderId: 'A123', admin: true }, /unknown argument admin/]
+  ];
+  for (const [input, error] of cases) {
+    const result = await executeAction(checked, input);
+    assert.equal(result.ok, false);
+    assert.match(result.error, error);
+  }
+  assert.equal(requests.length, 0);
+});
+
+test('POST sends arguments not used in the URL as a JSON body', async () => {
+  const result = await executeAction(action({
+    name: 'create_refund',
+    method: 'POST',
+    url: `${origin}/refunds?order={{orderId}}`,
+    parameters: {
+      type: 'object',
+      properties: { orderId: { type: 'string' }, amount: { type: 'number' } },
+      required: ['orderId', 'amount']
+    }
+  }), { orderId: 'A123', amount: 12.5 });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.status, 201);
+  assert.equal(requests[0].headers['content-type'], 'application/json');
+  assert.deepEqual(JSON.parse(requests[0].body), { amount: 12.5 });
+  assert.deepEqual(result.data, { received: { amount: 12.5 } });
+});
+
+test('maps the response down to the configured fields', async () => {
+  const result = await executeAction(action({
+    responseMapping: { root: 'order', fields: { status: 'status', firstItem: 'items.0.name', eta: 'delivery.eta' } }
+  }), { orderId: 'A123' });
+
+  assert.deepEqual(result.data, { status: 'shipped', firstItem: 'Anvil', eta: undefined });
+});
+
+test('reports HTTP errors with the body\'s message and passes plain text through', async () => {
+  const missing = await executeAction(action(), { orderId: 'B999' });
+  assert.equal(missing.ok, false);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.error, 'HTTP 404: No such order');
+
+  const unauthorized = await executeAction(action({ authHeader: { name: '', value: '' } }), { orderId: 'A123' });
+  assert.equal(unauthorized.error, 'HTTP 401: Missing API key');
+
+  const plain = await executeAction(action({ url: `${origin}/plain`, parameters: { type: 'object', properties: {} } }), {});
+  assert.equal(plain.data, 'All systems operational');
+});
+
+test('aborts calls that exceed the action timeout', async () => {
+  const result = await executeAction(action({ url: `${origin}/slow`, parameters: { type: 'object', properties: {} }, timeoutMs: 100 }), {});
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'Timed out after 100ms');
+  assert.ok(result.durationMs < 1000);
+});
+
+test('does not follow redirects', async () => {
+  const result = await executeAction(action({ url: `${origin}/moved`, parameters: { type: 'object', properties: {} } }), {});
+  assert.equal(result.ok, false);
+  assert.deepEqual(requests.map(r => r.path), ['/moved']);
+});
+
+// --- completeWithActions ----------------------------------------------------
+
+test('runs the tool call the model requests and answers with its mapped result', async () => {
+  const params = { messages: [{ role: 'user', content: 'Where is my order A123?' }] };
+  const { completion, toolCalls } = await withProviderOverride({ provider: 'mock' }, () => completeWithActions('query', params, {}, {
+    actions: [action({ responseMapping: { root: 'order', fields: { status: 'status' } } })],
+    context: { userEmail: 'wile@example.com' }
+  }));
+
+  assert.equal(toolCalls.length, 1);
+  assert.equal(toolCalls[0].name, 'get_order_status');
+  assert.deepEqual(toolCalls[0].input, { orderId: 'A123' });
+  assert.equal(toolCalls[0].ok, true);
+  assert.deepEqual(toolCalls[0].data, { status: 'shipped' });
+  assert.equal(requests.length, 1);
+
+  // The tool turns were appended for the provider, and the answer is built from the result only
+  assert.deepEqual(params.messages.map(m => m.role), ['user', 'assistant', 'tool']);
+  assert.equal(params.messages[2].content, '{"status":"shipped"}');
+  assert.match(completion.text, /shipped/);
+  assert.doesNotMatch(completion.text, /555-0100/);
+  assert.ok(completion.usage.inputTokens > 0);
+});
+
+test('a failing action is reported to the model instead of throwing', async () => {
+  const params = { messages: [{ role: 'user', content: 'Where is my order B999?' }] };
+  const { completion, toolCalls } = await withProviderOverride({ provider: 'mock' }, () => completeWithActions('query', params, {}, {
+    actions: [action()]
+  }));
+
+  assert.equal(toolCalls[0].ok, false);
+  assert.equal(params.messages[2].content, '{"error":"HTTP 404: No such order"}');
+  assert.match(completion.text, /No such order/);
+});
@@ -0,0 +1,104 @@
+/**
+ * @file Chunker tests — utils/chunker strategies and the CSV records they receive
+ * @description Markdown chunks carry their heading path, row chunks never cut a record, and
+ *   utils/textExtractor hands CSV over one record per line even when a quoted field spans
+ *   several lines. CSV files are written to a temporary directory.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chunkText, chunkOptionsFor, describeChunkLocation } = require('../utils/chunker');
+const { extractText } = require('../utils/textExtractor');
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunker-test-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function extractCsv(content) {
+  const file = path.join(tmpDir, `${Date.now()}.csv`);
+  fs.writeFileSync(file, content);
+  return extractText(file, 'text/csv');
+}
+
+test('picks the strategy from the file type unless one is set', () => {
+  assert.equal(chunkOptionsFor({ filename: 'guide.md' }).strategy, 'markdown');
+  assert.equal(chunkOptionsFor({ fileType: 'web-page' }).strategy, 'markdown');
+  assert.equal(chunkOptionsFor({ filename: 'prices.csv' }).strategy, 'rows');
+  assert.equal(chunkOptionsFor({ filename: 'notes.txt' }).strategy, 'text');
+  assert.equal(chunkOptionsFor({ filename: 'prices.csv', chunkStrategy: 'text' }).strategy, 'text');
+  assert.equal(chunkOptionsFor({ filename: 'manual.pdf' }).paged, true);
+});
+
+test('markdown chunks are prefixed with their heading path and keep short subsections together', () => {
+  const text = [
+    'Welcome to the help centre.',
+    '# Billing',
+    'How billing works.',
+    '## Refunds',
+    'Refunds take 5 days.',
+    '# Shipping',
+    '```',
+    '# not a heading inside a fence',
+    '```',
+    'Ships in 2 days.'
+  ].join('\n');
+  const chunks = chunkText(text, { strategy: 'markdown', maxTokens: 100 });
+
+  assert.deepEqual(chunks.map(c => c.metadata.headingPath), [[], ['Billing'], ['Shipping']]);
+  assert.equal(chunks[1].text, 'Billing\n\nHow billing works.\n\nRefunds\n\nRefunds take 5 days.');
+  assert.match(chunks[2].text, /# not a heading inside a fence/);
+  assert.equal(describeChunkLocation(chunks[1].metadata), 'Billing');
+});
+
+test('an oversized markdown section repeats its heading path on every piece', () => {
+  const body = Array.from({ length: 30 }, (_, i) => `Sentence number ${i} about returns.`).join(' ');
+  const chunks = chunkText(`# Policies\n## Returns\n${body}`, { strategy: 'markdown', maxTokens: 40, overlapTokens: 0 });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.startsWith('Policies > Returns\n\n'), chunk.text);
+    assert.deepEqual(chunk.metadata.headingPath, ['Policies', 'Returns']);
+  }
+});
+
+test('row chunks group whole records and cite their row range', () => {
+  const rows = Array.from({ length: 6 }, (_, i) => `sku: A-${i}, name: Widget number ${i}, price: ${i}.99`);
+  const chunks = chunkText(rows.join('\n'), { strategy: 'rows', maxTokens: 40 });
+
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(chunks.flatMap(c => c.text.split('\n')), rows);
+  assert.deepEqual(chunks[0].metadata.rows, { from: 1, to: chunks[0].text.split('\n').length });
+  assert.equal(chunks[chunks.length - 1].metadata.rows.to, 6);
+  assert.match(describeChunkLocation(chunks[0].metadata), /^rows 1–\d$/);
+});
+
+test('CSV records with quoted multi-line fields stay on one row', async () => {
+  const text = await extractCsv([
+    'question,answer',
+    '"How do I reset my password?","Step 1: open Settings',
+    'Step 2: choose ""Reset""',
+    'Step 3: check your email"',
+    'Do you ship abroad?,Yes',
+    '"Refunds?","Within 30 days\r\nof delivery"'
+  ].join('\n'));
+
+  const lines = text.split('\n');
+  assert.deepEqual(lines, [
+    'question: How do I reset my password?, answer: Step 1: open Settings\\nStep 2: choose "Reset"\\nStep 3: check your email',
+    'question: Do you ship abroad?, answer: Yes',
+    'question: Refunds?, answer: Within 30 days\\nof delivery'
+  ]);
+
+  const chunks = chunkText(text, { strategy: 'rows', maxTokens: 300 });
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(chunks[0].metadata.rows, { from: 1, to: 3 });
+});
@@ -0,0 +1,53 @@
+/**
+ * @file Citation tests — utils/citations marker validation, renumbering and footnotes
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyCitations } = require('../utils/citations');
+
+const SOURCES = [
+  { text: 'Billing > Refunds\n\nRefunds take 5 days.', metadata: { headingPath: ['Billing', 'Refunds'] }, title: 'Billing guide', knowledgeBaseId: 'kb1', chunkIndex: 0, location: 'Billing > Refunds', similarity: 0.82 },
+  { text: 'We ship worldwide.', title: 'Shipping', sourceUrl: 'https://example.com/shipping', knowledgeBaseId: 'kb2', chunkIndex: 3, similarity: 0.74 },
+  { text: 'Support hours are 9 to 5.', filename: 'hours.txt', knowledgeBaseId: 'kb3', chunkIndex: 1, similarity: 0.61 }
+];
+
+test('renumbers cited sources in order of first use', () => {
+  const { text, citations, invalid, uncited } = applyCitations('We ship worldwide [2]. Refunds take 5 days [Source 1]. Shipping again [2].', SOURCES);
+
+  assert.equal(text, 'We ship worldwide [1]. Refunds take 5 days [2]. Shipping again [1].');
+  assert.deepEqual(citations.map(c => [c.n, c.knowledgeBaseId]), [[1, 'kb2'], [2, 'kb1']]);
+  assert.deepEqual(invalid, []);
+  assert.equal(uncited, false);
+});
+
+test('drops markers that point at sources that were not supplied', () => {
+  const { text, citations, invalid } = applyCitations('Hours are 9 to 5 [3]. Invented fact [7]. Mixed [1, 9].', SOURCES);
+
+  assert.equal(text, 'Hours are 9 to 5 [1]. Invented fact. Mixed [2].');
+  assert.deepEqual(citations.map(c => c.knowledgeBaseId), ['kb3', 'kb1']);
+  assert.deepEqual(invalid.sort((a, b) => a - b), [7, 9]);
+});
+
+test('splits a marker listing several sources into sorted footnote numbers', () => {
+  const { text } = applyCitations('First [2]. Both [1, 2].', SOURCES);
+  assert.equal(text, 'First [1]. Both [1][2].');
+});
+
+test('footnotes link crawled pages and preview uploaded files without the heading prefix', () => {
+  const { citations } = applyCitations('A [1] B [2] C [3]', SOURCES);
+
+  assert.deepEqual(citations[0], {
+    n: 1, knowledgeBaseId: 'kb1', chunkIndex: 0, title: 'Billing guide', url: null,
+    location: 'Billing > Refunds', snippet: 'Refunds take 5 days.', similarity: 0.82
+  });
+  assert.equal(citations[1].url, 'https://example.com/shipping');
+  assert.equal(citations[1].snippet, null);
+  assert.equal(citations[2].title, 'hours.txt');
+});
+
+test('flags answers that cite none of the supplied sources', () => {
+  assert.equal(applyCitations('No markers here.', SOURCES).uncited, true);
+  assert.equal(applyCitations('No markers here.', []).uncited, false);
+  assert.equal(applyCitations('Made up [1].', []).text, 'Made up.');
+});
@@ -0,0 +1,153 @@
+/**
+ * @file Crawler tests — runs utils/crawler against the static site in fixtures/site
+ * @description The fixture site is served on a random local port; robots.txt and
+ *   sitemap.xml get the server's origin substituted for {{origin}}. MongoDB, embeddings,
+ *   versioning, the response cache and dashboard broadcasts are replaced with in-memory
+ *   fakes, so the tests check what the crawler fetches and which KB documents it creates,
+ *   updates and deactivates.
+ */
+
+process.env.CRAWL_DELAY_MS = '0';
+
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const models = require('../db/models');
+const embeddings = require('../utils/embeddings');
+const knowledgeVersions = require('../utils/knowledgeVersions');
+const responseCache = require('../utils/responseCache');
+const websocket = require('../websocket');
+
+const SITE_DIR = path.join(__dirname, 'fixtures', 'site');
+const REDIRECTS = { '/moved.html': '/shipping.html' };
+
+// --- Fixture site -----------------------------------------------------------
+
+let server;
+let origin;
+const requests = [];
+const removed = new Set();   // Paths answering 404 instead of their file
+const overrides = new Map(); // Path -> replacement HTML
+
+function servePage(req, res) {
+  const { pathname } = new URL(req.url, origin);
+  requests.push(pathname);
+  if (REDIRECTS[pathname]) {
+    res.writeHead(301, { Location: REDIRECTS[pathname] });
+    return res.end();
+  }
+  const file = pathname.endsWith('/') ? `${pathname}index.html` : pathname;
+  if (removed.has(file)) {
+    res.writeHead(404);
+    return res.end();
+  }
+  let body = overrides.get(file);
+  if (body === undefined) {
+    try {
+      body = fs.readFileSync(path.join(SITE_DIR, file), 'utf8').replace(/\{\{origin\}\}/g, origin);
+    } catch (err) {
+      res.writeHead(404);
+      return res.end();
+    }
+  }
+  const type = file.endsWith('.html') ? 'text/html; charset=utf-8' : file.endsWith('.xml') ? 'application/xml' : 'text/plain';
+  res.writeHead(200, { 'Content-Type': type });
+  res.end(body);
+}
+
+// --- In-memory collaborators ------------------------------------------------
+
+const documents = [];
+const jobId = new mongoose.Types.ObjectId();
+const job = {
+  _id: jobId,
+  rootUrl: null,
+  maxDepth: 3,
+  maxPages: 50,
+  tags: [],
+  audience: 'public',
+  categoryIds: [],
+  createdBy: new mongoose.Types.ObjectId(),
+  resyncIntervalHours: 0
+};
+
+mock.method(models.CrawlJob, 'findOneAndUpdate', async () => ({ ...job }));
+mock.method(models.CrawlJob, 'findById', () => ({ select: () => ({ lean: async () => ({ cancelRequested: false }) }) }));
+mock.method(models.CrawlJob, 'updateOne', async () => ({}));
+mock.method(models.KnowledgeBase, 'findOne', async ({ sourceUrl }) => documents.find(d => d.sourceUrl === sourceUrl) || null);
+mock.method(models.KnowledgeBase, 'find', async ({ active }) => documents.filter(d => d.active === active));
+mock.method(models.KnowledgeBase, 'create', async fields => {
+  const document = { _id: new mongoose.Types.ObjectId(), ...fields, save: async () => document };
+  documents.push(document);
+  return document;
+});
+mock.method(embeddings, 'generateEmbeddingsForChunks', async () => {});
+mock.method(embeddings, 'deleteEmbeddings', async () => {});
+mock.method(knowledgeVersions, 'recordVersion', async () => {});
+mock.method(knowledgeVersions, 'updateDocumentContent', async (document, content) => {
+  document.content = content;
+});
+mock.method(responseCache, 'invalidateCachedAnswers', async () => ({ deleted: 0, stale: 0 }));
+mock.method(websocket, 'broadcastToDashboard', () => {});
+
+// Loaded after the fakes: it destructures its dependencies at require time
+const { runCrawl, parseRobots, isAllowedByRobots } = require('../utils/crawler');
+
+const byPath = pathname => documents.find(d => new URL(d.sourceUrl).pathname === pathname);
+
+before(async () => {
+  server = http.createServer(servePage);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+  job.rootUrl = `${origin}/`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests.length = 0;
+});
+
+test('robots rules: longest match wins, Allow wins ties', () => {
+  const robots = parseRobots(fs.readFileSync(path.join(SITE_DIR, 'robots.txt'), 'utf8'));
+  assert.equal(isAllowedByRobots(robots, 'http://x/private/secret.html'), false);
+  assert.equal(isAllowedByRobots(robots, 'http://x/private/press.html'), true);
+  assert.equal(isAllowedByRobots(robots, 'http://x/about.html'), true);
+});
+
+test('first crawl follows links and the sitemap, honours robots.txt and fetches redirect targets once', async () => {
+  const progress = await runCrawl(jobId);
+
+  assert.ok(!requests.includes('/private/secret.html'), 'disallowed page was fetched');
+  assert.ok(requests.includes('/private/press.html'), 'allowed page under a disallowed path was skipped');
+  assert.equal(requests.filter(p => p === '/shipping.html').length, 1, 'redirect target fetched more than once');
+
+  const paths = documents.map(d => new URL(d.sourceUrl).pathname).sort();
+  assert.deepEqual(paths, ['/', '/about.html', '/faq.html', '/private/press.html', '/shipping.html']);
+  assert.ok(byPath('/faq.html'), 'sitemap-only page was not discovered');
+  assert.ok(!documents.some(d => d.sourceUrl.endsWith('/moved.html')), 'page stored under its redirecting URL');
+  assert.equal(progress.created, 5);
+  assert.equal(progress.deactivated, 0);
+});
+
+test('re-crawl re-syncs changed pages by hash and deactivates removed and unlinked ones', async () => {
+  removed.add('/about.html');
+  overrides.set('/faq.html', fs.readFileSync(path.join(SITE_DIR, 'faq.html'), 'utf8')
+    .replace('within 30 days', 'within 60 days'));
+  overrides.set('/index.html', fs.readFileSync(path.join(SITE_DIR, 'index.html'), 'utf8')
+    .replace(' <a href="/private/press.html">Press</a>', ''));
+
+  const progress = await runCrawl(jobId);
+
+  assert.equal(progress.created, 0);
+  assert.equal(progress.updated, 1);
+  assert.match(byPath('/faq.html').content, /within 60 days/);
+  assert.equal(progress.unchanged, 2); // index (its text didn't change) and shipping
+  assert.equal(byPath('/about.html').active, false, '404 page left active');
+  assert.equal(byPath('/private/press.html').active, false, 'unlinked page left active after a complete run');
+  assert.equal(progress.deactivated, 2);
+  assert.ok(documents.filter(d => d.active).every(d => !d.sourceUrl.endsWith('/about.html')));
+});
@@ -0,0 +1,84 @@
+/**
+ * @file Experiment tests — utils/experiments bucketing and significance tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { assignVariant, normalCdf, proportionTest, meanTest, summarizeVariants, MIN_SAMPLE } = require('../utils/experiments');
+
+const experiment = (weights) => ({
+  _id: 'exp-1',
+  variants: weights.map((weight, i) => ({ key: i === 0 ? 'control' : `v${i}`, weight }))
+});
+
+const sessions = Array.from({ length: 4000 }, (_, i) => `session-${i}`);
+
+test('a session always lands in the same variant', () => {
+  const split = experiment([50, 50]);
+  for (const sessionId of sessions.slice(0, 50)) {
+    assert.equal(assignVariant(split, sessionId).key, assignVariant(split, sessionId).key);
+  }
+  // The experiment id is part of the hash, so another experiment reshuffles sessions
+  const other = { ...split, _id: 'exp-2' };
+  assert.ok(sessions.slice(0, 50).some(s => assignVariant(split, s).key !== assignVariant(other, s).key));
+});
+
+test('traffic splits in proportion to the weights, skipping zero-weight variants', () => {
+  const counts = { control: 0, v1: 0, v2: 0 };
+  for (const sessionId of sessions) counts[assignVariant(experiment([80, 20, 0]), sessionId).key]++;
+
+  assert.equal(counts.v2, 0);
+  assert.ok(Math.abs(counts.control / sessions.length - 0.8) < 0.03, JSON.stringify(counts));
+  assert.equal(assignVariant(experiment([0, 0]), 'session-1'), null);
+});
+
+test('changing weights only moves sessions near the bucket boundary', () => {
+  const before = experiment([50, 50]);
+  const after = experiment([60, 40]);
+  const moved = sessions.filter(s => assignVariant(before, s).key !== assignVariant(after, s).key);
+
+  assert.ok(moved.every(s => assignVariant(before, s).key === 'v1'));
+  assert.ok(Math.abs(moved.length / sessions.length - 0.1) < 0.03, String(moved.length));
+});
+
+test('normalCdf matches the standard normal table', () => {
+  assert.equal(Math.round(normalCdf(0) * 1e4) / 1e4, 0.5);
+  assert.equal(Math.round(normalCdf(1.96) * 1e4) / 1e4, 0.975);
+  assert.equal(Math.round(normalCdf(-1.645) * 1e4) / 1e4, 0.05);
+});
+
+test('proportionTest: two-sided pooled z-test', () => {
+  // 30% vs 50% over 100 chats each: z = 2.89, p = 0.0039
+  assert.deepEqual(proportionTest(30, 100, 50, 100), { delta: 0.2, pValue: 0.0039, significant: true, enoughData: true });
+  assert.deepEqual(proportionTest(30, 100, 30, 100), { delta: 0, pValue: 1, significant: false, enoughData: true });
+  assert.equal(proportionTest(3, 0, 5, 10), null);
+
+  // A big difference on a handful of chats is not called significant
+  const small = proportionTest(0, MIN_SAMPLE - 1, MIN_SAMPLE - 1, MIN_SAMPLE - 1);
+  assert.equal(small.enoughData, false);
+  assert.equal(small.significant, false);
+});
+
+test('meanTest: Welch z-test for a difference in means', () => {
+  // 4.0 vs 4.5 with sd 1 over 50 each: se = 0.2, z = 2.5, p = 0.0124
+  assert.deepEqual(
+    meanTest({ mean: 4, sd: 1, n: 50 }, { mean: 4.5, sd: 1, n: 50 }),
+    { delta: 0.5, pValue: 0.0124, significant: true, enoughData: true }
+  );
+  assert.equal(meanTest({ mean: 4, sd: 1, n: 1 }, { mean: 5, sd: 1, n: 1 }).pValue, 1);
+  assert.equal(meanTest({ mean: null, sd: 0, n: 0 }, { mean: 4, sd: 1, n: 10 }), null);
+});
+
+test('summarizeVariants compares each variant with the first', () => {
+  const rows = summarizeVariants(experiment([50, 50]), {
+    control: { chats: 100, escalatedChats: 30, thumbsUp: 40, thumbsDown: 10 },
+    v1: { chats: 100, escalatedChats: 50, thumbsUp: 45, thumbsDown: 5 }
+  });
+
+  assert.equal(rows[0].control, true);
+  assert.equal(rows[0].vsControl, undefined);
+  assert.equal(rows[1].escalationRate, 0.5);
+  assert.equal(rows[1].thumbsUpRate, 0.9);
+  assert.equal(rows[1].vsControl.escalationRate.significant, true);
+  assert.equal(rows[1].vsControl.avgRating, null);
+});
@@ -0,0 +1,90 @@
+/**
+ * @file Grounding tests — utils/grounding claim extraction and the heuristic check
+ * @description The `grounding` setting and LLM bookkeeping are replaced with in-memory fakes;
+ *   the LLM judge runs on the mock provider, whose non-JSON reply exercises the fallback.
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const models = require('../db/models');
+
+mock.method(models.Setting, 'findOne', () => ({ lean: async () => null }));
+mock.method(models.Setting, 'find', () => ({ lean: async () => [] }));
+mock.method(models.Usage, 'create', async () => ({}));
+mock.method(models.RedactionEvent, 'create', async () => ({}));
+
+const { withProviderOverride } = require('../utils/llm');
+const { extractClaims, checkClaimsHeuristic, verifyGrounding } = require('../utils/grounding');
+
+const SOURCES = [
+  'Billing > Refunds\n\nRefunds are issued to the original payment method within 5 business days.',
+  'The Pro plan costs $29 per month and includes 10 team seats.'
+];
+
+test('extractClaims splits sentences and list items, skipping questions and courtesy lines', () => {
+  const claims = extractClaims([
+    'Refunds go back to the original payment method [1]. Thanks!',
+    '',
+    '- The **Pro plan** costs $29 per month [2].',
+    '2. It includes 10 team seats.',
+    'Would you like me to upgrade your account?'
+  ].join('\n'));
+
+  assert.deepEqual(claims, [
+    'Refunds go back to the original payment method.',
+    'The Pro plan costs $29 per month.',
+    'It includes 10 team seats.'
+  ]);
+});
+
+test('a claim is supported when most of its content words appear in one source', () => {
+  const [refund, seats] = checkClaimsHeuristic([
+    'Refunds are issued to the original payment method.',
+    'The Pro plan includes 10 team seats.'
+  ], SOURCES, 0.6);
+
+  assert.equal(refund.supported, true);
+  assert.equal(refund.score, 1);
+  assert.equal(seats.supported, true);
+});
+
+test('a claim stating a number no source mentions fails outright', () => {
+  const [price, unrelated] = checkClaimsHeuristic([
+    'The Pro plan costs $39 per month.',
+    'Our office dog is named Biscuit.'
+  ], SOURCES, 0.6);
+
+  assert.deepEqual(price, { text: 'The Pro plan costs $39 per month.', supported: false, score: 0 });
+  assert.equal(unrelated.supported, false);
+});
+
+test('verifyGrounding scores the share of supported claims against the threshold', async () => {
+  const result = await verifyGrounding(
+    'Refunds are issued to the original payment method within 5 business days [1]. The Pro plan costs $49 per month [2].',
+    SOURCES,
+    { config: { mode: 'heuristic', threshold: 0.75 } }
+  );
+
+  assert.equal(result.mode, 'heuristic');
+  assert.equal(result.groundedness, 0.5);
+  assert.equal(result.grounded, false);
+  assert.deepEqual(result.claims.map(c => c.supported), [true, false]);
+});
+
+test('verifyGrounding is skipped when off or when there is nothing to check', async () => {
+  assert.equal(await verifyGrounding('The Pro plan costs $29 per month.', SOURCES, { config: { mode: 'off' } }), null);
+  assert.equal(await verifyGrounding('Happy to help!', SOURCES, { config: { mode: 'heuristic' } }), null);
+  assert.equal(await verifyGrounding('The Pro plan costs $29 per month.', [], { config: { mode: 'heuristic' } }), null);
+});
+
+test('an unusable LLM verdict falls back to the heuristic', async () => {
+  const result = await withProviderOverride({ provider: 'mock' }, () => verifyGrounding(
+    'The Pro plan costs $29 per month.',
+    SOURCES,
+    { config: { mode: 'llm', threshold: 0.5 } }
+  ));
+
+  assert.equal(result.mode, 'heuristic');
+  assert.ok(result.judgeError);
+  assert.equal(result.grounded, true);
+});
@@ -0,0 +1,80 @@
+/**
+ * @file Hybrid search tests — utils/hybridSearch fusion and keyword-hit handling
+ * @description Fusion and tokenization are pure. For hybridSearch() itself the embedding call,
+ *   vector search, keyword index, scope lookup and models are replaced with in-memory fakes
+ *   that hold a few chunks, one of them still stamped with the previous embedding model.
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const models = require('../db/models');
+const embeddings = require('../utils/embeddings');
+const vectorSearch = require('../utils/vectorSearch');
+const keywordIndex = require('../utils/keywordIndex');
+const knowledgeScope = require('../utils/knowledgeScope');
+
+const MODEL = 'openai:text-embedding-3-small';
+const CHUNKS = [
+  { _id: 'e1', knowledgeBaseId: 'kb1', chunkIndex: 0, text: 'Refunds take 5 days.', embedding: [1, 0], embeddingModel: MODEL },
+  { _id: 'e2', knowledgeBaseId: 'kb2', chunkIndex: 0, text: 'Error ERR-4012 means the card was declined.', embedding: [0.6, 0.8], embeddingModel: MODEL },
+  { _id: 'e3', knowledgeBaseId: 'kb2', chunkIndex: 1, text: 'ERR-4012 troubleshooting steps.', embedding: [0, 1, 0], embeddingModel: 'legacy' }
+];
+const byId = id => CHUNKS.find(c => c._id === id);
+
+mock.method(models.Setting, 'findOne', () => ({ lean: async () => null }));
+mock.method(embeddings, 'embedText', async () => ({ vector: [1, 0], modelId: MODEL }));
+mock.method(knowledgeScope, 'getAllowedKnowledgeBaseIds', async () => null);
+mock.method(vectorSearch, 'findSimilarEmbeddings', async () => [{ ...byId('e1'), similarity: 0.9 }]);
+mock.method(keywordIndex, 'searchKeywords', () => [{ id: 'e3', score: 7.5 }, { id: 'e2', score: 6.1 }]);
+mock.method(models.Embedding, 'find', filter => ({
+  lean: async () => CHUNKS
+    .filter(c => filter._id.$in.includes(c._id) && (!filter.embeddingModel || c.embeddingModel === filter.embeddingModel))
+    .map(c => ({ ...c }))
+}));
+mock.method(models.KnowledgeBase, 'find', () => ({
+  select: () => ({ lean: async () => [{ _id: 'kb1', filename: 'refunds.md' }, { _id: 'kb2', filename: 'errors.md' }] })
+}));
+
+// Loaded after the fakes: it destructures its dependencies at require time
+const { fuseResults, hybridSearch } = require('../utils/hybridSearch');
+const { tokenize } = require('../utils/keywordIndex');
+
+test('keyword tokens keep compound identifiers whole and index their parts', () => {
+  assert.deepEqual(tokenize('What does ERR-4012 mean for plan v2.3?'), ['err-4012', 'err', '4012', 'mean', 'plan', 'v2.3', 'v2', '3']);
+});
+
+test('RRF fusion ranks chunks found by both retrievers first', () => {
+  const fused = fuseResults(
+    [{ id: 'a', similarity: 0.9 }, { id: 'b', similarity: 0.8 }],
+    [{ id: 'b', score: 9 }, { id: 'c', score: 4 }],
+    { fusion: 'rrf', rrfK: 60 }
+  );
+
+  assert.deepEqual(fused.map(c => c.id), ['b', 'a', 'c']);
+  assert.equal(fused[0].fused, 1 / 62 + 1 / 61);
+  assert.deepEqual([fused[0].vectorRank, fused[0].bm25Rank], [2, 1]);
+  assert.deepEqual([fused[2].vector, fused[2].bm25Rank], [null, 2]);
+});
+
+test('weighted fusion mixes cosine with BM25 normalized to the best keyword score', () => {
+  const fused = fuseResults(
+    [{ id: 'a', similarity: 0.9 }, { id: 'b', similarity: 0.2 }],
+    [{ id: 'b', score: 10 }, { id: 'c', score: 5 }],
+    { fusion: 'weighted', vectorWeight: 0.5 }
+  );
+
+  assert.deepEqual(fused.map(c => [c.id, c.fused]), [['b', 0.6], ['a', 0.45], ['c', 0.25]]);
+});
+
+test('keyword-only hits get their cosine, and chunks stamped with another model are skipped', async () => {
+  const { results, retrieval } = await hybridSearch('ERR-4012', { config: { mode: 'hybrid', fusion: 'rrf', rerank: 'none' } });
+
+  // e3 ranked first by BM25 but has no vector from the active model; e2 is found by keyword only
+  assert.deepEqual(results.map(r => [r.knowledgeBaseId, r.chunkIndex]), [['kb1', 0], ['kb2', 0]]);
+  assert.equal(results[0].scores.vector, 0.9);
+  assert.equal(results[1].similarity, 0.6);
+  assert.equal(results[1].filename, 'errors.md');
+  assert.deepEqual([results[1].scores.vector, results[1].scores.bm25Rank], [null, 2]);
+  assert.equal(retrieval.keywordAvailable, true);
+  assert.deepEqual(retrieval.candidates, { vector: 1, keyword: 2 });
+});
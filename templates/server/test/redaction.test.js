@@ -0,0 +1,70 @@
+/**
+ * @file Redaction tests — utils/redaction detectors with the default settings
+ * @description The `redaction` setting is replaced with an empty one, so every built-in
+ *   detector is on and nothing is allow-listed. Covers what must be masked (emails, Luhn-valid
+ *   cards, phone numbers in the common shapes) and what must be left alone (dates, times,
+ *   order numbers, SKUs, versions).
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const models = require('../db/models');
+
+mock.method(models.Setting, 'findOne', () => ({ lean: async () => null }));
+
+const { maskPii, containsPii, createRedactor, getRedactionSettings } = require('../utils/redaction');
+
+test('masks email addresses', async () => {
+  const { text, counts } = await maskPii('Reach me at jane.doe+orders@example.co.uk or ops@acme.io.');
+  assert.equal(text, 'Reach me at [EMAIL] or [EMAIL].');
+  assert.deepEqual(counts, { email: 2 });
+});
+
+test('masks card numbers only when they pass the Luhn check', async () => {
+  assert.equal((await maskPii('Card 4111 1111 1111 1111 please')).text, 'Card [CARD] please');
+  assert.equal((await maskPii('Card 5555-5555-5555-4444')).text, 'Card [CARD]');
+  assert.equal((await maskPii('Ref 4111 1111 1111 1112')).text, 'Ref 4111 1111 1111 1112');
+});
+
+test('masks phone numbers in international, area-code, North American and national shapes', async () => {
+  const phones = [
+    '+1 555 123 4567',
+    '+15551234567',
+    '+44 20 7946 0958',
+    '+33 6 12 34 56 78',
+    '+1 (555) 123-4567',
+    '(555) 123-4567',
+    '555-123-4567',
+    '555.123.4567',
+    '1-800-555-0199',
+    '020 7946 0958',
+    '07700 900123'
+  ];
+  for (const phone of phones) {
+    const { text } = await maskPii(`Call me on ${phone} tomorrow.`);
+    assert.equal(text, 'Call me on [PHONE] tomorrow.', phone);
+  }
+});
+
+test('leaves dates, times, order numbers and SKUs alone', async () => {
+  const texts = [
+    'Order placed 2024-10-21 12:30, SKU 1234-5678-901',
+    'Delivered 2024-10-21T12:30:00+02:00',
+    'Order #123456789 shipped on 21.10.2024',
+    'Tracking 1Z999AA10123456784',
+    'Upgrade to version 10.2.3456 or 2024.10.21',
+    'Invoice INV-2024-000123, total 1,234,567.89'
+  ];
+  for (const text of texts) {
+    assert.equal((await maskPii(text)).text, text);
+    assert.equal(await containsPii(text), false, text);
+  }
+});
+
+test('reversible redaction numbers repeated values once and restores them', async () => {
+  const redactor = createRedactor(await getRedactionSettings());
+  const redacted = redactor.redact('Email jane@example.com, call 555-123-4567, email jane@example.com again');
+  assert.equal(redacted, 'Email [EMAIL_1], call [PHONE_1], email [EMAIL_1] again');
+  assert.deepEqual(redactor.counts, { email: 2, phone: 1 });
+  assert.equal(redactor.restore('We will write to [EMAIL_1].'), 'We will write to jane@example.com.');
+});
@@ -0,0 +1,338 @@
+/**
+ * @file aiActions — Admin-registered HTTP actions the AI can call as tools
+ * @description Lets /api/ai/query answer questions about the customer's own data ("where is
+ * my order?") instead of escalating. An AiAction (db/models) describes one HTTP endpoint:
+ *   - name / description / parameters — exposed to the model as a tool (JSON schema arguments)
+ *   - method + url — `{{param}}` placeholders are filled from the model's arguments; arguments
+ *     not used in the URL go in the query string (GET) or the JSON body (POST).
+ *     `{{chat.userEmail}}`, `{{chat.userId}}`, `{{chat.sessionId}}` and `{{chat.chatId}}` come
+ *     from the chat, never from the model — use them to scope lookups to the customer asking
+ *     (they are only as trustworthy as the widget's identification of that customer)
+ *   - authHeader — sent with every call, never returned by the API
+ *   - responseMapping — { root?, fields? } dot paths that trim the response to what the
+ *     model needs (less noise, fewer tokens, no unrelated personal data)
+ *
+ * completeWithActions() runs the tool loop: the model requests calls, they execute server-side
+ * (arguments validated against the schema, per-action timeout), results go back as tool
+ * messages, up to MAX_TOOL_ROUNDS. Failures are reported to the model as errors, never thrown,
+ * so a broken endpoint degrades to a normal KB answer or escalation.
+ * @module utils/aiActions
+ */
+
+const { AiAction } = require('../db/models');
+const { complete } = require('./llm');
+
+const CACHE_TTL_MS = 30000;
+const MAX_TOOL_ROUNDS = 3;
+const MAX_RESULT_CHARS = 2000;
+const DEFAULT_TIMEOUT_MS = 5000;
+const MAX_TIMEOUT_MS = 30000;
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const PARAM_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+const CHAT_VARIABLES = ['userEmail', 'userId', 'sessionId', 'chatId'];
+
+let cachedActions = null;
+let cachedAt = 0;
+
+/**
+ * Enabled actions (cached for CACHE_TTL_MS). Errors read as "no actions" so AI replies never
+ * fail on an action lookup.
+ * @returns {Promise<Array<Object>>}
+ */
+async function getEnabledActions() {
+  if (cachedActions && Date.now() - cachedAt < CACHE_TTL_MS) return cachedActions;
+  try {
+    cachedActions = await AiAction.find({ enabled: true }).lean();
+  } catch (err) {
+    console.error('[AI Actions] Failed to load actions:', err.message);
+    cachedActions = [];
+  }
+  cachedAt = Date.now();
+  return cachedActions;
+}
+
+/** Drop the cached action list so the next query re-reads it */
+function clearActionCache() {
+  cachedActions = null;
+}
+
+/**
+ * Validate and normalize action input. Only known fields are kept.
+ * @param {Object} input - Raw fields from the request body
+ * @returns {{action: Object, errors: string[]}} Only fields present in the input are returned
+ */
+function normalizeAction(input = {}) {
+  const errors = [];
+  const action = {};
+
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || !NAME_PATTERN.test(input.name)) {
+      errors.push('name must be 1-64 letters, digits, _ or -');
+    } else {
+      action.name = input.name;
+    }
+  }
+  if (input.description !== undefined) {
+    if (typeof input.description !== 'string' || !input.description.trim()) errors.push('description is required');
+    else action.description = input.description.trim();
+  }
+  if (input.parameters !== undefined) {
+    const schema = input.parameters || { type: 'object', properties: {} };
+    if (typeof schema !== 'object' || Array.isArray(schema) || schema.type !== 'object') {
+      errors.push('parameters must be a JSON schema with type "object"');
+    } else {
+      const properties = schema.properties || {};
+      for (const [prop, def] of Object.entries(properties)) {
+        if (!def || !PARAM_TYPES.includes(def.type)) errors.push(`parameter "${prop}" needs a type (${PARAM_TYPES.join(', ')})`);
+      }
+      const required = schema.required || [];
+      if (!Array.isArray(required) || required.some(prop => !properties[prop])) {
+        errors.push('parameters.required must list defined properties');
+      }
+      action.parameters = { ...schema, properties, required };
+    }
+  }
+  if (input.method !== undefined) {
+    const method = String(input.method).toUpperCase();
+    if (!['GET', 'POST'].includes(method)) errors.push('method must be GET or POST');
+    else action.method = method;
+  }
+  if (input.url !== undefined) {
+    let parsed = null;
+    try {
+      // Placeholders aren't valid in hostnames — check the template with them filled in
+      parsed = new URL(String(input.url).replace(/\{\{[^}]+\}\}/g, 'x'));
+    } catch (err) { /* reported below */ }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) errors.push('url must be an http(s) URL');
+    else action.url = String(input.url).trim();
+  }
+  if (input.authHeader !== undefined) {
+    const header = input.authHeader || {};
+    if (header.name && !/^[A-Za-z0-9-]+$/.test(header.name)) errors.push('authHeader.name is not a valid header name');
+    else action.authHeader = { name: header.name || '', value: header.value };
+  }
+  if (input.responseMapping !== undefined) {
+    const mapping = input.responseMapping || {};
+    if (typeof mapping !== 'object' || Array.isArray(mapping)
+      || (mapping.root !== undefined && typeof mapping.root !== 'string')
+      || (mapping.fields !== undefined && (typeof mapping.fields !== 'object' || Object.values(mapping.fields).some(p => typeof p !== 'string')))) {
+      errors.push('responseMapping must be { root?: "path", fields?: { name: "path" } }');
+    } else {
+      action.responseMapping = mapping;
+    }
+  }
+  if (input.timeoutMs !== undefined) {
+    const timeoutMs = parseInt(input.timeoutMs);
+    if (!Number.isInteger(timeoutMs) || timeoutMs < 100 || timeoutMs > MAX_TIMEOUT_MS) {
+      errors.push(`timeoutMs must be between 100 and ${MAX_TIMEOUT_MS}`);
+    } else {
+      action.timeoutMs = timeoutMs;
+    }
+  }
+  if (input.enabled !== undefined) action.enabled = !!input.enabled;
+
+  return { action, errors };
+}
+
+/** Tool definitions for complete() */
+function toToolDefinitions(actions) {
+  return actions.map(action => ({
+    name: action.name,
+    description: action.description,
+    parameters: action.parameters || { type: 'object', properties: {} }
+  }));
+}
+
+/**
+ * Check the model's arguments against the action's schema (required, types, enums).
+ * @returns {string[]} Problems, empty when valid
+ */
+function validateArguments(schema, input) {
+  const errors = [];
+  const properties = (schema && schema.properties) || {};
+  for (const prop of (schema && schema.required) || []) {
+    if (input[prop] === undefined || input[prop] === null || input[prop] === '') errors.push(`${prop} is required`);
+  }
+  for (const [prop, value] of Object.entries(input)) {
+    const def = properties[prop];
+    if (!def) {
+      errors.push(`unknown argument ${prop}`);
+      continue;
+    }
+    const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    const ok = def.type === 'integer' ? Number.isInteger(value) : def.type === type;
+    if (!ok) errors.push(`${prop} must be ${def.type}`);
+    else if (Array.isArray(def.enum) && !def.enum.includes(value)) errors.push(`${prop} must be one of ${def.enum.join(', ')}`);
+  }
+  return errors;
+}
+
+/** Read a dot path ("order.items.0.name") from a parsed response */
+function getPath(data, path) {
+  if (!path) return data;
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+/**
+ * Trim a response to the mapped fields.
+ * @param {*} data - Parsed response body
+ * @param {Object} [mapping] - { root?, fields? }
+ * @returns {*}
+ */
+function applyResponseMapping(data, mapping) {
+  if (!mapping) return data;
+  const root = getPath(data, mapping.root);
+  if (!mapping.fields || Object.keys(mapping.fields).length === 0) return root;
+  const pick = item => Object.fromEntries(Object.entries(mapping.fields).map(([name, path]) => [name, getPath(item, path)]));
+  return Array.isArray(root) ? root.map(pick) : pick(root);
+}
+
+/**
+ * Call an action's endpoint.
+ * @param {Object} action - AiAction
+ * @param {Object} input - Arguments from the model (validated here)
+ * @param {Object} [context] - Chat values for {{chat.*}} placeholders: { userEmail, userId, sessionId, chatId }
+ * @returns {Promise<Object>} { ok, status?, data?, error?, durationMs } — never throws
+ */
+async function executeAction(action, input = {}, context = {}) {
+  const startTime = Date.now();
+  const args = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const invalid = validateArguments(action.parameters, args);
+  if (invalid.length > 0) {
+    return { ok: false, error: `Invalid arguments: ${invalid.join('; ')}`, durationMs: 0 };
+  }
+
+  const used = new Set();
+  let missing = null;
+  const url = action.url.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+    const chatVar = name.startsWith('chat.') ? name.substring(5) : null;
+    const value = chatVar !== null ? (CHAT_VARIABLES.includes(chatVar) ? context[chatVar] : undefined) : args[name];
+    if (chatVar === null) used.add(name);
+    if (value === undefined || value === null || value === '') {
+      missing = missing || (chatVar !== null ? `the customer's ${chatVar} is not known` : `${name} is required`);
+      return '';
+    }
+    return encodeURIComponent(String(value));
+  });
+  if (missing) {
+    return { ok: false, error: `Cannot call ${action.name}: ${missing}`, durationMs: 0 };
+  }
+
+  const rest = Object.fromEntries(Object.entries(args).filter(([name]) => !used.has(name)));
+  const target = new URL(url);
+  const headers = { Accept: 'application/json' };
+  if (action.authHeader && action.authHeader.name && action.authHeader.value) {
+    headers[action.authHeader.name] = action.authHeader.value;
+  }
+  const request = { method: action.method || 'GET', headers, redirect: 'error' };
+  if (request.method === 'GET') {
+    for (const [name, value] of Object.entries(rest)) {
+      target.searchParams.set(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+  } else {
+    headers['Content-Type'] = 'application/json';
+    request.body = JSON.stringify(rest);
+  }
+
+  const controller = new AbortController();
+  const timeoutMs = action.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(target, { ...request, signal: controller.signal });
+    const body = await response.text();
+    let data = body;
+    try {
+      data = JSON.parse(body);
+    } catch (err) {
+      // Plain-text responses are passed through as-is
+    }
+    if (!response.ok) {
+      const detail = typeof data === 'object' ? (data.error || data.message || '') : String(data).substring(0, 200);
+      return { ok: false, status: response.status, error: `HTTP ${response.status}${detail ? `: ${detail}` : ''}`, durationMs: Date.now() - startTime };
+    }
+    return {
+      ok: true,
+      status: response.status,
+      data: typeof data === 'object' ? applyResponseMapping(data, action.responseMapping) : data,
+      durationMs: Date.now() - startTime
+    };
+  } catch (err) {
+    const error = err.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : err.message;
+    return { ok: false, error, durationMs: Date.now() - startTime };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** Tool result text for the model, capped at MAX_RESULT_CHARS */
+function formatToolResult(result) {
+  const payload = result.ok ? result.data : { error: result.error };
+  const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return text.length > MAX_RESULT_CHARS ? `${text.substring(0, MAX_RESULT_CHARS)}… (truncated)` : text;
+}
+
+/**
+ * complete() with the actions exposed as tools: runs requested calls and feeds the results
+ * back until the model answers in text (or MAX_TOOL_ROUNDS rounds of calls have run).
+ * @param {string} feature - LLM feature
+ * @param {Object} params - complete() params; `messages` is extended in place with the tool turns
+ * @param {Object} options - complete() options
+ * @param {Object} tooling
+ * @param {Array<Object>} tooling.actions - Enabled AiActions
+ * @param {Object} [tooling.context] - Chat values for {{chat.*}} placeholders
+ * @returns {Promise<{completion: Object, toolCalls: Array<Object>}>} completion is the final
+ *   one with usage and latency summed over all rounds; toolCalls is
+ *   [{ id, name, input, ok, status?, data?, error?, durationMs }]
+ */
+async function completeWithActions(feature, params, options, { actions, context = {} }) {
+  const tools = toToolDefinitions(actions);
+  const toolCalls = [];
+  const inputTokens = [];
+  const outputTokens = [];
+  let latencyMs = 0;
+
+  let completion;
+  for (let round = 0; ; round++) {
+    // Tools stay defined on every round (providers reject tool turns without them); calls
+    // requested after the last round are ignored and the model's text, if any, is the answer
+    completion = await complete(feature, { ...params, tools }, options);
+    inputTokens.push(completion.usage.inputTokens);
+    outputTokens.push(completion.usage.outputTokens);
+    latencyMs += completion.latencyMs;
+    if (completion.toolCalls.length === 0 || round === MAX_TOOL_ROUNDS) break;
+
+    params.messages.push({ role: 'assistant', content: completion.text, toolCalls: completion.toolCalls });
+    for (const call of completion.toolCalls) {
+      const action = actions.find(a => a.name === call.name);
+      const result = action
+        ? await executeAction(action, call.input, context)
+        : { ok: false, error: `Unknown action ${call.name}`, durationMs: 0 };
+      console.log(`[AI Actions] ${call.name}(${JSON.stringify(call.input)}) → ${result.ok ? `HTTP ${result.status}` : result.error} in ${result.durationMs}ms`);
+      toolCalls.push({ id: call.id, name: call.name, input: call.input, ...result });
+      params.messages.push({ role: 'tool', toolCallId: call.id, content: formatToolResult(result) });
+    }
+  }
+
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  return {
+    completion: {
+      ...completion,
+      usage: { inputTokens: sum(inputTokens), outputTokens: sum(outputTokens) },
+      latencyMs
+    },
+    toolCalls
+  };
+}
+
+module.exports = {
+  MAX_TOOL_ROUNDS,
+  getEnabledActions,
+  clearActionCache,
+  normalizeAction,
+  validateArguments,
+  applyResponseMapping,
+  executeAction,
+  formatToolResult,
+  completeWithActions
+};
@@ -0,0 +1,644 @@
+/**
+ * @file annIndex — In-process approximate nearest-neighbour index (HNSW) over KB embeddings
+ * @description Pure-JS Hierarchical Navigable Small World graph used to find the most
+ * similar Embedding documents without scanning the whole collection. Vectors are
+ * L2-normalized on insert so inner product equals cosine similarity.
+ *
+ * Lifecycle:
+ *   - initVectorIndex() runs at server startup: loads the persisted index from disk,
+ *     reconciles it with the Embedding collection (adds missing rows, drops stale ones),
+ *     or builds from scratch if nothing usable is on disk
+ *   - indexEmbedding() / unindexEmbeddings() keep it current as embeddings are created,
+ *     updated and deleted (called from utils/embeddings)
+ *   - Changes are persisted to ANN_INDEX_PATH (debounced) as <path>.json (graph) and
+ *     <path>.bin (Float32 vectors)
+ *   - queryIndex() returns null while the index is not ready; callers fall back to
+ *     exact search
+ *
+ * The index holds vectors of one embedding model — the active one when it was built
+ * (utils/embeddingBackends). Embeddings stamped with another model are left out, queries
+ * from another model get null, and the persisted index is discarded if the model changed.
+ * The re-embedding migration rebuilds it at cut-over.
+ *
+ * Config: ANN_INDEX=off disables the index entirely; ANN_M, ANN_EF_CONSTRUCTION and
+ * ANN_EF_SEARCH tune graph degree and search breadth (higher = better recall, slower).
+ * @module utils/annIndex
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Embedding } = require('../db/models');
+const { LEGACY_MODEL_ID, getActiveEmbeddingModel } = require('./embeddingBackends');
+
+const INDEX_PATH = process.env.ANN_INDEX_PATH || path.join(__dirname, '..', 'data', 'ann-index');
+const SAVE_DEBOUNCE_MS = 5000;
+const BUILD_YIELD_EVERY = 200;           // Yield to the event loop every N inserts while building
+const REBUILD_DELETED_RATIO = 0.2;       // Compact the graph once this share of nodes is tombstoned
+const PRUNE_SLACK = 1.25;               // Neighbour lists may grow to 125% of budget before pruning
+const FORMAT_VERSION = 1;
+
+// ============================================================
+// Binary heap (used for HNSW candidate/result queues)
+// ============================================================
+
+class Heap {
+  /** @param {Function} higherPriority - (a, b) => true if a should be popped before b */
+  constructor(higherPriority) {
+    this.items = [];
+    this.higherPriority = higherPriority;
+  }
+
+  get size() { return this.items.length; }
+
+  peek() { return this.items[0]; }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.higherPriority(items[i], items[parent])) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && this.higherPriority(items[left], items[best])) best = left;
+        if (right < items.length && this.higherPriority(items[right], items[best])) best = right;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+// ============================================================
+// HNSW graph
+// ============================================================
+
+/** Copy a vector into a unit-length Float32Array */
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+class HNSWIndex {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.M=16] - Max neighbours per node on upper layers (2*M on layer 0)
+   * @param {number} [options.efConstruction=200] - Candidate list size while inserting
+   * @param {number} [options.efSearch=64] - Candidate list size while querying
+   */
+  constructor({ M = 16, efConstruction = 200, efSearch = 64 } = {}) {
+    this.M = M;
+    this.maxNeighbors0 = M * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(M);
+
+    this.dim = null;
+    this.ids = [];          // internal index -> external id (string)
+    this.vectors = [];      // internal index -> Float32Array (normalized)
+    this.levels = [];       // internal index -> top layer of node
+    this.links = [];        // internal index -> [layer] -> neighbour internal indexes
+    this.deleted = [];      // internal index -> tombstone flag
+    this.idToIndex = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+  }
+
+  /** Number of live (non-deleted) vectors */
+  get size() { return this.idToIndex.size; }
+
+  /** Share of graph nodes that are tombstones */
+  get deletedRatio() {
+    return this.ids.length === 0 ? 0 : this.deletedCount / this.ids.length;
+  }
+
+  has(id) { return this.idToIndex.has(String(id)); }
+
+  randomLevel() {
+    return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+  }
+
+  /**
+   * Best-first search within one layer.
+   * @returns {Array<{idx: number, sim: number}>} Up to ef nodes, most similar first
+   */
+  searchLayer(query, entryPoints, ef, level) {
+    const visited = new Set(entryPoints);
+    const candidates = new Heap((a, b) => a.sim > b.sim); // best first
+    const results = new Heap((a, b) => a.sim < b.sim);    // worst first (so it can be evicted)
+
+    for (const idx of entryPoints) {
+      const item = { idx, sim: dot(query, this.vectors[idx]) };
+      candidates.push(item);
+      results.push(item);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.sim < results.peek().sim) break;
+
+      const neighbors = this.links[current.idx][level] || [];
+      for (const neighbor of neighbors) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+        const sim = dot(query, this.vectors[neighbor]);
+        if (results.size < ef || sim > results.peek().sim) {
+          const item = { idx: neighbor, sim };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b.sim - a.sim);
+  }
+
+  /**
+   * Neighbour selection heuristic: prefer candidates that are closer to the base node
+   * than to any already-selected neighbour (keeps the graph navigable across clusters),
+   * then top up with the best pruned candidates.
+   * @param {Float32Array} base - Vector the neighbours are chosen for
+   * @param {Array<{idx: number, sim: number}>} candidates - Sorted most similar first
+   * @param {number} max - Neighbour budget
+   * @returns {number[]} Selected internal indexes
+   */
+  selectNeighbors(base, candidates, max) {
+    if (candidates.length <= max) return candidates.map(c => c.idx);
+
+    const selected = [];
+    const pruned = [];
+    for (const candidate of candidates) {
+      if (selected.length >= max) break;
+      const vector = this.vectors[candidate.idx];
+      const dominated = selected.some(s => dot(vector, this.vectors[s]) > candidate.sim);
+      if (dominated) pruned.push(candidate.idx);
+      else selected.push(candidate.idx);
+    }
+    for (const idx of pruned) {
+      if (selected.length >= max) break;
+      selected.push(idx);
+    }
+    return selected;
+  }
+
+  /**
+   * Insert or replace a vector.
+   * @param {string} id - External ID (Embedding _id)
+   * @param {number[]} vector - Embedding vector
+   */
+  add(id, vector) {
+    const key = String(id);
+    if (this.dim === null) this.dim = vector.length;
+    if (vector.length !== this.dim) {
+      throw new Error(`Vector dimension ${vector.length} does not match index dimension ${this.dim}`);
+    }
+    if (this.idToIndex.has(key)) this.remove(key);
+
+    const query = normalize(vector);
+    const level = this.randomLevel();
+    const idx = this.ids.length;
+    this.ids.push(key);
+    this.vectors.push(query);
+    this.levels.push(level);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+    this.deleted.push(false);
+    this.idToIndex.set(key, idx);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = idx;
+      this.maxLevel = level;
+      return;
+    }
+
+    // Greedy descent through layers above the new node's top layer
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > level; l--) {
+      entry = this.searchLayer(query, [entry], 1, l)[0].idx;
+    }
+
+    let entryPoints = [entry];
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this.searchLayer(query, entryPoints, this.efConstruction, l);
+      const maxNeighbors = l === 0 ? this.maxNeighbors0 : this.M;
+      const neighbors = this.selectNeighbors(query, found, maxNeighbors);
+      this.links[idx][l] = neighbors;
+
+      // Add reverse links. Neighbour lists may overflow by PRUNE_SLACK before the
+      // selection heuristic trims them back, which amortizes its O(M^2) cost.
+      for (const neighbor of neighbors) {
+        const neighborLinks = this.links[neighbor][l];
+        neighborLinks.push(idx);
+        if (neighborLinks.length > Math.ceil(maxNeighbors * PRUNE_SLACK)) {
+          const base = this.vectors[neighbor];
+          const scored = neighborLinks
+            .map(n => ({ idx: n, sim: dot(base, this.vectors[n]) }))
+            .sort((a, b) => b.sim - a.sim);
+          this.links[neighbor][l] = this.selectNeighbors(base, scored, maxNeighbors);
+        }
+      }
+      entryPoints = found.map(f => f.idx);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = idx;
+    }
+  }
+
+  /**
+   * Tombstone a vector. The node stays in the graph for navigation but is never returned.
+   * @param {string} id - External ID
+   * @returns {boolean} True if the ID was present
+   */
+  remove(id) {
+    const key = String(id);
+    const idx = this.idToIndex.get(key);
+    if (idx === undefined) return false;
+    this.deleted[idx] = true;
+    this.idToIndex.delete(key);
+    this.deletedCount++;
+    return true;
+  }
+
+  /**
+   * Find the k most similar live vectors.
+   * @param {number[]} vector - Query vector
+   * @param {number} k - Number of results
+   * @param {number} [ef] - Search breadth (defaults to max(efSearch, k))
+   * @returns {Array<{id: string, similarity: number}>} Most similar first
+   */
+  search(vector, k, ef) {
+    if (this.entryPoint === -1 || this.size === 0) return [];
+    if (vector.length !== this.dim) {
+      throw new Error(`Query dimension ${vector.length} does not match index dimension ${this.dim}`);
+    }
+    const query = normalize(vector);
+    // Tombstones occupy slots in the result list — widen the search to compensate
+    const breadth = Math.ceil(Math.max(ef || this.efSearch, k) * (1 + this.deletedRatio));
+
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > 0; l--) {
+      entry = this.searchLayer(query, [entry], 1, l)[0].idx;
+    }
+
+    return this.searchLayer(query, [entry], breadth, 0)
+      .filter(r => !this.deleted[r.idx])
+      .slice(0, k)
+      .map(r => ({ id: this.ids[r.idx], similarity: r.sim }));
+  }
+
+  /** Live [id, vector] pairs — used to rebuild a compacted graph */
+  *entries() {
+    for (const [id, idx] of this.idToIndex) yield [id, this.vectors[idx]];
+  }
+
+  /**
+   * Serialize to a JSON-safe graph description plus a packed vector buffer.
+   * @returns {{meta: Object, vectors: Buffer}}
+   */
+  serialize() {
+    const packed = new Float32Array(this.ids.length * (this.dim || 0));
+    this.vectors.forEach((v, i) => packed.set(v, i * this.dim));
+    return {
+      meta: {
+        formatVersion: FORMAT_VERSION,
+        M: this.M,
+        efConstruction: this.efConstruction,
+        efSearch: this.efSearch,
+        dim: this.dim,
+        entryPoint: this.entryPoint,
+        maxLevel: this.maxLevel,
+        ids: this.ids,
+        levels: this.levels,
+        deleted: this.deleted.reduce((acc, d, i) => (d ? acc.concat(i) : acc), []),
+        links: this.links
+      },
+      vectors: Buffer.from(packed.buffer)
+    };
+  }
+
+  /**
+   * Restore an index produced by serialize().
+   * @param {Object} meta - Graph description
+   * @param {Buffer} vectorBuffer - Packed Float32 vectors
+   * @returns {HNSWIndex}
+   */
+  static deserialize(meta, vectorBuffer) {
+    if (meta.formatVersion !== FORMAT_VERSION) {
+      throw new Error(`Unsupported index format version ${meta.formatVersion}`);
+    }
+    const index = new HNSWIndex({ M: meta.M, efConstruction: meta.efConstruction, efSearch: meta.efSearch });
+    const floats = new Float32Array(vectorBuffer.buffer, vectorBuffer.byteOffset, vectorBuffer.byteLength / 4);
+    if (floats.length !== meta.ids.length * (meta.dim || 0)) {
+      throw new Error('Vector file does not match index metadata');
+    }
+    index.dim = meta.dim;
+    index.ids = meta.ids;
+    index.levels = meta.levels;
+    index.links = meta.links;
+    index.entryPoint = meta.entryPoint;
+    index.maxLevel = meta.maxLevel;
+    index.vectors = meta.ids.map((_, i) => floats.slice(i * meta.dim, (i + 1) * meta.dim));
+    index.deleted = meta.ids.map(() => false);
+    for (const i of meta.deleted) index.deleted[i] = true;
+    index.deletedCount = meta.deleted.length;
+    meta.ids.forEach((id, i) => {
+      if (!index.deleted[i]) index.idToIndex.set(id, i);
+    });
+    return index;
+  }
+}
+
+// ============================================================
+// Shared KB index lifecycle
+// ============================================================
+
+let index = null;          // Serving index (null until ready)
+let indexModel = null;     // Embedding model id of the serving index's vectors
+let building = false;      // True while (re)building — changes are queued
+let pendingOps = [];       // Ops received during a build: ['add', id, vector, model] | ['remove', id]
+let saveTimer = null;
+
+function isEnabled() {
+  return process.env.ANN_INDEX !== 'off';
+}
+
+function indexOptions() {
+  return {
+    M: parseInt(process.env.ANN_M || '16'),
+    efConstruction: parseInt(process.env.ANN_EF_CONSTRUCTION || '200'),
+    efSearch: parseInt(process.env.ANN_EF_SEARCH || '64')
+  };
+}
+
+/** Add vectors to an index, yielding to the event loop periodically */
+async function addAll(target, pairs) {
+  let count = 0;
+  for await (const [id, vector] of pairs) {
+    try {
+      target.add(id, vector);
+    } catch (err) {
+      console.warn(`[ANN] Skipping embedding ${id}: ${err.message}`);
+    }
+    if (++count % BUILD_YIELD_EVERY === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+  return count;
+}
+
+/** Apply changes that arrived while a build was running */
+function flushPendingOps() {
+  const ops = pendingOps;
+  pendingOps = [];
+  for (const [op, id, vector, model] of ops) {
+    if (op === 'add') indexEmbedding(id, vector, model);
+    else unindexEmbeddings([id]);
+  }
+}
+
+/** Persist the serving index to disk */
+function saveIndex() {
+  if (!index) return;
+  try {
+    const { meta, vectors } = index.serialize();
+    fs.mkdirSync(path.dirname(INDEX_PATH), { recursive: true });
+    // Write to temp files and rename so a crash never leaves a half-written index
+    fs.writeFileSync(`${INDEX_PATH}.bin.tmp`, vectors);
+    fs.writeFileSync(`${INDEX_PATH}.json.tmp`, JSON.stringify({ ...meta, model: indexModel }));
+    fs.renameSync(`${INDEX_PATH}.bin.tmp`, `${INDEX_PATH}.bin`);
+    fs.renameSync(`${INDEX_PATH}.json.tmp`, `${INDEX_PATH}.json`);
+    console.log(`[ANN] Saved index (${index.size} vectors) to ${INDEX_PATH}`);
+  } catch (err) {
+    console.error('[ANN] Failed to save index:', err.message);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveIndex();
+  }, SAVE_DEBOUNCE_MS);
+  if (saveTimer.unref) saveTimer.unref();
+}
+
+/** Load the persisted index, or null if missing/corrupt or built for another model */
+function loadFromDisk(modelId) {
+  try {
+    if (!fs.existsSync(`${INDEX_PATH}.json`) || !fs.existsSync(`${INDEX_PATH}.bin`)) return null;
+    const meta = JSON.parse(fs.readFileSync(`${INDEX_PATH}.json`, 'utf-8'));
+    // Indexes saved before vectors were stamped hold legacy vectors
+    if ((meta.model || LEGACY_MODEL_ID) !== modelId) {
+      console.log(`[ANN] Persisted index is for ${meta.model || LEGACY_MODEL_ID} — rebuilding for ${modelId}`);
+      return null;
+    }
+    const vectors = fs.readFileSync(`${INDEX_PATH}.bin`);
+    return HNSWIndex.deserialize(meta, vectors);
+  } catch (err) {
+    console.warn('[ANN] Ignoring unreadable persisted index:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Stream embeddings from MongoDB as [id, vector] pairs.
+ * @param {Object} [filter] - Embedding query filter
+ */
+async function* embeddingPairs(filter = {}) {
+  const cursor = Embedding.find(filter).select('embedding').lean().cursor();
+  for await (const doc of cursor) {
+    if (doc.embedding && doc.embedding.length > 0) yield [doc._id.toString(), doc.embedding];
+  }
+}
+
+/**
+ * Build (or load and reconcile) the KB index. Safe to call again to force a rebuild;
+ * the previous index keeps serving until the new one is ready.
+ * @param {Object} [options]
+ * @param {boolean} [options.rebuild=false] - Ignore the persisted index and build from MongoDB
+ * @returns {Promise<void>}
+ */
+async function initVectorIndex({ rebuild = false } = {}) {
+  if (!isEnabled()) {
+    console.log('[ANN] Disabled (ANN_INDEX=off) — using exact search');
+    return;
+  }
+  if (building) return;
+  building = true;
+  const startTime = Date.now();
+
+  try {
+    const { modelId } = await getActiveEmbeddingModel();
+    let next = rebuild ? null : loadFromDisk(modelId);
+
+    if (next) {
+      // Reconcile with MongoDB: add embeddings created while the server was down, drop deleted ones
+      const liveIds = new Set((await Embedding.find({ embeddingModel: modelId }).select('_id').lean())
+        .map(d => d._id.toString()));
+      let removed = 0;
+      for (const id of Array.from(next.idToIndex.keys())) {
+        if (!liveIds.has(id)) { next.remove(id); removed++; }
+      }
+      const missing = Array.from(liveIds).filter(id => !next.has(id));
+      const added = missing.length > 0 ? await addAll(next, embeddingPairs({ _id: { $in: missing } })) : 0;
+      console.log(`[ANN] Loaded index from disk (+${added} / -${removed} reconciled)`);
+      if (next.deletedRatio > REBUILD_DELETED_RATIO) next = null;
+    }
+
+    if (!next) {
+      next = new HNSWIndex(indexOptions());
+      const count = await addAll(next, embeddingPairs({ embeddingModel: modelId }));
+      console.log(`[ANN] Built index over ${count} embeddings (${modelId})`);
+    }
+
+    index = next;
+    indexModel = modelId;
+    console.log(`[ANN] Ready: ${index.size} vectors in ${Date.now() - startTime}ms`);
+  } catch (err) {
+    console.error('[ANN] Index build failed — falling back to exact search:', err.message);
+  } finally {
+    building = false;
+    flushPendingOps();
+    if (index) scheduleSave();
+  }
+}
+
+/** Compact the graph in the background once too many nodes are tombstoned */
+function maybeCompact() {
+  if (building || !index || index.ids.length < 100 || index.deletedRatio <= REBUILD_DELETED_RATIO) return;
+  building = true;
+  const compacted = new HNSWIndex(indexOptions());
+  addAll(compacted, index.entries())
+    .then(() => {
+      index = compacted;
+      console.log(`[ANN] Compacted index (${index.size} vectors)`);
+    })
+    .catch(err => console.error('[ANN] Compaction failed:', err.message))
+    .finally(() => {
+      building = false;
+      flushPendingOps();
+      scheduleSave();
+    });
+}
+
+/**
+ * Add or replace an embedding in the index. A vector from another model than the index's
+ * is dropped instead (and replaces nothing).
+ * @param {ObjectId|string} id - Embedding _id
+ * @param {number[]} vector - Embedding vector
+ * @param {string} [model] - Embedding model id the vector came from
+ */
+function indexEmbedding(id, vector, model) {
+  if (!isEnabled() || !vector || vector.length === 0) return;
+  const plain = Array.from(vector);
+  if (building) {
+    pendingOps.push(['add', String(id), plain, model]);
+    return;
+  }
+  if (!index) return;
+  if (model && model !== indexModel) {
+    unindexEmbeddings([id]);
+    return;
+  }
+  try {
+    index.add(String(id), plain);
+    scheduleSave();
+  } catch (err) {
+    console.warn(`[ANN] Could not index embedding ${id}: ${err.message}`);
+  }
+}
+
+/**
+ * Remove embeddings from the index.
+ * @param {Array<ObjectId|string>} ids - Embedding _ids
+ */
+function unindexEmbeddings(ids) {
+  if (!isEnabled() || !ids || ids.length === 0) return;
+  if (building) {
+    ids.forEach(id => pendingOps.push(['remove', String(id)]));
+    return;
+  }
+  if (!index) return;
+  let removed = 0;
+  ids.forEach(id => { if (index.remove(String(id))) removed++; });
+  if (removed > 0) {
+    scheduleSave();
+    maybeCompact();
+  }
+}
+
+/**
+ * Approximate top-k search over the KB index.
+ * @param {number[]} vector - Query vector
+ * @param {number} k - Number of results
+ * @param {string} [model] - Embedding model id of the query vector
+ * @returns {Array<{id: string, similarity: number}>|null} null if the index can't serve
+ *   (disabled, still building for the first time, built for another model, or dimension
+ *   mismatch) — use exact search
+ */
+function queryIndex(vector, k, model) {
+  if (!isEnabled() || !index) return null;
+  if (model && model !== indexModel) return null;
+  try {
+    return index.search(vector, k);
+  } catch (err) {
+    console.warn('[ANN] Query failed, falling back to exact search:', err.message);
+    return null;
+  }
+}
+
+/** Index state for diagnostics */
+function getIndexStatus() {
+  return {
+    enabled: isEnabled(),
+    ready: !!index,
+    building,
+    size: index ? index.size : 0,
+    model: indexModel,
+    dimension: index ? index.dim : null,
+    deletedRatio: index ? Number(index.deletedRatio.toFixed(3)) : 0,
+    path: INDEX_PATH
+  };
+}
+
+module.exports = {
+  HNSWIndex,
+  initVectorIndex,
+  indexEmbedding,
+  unindexEmbeddings,
+  queryIndex,
+  saveIndex,
+  getIndexStatus
+};
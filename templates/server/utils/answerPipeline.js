@@ -0,0 +1,295 @@
+/**
+ * @file answerPipeline — Retrieval, prompt, generation and scoring for one customer question
+ * @description The part of /api/ai/query that turns a question into a scored answer, shared
+ * with the offline evaluation harness (utils/evaluation) so evals exercise exactly the code
+ * customers hit:
+ *   1. Detect the question's language
+ *   2. Hybrid search the public KB, scoped to the chat's workflow category
+ *   3. Render the system prompt from the active prompt profile, with the chat's memory of
+ *      older turns (utils/conversationMemory) when it has one
+ *   4. Call the 'query' LLM feature with recent history + the question (optionally streamed);
+ *      when admin-registered actions are passed, the model may call them first (utils/aiActions).
+ *      Once the daily spend cap is reached (utils/usage) the answer is the top KB chunk instead
+ *   4b. Split off the quick replies / cards the model may append (utils/richMessages)
+ *   5. Validate inline [n] citations against the retrieved chunks
+ *   6. Score confidence (retrieval similarity, category, action results, uncertainty language)
+ *   7. Optional grounding check — ungrounded answers are replaced with the fallback phrase
+ *   8. Decide on human escalation (CLAUDE_CONFIDENCE_THRESHOLD, default 0.7) and whether the
+ *      answer admits the KB has nothing on the question (logged as a knowledge gap by the route)
+ *
+ * Caching, persistence, chat status changes and WebSocket events stay in the route.
+ * @module utils/answerPipeline
+ */
+
+const { hybridSearch } = require('./hybridSearch');
+const { detectLanguage } = require('./languageDetector');
+const { complete } = require('./llm');
+const { leadParagraph } = require('./chunker');
+const { completeWithActions } = require('./aiActions');
+const { getActiveProfile, buildSystemPrompt } = require('./promptProfile');
+const { applyCitations } = require('./citations');
+const { verifyGrounding } = require('./grounding');
+const { extractRich, createRichStreamFilter } = require('./richMessages');
+
+/** Retrieval parameters used for customer-facing answers */
+const QUERY_TOP_K = 8;
+const QUERY_MIN_SIMILARITY = 0.2;
+
+/** Longest excerpt used as a KB-only answer */
+const KB_ONLY_MAX_CHARS = 600;
+
+/** Uncertainty language that lowers confidence */
+const UNCERTAINTY_PATTERNS = [
+  /i don't know/i,
+  /not sure/i,
+  /uncertain/i,
+  /can't find/i,
+  /no information/i
+];
+
+/** Answers that say the knowledge base has nothing on the question */
+const NO_ANSWER_PATTERNS = [
+  /(don'?t|do not) have (that|this|any|enough) information/i,
+  /(couldn'?t|could not|can'?t|cannot) find (any )?(information|anything)/i,
+  /no information (about|on)/i
+];
+
+/**
+ * Action result as grounding source text. Values are also listed split on punctuation so an
+ * answer that reformats them ("2026-10-21" → "October 21") still matches the parts.
+ */
+function actionSourceText(call) {
+  const text = typeof call.data === 'string' ? call.data : JSON.stringify(call.data) || '';
+  return `${text}\n${text.replace(/[^\w@.]+/g, ' ')}`;
+}
+
+/**
+ * Stand-in completion for when the spend cap stops LLM calls: the first paragraph of the top
+ * retrieved chunk, cited as [1] — or the fallback phrase when nothing was retrieved, which
+ * escalates the chat.
+ */
+function kbOnlyCompletion(ragResults, fallbackPhrase) {
+  const paragraph = ragResults[0] && leadParagraph(ragResults[0].text);
+  let text = fallbackPhrase;
+  if (paragraph) {
+    const excerpt = paragraph.replace(/\s+/g, ' ');
+    text = excerpt.length > KB_ONLY_MAX_CHARS
+      ? `${excerpt.substring(0, KB_ONLY_MAX_CHARS).replace(/\s+\S*$/, '')}… [1]`
+      : `${excerpt} [1]`;
+  }
+  return {
+    text,
+    toolCalls: [],
+    provider: null,
+    model: null,
+    usage: { inputTokens: 0, outputTokens: 0 },
+    latencyMs: 0,
+    spendCapped: true
+  };
+}
+
+/**
+ * Answer a customer question from the knowledge base.
+ * @param {Object} params
+ * @param {string} params.message - Customer question
+ * @param {Array<{sender: string, content: string}>} [params.history] - Earlier messages not covered by
+ *   `memory`, oldest first (the caller bounds how many)
+ * @param {Object} [params.memory] - Chat memory { summary, facts } of the turns before `history`
+ * @param {Object} [params.workflowCategory] - WorkflowCategory the chat is in (scopes retrieval, adds its prompt)
+ * @param {Object} [params.pageContext] - Page the widget is embedded on
+ * @param {Function} [params.onDelta] - Receives streamed text deltas
+ * @param {Object} [params.promptProfile] - Profile to answer with instead of the active one (experiment variants)
+ * @param {Object} [params.llm] - { provider?, model? } for the 'query' call instead of its settings (experiment variants)
+ * @param {Array<Object>} [params.actions] - Enabled AiActions the model may call as tools
+ * @param {Object} [params.actionContext] - Chat values for the actions' {{chat.*}} placeholders
+ * @returns {Promise<Object>} { language, ragResults, retrieval, promptProfile, hasWorkflowCategory,
+ *   completion, toolCalls, responseText, citations, rich, invalidCitations, uncited, grounding,
+ *   confidence, needsHuman, noAnswer }
+ *   — responseText is the final (possibly fallback-replaced) answer; rich is the quick replies /
+ *   cards the model attached (utils/richMessages), or null; uncited is the review flag;
+ *   completion.spendCapped marks a KB-only answer given because the spend cap was reached;
+ *   noAnswer marks a fallback, replaced or "I don't have that information" answer
+ */
+async function generateAnswer({
+  message, history = [], memory = null, workflowCategory = null, pageContext, onDelta,
+  promptProfile: profileOverride, llm, actions = [], actionContext
+}) {
+  // 1. Detect language
+  const language = detectLanguage(message);
+  console.log(`[AI Query] Language detected: ${language}`);
+
+  // 2. Search knowledge base for relevant context (hybrid keyword + vector, optional rerank).
+  // Customer-facing: public docs only, scoped to the chat's workflow category
+  const { results: ragResults, retrieval } = await hybridSearch(message, {
+    topK: QUERY_TOP_K,
+    minSimilarity: QUERY_MIN_SIMILARITY,
+    filter: {
+      audiences: ['public'],
+      categoryId: workflowCategory ? workflowCategory._id.toString() : null
+    }
+  });
+
+  console.log(`[AI Query] Found ${ragResults.length} relevant knowledge base chunks`);
+
+  // 3. Build system prompt from the admin-editable prompt profile, composing in
+  // KB context, page context and the workflow category's instructions
+  const promptProfile = profileOverride || await getActiveProfile();
+  const hasWorkflowCategory = !!(workflowCategory && workflowCategory.prompt);
+  if (hasWorkflowCategory) {
+    console.log(`[AI Query] Using workflow category: ${workflowCategory.name}`);
+  }
+  const systemPrompt = buildSystemPrompt(promptProfile, {
+    language,
+    ragResults,
+    pageContext,
+    category: hasWorkflowCategory ? workflowCategory : null,
+    memory
+  });
+
+  // 4. Build conversation messages for the LLM: the turns after the memory summary.
+  // Filter out file-only messages so AI doesn't try to respond to them
+  const messages = history
+    .filter(msg => !msg.content.match(/^\[Sent \d+ file\(s\)\]$/))
+    .map(msg => ({
+      role: msg.sender === 'user' ? 'user' : 'assistant',
+      content: msg.content
+    }));
+  messages.push({ role: 'user', content: message });
+
+  const params = {
+    system: systemPrompt,
+    messages,
+    maxTokens: parseInt(process.env.CLAUDE_MAX_TOKENS || '1024')
+  };
+  // The <rich> block (quick replies, cards) is stripped from the answer, streamed or not
+  const stream = onDelta ? createRichStreamFilter(onDelta) : null;
+  const streamDelta = stream ? delta => stream.push(delta) : undefined;
+  let completion;
+  let toolCalls;
+  try {
+    ({ completion, toolCalls } = actions.length > 0
+      ? await completeWithActions('query', params, { onDelta: streamDelta, provider: llm }, { actions, context: actionContext })
+      : { completion: await complete('query', params, { onDelta: streamDelta, provider: llm }), toolCalls: [] });
+  } catch (err) {
+    if (err.code !== 'SPEND_CAP_REACHED') throw err;
+    console.warn(`[AI Query] ${err.message} — answering from the knowledge base only`);
+    completion = kbOnlyCompletion(ragResults, promptProfile.fallbackPhrase);
+    toolCalls = [];
+    if (streamDelta) streamDelta(completion.text);
+  }
+  if (stream) stream.flush();
+  const actionResults = toolCalls.filter(call => call.ok);
+  const answer = extractRich(completion.text);
+  let rich = answer.rich;
+
+  // 5. Keep only citations that point at a supplied source, numbered in order of use
+  const cited = applyCitations(answer.text || promptProfile.fallbackPhrase, ragResults);
+  const { invalid: invalidCitations, uncited } = cited;
+  let responseText = cited.text;
+  let citations = cited.citations;
+  if (invalidCitations.length > 0) {
+    console.warn(`[AI Query] Dropped citations to unknown sources: ${invalidCitations.join(', ')}`);
+  }
+
+  // 6. Calculate confidence score
+  // Confidence scoring tiers:
+  //   0.90 — High-similarity RAG match (>0.7 cosine similarity)
+  //   0.85 — Workflow category present (admin-curated prompt), or an action returned data
+  //   0.80 — Moderate RAG match (>=0.4 similarity)
+  //   0.70 — Multiple low-similarity matches (>=3 chunks provide broad context)
+  //   0.50 — Baseline (no RAG matches, no category)
+  //   -0.20 — Penalty if AI response contains uncertainty language
+  //   Minimum after penalty: 0.30
+  //   Capped at groundedness when the grounding check is enabled (0.30 if the answer is replaced)
+  let confidence = 0.5; // Default baseline
+
+  // Workflow category responses are always high confidence (admin-defined prompts)
+  if (hasWorkflowCategory) {
+    confidence = 0.85;
+  }
+
+  // Answers built on live data from an admin-registered endpoint
+  if (actionResults.length > 0) {
+    confidence = Math.max(confidence, 0.85);
+  }
+
+  if (ragResults.length > 0) {
+    const maxSimilarity = Math.max(...ragResults.map(r => r.similarity));
+    if (maxSimilarity > 0.7) {
+      confidence = 0.9;
+    } else if (maxSimilarity >= 0.4) {
+      confidence = Math.max(confidence, 0.8);
+    } else if (ragResults.length >= 3) {
+      // Multiple low-similarity matches still provide useful context
+      confidence = Math.max(confidence, 0.7);
+    }
+  }
+
+  // The profile's fallback phrase is the model's explicit "no answer" signal
+  const usedFallback = promptProfile.fallbackPhrase
+    && responseText.toLowerCase().includes(promptProfile.fallbackPhrase.toLowerCase().substring(0, 40));
+
+  // Reduce confidence if AI expresses uncertainty
+  if (usedFallback || UNCERTAINTY_PATTERNS.some(pattern => pattern.test(responseText))) {
+    confidence = Math.max(0.3, confidence - 0.2);
+  }
+
+  // 7. Check the answer's claims against the text it was given. Category instructions,
+  // action results and facts the user stated earlier count as sources — the model was handed
+  // them as fact. Fallback answers have nothing to check.
+  const grounding = usedFallback ? null : await verifyGrounding(responseText, [
+    ...ragResults.map(r => r.text),
+    hasWorkflowCategory ? workflowCategory.prompt : null,
+    ...actionResults.map(actionSourceText),
+    memory && memory.facts && memory.facts.length > 0 ? memory.facts.join('\n') : null
+  ]);
+  if (grounding) {
+    confidence = Math.min(confidence, grounding.groundedness);
+    grounding.replaced = !grounding.grounded;
+    if (grounding.replaced) {
+      const unsupported = grounding.claims.filter(c => !c.supported).map(c => `"${c.text.substring(0, 80)}"`);
+      console.warn(`[AI Query] Ungrounded answer (groundedness ${grounding.groundedness} < ${grounding.threshold}, ${grounding.mode}) replaced with fallback. Unsupported: ${unsupported.join('; ')}`);
+      grounding.originalResponse = responseText;
+      responseText = promptProfile.fallbackPhrase;
+      citations = [];
+      rich = null;
+      confidence = Math.min(confidence, 0.3);
+    }
+  }
+
+  // KB context was supplied but nothing was cited — the answer may not be grounded in it.
+  // Fallback answers and answers from action data are expected to cite nothing.
+  const flagUncited = uncited && !usedFallback && actionResults.length === 0 && !(grounding && grounding.replaced);
+  if (flagUncited) {
+    console.log(`[AI Query] Answer cites none of ${ragResults.length} KB sources — flagged for review`);
+  }
+
+  // 8. Determine if human escalation is needed
+  // Default threshold: 0.7 — below this the chat is escalated to human mode
+  // Configurable via CLAUDE_CONFIDENCE_THRESHOLD env var
+  const confidenceThreshold = parseFloat(process.env.CLAUDE_CONFIDENCE_THRESHOLD || '0.7');
+  const needsHuman = confidence < confidenceThreshold;
+  const noAnswer = Boolean(usedFallback || (grounding && grounding.replaced)
+    || NO_ANSWER_PATTERNS.some(pattern => pattern.test(responseText)));
+
+  return {
+    language,
+    ragResults,
+    retrieval,
+    promptProfile,
+    hasWorkflowCategory,
+    completion,
+    toolCalls,
+    responseText,
+    citations,
+    rich,
+    invalidCitations,
+    uncited: flagUncited,
+    grounding,
+    confidence,
+    needsHuman,
+    noAnswer
+  };
+}
+
+module.exports = { generateAnswer };
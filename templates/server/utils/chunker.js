@@ -1,137 +1,302 @@
 /**
- * @file chunker — Text chunking with overlap for RAG embedding pipelines
- * @description Splits text into semantically meaningful segments for embedding generation.
- * Respects paragraph, sentence, and word boundaries with configurable overlap to preserve
- * context across chunk boundaries. Used during knowledge base document ingestion.
+ * @file chunker — Structure-aware text chunking with overlap for RAG embedding pipelines
+ * @description Splits document text into segments for embedding generation. Sizes are measured
+ * in (estimated) tokens rather than characters, so chunks map predictably onto embedding and
+ * prompt budgets. Three strategies, picked per document type by chunkOptionsFor():
+ *
+ *   text     — paragraph, then sentence, then word boundaries, with overlap between chunks
+ *   markdown — splits on '#' headings and prefixes each chunk with its heading path
+ *              ("Billing > Refunds"). HTML and DOCX are extracted with '#' headings too.
+ *   rows     — one record per line (CSV rows, JSON array items), grouped without ever
+ *              cutting a record; no overlap
+ *
+ * PDF text arrives with a form feed between pages, so chunks never span pages and carry their
+ * page number. Each chunk's metadata ({ strategy, headingPath?, page?, rows? }) is stored on its
+ * Embedding and used to cite the exact section an answer came from.
  * @module utils/chunker
  */
 
+const path = require('path');
+
+const CHUNK_STRATEGIES = ['auto', 'text', 'markdown', 'rows'];
+const PAGE_BREAK = '\f';
+
+/**
+ * Estimate the number of LLM tokens in a text without a tokenizer. Roughly matches BPE
+ * tokenizers for English (short words ~1 token, ~6 chars per token for long words, 1 per
+ * punctuation mark) and counts CJK characters individually; errs on the high side.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const pieces = text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+  let tokens = 0;
+  for (const piece of pieces) {
+    tokens += Math.max(1, Math.ceil(piece.length / 6));
+  }
+  return tokens;
+}
+
+/**
+ * Chunking options for a KnowledgeBase document: strategy from its chunkStrategy (or its
+ * type when 'auto'), token limits from CHUNK_TOKENS / CHUNK_OVERLAP_TOKENS.
+ * @param {Object} document - { fileType, filename, chunkStrategy }
+ * @returns {{strategy: string, paged: boolean, maxTokens: number, overlapTokens: number}}
+ */
+function chunkOptionsFor(document = {}) {
+  const fileType = (document.fileType || '').toLowerCase();
+  const ext = path.extname(document.filename || '').toLowerCase();
+
+  let strategy = document.chunkStrategy && document.chunkStrategy !== 'auto' ? document.chunkStrategy : null;
+  if (!strategy) {
+    if (['.md', '.markdown', '.html', '.htm', '.docx'].includes(ext) || fileType === 'web-page'
+      || /markdown|html|wordprocessingml|msword/.test(fileType)) {
+      strategy = 'markdown';
+    } else if (['.csv', '.json'].includes(ext) || /csv|json/.test(fileType)) {
+      strategy = 'rows';
+    } else {
+      strategy = 'text';
+    }
+  }
+
+  return {
+    strategy,
+    paged: ext === '.pdf' || fileType.includes('pdf'),
+    maxTokens: parseInt(process.env.CHUNK_TOKENS || '300'),
+    overlapTokens: parseInt(process.env.CHUNK_OVERLAP_TOKENS || '50')
+  };
+}
+
 /**
- * Chunk text into semantic segments with overlap for RAG.
- * Splits on paragraph boundaries first, then sentences, then words as fallback.
+ * Chunk text into segments for RAG.
  * @param {string} text - Text to chunk
- * @param {object} options - Chunking options
- * @param {number} [options.maxChunkSize=1000] - Maximum characters per chunk
- * @param {number} [options.overlap=200] - Characters to overlap between chunks
- * @returns {Array<{text: string, index: number}>} Array of indexed chunks
+ * @param {object} [options] - Chunking options (see chunkOptionsFor)
+ * @param {string} [options.strategy='text'] - text | markdown | rows
+ * @param {boolean} [options.paged] - Record page numbers (text split on form feeds)
+ * @param {number} [options.maxTokens=300] - Maximum tokens per chunk
+ * @param {number} [options.overlapTokens=50] - Tokens repeated between consecutive text chunks
+ * @returns {Array<{text: string, index: number, metadata: Object}>} Array of indexed chunks
  */
 function chunkText(text, options = {}) {
-  const { maxChunkSize = 1000, overlap = 200 } = options;
+  const { strategy = 'text', maxTokens = 300, overlapTokens = 50 } = options;
 
   if (!text || text.trim().length === 0) {
     return [];
   }
 
+  const paged = options.paged || text.includes(PAGE_BREAK);
+  const pages = paged ? text.split(PAGE_BREAK) : [text];
   const chunks = [];
-  let currentIndex = 0;
 
-  // Split by double newlines (paragraph boundaries) first
-  const paragraphs = text.split(/\n\n+/);
-  let currentChunk = '';
+  pages.forEach((pageText, pageIndex) => {
+    if (!pageText.trim()) return;
+    let pageChunks;
+    if (strategy === 'markdown') pageChunks = chunkMarkdown(pageText, maxTokens, overlapTokens);
+    else if (strategy === 'rows') pageChunks = chunkRows(pageText, maxTokens);
+    else pageChunks = splitText(pageText, maxTokens, overlapTokens).map(t => ({ text: t, metadata: {} }));
+
+    for (const chunk of pageChunks) {
+      chunks.push({
+        text: chunk.text,
+        index: chunks.length,
+        metadata: { strategy, ...chunk.metadata, ...(paged ? { page: pageIndex + 1 } : {}) }
+      });
+    }
+  });
 
-  for (const paragraph of paragraphs) {
-    const trimmedParagraph = paragraph.trim();
-    if (!trimmedParagraph) continue;
+  return chunks;
+}
 
-    // If paragraph fits in current chunk, add it
-    if (currentChunk.length + trimmedParagraph.length + 2 <= maxChunkSize) {
-      currentChunk += (currentChunk ? '\n\n' : '') + trimmedParagraph;
+/**
+ * Heading-aware chunking. A section's chunks are prefixed with its heading path; short
+ * subsections are kept together with their parent section while they fit.
+ * @returns {Array<{text: string, metadata: {headingPath: string[]}}>}
+ */
+function chunkMarkdown(text, maxTokens, overlapTokens) {
+  // Collect sections: heading path + body lines (headings inside ``` fences are content)
+  const sections = [];
+  const headings = [];  // Open headings: [{level, text}]
+  let body = [];
+  let inFence = false;
+  const closeSection = () => {
+    sections.push({ path: headings.map(h => h.text), body: body.join('\n').trim() });
+    body = [];
+  };
+
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      closeSection();
+      const level = heading[1].length;
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) headings.pop();
+      headings.push({ level, text: heading[2].trim() });
     } else {
-      // Save current chunk if not empty
-      if (currentChunk) {
-        chunks.push({
-          text: currentChunk,
-          index: currentIndex++
-        });
-
-        // Add overlap to next chunk
-        currentChunk = getOverlapText(currentChunk, overlap) + '\n\n' + trimmedParagraph;
-      } else {
-        // Paragraph itself is too large, need to split it
-        const splitChunks = splitLargeParagraph(trimmedParagraph, maxChunkSize, overlap);
-        for (const chunk of splitChunks) {
-          chunks.push({
-            text: chunk,
-            index: currentIndex++
-          });
-        }
-        currentChunk = '';
-      }
+      body.push(line);
     }
   }
+  closeSection();
 
-  // Add final chunk
-  if (currentChunk.trim()) {
-    chunks.push({
-      text: currentChunk,
-      index: currentIndex++
-    });
+  const chunks = [];
+  let group = [];
+  let groupTokens = 0;
+
+  const flush = () => {
+    // Cite the deepest heading shared by the sections that have content
+    const withContent = group.filter(section => section.body);
+    group = [];
+    groupTokens = 0;
+    if (withContent.length === 0) return;
+
+    let base = withContent[0].path;
+    for (const section of withContent) {
+      let i = 0;
+      while (i < base.length && base[i] === section.path[i]) i++;
+      base = base.slice(0, i);
+    }
+    const parts = [];
+    for (const section of withContent) {
+      const relative = section.path.slice(base.length);
+      if (relative.length > 0) parts.push(relative.join(' > '));
+      parts.push(section.body);
+    }
+    chunks.push({ text: withHeading(base, parts.join('\n\n')), metadata: { headingPath: base } });
+  };
+
+  for (const section of sections) {
+    const prefixTokens = estimateTokens(section.path.join(' > ')) + 2;
+    const sectionTokens = estimateTokens(section.body) + prefixTokens;
+    // Text before the first heading is its own group; it doesn't absorb the whole document
+    const isSubsection = group.length > 0 && group[0].path.length > 0
+      && section.path.length > group[0].path.length
+      && group[0].path.every((h, i) => section.path[i] === h);
+
+    if (isSubsection && groupTokens + sectionTokens <= maxTokens) {
+      group.push(section);
+      groupTokens += sectionTokens;
+      continue;
+    }
+
+    flush();
+    if (sectionTokens <= maxTokens) {
+      group = [section];
+      groupTokens = sectionTokens;
+    } else {
+      // Oversized section: split its body, repeating the heading path on every piece
+      for (const piece of splitText(section.body, Math.max(maxTokens - prefixTokens, 20), overlapTokens)) {
+        chunks.push({ text: withHeading(section.path, piece), metadata: { headingPath: section.path } });
+      }
+    }
   }
+  flush();
 
   return chunks;
 }
 
+function withHeading(headingPath, text) {
+  return headingPath.length > 0 ? `${headingPath.join(' > ')}\n\n${text}` : text;
+}
+
 /**
- * Split large paragraph into smaller chunks
- * @param {string} paragraph - Large paragraph text
- * @param {number} maxChunkSize - Maximum chunk size
- * @param {number} overlap - Overlap size
- * @returns {Array<string>} Array of chunk texts
+ * Group records (one per line) into chunks without splitting a record.
+ * @returns {Array<{text: string, metadata: {rows: {from: number, to: number}}}>} 1-based row range
  */
-function splitLargeParagraph(paragraph, maxChunkSize, overlap) {
+function chunkRows(text, maxTokens) {
   const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  let firstRow = 1;
 
-  // Try splitting by sentences first
-  const sentences = paragraph.split(/(?<=[.!?])\s+/);
-  let currentChunk = '';
+  const flush = (lastRow) => {
+    if (current.length === 0) return;
+    chunks.push({ text: current.join('\n'), metadata: { rows: { from: firstRow, to: lastRow } } });
+    current = [];
+    currentTokens = 0;
+  };
 
-  for (const sentence of sentences) {
-    if (currentChunk.length + sentence.length + 1 <= maxChunkSize) {
-      currentChunk += (currentChunk ? ' ' : '') + sentence;
-    } else {
-      if (currentChunk) {
-        chunks.push(currentChunk);
-        currentChunk = getOverlapText(currentChunk, overlap) + ' ' + sentence;
-      } else {
-        // Single sentence is too large, split by words
-        const wordChunks = splitByWords(sentence, maxChunkSize, overlap);
-        chunks.push(...wordChunks.slice(0, -1));
-        currentChunk = wordChunks[wordChunks.length - 1];
+  const rows = text.split('\n').map(r => r.trim()).filter(Boolean);
+  rows.forEach((row, i) => {
+    const rowNumber = i + 1;
+    const rowTokens = estimateTokens(row) + 1;
+    if (currentTokens + rowTokens > maxTokens) flush(rowNumber - 1);
+    if (current.length === 0) firstRow = rowNumber;
+
+    if (rowTokens > maxTokens) {
+      // A single record larger than a chunk is split on its own
+      for (const piece of splitText(row, maxTokens, 0)) {
+        chunks.push({ text: piece, metadata: { rows: { from: rowNumber, to: rowNumber } } });
       }
+      return;
     }
-  }
-
-  if (currentChunk.trim()) {
-    chunks.push(currentChunk);
-  }
+    current.push(row);
+    currentTokens += rowTokens;
+  });
+  flush(rows.length);
 
   return chunks;
 }
 
 /**
- * Split text by word boundaries when sentences are too large
+ * Split plain text on paragraph boundaries first, then sentences, then words as fallback.
  * @param {string} text - Text to split
- * @param {number} maxChunkSize - Maximum chunk size
- * @param {number} overlap - Overlap size
+ * @param {number} maxTokens - Maximum tokens per chunk
+ * @param {number} overlapTokens - Tokens carried over from the previous chunk
  * @returns {Array<string>} Array of chunk texts
  */
-function splitByWords(text, maxChunkSize, overlap) {
+function splitText(text, maxTokens, overlapTokens) {
+  return packPieces(text.split(/\n\n+/), '\n\n', maxTokens, overlapTokens, paragraph => {
+    // Paragraph itself is too large: try sentences, then words
+    return packPieces(paragraph.split(/(?<=[.!?])\s+/), ' ', maxTokens, overlapTokens, sentence => {
+      return packPieces(sentence.split(/\s+/), ' ', maxTokens, overlapTokens, word => {
+        // Single word is larger than a chunk, truncate it
+        return [word.substring(0, maxTokens * 4)];
+      });
+    });
+  });
+}
+
+/**
+ * Greedily join pieces into chunks of at most maxTokens, starting each new chunk with the
+ * tail of the previous one. Pieces that don't fit in an empty chunk go to splitOversized.
+ * @returns {Array<string>}
+ */
+function packPieces(pieces, separator, maxTokens, overlapTokens, splitOversized) {
   const chunks = [];
-  const words = text.split(/\s+/);
   let currentChunk = '';
+  let currentTokens = 0;
 
-  for (const word of words) {
-    if (currentChunk.length + word.length + 1 <= maxChunkSize) {
-      currentChunk += (currentChunk ? ' ' : '') + word;
-    } else {
-      if (currentChunk) {
-        chunks.push(currentChunk);
-        currentChunk = getOverlapText(currentChunk, overlap) + ' ' + word;
-      } else {
-        // Single word is larger than maxChunkSize, truncate it
-        chunks.push(word.substring(0, maxChunkSize));
-        currentChunk = '';
+  for (const piece of pieces) {
+    const trimmed = piece.trim();
+    if (!trimmed) continue;
+    const pieceTokens = estimateTokens(trimmed);
+
+    if (currentTokens + pieceTokens <= maxTokens) {
+      currentChunk += (currentChunk ? separator : '') + trimmed;
+      currentTokens += pieceTokens;
+      continue;
+    }
+
+    if (currentChunk) {
+      chunks.push(currentChunk);
+      const overlap = getOverlapText(currentChunk, overlapTokens);
+      if (overlap && estimateTokens(overlap) + pieceTokens <= maxTokens) {
+        currentChunk = overlap + separator + trimmed;
+        currentTokens = estimateTokens(currentChunk);
+        continue;
       }
+      currentChunk = '';
+      currentTokens = 0;
+    }
+
+    if (pieceTokens <= maxTokens) {
+      currentChunk = trimmed;
+      currentTokens = pieceTokens;
+    } else {
+      const parts = splitOversized(trimmed);
+      chunks.push(...parts.slice(0, -1));
+      currentChunk = parts[parts.length - 1] || '';
+      currentTokens = estimateTokens(currentChunk);
     }
   }
 
@@ -143,23 +308,51 @@ function splitByWords(text, maxChunkSize, overlap) {
 }
 
 /**
- * Get last N characters from text for overlap
+ * Get the trailing words of a chunk, up to overlapTokens, for the start of the next chunk
  * @param {string} text - Source text
- * @param {number} overlapSize - Number of characters to take
+ * @param {number} overlapTokens - Token budget for the overlap
  * @returns {string} Overlap text
  */
-function getOverlapText(text, overlapSize) {
-  if (!text || overlapSize <= 0) return '';
+function getOverlapText(text, overlapTokens) {
+  if (!text || overlapTokens <= 0) return '';
 
-  const overlap = text.slice(-overlapSize).trim();
+  const words = text.split(/\s+/);
+  let tokens = 0;
+  let start = words.length;
+  while (start > 0) {
+    const wordTokens = estimateTokens(words[start - 1]);
+    if (tokens + wordTokens > overlapTokens) break;
+    tokens += wordTokens;
+    start--;
+  }
+  return words.slice(start).join(' ');
+}
 
-  // Try to start at a word boundary
-  const firstSpace = overlap.indexOf(' ');
-  if (firstSpace > 0 && firstSpace < overlap.length / 2) {
-    return overlap.slice(firstSpace + 1);
+/**
+ * Human-readable location of a chunk within its document, for citations.
+ * @param {Object} [metadata] - Chunk metadata from chunkText
+ * @returns {string|null} e.g. "Billing > Refunds · p. 3" or "rows 10–24"
+ */
+function describeChunkLocation(metadata) {
+  if (!metadata) return null;
+  const parts = [];
+  if (metadata.headingPath && metadata.headingPath.length > 0) parts.push(metadata.headingPath.join(' > '));
+  if (metadata.rows) {
+    parts.push(metadata.rows.from === metadata.rows.to ? `row ${metadata.rows.from}` : `rows ${metadata.rows.from}–${metadata.rows.to}`);
   }
+  if (metadata.page) parts.push(`p. ${metadata.page}`);
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
 
-  return overlap;
+/**
+ * The paragraph of a chunk that best stands alone as an excerpt: the first one with a full
+ * sentence, skipping '#' heading lines. Used for extractive answers without a model.
+ * @param {string} text - Chunk text
+ * @returns {string|null}
+ */
+function leadParagraph(text) {
+  const paragraphs = (text || '').split(/\n\s*\n/).map(p => p.trim()).filter(p => p && !p.startsWith('#'));
+  return paragraphs.find(p => /[.!?](\s|$)/.test(p)) || paragraphs[0] || null;
 }
 
-module.exports = { chunkText };
+module.exports = { chunkText, chunkOptionsFor, estimateTokens, describeChunkLocation, leadParagraph, CHUNK_STRATEGIES };
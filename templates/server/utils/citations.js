@@ -0,0 +1,83 @@
+/**
+ * @file citations — Validate and number inline source citations in AI answers
+ * @description The system prompt lists retrieved KB chunks as [Source 1], [Source 2], ... and asks
+ * the model to cite them inline as [1], [2]. applyCitations() checks every marker against the
+ * sources actually supplied, drops markers that point nowhere, renumbers the rest 1..n in order
+ * of first use, and returns the cited sources as footnotes for the widget — a link for crawled
+ * or imported pages, a snippet preview for uploaded files.
+ * @module utils/citations
+ */
+
+const SNIPPET_CHARS = 240;
+
+// [1], [2, 3], [Source 4] — one marker may list several sources
+const CITATION_PATTERN = /([ \t]*)\[(?:Source\s*)?(\d{1,2}(?:\s*,\s*\d{1,2})*)\]/gi;
+
+/**
+ * Short preview of a chunk for a footnote, without the heading prefix the chunker adds.
+ * @param {Object} result - Retrieval result ({ text, metadata })
+ * @returns {string}
+ */
+function snippetFor(result) {
+  let text = result.text || '';
+  const headingPath = result.metadata && result.metadata.headingPath;
+  if (headingPath && headingPath.length > 0) {
+    const prefix = headingPath.join(' > ');
+    if (text.startsWith(prefix)) text = text.slice(prefix.length);
+  }
+  text = text.replace(/\s+/g, ' ').trim();
+  return text.length > SNIPPET_CHARS ? text.substring(0, SNIPPET_CHARS).replace(/\s+\S*$/, '') + '…' : text;
+}
+
+/**
+ * Validate, renumber and resolve the citation markers in an answer.
+ * @param {string} text - Model answer
+ * @param {Array} ragResults - Retrieved chunks in prompt order (hybridSearch results)
+ * @returns {{text: string, citations: Array, invalid: number[], uncited: boolean}}
+ *   citations: [{ n, knowledgeBaseId, chunkIndex, title, url, location, snippet, similarity }];
+ *   invalid: source numbers the model cited that weren't supplied; uncited: KB context was
+ *   supplied but the answer cites none of it
+ */
+function applyCitations(text, ragResults = []) {
+  const numbering = new Map();  // Prompt source number -> footnote number
+  const invalid = new Set();
+
+  const cleaned = (text || '').replace(CITATION_PATTERN, (marker, space, list) => {
+    const numbers = [];
+    for (const value of list.split(',')) {
+      const sourceNumber = parseInt(value.trim());
+      if (sourceNumber < 1 || sourceNumber > ragResults.length) {
+        invalid.add(sourceNumber);
+        continue;
+      }
+      if (!numbering.has(sourceNumber)) numbering.set(sourceNumber, numbering.size + 1);
+      const n = numbering.get(sourceNumber);
+      if (!numbers.includes(n)) numbers.push(n);
+    }
+    // A marker with no valid sources is removed along with the space before it
+    return numbers.length > 0 ? space + numbers.sort((a, b) => a - b).map(n => `[${n}]`).join('') : '';
+  });
+
+  const citations = [...numbering.entries()].map(([sourceNumber, n]) => {
+    const result = ragResults[sourceNumber - 1];
+    return {
+      n,
+      knowledgeBaseId: result.knowledgeBaseId,
+      chunkIndex: result.chunkIndex,
+      title: result.title || result.filename,
+      url: result.sourceUrl || null,
+      location: result.location || null,
+      snippet: result.sourceUrl ? null : snippetFor(result),
+      similarity: result.similarity
+    };
+  });
+
+  return {
+    text: cleaned,
+    citations,
+    invalid: [...invalid],
+    uncited: ragResults.length > 0 && citations.length === 0
+  };
+}
+
+module.exports = { applyCitations };
@@ -0,0 +1,201 @@
+/**
+ * @file conversationMemory — Rolling summary of older turns for long chats
+ * @description Answers only see the most recent messages verbatim. So that long troubleshooting
+ * sessions don't forget what was already tried, each Chat keeps a `memory`:
+ *   - summary — running summary of the conversation up to `summarizedUntil`, covering the
+ *     problem, what the AI and human agents suggested, and the outcome
+ *   - facts   — key facts the customer provided (order numbers, plan, device, error messages)
+ *   - headline — one sentence, also written to Chat.summary for the dashboard
+ *
+ * After an AI answer, once at least UPDATE_EVERY messages have fallen out of the recent window,
+ * they are folded into the memory with one 'summarize' LLM call that updates the previous
+ * memory instead of re-reading the whole chat. /api/ai/summarize forces a fold of everything
+ * up to the latest message. Internal agent notes never enter the memory — it is shown to the
+ * customer-facing model.
+ *
+ * Env: CHAT_MEMORY_RECENT_MESSAGES (default 12) messages kept verbatim,
+ *      CHAT_MEMORY_UPDATE_EVERY (default 10) messages per incremental fold.
+ * @module utils/conversationMemory
+ */
+
+const { Chat, Message } = require('../db/models');
+const { complete } = require('./llm');
+
+const RECENT_MESSAGES = parseInt(process.env.CHAT_MEMORY_RECENT_MESSAGES || '12');
+const UPDATE_EVERY = parseInt(process.env.CHAT_MEMORY_UPDATE_EVERY || '10');
+
+/** Most messages folded by one summarizer call; longer backlogs take several calls */
+const MAX_FOLD_MESSAGES = 100;
+const MAX_FACTS = 20;
+
+/** In-flight fold per chat, so concurrent answers don't summarize the same messages twice */
+const updating = new Map();
+
+/** File-only placeholder messages carry nothing worth remembering */
+function isFileOnly(msg) {
+  return /^\[Sent \d+ file\(s\)\]$/.test(msg.content || '');
+}
+
+function speaker(msg) {
+  if (msg.sender === 'user') return 'Customer';
+  if (msg.sender === 'agent') return msg.senderName ? `Agent (${msg.senderName})` : 'Agent';
+  return 'AI assistant';
+}
+
+/** Messages not yet in the memory, oldest first */
+function unsummarizedQuery(chatId, memory) {
+  const query = { chatId, isInternal: { $ne: true } };
+  if (memory && memory.summarizedUntil) query.sentAt = { $gt: memory.summarizedUntil };
+  return query;
+}
+
+/**
+ * Parse the summarizer's JSON reply. A reply that isn't JSON is kept as the summary so a
+ * formatting slip doesn't lose the fold.
+ * @returns {{headline: string, summary: string, facts: string[]}}
+ */
+function parseMemory(text, previous) {
+  try {
+    const match = text.match(/\{[\s\S]*\}/);
+    if (!match) throw new Error('No JSON found in response');
+    const parsed = JSON.parse(match[0]);
+    return {
+      headline: String(parsed.headline || '').trim(),
+      summary: String(parsed.summary || '').trim(),
+      facts: (Array.isArray(parsed.facts) ? parsed.facts : [])
+        .map(fact => String(fact).trim())
+        .filter(Boolean)
+        .slice(0, MAX_FACTS)
+    };
+  } catch (err) {
+    console.error('[Memory] Failed to parse summarizer response:', err.message);
+    const summary = text.trim();
+    return {
+      headline: (summary.match(/^[\s\S]*?[.!?](?=\s|$)/) || [summary])[0].substring(0, 200),
+      summary,
+      facts: previous.facts || []
+    };
+  }
+}
+
+/**
+ * Fold messages into the previous memory with one LLM call.
+ * @param {Object} previous - Current chat.memory (may be empty)
+ * @param {Array<Object>} messages - Messages to add, oldest first
+ * @returns {Promise<{headline: string, summary: string, facts: string[]}>}
+ */
+async function summarizeInto(previous, messages) {
+  const transcript = messages.map(msg => `${speaker(msg)}: ${msg.content}`).join('\n');
+  const memoryText = previous.summary
+    ? `Summary: ${previous.summary}\nFacts:\n${(previous.facts || []).map(fact => `- ${fact}`).join('\n') || '(none)'}`
+    : '(none — this is the start of the conversation)';
+
+  const { text } = await complete('summarize', {
+    system: 'You maintain the memory of a customer support conversation, so the assistant can keep helping '
+      + 'after older messages are dropped from its context. Update the previous memory with the new messages. '
+      + 'Reply with JSON only: {"headline": one sentence naming the customer\'s issue and where it stands, '
+      + '"summary": at most 150 words on the problem, what was tried or suggested (by the AI or a human agent) '
+      + 'and with what result, and what is still open, '
+      + `"facts": up to ${MAX_FACTS} short facts the customer provided — identifiers, plan or product, device, `
+      + 'error messages, dates, preferences — keeping earlier facts unless the customer corrected them}.',
+    messages: [{ role: 'user', content: `Previous memory:\n${memoryText}\n\nNew messages:\n${transcript}` }],
+    maxTokens: 700,
+    temperature: 0
+  });
+  return parseMemory(text, previous);
+}
+
+/**
+ * Fold pending messages into a chat's memory.
+ * @param {string} chatId
+ * @param {boolean} force - Fold everything, including the recent window
+ * @returns {Promise<Object|null>} The chat's memory, or null if the chat doesn't exist
+ */
+async function foldMessages(chatId, force) {
+  const chat = await Chat.findById(chatId).select('memory').lean();
+  if (!chat) return null;
+  let memory = chat.memory || {};
+
+  for (;;) {
+    const pending = await Message.find(unsummarizedQuery(chat._id, memory))
+      .sort({ sentAt: 1 })
+      .limit(MAX_FOLD_MESSAGES + RECENT_MESSAGES)
+      .select('sender senderName content sentAt')
+      .lean();
+    const batch = (force ? pending : pending.slice(0, Math.max(0, pending.length - RECENT_MESSAGES)))
+      .slice(0, MAX_FOLD_MESSAGES);
+    if (batch.length === 0 || (!force && batch.length < UPDATE_EVERY)) return memory;
+
+    const conversational = batch.filter(msg => !isFileOnly(msg));
+    const folded = conversational.length > 0 ? await summarizeInto(memory, conversational) : memory;
+    memory = {
+      headline: folded.headline || memory.headline || '',
+      summary: folded.summary || memory.summary || '',
+      facts: folded.facts || memory.facts || [],
+      summarizedCount: (memory.summarizedCount || 0) + batch.length,
+      summarizedUntil: batch[batch.length - 1].sentAt,
+      updatedAt: new Date()
+    };
+    await Chat.updateOne({ _id: chat._id }, {
+      $set: { memory, ...(memory.headline && { summary: memory.headline }) }
+    });
+    console.log(`[Memory] Chat ${chat._id}: folded ${batch.length} messages (${memory.summarizedCount} total)`);
+
+    if (pending.length < MAX_FOLD_MESSAGES + RECENT_MESSAGES) return memory;
+  }
+}
+
+/**
+ * Bring a chat's memory up to date. Without `force`, only folds once UPDATE_EVERY messages
+ * have fallen out of the recent window — cheap to call after every answer.
+ * @param {string} chatId
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Fold every message up to the latest one
+ * @returns {Promise<Object|null>} { headline, summary, facts, summarizedCount, summarizedUntil, updatedAt }
+ *   (empty object when nothing was summarized yet), or null if the chat doesn't exist
+ */
+function updateMemory(chatId, { force = false } = {}) {
+  const key = String(chatId);
+  const inFlight = updating.get(key);
+  if (inFlight && !force) return inFlight;
+
+  // A forced fold waits for the running one, then folds whatever is left
+  const run = (inFlight ? inFlight.catch(() => {}) : Promise.resolve())
+    .then(() => foldMessages(chatId, force))
+    .finally(() => {
+      if (updating.get(key) === run) updating.delete(key);
+    });
+  updating.set(key, run);
+  return run;
+}
+
+/**
+ * Memory plus the messages after it, for answering in a chat.
+ * @param {Object} chat - Chat document (or { _id } when the chat record is missing)
+ * @returns {Promise<{memory: Object|null, history: Array<Object>}>} memory is { summary, facts,
+ *   summarizedCount } or null; history is the unsummarized messages, oldest first — at most
+ *   RECENT_MESSAGES + UPDATE_EVERY, since older ones are folded in as the chat goes on
+ */
+async function getConversationContext(chat) {
+  const memory = chat.memory && chat.memory.summary ? chat.memory : null;
+  const history = await Message.find(unsummarizedQuery(chat._id, memory))
+    .sort({ sentAt: -1 })
+    .limit(RECENT_MESSAGES + UPDATE_EVERY)
+    .select('sender senderName content sentAt')
+    .lean();
+  history.reverse();
+
+  return {
+    memory: memory
+      ? { summary: memory.summary, facts: memory.facts || [], summarizedCount: memory.summarizedCount || 0 }
+      : null,
+    history
+  };
+}
+
+module.exports = {
+  RECENT_MESSAGES,
+  UPDATE_EVERY,
+  updateMemory,
+  getConversationContext
+};
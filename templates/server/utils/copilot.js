@@ -0,0 +1,166 @@
+/**
+ * @file copilot — Draft replies for agents, grounded in the knowledge base
+ * @description POST /api/ai/suggest-reply asks the 'suggest-reply' LLM (provider and model
+ * per llmProviders setting, see utils/llm) for DRAFT_COUNT alternative replies to the chat,
+ * built from:
+ *   - the chat's rolling memory (utils/conversationMemory) and its latest messages, internal
+ *     notes excluded
+ *   - KB excerpts retrieved for the customer's last message, public and internal (agent-only)
+ *     documents alike, numbered [Source n] so drafts can cite them inline as [n]
+ *   - a tone matched to the chat's detected sentiment (Chat.sentiment, see TONES)
+ *
+ * Each draft's citations are validated and numbered like AI answers (utils/citations);
+ * footnotes from internal documents are flagged so the agent knows not to pass them on.
+ * The markers are for the agent only — plainDraftText() strips them before a draft is sent.
+ *
+ * Every set of drafts is logged as a CopilotSuggestion: which draft the agent inserted into
+ * the reply box (`used`), and whether the message they then sent kept it as-is or edited it
+ * (`sent`) — the copilot's acceptance rate in /api/analytics/copilot.
+ * @module utils/copilot
+ */
+
+const { CopilotSuggestion } = require('../db/models');
+const { applyCitations } = require('./citations');
+
+/** Alternative drafts per suggestion */
+const DRAFT_COUNT = 3;
+
+/** How drafts should sound, by Chat.sentiment */
+const TONES = {
+  negative: 'The customer is frustrated. Acknowledge the problem and apologise once, stay calm and reassuring, get to the fix quickly, and avoid exclamation marks and upbeat filler.',
+  neutral: 'Be friendly, professional and to the point.',
+  positive: 'The customer is in a good mood. Be warm and friendly; a light, upbeat touch is fine.'
+};
+
+// [1], [2] markers left in a draft (already renumbered by applyCitations)
+const MARKER_PATTERN = /[ \t]*\[\d{1,2}\]/g;
+
+/**
+ * Tone to write in for a chat.
+ * @param {string} [sentiment] - Chat.sentiment
+ * @returns {string} Key of TONES
+ */
+function toneFor(sentiment) {
+  return TONES[sentiment] ? sentiment : 'neutral';
+}
+
+/**
+ * Prompt asking for DRAFT_COUNT alternative replies as JSON.
+ * @param {Object} context
+ * @param {string} context.history - Recent messages, one "Label: text" per line
+ * @param {Object} [context.memory] - Chat.memory (summary of older turns)
+ * @param {Array} context.kbResults - Retrieved chunks (hybridSearch results), in source order
+ * @param {string} context.tone - Key of TONES
+ * @returns {string}
+ */
+function buildCopilotPrompt({ history, memory, kbResults, tone }) {
+  const earlier = memory && memory.summary
+    ? `Earlier in the conversation (summary):\n${memory.summary}${memory.facts && memory.facts.length ? `\nKey facts: ${memory.facts.join('; ')}` : ''}\n\n`
+    : '';
+  const sources = kbResults.map((r, idx) => {
+    const title = r.title || r.filename;
+    const name = r.location ? `${title} — ${r.location}` : title;
+    return `[Source ${idx + 1}: ${name}]${r.audience === 'internal' ? ' (internal — agent-only)' : ''}\n${r.text}`;
+  }).join('\n\n');
+  const kbContext = sources
+    ? `\n\nKnowledge base excerpts. Cite the ones a reply relies on inline as [1], [2] using their source numbers. Internal excerpts are agent-only: use them to inform the reply but never quote or reveal them to the customer.\n\n${sources}`
+    : '';
+
+  return `You are an AI copilot assisting a customer support agent. Write ${DRAFT_COUNT} alternative replies the agent could send next. Each must be a complete message ready to send, and each should take a different approach — for example a direct answer, a more detailed step-by-step reply, or a clarifying question when the request is ambiguous. Keep them concise.
+
+Tone: ${TONES[tone]}
+
+${earlier}Chat history:
+${history}${kbContext}
+
+Respond with JSON only, no other text:
+{"drafts": ["first reply", "second reply", "third reply"]}`;
+}
+
+/**
+ * Drafts from the model's output, with validated citations. Output that isn't the requested
+ * JSON is taken as a single draft.
+ * @param {string} text - Model output
+ * @param {Array} kbResults - Retrieved chunks the prompt numbered
+ * @returns {Array<{text: string, citations: Array}>} citations carry `internal` for agent-only sources
+ */
+function parseDrafts(text, kbResults) {
+  let drafts = null;
+  const jsonMatch = (text || '').match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    try {
+      const parsed = JSON.parse(jsonMatch[0]);
+      if (Array.isArray(parsed.drafts)) {
+        drafts = parsed.drafts.map(d => (typeof d === 'string' ? d : d && d.text)).filter(d => typeof d === 'string');
+      }
+    } catch (err) {
+      // Not the requested JSON — fall through to the raw reply
+    }
+  }
+  if (drafts === null) {
+    if (text && text.trim()) console.warn('[Copilot] Model ignored the drafts format, using its raw reply');
+    drafts = text ? [text] : [];
+  }
+
+  return drafts
+    .map(d => d.trim())
+    .filter(Boolean)
+    .slice(0, DRAFT_COUNT)
+    .map(draft => {
+      const { text: cited, citations } = applyCitations(draft, kbResults);
+      return {
+        text: cited,
+        citations: citations.map(c => {
+          const source = kbResults.find(r => String(r.knowledgeBaseId) === String(c.knowledgeBaseId) && r.chunkIndex === c.chunkIndex);
+          return { ...c, internal: !!source && source.audience === 'internal' };
+        })
+      };
+    });
+}
+
+/**
+ * What the customer gets when a draft is sent: the text without its citation markers.
+ * @param {string} text - Draft text
+ * @returns {string}
+ */
+function plainDraftText(text) {
+  return (text || '').replace(MARKER_PATTERN, '').trim();
+}
+
+/**
+ * Record that the agent sent a message after inserting one of a suggestion's drafts, and
+ * whether they edited it first. Only the first message after an insert counts. Never throws.
+ * @param {ObjectId|string} suggestionId
+ * @param {Object} sent - { agentId, chatId, messageId, content }
+ * @returns {Promise<void>}
+ */
+async function recordSuggestionSent(suggestionId, { agentId, chatId, messageId, content }) {
+  try {
+    const suggestion = await CopilotSuggestion.findOne({
+      _id: suggestionId,
+      agentId,
+      chatId,
+      'used.index': { $exists: true },
+      'sent.messageId': { $exists: false }
+    }).select('drafts used').lean();
+    if (!suggestion) return;
+
+    const draft = suggestion.drafts[suggestion.used.index];
+    const normalize = value => value.replace(/\s+/g, ' ').trim();
+    const edited = !draft || normalize(plainDraftText(draft.text)) !== normalize(content);
+    await CopilotSuggestion.updateOne({ _id: suggestion._id }, { $set: { sent: { messageId, edited, at: new Date() } } });
+    console.log(`[Copilot] Draft ${suggestion.used.index + 1} of ${suggestion._id} sent${edited ? ' (edited)' : ''}`);
+  } catch (err) {
+    console.error('[Copilot] Failed to record sent suggestion:', err.message);
+  }
+}
+
+module.exports = {
+  DRAFT_COUNT,
+  TONES,
+  toneFor,
+  buildCopilotPrompt,
+  parseDrafts,
+  plainDraftText,
+  recordSuggestionSent
+};
@@ -0,0 +1,470 @@
+/**
+ * @file crawler — Website crawler that keeps knowledge base pages in sync with a site
+ * @description Runs CrawlJobs. A run is seeded from the job's root URL, its optional
+ * sitemap.xml and any same-host sitemaps listed in robots.txt, then follows same-host links
+ * breadth-first up to maxDepth/maxPages. robots.txt Allow/Disallow rules (longest match wins)
+ * and Crawl-delay are honoured, as are <meta name="robots"> noindex/nofollow.
+ *
+ * Each page is one KnowledgeBase document keyed by crawlJobId + sourceUrl. Re-crawls compare a
+ * SHA-256 of the extracted text and only re-chunk/re-embed pages whose content changed. Pages
+ * that now return 404/410 are deactivated; after a complete run (no page limit hit, not
+ * cancelled) pages that are no longer reachable are deactivated too. Cached answers built from
+ * a changed or deactivated page are invalidated (utils/responseCache).
+ *
+ * Progress is saved on the job and broadcast to dashboards as 'crawl.progress' /
+ * 'crawl.finished'. startCrawlScheduler() re-runs jobs once their nextRunAt has passed.
+ * @module utils/crawler
+ */
+
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { CrawlJob, KnowledgeBase } = require('../db/models');
+const { chunkText, chunkOptionsFor } = require('./chunker');
+const { htmlToText } = require('./textExtractor');
+const { generateEmbeddingsForChunks, deleteEmbeddings } = require('./embeddings');
+const { recordVersion, updateDocumentContent } = require('./knowledgeVersions');
+const { invalidateCachedAnswers } = require('./responseCache');
+const { broadcastToDashboard } = require('../websocket');
+
+const USER_AGENT = process.env.CRAWLER_USER_AGENT || 'AIChatDeskBot/1.0';
+const CRAWL_DELAY_MS = parseInt(process.env.CRAWL_DELAY_MS || '500');
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_SITEMAPS = 20;           // Nested sitemap index files followed per run
+const MIN_PAGE_TEXT = 50;          // Pages with less extracted text are skipped
+const SCHEDULER_INTERVAL_MS = 60000;
+
+function emptyProgress() {
+  return { discovered: 0, fetched: 0, created: 0, updated: 0, unchanged: 0, deactivated: 0, skipped: 0, failed: 0, currentUrl: null };
+}
+
+function fetchPage(url) {
+  return fetch(url, {
+    headers: { 'User-Agent': USER_AGENT },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+}
+
+/**
+ * Canonical form used to de-duplicate URLs: http(s) only, no fragment.
+ * @param {string} href - Absolute or relative URL
+ * @param {string} [base] - Base URL for relative hrefs
+ * @returns {string|null} Normalized URL, or null if unusable
+ */
+function normalizeUrl(href, base) {
+  try {
+    const url = new URL(href, base);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    return url.href;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Extract the readable text, title and outgoing links of an HTML page.
+ * Navigation chrome (scripts, nav, header, footer...) is dropped from the text,
+ * but its links are still returned so the crawler can follow them.
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL (base for relative links)
+ * @returns {{title: string, text: string, links: string[], noindex: boolean, nofollow: boolean}}
+ */
+function extractPageContent(html, url) {
+  const $ = cheerio.load(html);
+
+  const links = [];
+  $('a[href]').each((i, el) => {
+    const link = normalizeUrl($(el).attr('href'), url);
+    if (link) links.push(link);
+  });
+  const robotsMeta = ($('meta[name="robots"]').attr('content') || '').toLowerCase();
+
+  // Remove scripts, styles, nav, footer
+  $('script, style, nav, footer, header, noscript, iframe').remove();
+
+  // Extract text from main content areas, keeping headings for section-aware chunking
+  const title = $('title').text().trim() || url;
+  const text = htmlToText($, $('main, article, .content, .faq, #content, body').first());
+
+  return {
+    title,
+    text,
+    links,
+    noindex: robotsMeta.includes('noindex'),
+    nofollow: robotsMeta.includes('nofollow')
+  };
+}
+
+/**
+ * Parse robots.txt, keeping the group that applies to our user agent (or '*').
+ * @param {string} text - robots.txt body
+ * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null, sitemaps: string[]}}
+ */
+function parseRobots(text) {
+  const token = USER_AGENT.split('/')[0].toLowerCase();
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, '').trim();
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const field = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) groups.push((current = { agents: [], rules: [], crawlDelay: null }));
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (current && (field === 'allow' || field === 'disallow')) {
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (current && field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay)) current.crawlDelay = delay;
+    }
+  }
+
+  const group = groups.find(g => g.agents.some(a => a !== '*' && token.includes(a)))
+    || groups.find(g => g.agents.includes('*'));
+  return { rules: group ? group.rules : [], crawlDelay: group ? group.crawlDelay : null, sitemaps };
+}
+
+function robotsPatternMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + body + (anchored ? '$' : '')).test(path);
+}
+
+/**
+ * Whether robots rules allow fetching a URL. The longest matching rule wins; Allow wins ties.
+ * @param {Object} robots - Output of parseRobots
+ * @param {string} url - Absolute URL
+ * @returns {boolean}
+ */
+function isAllowedByRobots(robots, url) {
+  const { pathname, search } = new URL(url);
+  const target = pathname + search;
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!robotsPatternMatches(rule.path, target)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+async function fetchRobots(origin) {
+  try {
+    const res = await fetchPage(`${origin}/robots.txt`);
+    if (!res.ok) return parseRobots('');
+    return parseRobots(await res.text());
+  } catch (err) {
+    console.warn(`[Crawler] robots.txt unavailable for ${origin}: ${err.message}`);
+    return parseRobots('');
+  }
+}
+
+/**
+ * Collect page URLs from a sitemap, following sitemap index files.
+ * @param {string} sitemapUrl - sitemap.xml or sitemap index URL
+ * @param {number} limit - Max URLs to return
+ * @returns {Promise<string[]>}
+ */
+async function fetchSitemapUrls(sitemapUrl, limit) {
+  const urls = [];
+  const queue = [sitemapUrl];
+  const seen = new Set();
+
+  while (queue.length > 0 && seen.size < MAX_SITEMAPS && urls.length < limit) {
+    const url = queue.shift();
+    if (seen.has(url)) continue;
+    seen.add(url);
+    try {
+      const res = await fetchPage(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const $ = cheerio.load(await res.text(), { xmlMode: true });
+      $('sitemap > loc').each((i, el) => { queue.push($(el).text().trim()); });
+      $('url > loc').each((i, el) => { urls.push($(el).text().trim()); });
+    } catch (err) {
+      console.warn(`[Crawler] Sitemap ${url} failed: ${err.message}`);
+    }
+  }
+  return urls.slice(0, limit);
+}
+
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Create or refresh the KB document for a crawled page.
+ * @returns {Promise<'created'|'updated'|'unchanged'>}
+ */
+async function syncPage(job, url, page) {
+  const contentHash = hashContent(page.text);
+  const title = page.title.substring(0, 100);
+  const existing = await KnowledgeBase.findOne({ crawlJobId: job._id, sourceUrl: url });
+
+  if (!existing) {
+    const chunkObjs = chunkText(page.text, chunkOptionsFor({ fileType: 'web-page' }));
+    const document = await KnowledgeBase.create({
+      filename: url,
+      originalName: title,
+      fileType: 'web-page',
+      fileSize: page.text.length,
+      content: page.text,
+      chunks: chunkObjs.map(c => ({ text: c.text, metadata: c.metadata })),
+      uploadedBy: job.createdBy,
+      active: true,
+      sourceUrl: url,
+      contentHash,
+      crawlJobId: job._id,
+      tags: job.tags,
+      audience: job.audience,
+      categoryIds: job.categoryIds
+    });
+    await recordVersion(document, { source: 'crawl', note: url });
+    await generateEmbeddingsForChunks(document._id, chunkObjs);
+    return 'created';
+  }
+
+  if (existing.active && existing.contentHash === contentHash) return 'unchanged';
+
+  // Changed, or back after being deactivated (its embeddings were removed then)
+  const reappeared = !existing.active;
+  existing.active = true;
+  existing.originalName = title;
+  existing.fileSize = page.text.length;
+  existing.contentHash = contentHash;
+  await updateDocumentContent(existing, page.text, {
+    source: 'crawl',
+    note: reappeared ? `Page reappeared: ${url}` : url
+  });
+  return 'updated';
+}
+
+async function deactivatePage(document) {
+  await deleteEmbeddings(document._id);
+  document.active = false;
+  await document.save();
+  await invalidateCachedAnswers(document._id, 'Page removed from site');
+}
+
+async function saveProgress(job, progress, status = 'running') {
+  await CrawlJob.updateOne({ _id: job._id }, { $set: { progress } });
+  broadcastToDashboard('crawl.progress', { jobId: job._id, status, progress });
+}
+
+/**
+ * Run a crawl job to completion. No-op if the job is inactive or already running.
+ * @param {ObjectId|string} jobId - CrawlJob _id
+ * @returns {Promise<Object|null>} Final progress counters, or null if the run didn't start
+ */
+async function runCrawl(jobId) {
+  // Claim the job atomically so manual runs and the scheduler never overlap
+  const job = await CrawlJob.findOneAndUpdate(
+    { _id: jobId, active: true, status: { $ne: 'running' } },
+    { $set: { status: 'running', cancelRequested: false, lastError: null, progress: emptyProgress() } },
+    { new: true }
+  );
+  if (!job) return null;
+
+  const progress = emptyProgress();
+  const startTime = Date.now();
+  console.log(`[Crawler] Starting crawl of ${job.rootUrl} (depth ${job.maxDepth}, max ${job.maxPages} pages)`);
+
+  try {
+    const root = new URL(job.rootUrl);
+    const sameHost = (url) => url && new URL(url).host === root.host;
+    const robots = await fetchRobots(root.origin);
+    const delayMs = Math.max(CRAWL_DELAY_MS, (robots.crawlDelay || 0) * 1000);
+
+    const queue = [];
+    const queued = new Set();
+    const enqueue = (url, depth) => {
+      if (!sameHost(url) || queued.has(url)) return;
+      queued.add(url);
+      queue.push({ url, depth });
+    };
+
+    enqueue(normalizeUrl(root.href), 0);
+    const sitemaps = [job.sitemapUrl, ...robots.sitemaps].filter(Boolean).map(s => normalizeUrl(s, root.href)).filter(sameHost);
+    for (const sitemap of new Set(sitemaps)) {
+      const urls = await fetchSitemapUrls(sitemap, job.maxPages);
+      urls.forEach(url => enqueue(normalizeUrl(url), 0));
+    }
+
+    const visited = new Set();  // URLs fetched this run, including where redirects led
+    const kept = new Set();     // sourceUrls that are live pages after this run
+    const gone = new Set();     // 404/410 — deactivate regardless of completeness
+    const errored = new Set();  // Transient failures — never deactivate on these
+    let hitLimit = false;
+    let cancelled = false;
+
+    while (queue.length > 0) {
+      if (progress.fetched + progress.failed >= job.maxPages) {
+        hitLimit = true;
+        break;
+      }
+      const current = await CrawlJob.findById(job._id).select('cancelRequested').lean();
+      if (!current || current.cancelRequested) {
+        cancelled = true;
+        break;
+      }
+
+      const { url, depth } = queue.shift();
+      // Already fetched as the target of an earlier redirect
+      if (visited.has(url)) continue;
+      visited.add(url);
+      progress.discovered = queued.size;
+      progress.currentUrl = url;
+
+      if (!isAllowedByRobots(robots, url)) {
+        progress.skipped++;
+        continue;
+      }
+
+      try {
+        const res = await fetchPage(url);
+        if (res.status === 404 || res.status === 410) {
+          gone.add(url);
+          progress.failed++;
+        } else if (!res.ok) {
+          throw new Error(`HTTP ${res.status}`);
+        } else if (!(res.headers.get('content-type') || '').includes('text/html')) {
+          progress.skipped++;
+        } else {
+          // Redirects: store the page under its final URL (if still on this site)
+          const finalUrl = normalizeUrl(res.url) || url;
+          const seenTarget = finalUrl !== url && visited.has(finalUrl);
+          queued.add(finalUrl);
+          visited.add(finalUrl);
+          if (!sameHost(finalUrl) || seenTarget) {
+            progress.skipped++;
+          } else {
+            const page = extractPageContent(await res.text(), finalUrl);
+            progress.fetched++;
+
+            if (!page.nofollow && depth < job.maxDepth) {
+              page.links.forEach(link => enqueue(link, depth + 1));
+            }
+
+            if (page.noindex || page.text.length < MIN_PAGE_TEXT) {
+              progress.skipped++;
+            } else {
+              progress[await syncPage(job, finalUrl, page)]++;
+              kept.add(finalUrl);
+            }
+          }
+        }
+      } catch (err) {
+        errored.add(url);
+        progress.failed++;
+        console.warn(`[Crawler] ${url} failed: ${err.message}`);
+      }
+
+      progress.discovered = queued.size;
+      await saveProgress(job, progress);
+      if (queue.length > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    // Deactivate pages that are gone — or, if the whole site was walked, no longer linked
+    const complete = !hitLimit && !cancelled;
+    const pages = await KnowledgeBase.find({ crawlJobId: job._id, active: true });
+    for (const page of pages) {
+      if (kept.has(page.sourceUrl) || errored.has(page.sourceUrl)) continue;
+      if (gone.has(page.sourceUrl) || complete) {
+        await deactivatePage(page);
+        progress.deactivated++;
+      }
+    }
+
+    progress.currentUrl = null;
+    const intervalMs = job.resyncIntervalHours > 0 ? job.resyncIntervalHours * 3600000 : null;
+    await CrawlJob.updateOne({ _id: job._id }, {
+      $set: {
+        status: 'idle',
+        cancelRequested: false,
+        progress,
+        lastRunAt: new Date(),
+        nextRunAt: intervalMs ? new Date(Date.now() + intervalMs) : null
+      }
+    });
+    broadcastToDashboard('crawl.finished', { jobId: job._id, status: 'idle', cancelled, progress });
+
+    console.log(`[Crawler] ${cancelled ? 'Cancelled' : 'Finished'} ${job.rootUrl} in ${Date.now() - startTime}ms: ${JSON.stringify(progress)}`);
+    return progress;
+  } catch (err) {
+    console.error(`[Crawler] Crawl of ${job.rootUrl} failed:`, err.message);
+    const intervalMs = job.resyncIntervalHours > 0 ? job.resyncIntervalHours * 3600000 : null;
+    await CrawlJob.updateOne({ _id: job._id }, {
+      $set: {
+        status: 'failed',
+        lastError: err.message,
+        progress,
+        lastRunAt: new Date(),
+        nextRunAt: intervalMs ? new Date(Date.now() + intervalMs) : null
+      }
+    });
+    broadcastToDashboard('crawl.finished', { jobId: job._id, status: 'failed', error: err.message, progress });
+    return progress;
+  }
+}
+
+let schedulerTimer = null;
+let sweeping = false;
+
+/** Run every job whose nextRunAt has passed, one at a time */
+async function runDueCrawls() {
+  if (sweeping) return;
+  sweeping = true;
+  try {
+    const due = await CrawlJob.find({ active: true, status: { $ne: 'running' }, nextRunAt: { $lte: new Date() } }).select('_id');
+    for (const job of due) {
+      await runCrawl(job._id);
+    }
+  } catch (err) {
+    console.error('[Crawler] Scheduler error:', err.message);
+  } finally {
+    sweeping = false;
+  }
+}
+
+/**
+ * Start the re-crawl scheduler (checks every minute). Runs left 'running' by a previous
+ * process can never finish, so they are marked failed first.
+ */
+async function startCrawlScheduler() {
+  if (schedulerTimer) return;
+  try {
+    await CrawlJob.updateMany({ status: 'running' }, { $set: { status: 'failed', lastError: 'Interrupted by server restart' } });
+  } catch (err) {
+    console.error('[Crawler] Failed to reset interrupted crawls:', err.message);
+  }
+  schedulerTimer = setInterval(runDueCrawls, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+}
+
+module.exports = {
+  normalizeUrl,
+  extractPageContent,
+  parseRobots,
+  isAllowedByRobots,
+  hashContent,
+  runCrawl,
+  startCrawlScheduler
+};
@@ -0,0 +1,236 @@
+/**
+ * @file embeddingBackends — Pluggable embedding backends and the active embedding model
+ * @description An embedding model is described by a spec:
+ *   { backend, model, baseUrl?, dimensions? }
+ *   - 'openai'             — OpenAI's embeddings API (OPENAI_API_KEY)
+ *   - 'openai-compatible'  — any server speaking the OpenAI embeddings API (Ollama, vLLM,
+ *                            LM Studio, TEI…) at `baseUrl`; EMBEDDING_API_KEY if it needs one
+ *   - 'transformers'       — in-process ONNX model via transformers.js (optional dependency
+ *                            @huggingface/transformers, or the older @xenova/transformers);
+ *                            weights are downloaded once to the transformers.js cache
+ *
+ * Every stored vector (Embedding, ResponseCache, LearnedReply) is stamped with the model id
+ * that produced it — `<backend>:<model>` plus `@<dimensions>` when the dimensions were
+ * reduced — and only vectors from the active model are ever compared with a query.
+ *
+ * Active model: the `embeddingModel` setting, written by the re-embedding migration at
+ * cut-over (utils/embeddingMigration), else the environment default (EMBEDDING_BACKEND,
+ * EMBEDDING_MODEL or OPENAI_EMBEDDING_MODEL, EMBEDDING_BASE_URL). Cached for 30s. The setting
+ * is never written directly — switching models without re-embedding would leave the KB
+ * unsearchable.
+ * @module utils/embeddingBackends
+ */
+
+const OpenAI = require('openai');
+const { Setting } = require('../db/models');
+
+const BACKENDS = ['openai', 'openai-compatible', 'transformers'];
+
+const DEFAULT_MODELS = {
+  openai: 'text-embedding-3-small',
+  'openai-compatible': 'nomic-embed-text',
+  transformers: 'Xenova/all-MiniLM-L6-v2'
+};
+
+/** Model that wrote every vector stored before vectors were stamped */
+const LEGACY_MODEL_ID = `openai:${process.env.OPENAI_EMBEDDING_MODEL || DEFAULT_MODELS.openai}`;
+
+/** How long the active spec is cached in memory */
+const SPEC_TTL_MS = 30000;
+
+let specCache = null;
+let specLoadedAt = 0;
+
+const openaiClients = new Map();
+const pipelines = new Map();
+
+/**
+ * Check a spec from the API.
+ * @param {Object} input - { backend, model, baseUrl?, dimensions? }
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateEmbeddingSpec(input) {
+  if (!input || typeof input !== 'object') return ['Embedding model must be an object'];
+  const errors = [];
+  if (!BACKENDS.includes(input.backend)) {
+    errors.push(`backend must be one of: ${BACKENDS.join(', ')}`);
+  }
+  if (input.model !== undefined && (typeof input.model !== 'string' || !input.model.trim())) {
+    errors.push('model must be a non-empty string');
+  }
+  if (input.backend === 'openai-compatible' && !/^https?:\/\/\S+$/i.test(String(input.baseUrl || ''))) {
+    errors.push('baseUrl (http or https) is required for the openai-compatible backend');
+  }
+  if (input.dimensions !== undefined && input.dimensions !== null && input.dimensions !== '') {
+    const dimensions = Number(input.dimensions);
+    if (!Number.isInteger(dimensions) || dimensions < 8 || dimensions > 8192) {
+      errors.push('dimensions must be an integer between 8 and 8192');
+    } else if (input.backend === 'transformers') {
+      errors.push('dimensions cannot be reduced for the transformers backend');
+    }
+  }
+  return errors;
+}
+
+/**
+ * Fill in defaults and drop unknown fields. Assumes validateEmbeddingSpec() passed.
+ * @param {Object} input
+ * @returns {{backend: string, model: string, baseUrl?: string, dimensions?: number}}
+ */
+function normalizeEmbeddingSpec(input) {
+  const spec = {
+    backend: input.backend,
+    model: (input.model || '').trim() || DEFAULT_MODELS[input.backend]
+  };
+  if (input.backend === 'openai-compatible') spec.baseUrl = String(input.baseUrl).trim().replace(/\/+$/, '');
+  const dimensions = Number(input.dimensions);
+  if (input.dimensions && Number.isInteger(dimensions)) spec.dimensions = dimensions;
+  return spec;
+}
+
+/**
+ * Id stamped on every vector the spec produces.
+ * @param {Object} spec
+ * @returns {string} e.g. 'openai:text-embedding-3-small', 'transformers:Xenova/all-MiniLM-L6-v2'
+ */
+function modelIdOf(spec) {
+  return `${spec.backend}:${spec.model}${spec.dimensions ? `@${spec.dimensions}` : ''}`;
+}
+
+/** Environment default — what ran before any migration */
+function defaultEmbeddingSpec() {
+  const backend = BACKENDS.includes(process.env.EMBEDDING_BACKEND) ? process.env.EMBEDDING_BACKEND : 'openai';
+  return normalizeEmbeddingSpec({
+    backend,
+    model: process.env.EMBEDDING_MODEL || (backend === 'openai' ? process.env.OPENAI_EMBEDDING_MODEL : ''),
+    baseUrl: process.env.EMBEDDING_BASE_URL || 'http://localhost:11434/v1'
+  });
+}
+
+/**
+ * Spec of the active model (cached for SPEC_TTL_MS). DB errors keep the last known spec,
+ * or the environment default on a cold start.
+ * @returns {Promise<{spec: Object, modelId: string}>}
+ */
+async function getActiveEmbeddingModel() {
+  if (specCache && Date.now() - specLoadedAt < SPEC_TTL_MS) return specCache;
+  try {
+    const setting = await Setting.findOne({ key: 'embeddingModel' }).lean();
+    const stored = setting && setting.value;
+    const spec = stored && validateEmbeddingSpec(stored).length === 0
+      ? normalizeEmbeddingSpec(stored)
+      : defaultEmbeddingSpec();
+    specCache = { spec, modelId: modelIdOf(spec) };
+  } catch (err) {
+    console.error('[Embeddings] Failed to load embedding model setting:', err.message);
+    if (!specCache) {
+      const spec = defaultEmbeddingSpec();
+      specCache = { spec, modelId: modelIdOf(spec) };
+    }
+  }
+  specLoadedAt = Date.now();
+  return specCache;
+}
+
+/** Drop the cached spec so the next call re-reads the setting */
+function clearEmbeddingModelCache() {
+  specCache = null;
+}
+
+function getOpenAIClient(spec) {
+  const key = spec.backend === 'openai' ? 'openai' : spec.baseUrl;
+  if (!openaiClients.has(key)) {
+    if (spec.backend === 'openai' && !process.env.OPENAI_API_KEY) {
+      throw new Error('OPENAI_API_KEY environment variable is required for embedding generation');
+    }
+    openaiClients.set(key, spec.backend === 'openai'
+      ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+      : new OpenAI({ apiKey: process.env.EMBEDDING_API_KEY || 'local', baseURL: spec.baseUrl }));
+  }
+  return openaiClients.get(key);
+}
+
+/** Both OpenAI-style backends: one request for the whole batch */
+async function embedOpenAI(spec, texts) {
+  const response = await getOpenAIClient(spec).embeddings.create({
+    model: spec.model,
+    input: texts,
+    ...(spec.dimensions && { dimensions: spec.dimensions })
+  });
+  const vectors = response.data
+    .slice()
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.embedding);
+  return {
+    vectors,
+    inputTokens: response.usage?.prompt_tokens || Math.ceil(texts.join(' ').length / 4)
+  };
+}
+
+/** Load (once per model) a transformers.js feature-extraction pipeline */
+function getPipeline(model) {
+  if (!pipelines.has(model)) {
+    const loading = (async () => {
+      let transformers;
+      try {
+        transformers = await import('@huggingface/transformers');
+      } catch (err) {
+        try {
+          transformers = await import('@xenova/transformers');
+        } catch (fallbackErr) {
+          throw new Error('The transformers backend needs @huggingface/transformers — run: npm install @huggingface/transformers');
+        }
+      }
+      console.log(`[Embeddings] Loading local model ${model}...`);
+      return transformers.pipeline('feature-extraction', model);
+    })();
+    // A failed load is retried on the next call instead of being cached
+    loading.catch(() => pipelines.delete(model));
+    pipelines.set(model, loading);
+  }
+  return pipelines.get(model);
+}
+
+/** In-process ONNX model: mean-pooled, unit-normalized sentence vectors */
+async function embedTransformers(spec, texts) {
+  const extractor = await getPipeline(spec.model);
+  const output = await extractor(texts, { pooling: 'mean', normalize: true });
+  return {
+    vectors: output.tolist(),
+    inputTokens: Math.ceil(texts.join(' ').length / 4)
+  };
+}
+
+const EMBEDDERS = {
+  openai: embedOpenAI,
+  'openai-compatible': embedOpenAI,
+  transformers: embedTransformers
+};
+
+/**
+ * Embed a batch of texts with one backend.
+ * @param {Object} spec - Normalized spec
+ * @param {string[]} texts - Non-empty texts
+ * @returns {Promise<{vectors: number[][], inputTokens: number}>} One vector per text, in order
+ */
+async function embedWithSpec(spec, texts) {
+  const embed = EMBEDDERS[spec.backend];
+  if (!embed) throw new Error(`Unknown embedding backend: ${spec.backend}`);
+  const result = await embed(spec, texts);
+  if (!Array.isArray(result.vectors) || result.vectors.length !== texts.length) {
+    throw new Error(`Embedding backend returned ${result.vectors ? result.vectors.length : 0} vectors for ${texts.length} texts`);
+  }
+  return result;
+}
+
+module.exports = {
+  BACKENDS,
+  DEFAULT_MODELS,
+  LEGACY_MODEL_ID,
+  validateEmbeddingSpec,
+  normalizeEmbeddingSpec,
+  modelIdOf,
+  getActiveEmbeddingModel,
+  clearEmbeddingModelCache,
+  embedWithSpec
+};
@@ -0,0 +1,362 @@
+/**
+ * @file embeddingMigration — Background re-embedding into a new embedding model, with cut-over
+ * @description Switching embedding models makes every stored vector incomparable with new
+ * query vectors, so the switch runs as a migration (one at a time):
+ *   1. The target model is probed with one embedding call (connectivity, dimension).
+ *   2. Every Embedding and ResponseCache row is re-embedded in batches into `pendingEmbedding`
+ *      / `pendingModel`. Search, the ANN index and the response cache keep using the old
+ *      vectors meanwhile. Rows created or edited during the run are picked up by later
+ *      batches; an edit drops its stale pending vector (utils/embeddings updateEmbedding).
+ *   3. Cut-over: pending vectors are swapped in with one update per collection, the
+ *      `embeddingModel` setting is pointed at the target, rows written with the old model
+ *      in between are re-embedded directly, and the ANN index is rebuilt. Other server
+ *      processes pick the new model up within 30s and use exact search until restarted.
+ * Cancelling (or a failed batch) leaves the old model serving; a cancel also drops the
+ * pending vectors. A migration interrupted by a restart resumes at startup, skipping rows
+ * that already have a pending vector.
+ *
+ * LearnedReply vectors are not migrated — approval re-embeds when the stamp is stale.
+ *
+ * Progress is saved on the EmbeddingMigration and broadcast to dashboards as
+ * 'embeddings.migration'.
+ * @module utils/embeddingMigration
+ */
+
+const { Embedding, ResponseCache, LearnedReply, EmbeddingMigration, Setting } = require('../db/models');
+const { embedTexts } = require('./embeddings');
+const { LEGACY_MODEL_ID, modelIdOf, getActiveEmbeddingModel, clearEmbeddingModelCache } = require('./embeddingBackends');
+const { initVectorIndex, getIndexStatus } = require('./annIndex');
+const { broadcastToDashboard } = require('../websocket');
+
+const BATCH_SIZE = 32;
+
+/** Collections holding vectors: which field is embedded and where the vector goes */
+const SOURCES = [
+  { name: 'embeddings', Model: Embedding, textField: 'text', vectorField: 'embedding' },
+  { name: 'responseCache', Model: ResponseCache, textField: 'question', vectorField: 'questionEmbedding' }
+];
+
+/** Migration being run by this process */
+let runningId = null;
+
+/**
+ * Stamp vectors stored before stamping existed with LEGACY_MODEL_ID, and warn about rows the
+ * active model can't search. Run once at startup, before the ANN index is built.
+ * @returns {Promise<void>}
+ */
+async function stampLegacyVectors() {
+  try {
+    const unstamped = { embeddingModel: { $exists: false } };
+    const stamp = { $set: { embeddingModel: LEGACY_MODEL_ID } };
+    const results = await Promise.all([
+      Embedding.updateMany(unstamped, stamp),
+      ResponseCache.updateMany(unstamped, stamp),
+      LearnedReply.updateMany({ ...unstamped, embedding: { $exists: true } }, stamp)
+    ]);
+    const stamped = results.reduce((sum, r) => sum + (r.modifiedCount || 0), 0);
+    if (stamped > 0) console.log(`[Embeddings] Stamped ${stamped} existing vectors as ${LEGACY_MODEL_ID}`);
+
+    const { modelId } = await getActiveEmbeddingModel();
+    const stale = await Embedding.countDocuments({ embeddingModel: { $ne: modelId } });
+    if (stale > 0) {
+      console.warn(`[Embeddings] ${stale} KB embeddings are not from the active model ${modelId} and are not searchable — run a re-embedding migration`);
+    }
+  } catch (err) {
+    console.error('[Embeddings] Stamping legacy vectors failed:', err.message);
+  }
+}
+
+/** Counts of stored vectors per model: { embeddings: { modelId: n }, responseCache: { modelId: n } } */
+async function countVectorsByModel() {
+  const counts = {};
+  for (const { name, Model } of SOURCES) {
+    const rows = await Model.aggregate([{ $group: { _id: '$embeddingModel', count: { $sum: 1 } } }]);
+    counts[name] = {};
+    rows.forEach(row => { counts[name][row._id || 'unstamped'] = row.count; });
+  }
+  return counts;
+}
+
+/** Dashboard view of a migration */
+function formatMigration(migration) {
+  if (!migration) return null;
+  return {
+    id: migration._id,
+    target: migration.target,
+    targetModel: migration.targetModel,
+    previousModel: migration.previousModel,
+    status: migration.status,
+    cancelRequested: migration.cancelRequested,
+    progress: migration.progress,
+    dimension: migration.dimension,
+    lastError: migration.lastError,
+    startedBy: migration.startedBy,
+    createdAt: migration.createdAt,
+    finishedAt: migration.finishedAt
+  };
+}
+
+/**
+ * Active model, vector counts per model, the ANN index's model and the latest migration.
+ * @returns {Promise<Object>}
+ */
+async function getEmbeddingStatus() {
+  const [{ spec, modelId }, counts, latest] = await Promise.all([
+    getActiveEmbeddingModel(),
+    countVectorsByModel(),
+    EmbeddingMigration.findOne().sort({ createdAt: -1 }).lean()
+  ]);
+  return {
+    active: { ...spec, modelId },
+    counts,
+    indexModel: getIndexStatus().model,
+    migration: formatMigration(latest)
+  };
+}
+
+function broadcastProgress(migration) {
+  broadcastToDashboard('embeddings.migration', { migration: formatMigration(migration) });
+}
+
+/** Save changed fields (dotted paths for counters) on the lean migration and tell dashboards */
+async function saveMigration(migration, fields) {
+  for (const [key, value] of Object.entries(fields)) {
+    const [head, sub] = key.split('.');
+    if (sub) migration[head] = { ...migration[head], [sub]: value };
+    else migration[key] = value;
+  }
+  await EmbeddingMigration.updateOne({ _id: migration._id }, { $set: fields });
+  broadcastProgress(migration);
+}
+
+/**
+ * Re-embed one batch of rows into `field` ('pending' or 'live').
+ * Rows whose text changed since they were read are left for a later batch.
+ * @returns {Promise<number>} Rows written
+ */
+async function embedBatch(source, docs, spec, targetModel, field) {
+  const { vectors } = await embedTexts(docs.map(doc => doc[source.textField]), { spec });
+  const ops = docs.map((doc, i) => ({
+    updateOne: {
+      filter: { _id: doc._id, [source.textField]: doc[source.textField] },
+      update: field === 'pending'
+        ? { $set: { pendingEmbedding: vectors[i], pendingModel: targetModel } }
+        : {
+          $set: { [source.vectorField]: vectors[i], embeddingModel: targetModel },
+          $unset: { pendingEmbedding: 1, pendingModel: 1 }
+        }
+    }
+  }));
+  const result = await source.Model.bulkWrite(ops, { ordered: false });
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Re-embed every row of a source matching `filter`, a batch at a time.
+ * @returns {Promise<{done: number, failed: Array, cancelled: boolean}>}
+ */
+async function embedAll(source, migration, filter, field) {
+  const spec = migration.target;
+  const failedIds = [];
+  let done = 0;
+  for (;;) {
+    const fresh = await EmbeddingMigration.findById(migration._id).select('cancelRequested').lean();
+    if (!fresh || fresh.cancelRequested) return { done, failed: failedIds, cancelled: true };
+
+    const docs = await source.Model.find({ ...filter, _id: { $nin: failedIds } })
+      .select(source.textField)
+      .limit(BATCH_SIZE)
+      .lean();
+    if (docs.length === 0) return { done, failed: failedIds, cancelled: false };
+
+    try {
+      const written = await embedBatch(source, docs, spec, migration.targetModel, field);
+      done += written;
+      await saveMigration(migration, { 'progress.embedded': migration.progress.embedded + written });
+    } catch (err) {
+      console.error(`[Embeddings] Migration batch failed (${source.name}):`, err.message);
+      failedIds.push(...docs.map(doc => doc._id));
+      await saveMigration(migration, {
+        'progress.failed': migration.progress.failed + docs.length,
+        lastError: err.message
+      });
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/** Drop pending vectors written for a migration's target */
+async function discardPending(targetModel) {
+  await Promise.all(SOURCES.map(({ Model }) => Model.updateMany(
+    { pendingModel: targetModel },
+    { $unset: { pendingEmbedding: 1, pendingModel: 1 } }
+  )));
+}
+
+/**
+ * Run a migration to completion (re-embed, then cut over). No-op if it isn't running or this
+ * process is already running a migration.
+ * @param {ObjectId|string} migrationId - EmbeddingMigration _id
+ * @returns {Promise<void>}
+ */
+async function runEmbeddingMigration(migrationId) {
+  if (runningId) return;
+  runningId = String(migrationId);
+
+  let migration = null;
+  try {
+    migration = await EmbeddingMigration.findById(migrationId).lean();
+    if (!migration || migration.status !== 'running') return;
+    migration.progress = { total: 0, embedded: 0, failed: 0 };
+    const { targetModel } = migration;
+
+    const notTarget = { embeddingModel: { $ne: targetModel } };
+    const [total, alreadyPending] = await Promise.all([
+      Promise.all(SOURCES.map(({ Model }) => Model.countDocuments(notTarget))),
+      Promise.all(SOURCES.map(({ Model }) => Model.countDocuments({ ...notTarget, pendingModel: targetModel })))
+    ]);
+    const sum = list => list.reduce((a, b) => a + b, 0);
+    await saveMigration(migration, {
+      'progress.total': sum(total),
+      'progress.embedded': sum(alreadyPending),
+      'progress.failed': 0
+    });
+    console.log(`[Embeddings] Migrating ${sum(total)} vectors from ${migration.previousModel} to ${targetModel}`);
+
+    // Phase 1: pending vectors while the old model serves
+    const failed = [];
+    for (const source of SOURCES) {
+      const result = await embedAll(source, migration, { ...notTarget, pendingModel: { $ne: targetModel } }, 'pending');
+      if (result.cancelled) {
+        await discardPending(targetModel);
+        await saveMigration(migration, { status: 'cancelled', finishedAt: new Date() });
+        console.log(`[Embeddings] Migration to ${targetModel} cancelled`);
+        return;
+      }
+      failed.push(...result.failed);
+    }
+    if (failed.length > 0) {
+      throw new Error(`${failed.length} rows could not be embedded (${migration.lastError}) — the previous model is still active`);
+    }
+
+    // Phase 2: cut-over
+    for (const { Model, vectorField } of SOURCES) {
+      await Model.updateMany({ pendingModel: targetModel }, [
+        { $set: { [vectorField]: '$pendingEmbedding', embeddingModel: '$pendingModel' } },
+        { $unset: ['pendingEmbedding', 'pendingModel'] }
+      ]);
+    }
+    await Setting.findOneAndUpdate(
+      { key: 'embeddingModel' },
+      { value: migration.target, updatedAt: new Date() },
+      { upsert: true }
+    );
+    clearEmbeddingModelCache();
+
+    // Rows written with the old model between the last batch and the switch
+    let stragglers = 0;
+    for (const source of SOURCES) {
+      stragglers += (await embedAll(source, migration, notTarget, 'live')).done;
+    }
+    await saveMigration(migration, { status: 'completed', finishedAt: new Date() });
+    console.log(`[Embeddings] Cut over to ${targetModel} (${stragglers} late rows re-embedded) — rebuilding ANN index`);
+    initVectorIndex({ rebuild: true });
+  } catch (err) {
+    console.error('[Embeddings] Migration failed:', err.message);
+    if (migration) {
+      await saveMigration(migration, { status: 'failed', lastError: err.message, finishedAt: new Date() })
+        .catch(saveErr => console.error('[Embeddings] Failed to save migration state:', saveErr.message));
+    }
+  } finally {
+    runningId = null;
+  }
+}
+
+/**
+ * Probe the target model, record a migration and start it in the background.
+ * @param {Object} spec - Normalized target spec (utils/embeddingBackends)
+ * @param {ObjectId} [agentId] - Agent who started it
+ * @returns {Promise<Object>} The migration (formatted)
+ * @throws {Error} code MIGRATION_RUNNING, SAME_MODEL or PROBE_FAILED
+ */
+async function startEmbeddingMigration(spec, agentId) {
+  const targetModel = modelIdOf(spec);
+  const { modelId } = await getActiveEmbeddingModel();
+  if (targetModel === modelId) {
+    const err = new Error(`${targetModel} is already the active embedding model`);
+    err.code = 'SAME_MODEL';
+    throw err;
+  }
+  if (runningId || await EmbeddingMigration.exists({ status: 'running' })) {
+    const err = new Error('An embedding migration is already running');
+    err.code = 'MIGRATION_RUNNING';
+    throw err;
+  }
+
+  let dimension;
+  try {
+    const { vectors } = await embedTexts(['Embedding model connectivity check'], { spec });
+    dimension = vectors[0].length;
+  } catch (probeErr) {
+    const err = new Error(`Could not embed with ${targetModel}: ${probeErr.message}`);
+    err.code = 'PROBE_FAILED';
+    throw err;
+  }
+
+  const migration = await EmbeddingMigration.create({
+    target: spec,
+    targetModel,
+    previousModel: modelId,
+    dimension,
+    startedBy: agentId
+  });
+  runEmbeddingMigration(migration._id)
+    .catch(err => console.error('[Embeddings] Migration crashed:', err.message));
+  return formatMigration(migration);
+}
+
+/**
+ * Ask a running migration to stop; it discards its pending vectors between batches.
+ * @param {ObjectId|string} migrationId
+ * @returns {Promise<Object|null>} The migration (formatted), or null if it isn't running
+ */
+async function cancelEmbeddingMigration(migrationId) {
+  const migration = await EmbeddingMigration.findOneAndUpdate(
+    { _id: migrationId, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  ).lean();
+  if (!migration) return null;
+  // Nothing is running it in this process (e.g. interrupted before a restart) — finish the cancel here
+  if (runningId !== String(migration._id)) {
+    await discardPending(migration.targetModel);
+    await saveMigration(migration, { status: 'cancelled', finishedAt: new Date() });
+  }
+  broadcastProgress(migration);
+  return formatMigration(migration);
+}
+
+/**
+ * Resume a migration interrupted by a restart. Run at startup after stampLegacyVectors().
+ * @returns {Promise<void>}
+ */
+async function resumeEmbeddingMigrations() {
+  try {
+    const migration = await EmbeddingMigration.findOne({ status: 'running' }).sort({ createdAt: -1 }).lean();
+    if (!migration) return;
+    console.log(`[Embeddings] Resuming migration to ${migration.targetModel}`);
+    runEmbeddingMigration(migration._id)
+      .catch(err => console.error('[Embeddings] Migration crashed:', err.message));
+  } catch (err) {
+    console.error('[Embeddings] Failed to resume migration:', err.message);
+  }
+}
+
+module.exports = {
+  stampLegacyVectors,
+  getEmbeddingStatus,
+  startEmbeddingMigration,
+  runEmbeddingMigration,
+  cancelEmbeddingMigration,
+  resumeEmbeddingMigrations
+};
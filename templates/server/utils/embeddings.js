@@ -1,59 +1,150 @@
 /**
- * @file embeddings — OpenAI embedding generation for knowledge base chunks
- * @description Generates vector embeddings using OpenAI's text-embedding API for use in
- * semantic search (RAG). Supports single-text and batch embedding with rate-limit-aware
- * batching. Links generated embeddings back to their KnowledgeBase document chunks.
+ * @file embeddings — Embedding generation for knowledge base chunks and queries
+ * @description Generates vector embeddings for semantic search (RAG) with the active
+ * embedding backend — OpenAI, an OpenAI-compatible server or an in-process transformers.js
+ * model (utils/embeddingBackends). Supports single-text and batch embedding with
+ * rate-limit-aware batching. Links generated embeddings back to their KnowledgeBase
+ * document chunks.
+ *
+ * Every stored vector is stamped with the model id that produced it (`embeddingModel`);
+ * embedText() / embedTexts() return the id alongside the vectors so writers stamp what they
+ * actually embedded with, even if the model switches mid-request.
+ *
+ * All Embedding writes go through createEmbedding / updateEmbedding / deleteEmbeddingById /
+ * deleteEmbeddings so the in-process ANN index (utils/annIndex) and BM25 keyword index
+ * (utils/keywordIndex) stay in sync.
+ *
+ * Every backend call is recorded with its token count and cost as feature 'embeddings'
+ * (utils/usage). Spend caps never block embeddings — search and indexing depend on them.
+ * Personal data is masked to its type ([EMAIL], [PHONE], …) before the text is sent
+ * (utils/redaction); the vector doesn't need the value.
+ *
+ * withEmbeddingStub() swaps the backend for a deterministic hashed bag-of-words vector
+ * within one async call chain, so offline eval runs need no network. Stub vectors are
+ * stamped STUB_MODEL_ID and never match real stored embeddings — retrieval in a stubbed run
+ * relies on the BM25 stage unless the KB was embedded with the stub too.
  * @module utils/embeddings
  */
 
-const OpenAI = require('openai');
+const { AsyncLocalStorage } = require('async_hooks');
 const { Embedding, KnowledgeBase } = require('../db/models');
+const { indexEmbedding, unindexEmbeddings } = require('./annIndex');
+const { indexText, unindexText } = require('./keywordIndex');
+const { recordCall } = require('./usage');
+const { maskPii, recordRedactions } = require('./redaction');
+const { getActiveEmbeddingModel, embedWithSpec, modelIdOf } = require('./embeddingBackends');
 
-// Default embedding model
-const EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+const STUB_EMBEDDING_DIM = 256;
+const STUB_MODEL_ID = 'stub';
+const embeddingStub = new AsyncLocalStorage();
 
-// Lazy initialization of OpenAI client
-let openai = null;
-function getOpenAIClient() {
-  if (!openai) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is required for embedding generation');
-    }
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
+/**
+ * Embed a batch of texts with a given model (the active one by default).
+ * @param {string[]} texts - Non-empty texts
+ * @param {Object} [options]
+ * @param {Object} [options.spec] - Model spec (utils/embeddingBackends); defaults to the active model
+ * @returns {Promise<{vectors: number[][], modelId: string}>} One vector per text, and the id to stamp them with
+ */
+async function embedTexts(texts, { spec } = {}) {
+  if (!Array.isArray(texts) || texts.length === 0 || texts.some(t => typeof t !== 'string' || !t.trim())) {
+    throw new Error('Invalid text input: must be non-empty strings');
+  }
+
+  if (!spec && embeddingStub.getStore()) {
+    return { vectors: texts.map(stubEmbedding), modelId: STUB_MODEL_ID };
+  }
+
+  const active = spec ? null : await getActiveEmbeddingModel();
+  const target = spec || active.spec;
+  const modelId = active ? active.modelId : modelIdOf(spec);
+
+  try {
+    const masked = await Promise.all(texts.map(text => maskPii(text)));
+    const startTime = Date.now();
+    const { vectors, inputTokens } = await embedWithSpec(target, masked.map(m => m.text));
+    masked.forEach(m => recordRedactions('embeddings', m.counts));
+
+    recordCall({
+      feature: 'embeddings',
+      provider: target.backend,
+      model: target.model,
+      inputTokens,
+      outputTokens: 0,
+      latencyMs: Date.now() - startTime
     });
+    return { vectors, modelId };
+  } catch (error) {
+    console.error(`Embedding generation failed (${modelId}):`, error.message);
+    throw new Error(`Failed to generate embedding: ${error.message}`);
   }
-  return openai;
 }
 
 /**
- * Generate embedding vector for a single text string
+ * Embed one text with the active model, returning the model id to stamp it with
  * @param {string} text - Text to embed
- * @returns {Promise<number[]>} - 1536-dimensional embedding vector
+ * @returns {Promise<{vector: number[], modelId: string}>}
  */
-async function generateEmbedding(text) {
+async function embedText(text) {
   if (!text || typeof text !== 'string' || text.trim().length === 0) {
     throw new Error('Invalid text input: must be a non-empty string');
   }
+  const { vectors, modelId } = await embedTexts([text]);
+  return { vector: vectors[0], modelId };
+}
 
-  try {
-    const client = getOpenAIClient();
-    const response = await client.embeddings.create({
-      model: EMBEDDING_MODEL,
-      input: text
-    });
+/**
+ * Generate embedding vector for a single text string
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>} - Embedding vector (dimension depends on the active model)
+ */
+async function generateEmbedding(text) {
+  return (await embedText(text)).vector;
+}
 
-    return response.data[0].embedding;
-  } catch (error) {
-    console.error('OpenAI embedding generation failed:', error.message);
-    throw new Error(`Failed to generate embedding: ${error.message}`);
+/**
+ * Id of the model query vectors come from in the current async context: the active model,
+ * or STUB_MODEL_ID inside withEmbeddingStub(). Only stored vectors with this stamp are
+ * comparable with them.
+ * @returns {Promise<string>}
+ */
+async function getEmbeddingModelId() {
+  if (embeddingStub.getStore()) return STUB_MODEL_ID;
+  return (await getActiveEmbeddingModel()).modelId;
+}
+
+/**
+ * Deterministic offline embedding: word counts hashed into STUB_EMBEDDING_DIM buckets,
+ * unit-normalized, so texts sharing words have a positive cosine similarity.
+ * @param {string} text
+ * @returns {number[]}
+ */
+function stubEmbedding(text) {
+  const vector = new Array(STUB_EMBEDDING_DIM).fill(0);
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let hash = 2166136261;
+    for (let i = 0; i < word.length; i++) {
+      hash = Math.imul(hash ^ word.charCodeAt(i), 16777619);
+    }
+    vector[(hash >>> 0) % STUB_EMBEDDING_DIM] += 1;
   }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+/**
+ * Run `fn` with every generateEmbedding() call in its async call chain using stubEmbedding.
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} fn's result
+ */
+function withEmbeddingStub(fn) {
+  return embeddingStub.run(true, fn);
 }
 
 /**
  * Generate embeddings for all chunks in a knowledge base document
  * @param {ObjectId} knowledgeBaseId - MongoDB document ID
- * @param {Array} chunks - Array of chunk objects [{text, index}]
+ * @param {Array} chunks - Array of chunk objects [{text, index, metadata}] — metadata (heading
+ *   path, page, rows) is stored on each Embedding for citations
  * @returns {Promise<number>} - Count of embeddings created
  */
 async function generateEmbeddingsForChunks(knowledgeBaseId, chunks) {
@@ -78,15 +169,16 @@ async function generateEmbeddingsForChunks(knowledgeBaseId, chunks) {
         const chunkIndex = i + batchIndex;
 
         try {
-          const embeddingVector = await generateEmbedding(chunk.text);
+          const { vector, modelId } = await embedText(chunk.text);
 
           // Create embedding document
-          const embedding = await Embedding.create({
+          const embedding = await createEmbedding({
             knowledgeBaseId,
             chunkIndex,
             text: chunk.text,
-            embedding: embeddingVector,
-            metadata: {}
+            embedding: vector,
+            embeddingModel: modelId,
+            metadata: chunk.metadata || {}
           });
 
           // Update KnowledgeBase document with embeddingId
@@ -121,6 +213,55 @@ async function generateEmbeddingsForChunks(knowledgeBaseId, chunks) {
   return createdCount;
 }
 
+/**
+ * Create an Embedding document and add it to the ANN and keyword indexes
+ * @param {Object} fields - { knowledgeBaseId, chunkIndex, text, embedding, embeddingModel, metadata } —
+ *   embeddingModel defaults to the active model's id; pass the id embedText() returned
+ * @returns {Promise<Object>} - Created Embedding document
+ */
+async function createEmbedding(fields) {
+  const embedding = await Embedding.create({
+    ...fields,
+    embeddingModel: fields.embeddingModel || await getEmbeddingModelId()
+  });
+  indexEmbedding(embedding._id, embedding.embedding, embedding.embeddingModel);
+  indexText(embedding._id, embedding.text, embedding.knowledgeBaseId);
+  return embedding;
+}
+
+/**
+ * Update an Embedding document; re-indexes its vector and/or text when they change
+ * @param {ObjectId} id - Embedding document ID
+ * @param {Object} fields - Fields to set (e.g. { text, embedding, embeddingModel }) — a new
+ *   embedding without embeddingModel is stamped with the current model; new text drops the
+ *   vector a running re-embedding migration computed for the old text
+ * @returns {Promise<Object|null>} - Updated document, or null if not found
+ */
+async function updateEmbedding(id, fields) {
+  const update = { ...fields };
+  if (fields.embedding && !fields.embeddingModel) update.embeddingModel = await getEmbeddingModelId();
+  if (fields.text !== undefined) update.$unset = { pendingEmbedding: 1, pendingModel: 1 };
+  const embedding = await Embedding.findByIdAndUpdate(id, update, { new: true });
+  if (embedding && fields.embedding) {
+    indexEmbedding(embedding._id, embedding.embedding, embedding.embeddingModel);
+  }
+  if (embedding && fields.text !== undefined) {
+    indexText(embedding._id, embedding.text, embedding.knowledgeBaseId);
+  }
+  return embedding;
+}
+
+/**
+ * Delete a single Embedding document and drop it from the ANN and keyword indexes
+ * @param {ObjectId} id - Embedding document ID
+ * @returns {Promise<void>}
+ */
+async function deleteEmbeddingById(id) {
+  await Embedding.findByIdAndDelete(id);
+  unindexEmbeddings([id]);
+  unindexText([id]);
+}
+
 /**
  * Delete all embeddings for a knowledge base document
  * @param {ObjectId} knowledgeBaseId - MongoDB document ID
@@ -128,7 +269,10 @@ async function generateEmbeddingsForChunks(knowledgeBaseId, chunks) {
  */
 async function deleteEmbeddings(knowledgeBaseId) {
   try {
+    const ids = (await Embedding.find({ knowledgeBaseId }).select('_id').lean()).map(e => e._id);
     const result = await Embedding.deleteMany({ knowledgeBaseId });
+    unindexEmbeddings(ids);
+    unindexText(ids);
     console.log(`Deleted ${result.deletedCount} embeddings for knowledge base ${knowledgeBaseId}`);
     return result.deletedCount;
   } catch (error) {
@@ -138,7 +282,15 @@ async function deleteEmbeddings(knowledgeBaseId) {
 }
 
 module.exports = {
+  STUB_MODEL_ID,
+  embedTexts,
+  embedText,
   generateEmbedding,
+  getEmbeddingModelId,
+  withEmbeddingStub,
   generateEmbeddingsForChunks,
+  createEmbedding,
+  updateEmbedding,
+  deleteEmbeddingById,
   deleteEmbeddings
 };
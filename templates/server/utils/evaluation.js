@@ -0,0 +1,336 @@
+/**
+ * @file evaluation — Offline evaluation of the RAG pipeline against a golden set
+ * @description Runs stored EvalCase questions through utils/answerPipeline — the same
+ * retrieval, prompt, generation, citation and confidence code as /api/ai/query, minus caching
+ * and persistence — and scores each answer:
+ *   - retrieval hit      — an expected source is among the retrieved chunks (plus reciprocal rank)
+ *   - answer similarity  — token F1 between the answer and the reference answer
+ *   - citation accuracy  — share of cited sources that are expected sources
+ *   - escalation         — whether the answer would be handed to a human, and whether that
+ *                          matches the case's shouldEscalate
+ * Each run is saved as an EvalRun with a snapshot of the config it ran under (provider/model,
+ * prompt version, retrieval, grounding, chunk sizes), so runs can be compared side by side.
+ *
+ * Stubbed runs force the mock LLM (extractive answers from the top source) and hashed stub
+ * embeddings for their own async context only (withProviderOverride / withEmbeddingStub),
+ * so they need no network and never affect live traffic.
+ * @module utils/evaluation
+ */
+
+const { EvalCase, EvalRun, WorkflowCategory } = require('../db/models');
+const { generateAnswer } = require('./answerPipeline');
+const { resolveProvider, withProviderOverride } = require('./llm');
+const { withEmbeddingStub } = require('./embeddings');
+const { getRetrievalConfig } = require('./hybridSearch');
+const { getGroundingConfig } = require('./grounding');
+const { getActiveProfile } = require('./promptProfile');
+const { chunkOptionsFor } = require('./chunker');
+
+/** Provider config forced on every LLM feature during a stubbed run */
+const STUB_PROVIDER = { provider: 'mock', model: 'mock', response: null, extractive: true };
+
+/** Metrics compared between runs; `higher` = larger is better */
+const METRICS = {
+  retrievalHitRate: { higher: true },
+  mrr: { higher: true },
+  answerSimilarity: { higher: true },
+  citationAccuracy: { higher: true },
+  escalationRate: { higher: false },
+  escalationAccuracy: { higher: true },
+  avgConfidence: { higher: true },
+  avgLatencyMs: { higher: false }
+};
+
+/** Lowercased word tokens, ignoring [n] citation markers */
+function tokenize(text) {
+  return (text || '').replace(/\[\d{1,2}\]/g, ' ').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Token-overlap F1 between two texts (SQuAD-style), 0-1.
+ * @param {string} answer
+ * @param {string} reference
+ * @returns {number}
+ */
+function answerSimilarity(answer, reference) {
+  const answerTokens = tokenize(answer);
+  const referenceTokens = tokenize(reference);
+  if (answerTokens.length === 0 || referenceTokens.length === 0) return 0;
+
+  const counts = new Map();
+  for (const token of referenceTokens) counts.set(token, (counts.get(token) || 0) + 1);
+  let overlap = 0;
+  for (const token of answerTokens) {
+    if (counts.get(token) > 0) {
+      overlap++;
+      counts.set(token, counts.get(token) - 1);
+    }
+  }
+  if (overlap === 0) return 0;
+  const precision = overlap / answerTokens.length;
+  const recall = overlap / referenceTokens.length;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+function normalizeSource(value) {
+  return String(value || '').trim().toLowerCase().replace(/\/+$/, '');
+}
+
+/**
+ * Whether a retrieved chunk or citation belongs to one of the expected sources, matched by
+ * KB document ID, filename, title or URL.
+ * @param {Object} source - { knowledgeBaseId, filename, title, url|sourceUrl }
+ * @param {string[]} expected - Normalized expected sources
+ * @returns {boolean}
+ */
+function matchesExpected(source, expected) {
+  const keys = [source.knowledgeBaseId, source.filename, source.title, source.url || source.sourceUrl]
+    .filter(Boolean)
+    .map(normalizeSource);
+  return keys.some(key => expected.includes(key));
+}
+
+function round(value, digits = 3) {
+  return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+/**
+ * Run one golden-set case through the pipeline and score it.
+ * @param {Object} evalCase - EvalCase (lean)
+ * @param {Object} [workflowCategory] - The case's category, if any
+ * @returns {Promise<Object>} Per-case result stored on the EvalRun
+ */
+async function evaluateCase(evalCase, workflowCategory) {
+  const expected = (evalCase.expectedSources || []).map(normalizeSource);
+  const base = {
+    caseId: evalCase._id,
+    question: evalCase.question,
+    referenceAnswer: evalCase.referenceAnswer || null,
+    expectedSources: evalCase.expectedSources || []
+  };
+  const startTime = Date.now();
+
+  let answer;
+  try {
+    answer = await generateAnswer({ message: evalCase.question, workflowCategory });
+  } catch (err) {
+    console.error(`[Eval] Case ${evalCase._id} failed:`, err.message);
+    return { ...base, error: err.message, scores: {} };
+  }
+
+  const retrieved = answer.ragResults.map(r => ({
+    knowledgeBaseId: r.knowledgeBaseId,
+    filename: r.filename,
+    title: r.title,
+    url: r.sourceUrl,
+    location: r.location,
+    similarity: round(r.similarity)
+  }));
+  const citations = answer.citations.map(c => ({
+    n: c.n, knowledgeBaseId: c.knowledgeBaseId, title: c.title, url: c.url, location: c.location
+  }));
+
+  const scores = { retrievalHit: null, reciprocalRank: null, answerSimilarity: null, citationAccuracy: null, escalationCorrect: null };
+  if (expected.length > 0) {
+    const rank = retrieved.findIndex(r => matchesExpected(r, expected));
+    scores.retrievalHit = rank >= 0;
+    scores.reciprocalRank = rank >= 0 ? round(1 / (rank + 1)) : 0;
+    scores.citationAccuracy = citations.length > 0
+      ? round(citations.filter(c => matchesExpected(c, expected)).length / citations.length)
+      : 0;
+  }
+  if (evalCase.referenceAnswer) {
+    scores.answerSimilarity = round(answerSimilarity(answer.responseText, evalCase.referenceAnswer));
+  }
+  if (typeof evalCase.shouldEscalate === 'boolean') {
+    scores.escalationCorrect = answer.needsHuman === evalCase.shouldEscalate;
+  }
+
+  return {
+    ...base,
+    answer: answer.responseText,
+    retrieved,
+    citations,
+    confidence: round(answer.confidence),
+    needsHuman: answer.needsHuman,
+    groundedness: answer.grounding ? answer.grounding.groundedness : null,
+    uncited: answer.uncited,
+    latencyMs: Date.now() - startTime,
+    scores
+  };
+}
+
+/** Mean of the non-null values, or null if there are none */
+function mean(values) {
+  const present = values.filter(v => v !== null && v !== undefined).map(Number);
+  return present.length > 0 ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+}
+
+/**
+ * Aggregate per-case results into run metrics. Cases that errored count only in `errors`.
+ * @param {Array} results
+ * @returns {Object}
+ */
+function summarizeResults(results) {
+  const scored = results.filter(r => !r.error);
+  const metrics = {
+    cases: results.length,
+    errors: results.length - scored.length,
+    retrievalHitRate: mean(scored.map(r => r.scores.retrievalHit)),
+    mrr: mean(scored.map(r => r.scores.reciprocalRank)),
+    answerSimilarity: mean(scored.map(r => r.scores.answerSimilarity)),
+    citationAccuracy: mean(scored.map(r => r.scores.citationAccuracy)),
+    escalationRate: mean(scored.map(r => r.needsHuman)),
+    escalationAccuracy: mean(scored.map(r => r.scores.escalationCorrect)),
+    avgConfidence: mean(scored.map(r => r.confidence)),
+    avgGroundedness: mean(scored.map(r => r.groundedness)),
+    avgLatencyMs: mean(scored.map(r => r.latencyMs))
+  };
+  for (const key of Object.keys(metrics)) {
+    if (key !== 'cases' && key !== 'errors') metrics[key] = round(metrics[key]);
+  }
+  if (metrics.avgLatencyMs !== null) metrics.avgLatencyMs = Math.round(metrics.avgLatencyMs);
+  return metrics;
+}
+
+/**
+ * Settings the run executes under, so a change in results can be traced to a change in config.
+ * Must be called inside the run's provider override so stubbed runs record the mock provider.
+ * @returns {Promise<Object>}
+ */
+async function snapshotConfig() {
+  const [query, profile, retrieval, grounding] = await Promise.all([
+    resolveProvider('query').catch(err => ({ error: err.message })),
+    getActiveProfile(),
+    getRetrievalConfig(),
+    getGroundingConfig()
+  ]);
+  const { maxTokens, overlapTokens } = chunkOptionsFor({});
+  return {
+    provider: query.provider || null,
+    model: query.model || null,
+    promptVersion: profile.version || null,
+    retrieval,
+    grounding,
+    chunking: { maxTokens, overlapTokens },
+    confidenceThreshold: parseFloat(process.env.CLAUDE_CONFIDENCE_THRESHOLD || '0.7')
+  };
+}
+
+/**
+ * Run the golden set (or part of it) and save the run.
+ * @param {Object} [options]
+ * @param {string} [options.name] - Run label
+ * @param {string[]} [options.caseIds] - Only these cases
+ * @param {string} [options.tag] - Only cases with this tag
+ * @param {boolean} [options.stub] - Mock LLM + stub embeddings (no network)
+ * @param {string} [options.trigger='api'] - api | cli
+ * @param {ObjectId|string} [options.startedBy] - Agent who started it
+ * @param {Function} [options.onProgress] - Called with (run, result) after each case
+ * @param {Function} [options.onStart] - Called with the created run before the first case
+ * @returns {Promise<Object>} Finished EvalRun document
+ * @throws {Error} code EVAL_NO_CASES when nothing matches
+ */
+async function runEvaluation(options = {}) {
+  const filter = { active: true };
+  if (options.caseIds && options.caseIds.length > 0) filter._id = { $in: options.caseIds };
+  if (options.tag) filter.tags = options.tag;
+  const cases = await EvalCase.find(filter).sort({ createdAt: 1 }).lean();
+  if (cases.length === 0) {
+    const err = new Error('No active eval cases match');
+    err.code = 'EVAL_NO_CASES';
+    throw err;
+  }
+
+  const categoryIds = [...new Set(cases.filter(c => c.categoryId).map(c => c.categoryId.toString()))];
+  const categories = await WorkflowCategory.find({ _id: { $in: categoryIds } }).lean();
+  const categoryById = new Map(categories.map(c => [c._id.toString(), c]));
+
+  const run = await EvalRun.create({
+    name: options.name || `Run ${new Date().toISOString().substring(0, 16).replace('T', ' ')}`,
+    stubbed: !!options.stub,
+    trigger: options.trigger || 'api',
+    startedBy: options.startedBy || null,
+    progress: { done: 0, total: cases.length }
+  });
+  if (options.onStart) options.onStart(run);
+  console.log(`[Eval] Run ${run._id} started: ${cases.length} cases${options.stub ? ' (stubbed)' : ''}`);
+
+  const execute = async () => {
+    run.config = await snapshotConfig();
+    const results = [];
+    for (const evalCase of cases) {
+      const category = evalCase.categoryId ? categoryById.get(evalCase.categoryId.toString()) : null;
+      const result = await evaluateCase(evalCase, category);
+      results.push(result);
+      run.progress = { done: results.length, total: cases.length };
+      await EvalRun.updateOne({ _id: run._id }, { $set: { progress: run.progress } });
+      if (options.onProgress) options.onProgress(run, result);
+    }
+    return results;
+  };
+
+  try {
+    const results = options.stub
+      ? await withProviderOverride(STUB_PROVIDER, () => withEmbeddingStub(execute))
+      : await execute();
+    run.results = results;
+    run.metrics = summarizeResults(results);
+    run.status = 'completed';
+    console.log(`[Eval] Run ${run._id} completed: hit rate ${run.metrics.retrievalHitRate}, answer similarity ${run.metrics.answerSimilarity}, escalation rate ${run.metrics.escalationRate}`);
+  } catch (err) {
+    run.status = 'failed';
+    run.lastError = err.message;
+    console.error(`[Eval] Run ${run._id} failed:`, err.message);
+  }
+  run.finishedAt = new Date();
+  await run.save();
+  return run;
+}
+
+/**
+ * Side-by-side comparison of two runs: metric deltas and per-case score pairs.
+ * @param {Object} a - EvalRun (lean), the baseline
+ * @param {Object} b - EvalRun (lean), the candidate
+ * @returns {Object} { a, b, metrics: [{ metric, a, b, delta, better }], cases: [...] }
+ *   — better is true/false when b improves/regresses on a, null when unchanged or not comparable
+ */
+function compareRuns(a, b) {
+  const summary = run => ({
+    id: run._id, name: run.name, status: run.status, stubbed: run.stubbed,
+    config: run.config, createdAt: run.createdAt
+  });
+
+  const metrics = Object.entries(METRICS).map(([metric, { higher }]) => {
+    const va = a.metrics ? a.metrics[metric] : null;
+    const vb = b.metrics ? b.metrics[metric] : null;
+    const delta = va !== null && va !== undefined && vb !== null && vb !== undefined ? round(vb - va) : null;
+    return { metric, a: va, b: vb, delta, better: delta ? (delta > 0) === higher : null };
+  });
+
+  const byCase = new Map();
+  for (const [side, run] of [['a', a], ['b', b]]) {
+    for (const result of run.results || []) {
+      const key = String(result.caseId);
+      if (!byCase.has(key)) byCase.set(key, { caseId: result.caseId, question: result.question });
+      byCase.get(key)[side] = {
+        answer: result.answer,
+        error: result.error,
+        scores: result.scores,
+        needsHuman: result.needsHuman,
+        confidence: result.confidence
+      };
+    }
+  }
+
+  return { a: summary(a), b: summary(b), metrics, cases: [...byCase.values()] };
+}
+
+module.exports = {
+  METRICS,
+  answerSimilarity,
+  evaluateCase,
+  summarizeResults,
+  runEvaluation,
+  compareRuns
+};
@@ -0,0 +1,293 @@
+/**
+ * @file experiments — A/B tests of prompt profiles and models on live /api/ai/query traffic
+ * @description An Experiment (db/models) lists variants, each optionally pinning a prompt
+ * profile version and/or an LLM provider+model for the 'query' feature, with relative weights
+ * for the traffic split. While an experiment is running:
+ *   - every chat is bucketed by its sessionId — a hash of experiment ID + session, so a chat
+ *     keeps its variant for its whole life and across server restarts, with no stored state
+ *   - /api/ai/query answers with the variant's profile/model and stamps
+ *     `metadata.experiment = { id, variant }` on the AI message (and the chat)
+ *   - /api/analytics/experiments/:id compares each variant with the control (first variant)
+ *
+ * Only one experiment runs at a time so chats are never split twice. The running experiment
+ * is cached for 30s; routes that change it call clearExperimentCache().
+ *
+ * Significance: two-proportion z-test for rates (escalation, thumbs up share) and a Welch
+ * z-test for means (rating, response time), two-sided at ALPHA. A difference is only marked
+ * significant once both variants have MIN_SAMPLE observations — the normal approximation
+ * is meaningless on a handful of chats.
+ * @module utils/experiments
+ */
+
+const crypto = require('crypto');
+const { Experiment } = require('../db/models');
+const { getActiveProfile, getProfileVersion } = require('./promptProfile');
+
+const CACHE_TTL_MS = 30000;
+const MAX_VARIANTS = 5;
+const ALPHA = 0.05;
+const MIN_SAMPLE = 30;
+
+let cachedExperiment = null;
+let cachedAt = 0;
+
+/**
+ * The running experiment, or null. Errors read as "no experiment" so AI replies never
+ * fail because of an experiment lookup.
+ * @returns {Promise<Object|null>}
+ */
+async function getRunningExperiment() {
+  if (cachedAt && Date.now() - cachedAt < CACHE_TTL_MS) return cachedExperiment;
+  try {
+    cachedExperiment = await Experiment.findOne({ status: 'running' }).lean();
+  } catch (err) {
+    console.error('[Experiments] Failed to load running experiment:', err.message);
+    cachedExperiment = null;
+  }
+  cachedAt = Date.now();
+  return cachedExperiment;
+}
+
+/** Drop the cached running experiment so the next query re-reads it */
+function clearExperimentCache() {
+  cachedExperiment = null;
+  cachedAt = 0;
+}
+
+/**
+ * Validate and normalize experiment input. Only known fields are kept.
+ * @param {Object} input - Raw fields from the request body
+ * @returns {{experiment: Object, errors: string[]}}
+ */
+function normalizeExperiment(input = {}) {
+  const errors = [];
+  const experiment = {};
+
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) errors.push('name is required');
+    else experiment.name = input.name.trim();
+  }
+  if (input.description !== undefined) {
+    experiment.description = typeof input.description === 'string' ? input.description.trim() : '';
+  }
+
+  if (input.variants !== undefined) {
+    if (!Array.isArray(input.variants) || input.variants.length < 2 || input.variants.length > MAX_VARIANTS) {
+      errors.push(`variants must be an array of 2-${MAX_VARIANTS} variants`);
+    } else {
+      const keys = new Set();
+      experiment.variants = input.variants.map((raw, i) => {
+        const v = raw || {};
+        const key = typeof v.key === 'string' ? v.key.trim() : '';
+        if (!/^[\w-]{1,32}$/.test(key)) errors.push(`variant ${i + 1}: key must be 1-32 letters, digits, - or _`);
+        else if (keys.has(key)) errors.push(`variant ${i + 1}: duplicate key "${key}"`);
+        keys.add(key);
+
+        const weight = Number(v.weight);
+        if (!Number.isFinite(weight) || weight < 0) errors.push(`variant ${i + 1}: weight must be a number >= 0`);
+
+        const variant = { key, name: typeof v.name === 'string' && v.name.trim() ? v.name.trim() : key, weight };
+        if (v.promptVersion !== undefined && v.promptVersion !== null && v.promptVersion !== '') {
+          const version = parseInt(v.promptVersion);
+          if (!Number.isInteger(version) || version < 1) errors.push(`variant ${i + 1}: promptVersion must be a positive integer`);
+          else variant.promptVersion = version;
+        }
+        if (v.provider) variant.provider = String(v.provider).trim();
+        if (v.model) variant.model = String(v.model).trim();
+        return variant;
+      });
+      if (experiment.variants.every(v => !(v.weight > 0))) errors.push('at least one variant needs a weight above 0');
+    }
+  }
+
+  return { experiment, errors };
+}
+
+/**
+ * Deterministically pick a variant for a chat session. The same experiment + session always
+ * lands in the same variant; changing weights mid-experiment moves only the sessions near
+ * the bucket boundaries.
+ * @param {Object} experiment - Experiment with variants
+ * @param {string} sessionId - Chat sessionId
+ * @returns {Object|null} The variant, or null if no variant has weight
+ */
+function assignVariant(experiment, sessionId) {
+  const variants = (experiment.variants || []).filter(v => v.weight > 0);
+  const total = variants.reduce((sum, v) => sum + v.weight, 0);
+  if (total <= 0) return null;
+
+  const hash = crypto.createHash('sha1').update(`${experiment._id}:${sessionId}`).digest();
+  const point = (hash.readUInt32BE(0) / 0x100000000) * total;
+  let cumulative = 0;
+  for (const variant of variants) {
+    cumulative += variant.weight;
+    if (point < cumulative) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Assignment for a chat under the running experiment, with the variant's answer settings
+ * resolved for utils/answerPipeline.
+ * @param {string} sessionId - Chat sessionId
+ * @returns {Promise<Object|null>} null when no experiment is running; otherwise
+ *   { experimentId, variant, promptProfile?, llm? } — promptProfile/llm are unset when the
+ *   variant uses the live configuration
+ */
+async function getAssignment(sessionId) {
+  const experiment = await getRunningExperiment();
+  if (!experiment || !sessionId) return null;
+  const variant = assignVariant(experiment, sessionId);
+  if (!variant) return null;
+
+  const assignment = { experimentId: experiment._id.toString(), variant: variant.key };
+  if (variant.promptVersion) {
+    const profile = await getProfileVersion(variant.promptVersion).catch(() => null);
+    if (profile) {
+      assignment.promptProfile = profile;
+    } else {
+      // Versions beyond the newest 50 are pruned — answer with the active profile rather than fail
+      console.warn(`[Experiments] Prompt v${variant.promptVersion} of variant "${variant.key}" not found, using active profile`);
+      assignment.promptProfile = await getActiveProfile();
+    }
+  }
+  if (variant.provider || variant.model) {
+    assignment.llm = {
+      ...(variant.provider && { provider: variant.provider }),
+      ...(variant.model && { model: variant.model })
+    };
+  }
+  return assignment;
+}
+
+// ============================================================
+// Significance
+// ============================================================
+
+/** Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation, |error| < 1.5e-7) */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/** Two-sided p-value for a z statistic */
+function pValueFromZ(z) {
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+/**
+ * Compare a variant's value with the control's.
+ * @param {number|null} a - Control value
+ * @param {number|null} b - Variant value
+ * @param {number|null} z - Test statistic (null when it can't be computed)
+ * @param {number} nA - Control sample size
+ * @param {number} nB - Variant sample size
+ * @returns {Object|null} { delta, pValue, significant, enoughData } or null without data
+ */
+function comparison(a, b, z, nA, nB) {
+  if (a === null || b === null) return null;
+  const pValue = z === null ? 1 : pValueFromZ(z);
+  const enoughData = nA >= MIN_SAMPLE && nB >= MIN_SAMPLE;
+  return {
+    delta: Math.round((b - a) * 10000) / 10000,
+    pValue: Math.round(pValue * 10000) / 10000,
+    significant: enoughData && pValue < ALPHA,
+    enoughData
+  };
+}
+
+/**
+ * Two-proportion z-test (pooled).
+ * @returns {Object|null} See comparison()
+ */
+function proportionTest(successesA, nA, successesB, nB) {
+  if (!nA || !nB) return null;
+  const pA = successesA / nA;
+  const pB = successesB / nB;
+  const pooled = (successesA + successesB) / (nA + nB);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / nA + 1 / nB));
+  return comparison(pA, pB, se > 0 ? (pB - pA) / se : null, nA, nB);
+}
+
+/**
+ * Welch z-test for a difference in means.
+ * @param {{mean: number, sd: number, n: number}} a - Control
+ * @param {{mean: number, sd: number, n: number}} b - Variant
+ * @returns {Object|null} See comparison()
+ */
+function meanTest(a, b) {
+  if (!a.n || !b.n) return null;
+  const se = a.n > 1 && b.n > 1 ? Math.sqrt((a.sd * a.sd) / a.n + (b.sd * b.sd) / b.n) : 0;
+  return comparison(a.mean, b.mean, se > 0 ? (b.mean - a.mean) / se : null, a.n, b.n);
+}
+
+/**
+ * Turn per-variant aggregates into the analytics report: rates and means per variant, plus
+ * each non-control variant's difference from the control with a significance indicator.
+ * @param {Object} experiment - Experiment (variant order defines the control)
+ * @param {Object<string, Object>} stats - variant key -> { chats, escalatedChats, messages,
+ *   ratingCount, ratingMean, ratingSd, thumbsUp, thumbsDown, responseTimeCount,
+ *   responseTimeMean, responseTimeSd }
+ * @returns {Array<Object>} One row per variant
+ */
+function summarizeVariants(experiment, stats) {
+  const round = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+  const statsOf = variant => stats[variant.key] || {};
+  const rating = s => ({ mean: s.ratingMean, sd: s.ratingSd || 0, n: s.ratingCount || 0 });
+  const responseTime = s => ({ mean: s.responseTimeMean, sd: s.responseTimeSd || 0, n: s.responseTimeCount || 0 });
+  const control = statsOf(experiment.variants[0]);
+
+  return experiment.variants.map((variant, i) => {
+    const s = statsOf(variant);
+    const chats = s.chats || 0;
+    const escalatedChats = s.escalatedChats || 0;
+    const thumbsUp = s.thumbsUp || 0;
+    const thumbsDown = s.thumbsDown || 0;
+    const row = {
+      key: variant.key,
+      name: variant.name || variant.key,
+      weight: variant.weight,
+      promptVersion: variant.promptVersion || null,
+      provider: variant.provider || null,
+      model: variant.model || null,
+      control: i === 0,
+      chats,
+      messages: s.messages || 0,
+      escalatedChats,
+      escalationRate: chats > 0 ? round(escalatedChats / chats) : null,
+      ratingCount: s.ratingCount || 0,
+      avgRating: s.ratingCount ? round(s.ratingMean, 2) : null,
+      thumbsUp,
+      thumbsDown,
+      thumbsUpRate: thumbsUp + thumbsDown > 0 ? round(thumbsUp / (thumbsUp + thumbsDown)) : null,
+      avgResponseTimeMs: s.responseTimeCount ? Math.round(s.responseTimeMean) : null
+    };
+    if (i > 0) {
+      row.vsControl = {
+        escalationRate: proportionTest(control.escalatedChats || 0, control.chats || 0, escalatedChats, chats),
+        thumbsUpRate: proportionTest(control.thumbsUp || 0, (control.thumbsUp || 0) + (control.thumbsDown || 0),
+          thumbsUp, thumbsUp + thumbsDown),
+        avgRating: meanTest(rating(control), rating(s)),
+        avgResponseTimeMs: meanTest(responseTime(control), responseTime(s))
+      };
+    }
+    return row;
+  });
+}
+
+module.exports = {
+  ALPHA,
+  MIN_SAMPLE,
+  getRunningExperiment,
+  clearExperimentCache,
+  normalizeExperiment,
+  assignVariant,
+  getAssignment,
+  normalCdf,
+  proportionTest,
+  meanTest,
+  summarizeVariants
+};
@@ -0,0 +1,465 @@
+/**
+ * @file flowEngine — Decision-tree conversation flows for workflow categories
+ * @description A WorkflowCategory may own a `flow`: a graph of nodes that runs server-side,
+ * one customer message at a time, before or instead of free-form AI answers.
+ *
+ *   flow = {
+ *     enabled, mode: 'before_ai' | 'instead_of_ai', startNodeId,
+ *     nodes: [{ id, type, x, y, ...config }]     — x/y is the position in the dashboard editor
+ *   }
+ *
+ * Node types (edges are the node's `next`-style fields, each the id of another node):
+ *   - message — { text, next }                 say something and continue
+ *   - ask     — { text, field, choices?, next }  ask and wait; the answer (a clicked choice's
+ *                                              value, else the typed text) is stored in `field`.
+ *                                              choices: [{ label, value }] become quick replies
+ *   - collect — { text, field, validation, pattern?, errorText?, maxAttempts?, next, onInvalid? }
+ *               ask for a value and re-ask until it passes `validation` (text, email, phone,
+ *               number, pattern); after maxAttempts failures go to onInvalid, if set
+ *   - branch  — { field, rules: [{ op, value, next }], defaultNext }  first matching rule wins;
+ *               op: equals, contains, matches (regex), gt, lt, filled
+ *   - action  — { action, args, saveAs?, next, onError? }  call an AiAction (utils/aiActions) by
+ *               name; args values are templates. The mapped response is stored in saveAs
+ *   - handoff — { text, team? }  hand the chat to a human, optionally a team (Role name); ends the flow
+ *   - end     — { text }  end the flow
+ *
+ * Texts and action args are templates: {{field}} or {{field.path}} read collected values,
+ * {{chat.userName}} / {{chat.userEmail}} read the chat.
+ *
+ * After the flow ends, a 'before_ai' category hands the conversation to the AI (the collected
+ * values are added to the category prompt); an 'instead_of_ai' category restarts the flow on the
+ * next message. runFlow() is pure apart from action calls, so the dashboard simulator runs the
+ * same code as live chats, with the state kept by the client instead of Chat.metadata.flow.
+ * @module utils/flowEngine
+ */
+
+const { Chat, Agent } = require('../db/models');
+const { getEnabledActions, executeAction } = require('./aiActions');
+const { assignAgentToChat } = require('./routing');
+const { broadcastToDashboard } = require('../websocket');
+
+const NODE_TYPES = ['message', 'ask', 'collect', 'branch', 'action', 'handoff', 'end'];
+const FLOW_MODES = ['before_ai', 'instead_of_ai'];
+const VALIDATIONS = ['text', 'email', 'phone', 'number', 'pattern'];
+const BRANCH_OPS = ['equals', 'contains', 'matches', 'gt', 'lt', 'filled'];
+
+/** Fields of each node type that point at another node */
+const LINK_FIELDS = {
+  message: ['next'],
+  ask: ['next'],
+  collect: ['next', 'onInvalid'],
+  branch: ['defaultNext'],
+  action: ['next', 'onError'],
+  handoff: [],
+  end: []
+};
+
+const MAX_NODES = 100;
+const MAX_CHOICES = 6;
+const MAX_TEXT = 1000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+/** Nodes run per customer message before the flow is stopped as a loop */
+const MAX_STEPS = 50;
+
+const VALIDATORS = {
+  text: value => value.length > 0,
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  phone: value => /^\+?[\d\s().-]{7,20}$/.test(value) && value.replace(/\D/g, '').length >= 7,
+  number: value => value !== '' && Number.isFinite(Number(value))
+};
+
+const DEFAULT_ERRORS = {
+  text: 'Please enter a value.',
+  email: 'That doesn\'t look like an email address — please check it and try again.',
+  phone: 'That doesn\'t look like a phone number — please include the full number.',
+  number: 'Please enter a number.',
+  pattern: 'That doesn\'t look right — please check the format and try again.'
+};
+
+function cleanText(value, max = MAX_TEXT) {
+  return typeof value === 'string' ? value.trim().substring(0, max) : '';
+}
+
+function cleanId(value) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim().substring(0, 64) : '';
+}
+
+/**
+ * Validate and normalize a flow from the editor.
+ * @param {Object} input - { enabled, mode, startNodeId, nodes }
+ * @returns {{flow: Object, errors: string[]}} errors is empty when the flow can be saved
+ */
+function validateFlow(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object') {
+    return { flow: null, errors: ['flow must be an object'] };
+  }
+  const rawNodes = Array.isArray(input.nodes) ? input.nodes : [];
+  if (rawNodes.length > MAX_NODES) errors.push(`a flow can have at most ${MAX_NODES} nodes`);
+
+  const ids = new Set();
+  const nodes = rawNodes.slice(0, MAX_NODES).map((raw, i) => {
+    const node = { id: cleanId(raw && raw.id), type: raw && raw.type };
+    const label = node.id || `#${i + 1}`;
+    if (!node.id) errors.push(`node #${i + 1} has no id`);
+    else if (ids.has(node.id)) errors.push(`duplicate node id "${node.id}"`);
+    ids.add(node.id);
+    if (!NODE_TYPES.includes(node.type)) {
+      errors.push(`node ${label}: type must be one of ${NODE_TYPES.join(', ')}`);
+      return node;
+    }
+    node.x = Math.round(Number(raw.x) || 0);
+    node.y = Math.round(Number(raw.y) || 0);
+    for (const field of LINK_FIELDS[node.type]) {
+      const target = cleanId(raw[field]);
+      if (target) node[field] = target;
+    }
+
+    if (['message', 'ask', 'collect', 'handoff', 'end'].includes(node.type)) {
+      node.text = cleanText(raw.text);
+      if (!node.text && node.type !== 'end') errors.push(`node ${label}: text is required`);
+    }
+    if (['ask', 'collect', 'branch'].includes(node.type)) {
+      node.field = cleanId(raw.field);
+      if (!/^[a-zA-Z_]\w*$/.test(node.field)) errors.push(`node ${label}: field must be a name like orderNumber`);
+    }
+    if (node.type === 'ask' && Array.isArray(raw.choices)) {
+      node.choices = raw.choices
+        .map(choice => ({ label: cleanText(choice && choice.label, 40), value: cleanText(choice && (choice.value || choice.label), 200) }))
+        .filter(choice => choice.label)
+        .slice(0, MAX_CHOICES);
+    }
+    if (node.type === 'collect') {
+      node.validation = VALIDATIONS.includes(raw.validation) ? raw.validation : 'text';
+      if (node.validation === 'pattern') {
+        node.pattern = cleanText(raw.pattern, 200);
+        try {
+          new RegExp(node.pattern);
+        } catch (err) {
+          errors.push(`node ${label}: invalid pattern (${err.message})`);
+        }
+      }
+      node.errorText = cleanText(raw.errorText);
+      const attempts = parseInt(raw.maxAttempts, 10);
+      node.maxAttempts = attempts > 0 ? Math.min(attempts, 10) : DEFAULT_MAX_ATTEMPTS;
+    }
+    if (node.type === 'branch') {
+      node.rules = (Array.isArray(raw.rules) ? raw.rules : []).map((rule, r) => {
+        const clean = { op: rule && rule.op, value: cleanText(rule && rule.value, 200), next: cleanId(rule && rule.next) };
+        if (!BRANCH_OPS.includes(clean.op)) errors.push(`node ${label} rule ${r + 1}: op must be one of ${BRANCH_OPS.join(', ')}`);
+        if (clean.op === 'matches') {
+          try {
+            new RegExp(clean.value, 'i');
+          } catch (err) {
+            errors.push(`node ${label} rule ${r + 1}: invalid regex (${err.message})`);
+          }
+        }
+        if (!clean.next) errors.push(`node ${label} rule ${r + 1}: next is required`);
+        return clean;
+      });
+    }
+    if (node.type === 'action') {
+      node.action = cleanId(raw.action);
+      if (!node.action) errors.push(`node ${label}: action is required`);
+      node.args = {};
+      for (const [name, value] of Object.entries(raw.args && typeof raw.args === 'object' ? raw.args : {})) {
+        if (/^[a-zA-Z_]\w*$/.test(name)) node.args[name] = cleanText(String(value), 500);
+      }
+      const saveAs = cleanId(raw.saveAs);
+      if (saveAs) node.saveAs = saveAs;
+    }
+    if (node.type === 'handoff') {
+      const team = cleanText(raw.team, 100);
+      if (team) node.team = team;
+    }
+    return node;
+  });
+
+  // Every link must point at a node in the flow
+  for (const node of nodes) {
+    const targets = (LINK_FIELDS[node.type] || []).map(field => node[field])
+      .concat((node.rules || []).map(rule => rule.next))
+      .filter(Boolean);
+    for (const target of targets) {
+      if (!ids.has(target)) errors.push(`node ${node.id} links to missing node "${target}"`);
+    }
+  }
+
+  const flow = {
+    enabled: input.enabled === true,
+    mode: FLOW_MODES.includes(input.mode) ? input.mode : 'before_ai',
+    startNodeId: cleanId(input.startNodeId) || (nodes[0] && nodes[0].id) || '',
+    nodes
+  };
+  if (nodes.length === 0 && flow.enabled) errors.push('an enabled flow needs at least one node');
+  if (nodes.length > 0 && !ids.has(flow.startNodeId)) errors.push(`start node "${flow.startNodeId}" does not exist`);
+  return { flow, errors };
+}
+
+function getPath(value, path) {
+  return path.split('.').reduce((current, key) =>
+    (current !== null && current !== undefined && typeof current === 'object' ? current[key] : undefined), value);
+}
+
+/**
+ * Fill {{field}}, {{field.path}} and {{chat.*}} placeholders.
+ * @param {string} template
+ * @param {Object} vars - Collected values
+ * @param {Object} chat - { userName, userEmail }
+ * @returns {string}
+ */
+function renderTemplate(template, vars, chat = {}) {
+  return (template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = path.startsWith('chat.') ? chat[path.substring(5)] : getPath(vars, path);
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+function matchesRule(rule, value) {
+  const text = value === undefined || value === null ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value)).trim();
+  switch (rule.op) {
+    case 'equals': return text.toLowerCase() === rule.value.toLowerCase();
+    case 'contains': return text.toLowerCase().includes(rule.value.toLowerCase());
+    case 'matches': return new RegExp(rule.value, 'i').test(text);
+    case 'gt': return text !== '' && Number(text) > Number(rule.value);
+    case 'lt': return text !== '' && Number(text) < Number(rule.value);
+    case 'filled': return text !== '';
+    default: return false;
+  }
+}
+
+function isValid(node, value) {
+  if (node.validation === 'pattern') return new RegExp(node.pattern).test(value);
+  return (VALIDATORS[node.validation] || VALIDATORS.text)(value);
+}
+
+/**
+ * Run a flow for one customer message.
+ * @param {Object} flow - Normalized flow (validateFlow)
+ * @param {Object|null} state - { nodeId, vars, attempts, status } from the previous turn; null starts the flow
+ * @param {Object|null} input - { text, payload } the customer sent; ignored when starting
+ * @param {Object} [options]
+ * @param {Function} [options.callAction] - async (name, args) => { ok, data?, error? }
+ * @param {Object} [options.chat] - { userName, userEmail } for {{chat.*}} placeholders
+ * @returns {Promise<{state: Object, replies: Array<{text: string, rich?: Object}>, handoff: Object|null,
+ *   trace: string[]}>} state.status is 'waiting' (expects another message), 'done' or 'handoff'
+ */
+async function runFlow(flow, state, input, { callAction, chat = {} } = {}) {
+  const byId = new Map((flow.nodes || []).map(node => [node.id, node]));
+  const next = { nodeId: null, vars: { ...((state && state.vars) || {}) }, attempts: 0, status: 'waiting' };
+  const replies = [];
+  const trace = [];
+  let handoff = null;
+  let current = null;
+  const say = (text, rich) => {
+    const rendered = renderTemplate(text, next.vars, chat).trim();
+    if (rendered) replies.push(rich ? { text: rendered, rich } : { text: rendered });
+  };
+
+  const waitingNode = state && state.status === 'waiting' ? byId.get(state.nodeId) : null;
+  if (waitingNode && input) {
+    // Answer to the node the flow stopped at
+    trace.push(waitingNode.id);
+    const text = cleanText(input.text);
+    if (waitingNode.type === 'ask') {
+      const choice = (waitingNode.choices || []).find(c => c.value === input.payload || c.label.toLowerCase() === text.toLowerCase());
+      next.vars[waitingNode.field] = choice ? choice.value : text;
+      current = waitingNode.next;
+    } else if (isValid(waitingNode, text)) {
+      next.vars[waitingNode.field] = waitingNode.validation === 'number' ? Number(text) : text;
+      current = waitingNode.next;
+    } else {
+      const attempts = (state.attempts || 0) + 1;
+      if (attempts >= waitingNode.maxAttempts && waitingNode.onInvalid) {
+        current = waitingNode.onInvalid;
+      } else {
+        say(waitingNode.errorText || DEFAULT_ERRORS[waitingNode.validation]);
+        return { state: { ...next, nodeId: waitingNode.id, attempts }, replies, handoff, trace };
+      }
+    }
+  } else {
+    current = flow.startNodeId;
+  }
+
+  for (let steps = 0; ; steps++) {
+    const node = current ? byId.get(current) : null;
+    if (!node) {
+      // A node without a next link ends the flow
+      next.status = 'done';
+      break;
+    }
+    if (steps >= MAX_STEPS) {
+      console.warn(`[Flow] Stopped after ${MAX_STEPS} steps at node ${node.id} — does the flow loop without asking?`);
+      next.status = 'done';
+      break;
+    }
+    trace.push(node.id);
+
+    if (node.type === 'message') {
+      say(node.text);
+      current = node.next;
+    } else if (node.type === 'ask' || node.type === 'collect') {
+      const choices = node.type === 'ask' && node.choices && node.choices.length > 0
+        ? { quickReplies: node.choices.map(c => ({ label: c.label, payload: c.value })) }
+        : null;
+      say(node.text, choices);
+      next.nodeId = node.id;
+      break;
+    } else if (node.type === 'branch') {
+      const value = getPath(next.vars, node.field);
+      const rule = (node.rules || []).find(r => matchesRule(r, value));
+      current = rule ? rule.next : node.defaultNext;
+    } else if (node.type === 'action') {
+      const args = {};
+      for (const [name, template] of Object.entries(node.args || {})) {
+        args[name] = renderTemplate(template, next.vars, chat);
+      }
+      const result = callAction
+        ? await callAction(node.action, args)
+        : { ok: false, error: 'Actions are not available here' };
+      if (node.saveAs) next.vars[node.saveAs] = result.ok ? result.data : { error: result.error };
+      current = result.ok || !node.onError ? node.next : node.onError;
+      if (!result.ok) console.warn(`[Flow] Action ${node.action} failed: ${result.error}`);
+    } else if (node.type === 'handoff') {
+      say(node.text);
+      handoff = { team: node.team || null };
+      next.status = 'handoff';
+      break;
+    } else {
+      say(node.text);
+      next.status = 'done';
+      break;
+    }
+  }
+
+  if (next.status !== 'waiting') next.nodeId = null;
+  return { state: next, replies, handoff, trace };
+}
+
+/**
+ * Call an enabled AiAction by name for a chat.
+ * @returns {Promise<Object>} executeAction result
+ */
+async function callChatAction(name, args, context) {
+  const actions = await getEnabledActions();
+  const action = actions.find(a => a.name === name);
+  if (!action) return { ok: false, error: `Action "${name}" not found or disabled` };
+  return executeAction(action, args, context);
+}
+
+/**
+ * Queue a chat for a human, preferring an online agent of `team` (Role name).
+ * @returns {Promise<Object|null>} Assignment info, or null when no agent is online
+ */
+async function handOffChat(chat, team) {
+  await Chat.findByIdAndUpdate(chat._id, {
+    status: 'waiting',
+    mode: 'human',
+    ...(team && { 'metadata.team': team })
+  });
+  let assignment = null;
+  try {
+    const teamAgents = team ? await Agent.find({ status: 'online', roles: team }).select('_id name') : [];
+    if (teamAgents.length > 0) {
+      const agent = teamAgents[Math.floor(Math.random() * teamAgents.length)];
+      await Chat.findByIdAndUpdate(chat._id, { assignedAgent: agent._id });
+      assignment = { agentId: agent._id.toString(), agentName: agent.name };
+    } else {
+      assignment = await assignAgentToChat(chat._id, chat.category || 'general');
+    }
+  } catch (err) {
+    console.error('[Flow] Agent assignment error (non-fatal):', err.message);
+  }
+  broadcastToDashboard('dashboard.chat.updated', {
+    sessionId: chat.sessionId,
+    chatId: chat._id,
+    status: 'waiting',
+    mode: 'human',
+    team: team || null
+  });
+  return assignment;
+}
+
+/**
+ * Run a chat's category flow for one customer message.
+ * @param {Object} chat - Chat document
+ * @param {Object} category - WorkflowCategory with an enabled flow
+ * @param {Object} input - { text, payload }
+ * @returns {Promise<Object|null>} { text, rich, handoff, status, vars } — text is empty when the
+ *   flow ended without saying anything — or null when the flow was already over, so the AI answers
+ */
+async function advanceChatFlow(chat, category, input) {
+  const flow = category.flow;
+  const saved = chat.metadata && chat.metadata.flow;
+  let state = saved && String(saved.categoryId) === String(category._id) ? saved : null;
+
+  if (state && state.status === 'done' && flow.mode === 'instead_of_ai') state = null;
+  if (state && state.status !== 'waiting') return null;
+
+  const context = { userEmail: chat.userEmail, userId: chat.userId, sessionId: chat.sessionId, chatId: String(chat._id) };
+  const result = await runFlow(flow, state, input, {
+    callAction: (name, args) => callChatAction(name, args, context),
+    chat: { userName: chat.userName, userEmail: chat.userEmail }
+  });
+
+  await Chat.updateOne({ _id: chat._id }, {
+    $set: { 'metadata.flow': { ...result.state, categoryId: category._id, updatedAt: new Date() } }
+  });
+  console.log(`[Flow] Chat ${chat._id} (${category.name}): ${result.trace.join(' → ') || '(no nodes)'} [${result.state.status}]`);
+
+  if (result.handoff) await handOffChat(chat, result.handoff.team);
+
+  const last = result.replies[result.replies.length - 1];
+  return {
+    text: result.replies.map(reply => reply.text).join('\n\n'),
+    rich: (last && last.rich) || null,
+    handoff: !!result.handoff,
+    status: result.state.status,
+    vars: result.state.vars
+  };
+}
+
+/**
+ * Values a finished flow collected in a chat.
+ * @param {Object} chat - Chat document
+ * @param {Object} category - WorkflowCategory
+ * @returns {Object|null} { field: value }, or null when the chat has no finished flow in this category
+ */
+function getCollectedValues(chat, category) {
+  const saved = chat && chat.metadata && chat.metadata.flow;
+  if (!saved || String(saved.categoryId) !== String(category._id) || saved.status !== 'done') return null;
+  return saved.vars || null;
+}
+
+/**
+ * The category as the AI should see it after its flow: the prompt gains the collected values,
+ * so the AI doesn't ask for them again.
+ * @param {Object} category - WorkflowCategory
+ * @param {Object|null} vars - Collected values
+ * @returns {Object} category, or a copy with the values appended to its prompt
+ */
+function withCollectedValues(category, vars) {
+  const entries = Object.entries(vars || {}).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  if (entries.length === 0) return category;
+  const lines = entries.map(([field, value]) => `- ${field}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  return {
+    ...(typeof category.toObject === 'function' ? category.toObject() : category),
+    prompt: `${category.prompt}\n\nThe customer already provided (don't ask for these again):\n${lines.join('\n')}`
+  };
+}
+
+module.exports = {
+  NODE_TYPES,
+  FLOW_MODES,
+  VALIDATIONS,
+  BRANCH_OPS,
+  validateFlow,
+  renderTemplate,
+  runFlow,
+  callChatAction,
+  advanceChatFlow,
+  getCollectedValues,
+  withCollectedValues
+};
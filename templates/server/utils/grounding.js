@@ -0,0 +1,214 @@
+/**
+ * @file grounding — Verify that an AI answer is supported by the retrieved KB text
+ * @description Optional post-generation check for /api/ai/query. The answer is split into
+ * claims (sentences that state something), each claim is checked against the chunks the model
+ * was given, and the share of supported claims becomes the answer's groundedness (0-1):
+ *   - heuristic — lexical entailment: a claim is supported when enough of its content words
+ *     appear in one source chunk, and every number it states (prices, limits, versions)
+ *     appears in some source. Cheap, no extra LLM call.
+ *   - llm       — an LLM judge (feature 'grounding') labels each claim supported or not.
+ *     Falls back to the heuristic if the judge fails or returns something unparseable.
+ *
+ * Config comes from the `grounding` Setting (cached 30s), falling back to env/defaults:
+ *   { mode: 'off'|'heuristic'|'llm', threshold: 0.5, claimThreshold: 0.6 }
+ * threshold is the groundedness below which the answer is replaced with the fallback phrase;
+ * claimThreshold is the heuristic's per-claim word-overlap cut-off.
+ * @module utils/grounding
+ */
+
+const { Setting } = require('../db/models');
+const { complete } = require('./llm');
+
+const SETTINGS_TTL_MS = 30000;
+const JUDGE_SOURCE_CHARS = 800;
+const MIN_CLAIM_WORDS = 3;
+
+const GROUNDING_MODES = ['off', 'heuristic', 'llm'];
+
+const DEFAULT_CONFIG = {
+  mode: process.env.GROUNDING_MODE || 'off',
+  threshold: parseFloat(process.env.GROUNDING_THRESHOLD || '0.5'),
+  claimThreshold: 0.6
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'so', 'of', 'to', 'in', 'on', 'at', 'by',
+  'for', 'with', 'from', 'as', 'into', 'about', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+  'it', 'its', 'this', 'that', 'these', 'those', 'there', 'here', 'you', 'your', 'we', 'our', 'us',
+  'they', 'their', 'i', 'my', 'me', 'he', 'she', 'can', 'could', 'will', 'would', 'should', 'may',
+  'might', 'do', 'does', 'did', 'have', 'has', 'had', 'not', 'no', 'yes', 'also', 'just', 'any',
+  'all', 'some', 'more', 'most', 'very', 'which', 'who', 'what', 'when', 'where', 'how', 'than',
+  'please', 'simply', 'need', 'want', 'like', 'get', 'able', 'sure', 'help', 'let', 'know'
+]);
+
+let configCache = null;
+let configLoadedAt = 0;
+
+/**
+ * Active grounding config: `grounding` Setting merged over DEFAULT_CONFIG.
+ * @returns {Promise<Object>}
+ */
+async function getGroundingConfig() {
+  if (configCache && Date.now() - configLoadedAt < SETTINGS_TTL_MS) return configCache;
+  try {
+    const setting = await Setting.findOne({ key: 'grounding' }).lean();
+    configCache = { ...DEFAULT_CONFIG, ...((setting && setting.value) || {}) };
+  } catch (err) {
+    console.error('[Grounding] Failed to load grounding setting:', err.message);
+    configCache = configCache || { ...DEFAULT_CONFIG };
+  }
+  configLoadedAt = Date.now();
+  return configCache;
+}
+
+/** Drop the cached grounding config so the next answer re-reads it */
+function clearGroundingConfigCache() {
+  configCache = null;
+}
+
+/** Lowercased content words with a light plural strip ("plans" matches "plan") */
+function contentWords(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+(?:[.,'-][a-z0-9]+)*/g) || [])
+    .filter(word => !STOPWORDS.has(word))
+    .map(word => (word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word));
+}
+
+/**
+ * Split an answer into checkable claims: sentences and list items that state something.
+ * Questions back to the user and short courtesy lines are skipped.
+ * @param {string} text - Answer (citation markers are ignored)
+ * @returns {string[]}
+ */
+function extractClaims(text) {
+  const claims = [];
+  const plain = (text || '')
+    .replace(/\s*\[\d{1,2}\]/g, '')
+    .replace(/[*_`#>]+/g, '');
+
+  for (const line of plain.split('\n')) {
+    const item = line.replace(/^\s*(?:[-•]|\d+[.)])\s+/, '').trim();
+    for (const sentence of item.split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/)) {
+      const claim = sentence.trim();
+      if (!claim || claim.endsWith('?')) continue;
+      if (contentWords(claim).length < MIN_CLAIM_WORDS) continue;
+      claims.push(claim);
+    }
+  }
+  return claims;
+}
+
+/**
+ * Lexical entailment score for each claim against the sources.
+ * @param {string[]} claims
+ * @param {string[]} sources - Source texts
+ * @param {number} claimThreshold - Word overlap needed for a claim to count as supported
+ * @returns {Array<{text: string, supported: boolean, score: number}>}
+ */
+function checkClaimsHeuristic(claims, sources, claimThreshold) {
+  const sourceWords = sources.map(source => new Set(contentWords(source)));
+  const allWords = new Set(sourceWords.flatMap(words => [...words]));
+
+  return claims.map(claim => {
+    const words = [...new Set(contentWords(claim))];
+    // A number the sources never mention is the classic hallucination — fail the claim outright
+    const unknownNumber = words.some(word => /\d/.test(word) && !allWords.has(word));
+    let best = 0;
+    if (!unknownNumber) {
+      for (const source of sourceWords) {
+        const overlap = words.filter(word => source.has(word)).length / words.length;
+        if (overlap > best) best = overlap;
+      }
+    }
+    const score = Math.round(best * 100) / 100;
+    return { text: claim, supported: score >= claimThreshold, score };
+  });
+}
+
+/**
+ * Ask the LLM judge (feature 'grounding') which claims the sources support.
+ * @param {string[]} claims
+ * @param {string[]} sources - Source texts
+ * @returns {Promise<Array<{text: string, supported: boolean, score: number}>>}
+ */
+async function checkClaimsWithLLM(claims, sources) {
+  const sourceList = sources
+    .map((source, i) => `[${i + 1}] ${source.substring(0, JUDGE_SOURCE_CHARS)}`)
+    .join('\n\n');
+  const claimList = claims.map((claim, i) => `${i + 1}. ${claim}`).join('\n');
+
+  const completion = await complete('grounding', {
+    system: 'You check whether statements made by a customer support assistant are supported by '
+      + 'the source passages it was given. A statement is supported only if the passages state or '
+      + 'directly imply it; general courtesy ("happy to help") counts as supported. '
+      + 'Reply with JSON only: an array of {"claim": <number>, "supported": true|false} covering every claim.',
+    messages: [{ role: 'user', content: `Sources:\n${sourceList}\n\nStatements:\n${claimList}` }],
+    maxTokens: 20 * claims.length + 50,
+    temperature: 0
+  });
+
+  const match = completion.text.match(/\[[\s\S]*\]/);
+  if (!match) throw new Error('Grounding judge returned no JSON array');
+  const verdicts = new Array(claims.length).fill(null);
+  for (const item of JSON.parse(match[0])) {
+    const idx = parseInt(item.claim) - 1;
+    if (idx >= 0 && idx < claims.length) verdicts[idx] = item.supported === true;
+  }
+  if (verdicts.includes(null)) throw new Error('Grounding judge skipped some claims');
+  return claims.map((claim, i) => ({ text: claim, supported: verdicts[i], score: verdicts[i] ? 1 : 0 }));
+}
+
+/**
+ * Verify an answer against the text it was supposed to be based on.
+ * @param {string} answer - Model answer
+ * @param {string[]} sources - Retrieved chunk texts, plus any other text the prompt supplied
+ *   as fact (e.g. the workflow category's instructions)
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Overrides for the grounding config
+ * @returns {Promise<Object|null>} null when verification is off or there is nothing to check;
+ *   otherwise { mode, groundedness, threshold, grounded, claims: [{ text, supported, score }],
+ *   judgeError? } — mode is the method that actually ran
+ */
+async function verifyGrounding(answer, sources, options = {}) {
+  const config = { ...(await getGroundingConfig()), ...(options.config || {}) };
+  if (!GROUNDING_MODES.includes(config.mode) || config.mode === 'off') return null;
+
+  const texts = (sources || []).filter(Boolean);
+  const claims = extractClaims(answer);
+  if (texts.length === 0 || claims.length === 0) return null;
+
+  let mode = config.mode;
+  let judgeError = null;
+  let checked;
+  if (mode === 'llm') {
+    try {
+      checked = await checkClaimsWithLLM(claims, texts);
+    } catch (err) {
+      // Verification must not block replies — the heuristic is a usable stand-in
+      judgeError = err.message;
+      console.error('[Grounding] LLM judge failed, using heuristic:', err.message);
+      mode = 'heuristic';
+    }
+  }
+  if (!checked) checked = checkClaimsHeuristic(claims, texts, config.claimThreshold);
+
+  const supportedCount = checked.filter(c => c.supported).length;
+  const groundedness = Math.round((supportedCount / checked.length) * 100) / 100;
+
+  return {
+    mode,
+    groundedness,
+    threshold: config.threshold,
+    grounded: groundedness >= config.threshold,
+    claims: checked,
+    ...(judgeError && { judgeError })
+  };
+}
+
+module.exports = {
+  GROUNDING_MODES,
+  verifyGrounding,
+  extractClaims,
+  checkClaimsHeuristic,
+  getGroundingConfig,
+  clearGroundingConfigCache
+};
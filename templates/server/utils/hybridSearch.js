@@ -0,0 +1,292 @@
+/**
+ * @file hybridSearch — Hybrid keyword + vector retrieval with optional reranking
+ * @description Retrieval pipeline used by /api/ai/query:
+ *   1. Vector candidates — nearest embeddings to the query (utils/vectorSearch, ANN index)
+ *   2. Keyword candidates — BM25 over chunk text (utils/keywordIndex), so SKUs, error
+ *      codes and plan names pasted verbatim are found even when embeddings miss them
+ *   3. Fusion — reciprocal rank fusion (default) or a weighted sum of normalized scores
+ *   4. Rerank (optional) — an LLM scores each passage against the question, or a local
+ *      cross-encoder service does (RERANK_URL, Hugging Face TEI-compatible /rerank API)
+ *   5. Top-K with filenames, each result carrying its per-stage `scores` for debugging
+ *
+ * Config comes from the `retrieval` Setting (cached 30s), falling back to env/defaults:
+ *   { mode: 'hybrid'|'vector', fusion: 'rrf'|'weighted', rrfK: 60, vectorWeight: 0.5,
+ *     candidates: 30, rerank: 'none'|'llm'|'cross-encoder', rerankTopN: 20 }
+ *
+ * Every result keeps `similarity` (cosine to the query) so confidence scoring is unchanged;
+ * keyword-only hits have their cosine computed from the stored vector, and are dropped when
+ * that vector comes from a model other than the active one.
+ * @module utils/hybridSearch
+ */
+
+const { Embedding, KnowledgeBase, Setting } = require('../db/models');
+const { embedText } = require('./embeddings');
+const { cosineSimilarity, findSimilarEmbeddings } = require('./vectorSearch');
+const { searchKeywords } = require('./keywordIndex');
+const { getAllowedKnowledgeBaseIds } = require('./knowledgeScope');
+const { complete } = require('./llm');
+const { describeChunkLocation } = require('./chunker');
+
+const SETTINGS_TTL_MS = 30000;
+const RERANK_TIMEOUT_MS = 10000;
+const RERANK_PASSAGE_CHARS = 800;
+
+const DEFAULT_CONFIG = {
+  mode: process.env.RETRIEVAL_MODE || 'hybrid',
+  fusion: process.env.RETRIEVAL_FUSION || 'rrf',
+  rrfK: 60,
+  vectorWeight: 0.5,
+  candidates: 30,
+  rerank: process.env.RERANK_MODE || 'none',
+  rerankTopN: 20
+};
+
+let configCache = null;
+let configLoadedAt = 0;
+
+/**
+ * Active retrieval config: `retrieval` Setting merged over DEFAULT_CONFIG.
+ * @returns {Promise<Object>}
+ */
+async function getRetrievalConfig() {
+  if (configCache && Date.now() - configLoadedAt < SETTINGS_TTL_MS) return configCache;
+  try {
+    const setting = await Setting.findOne({ key: 'retrieval' }).lean();
+    configCache = { ...DEFAULT_CONFIG, ...((setting && setting.value) || {}) };
+  } catch (err) {
+    console.error('[Retrieval] Failed to load retrieval setting:', err.message);
+    configCache = configCache || { ...DEFAULT_CONFIG };
+  }
+  configLoadedAt = Date.now();
+  return configCache;
+}
+
+/** Drop the cached retrieval config so the next search re-reads it */
+function clearRetrievalConfigCache() {
+  configCache = null;
+}
+
+/**
+ * Fuse vector and keyword candidate lists.
+ * @param {Array<{id: string, similarity: number}>} vectorHits - Most similar first
+ * @param {Array<{id: string, score: number}>} keywordHits - Highest BM25 first
+ * @param {Object} config - { fusion, rrfK, vectorWeight }
+ * @returns {Array<{id, vector, vectorRank, bm25, bm25Rank, fused}>} Highest fused score first
+ */
+function fuseResults(vectorHits, keywordHits, config) {
+  const candidates = new Map();
+  const entry = (id) => {
+    if (!candidates.has(id)) {
+      candidates.set(id, { id, vector: null, vectorRank: null, bm25: null, bm25Rank: null, fused: 0 });
+    }
+    return candidates.get(id);
+  };
+
+  vectorHits.forEach((hit, i) => Object.assign(entry(hit.id), { vector: hit.similarity, vectorRank: i + 1 }));
+  keywordHits.forEach((hit, i) => Object.assign(entry(hit.id), { bm25: hit.score, bm25Rank: i + 1 }));
+
+  const maxBm25 = keywordHits.length > 0 ? keywordHits[0].score : 0;
+  for (const c of candidates.values()) {
+    if (config.fusion === 'weighted') {
+      const bm25Norm = maxBm25 > 0 && c.bm25 !== null ? c.bm25 / maxBm25 : 0;
+      c.fused = config.vectorWeight * Math.max(0, c.vector || 0) + (1 - config.vectorWeight) * bm25Norm;
+    } else {
+      c.fused = (c.vectorRank ? 1 / (config.rrfK + c.vectorRank) : 0)
+        + (c.bm25Rank ? 1 / (config.rrfK + c.bm25Rank) : 0);
+    }
+  }
+
+  return Array.from(candidates.values()).sort((a, b) => b.fused - a.fused);
+}
+
+/**
+ * Score passages with the LLM (feature 'rerank').
+ * @returns {Promise<number[]>} Relevance 0-1 per passage
+ */
+async function rerankWithLLM(query, passages) {
+  const list = passages
+    .map((p, i) => `[${i + 1}] ${p.substring(0, RERANK_PASSAGE_CHARS)}`)
+    .join('\n\n');
+
+  const completion = await complete('rerank', {
+    system: 'You rate how useful each passage is for answering a customer support question. '
+      + 'Reply with JSON only: an array of {"passage": <number>, "score": <0-10>} covering every passage.',
+    messages: [{ role: 'user', content: `Question: ${query}\n\nPassages:\n${list}` }],
+    maxTokens: 20 * passages.length + 50,
+    temperature: 0
+  });
+
+  const match = completion.text.match(/\[[\s\S]*\]/);
+  if (!match) throw new Error('Reranker returned no JSON array');
+  const scores = new Array(passages.length).fill(0);
+  for (const item of JSON.parse(match[0])) {
+    const idx = parseInt(item.passage) - 1;
+    if (idx >= 0 && idx < passages.length) {
+      scores[idx] = Math.min(10, Math.max(0, Number(item.score) || 0)) / 10;
+    }
+  }
+  return scores;
+}
+
+/**
+ * Score passages with a local cross-encoder service (TEI-compatible POST /rerank).
+ * @returns {Promise<number[]>} Relevance score per passage
+ */
+async function rerankWithCrossEncoder(query, passages) {
+  if (!process.env.RERANK_URL) {
+    throw new Error('RERANK_URL environment variable is required for the cross-encoder reranker');
+  }
+  const response = await fetch(process.env.RERANK_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, texts: passages, truncate: true }),
+    signal: AbortSignal.timeout(RERANK_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Reranker HTTP ${response.status}: ${await response.text()}`);
+  }
+  const ranked = await response.json();
+  const scores = new Array(passages.length).fill(0);
+  for (const { index, score } of ranked) {
+    if (index >= 0 && index < passages.length) scores[index] = score;
+  }
+  return scores;
+}
+
+const RERANKERS = {
+  llm: rerankWithLLM,
+  'cross-encoder': rerankWithCrossEncoder
+};
+
+/**
+ * Retrieve knowledge base chunks for a query.
+ * @param {string} query - User question
+ * @param {Object} [options]
+ * @param {number} [options.topK=5] - Results to return
+ * @param {number} [options.minSimilarity=0.3] - Cosine threshold for vector candidates
+ *   (keyword matches are kept regardless — an exact SKU hit is relevant even if its embedding isn't close)
+ * @param {Object} [options.filter] - Scope filter { audiences, categoryId, tags } (see utils/knowledgeScope);
+ *   inactive documents are always excluded
+ * @param {Object} [options.config] - Overrides for the retrieval config
+ * @returns {Promise<{results: Array, retrieval: Object}>} results are
+ *   { text, similarity, filename, title, sourceUrl, location, audience, knowledgeBaseId, chunkIndex,
+ *   metadata, scores } — location is the chunk's heading path/page/rows for citations; retrieval
+ *   summarizes the run { mode, fusion, rerank, keywordAvailable, rerankError, latencyMs }
+ */
+async function hybridSearch(query, options = {}) {
+  const { topK = 5, minSimilarity = 0.3 } = options;
+  const config = { ...(await getRetrievalConfig()), ...(options.config || {}) };
+  const startTime = Date.now();
+
+  if (!query || typeof query !== 'string' || query.trim().length === 0) {
+    throw new Error('Query must be a non-empty string');
+  }
+
+  // Stage 1: vector candidates from in-scope documents
+  const { vector: queryEmbedding, modelId } = await embedText(query);
+  const allowedKnowledgeBaseIds = await getAllowedKnowledgeBaseIds(options.filter);
+  const vectorDocs = await findSimilarEmbeddings(queryEmbedding, {
+    limit: config.candidates,
+    minSimilarity,
+    allowedKnowledgeBaseIds,
+    embeddingModel: modelId
+  });
+  const docsById = new Map(vectorDocs.map(doc => [doc._id.toString(), doc]));
+
+  // Stage 2: keyword candidates (null = index still building → vector only)
+  const keywordHits = config.mode === 'hybrid'
+    ? searchKeywords(query, config.candidates, allowedKnowledgeBaseIds)
+    : [];
+  const keywordAvailable = keywordHits !== null;
+
+  // Stage 3: fusion
+  const fused = fuseResults(
+    vectorDocs.map(doc => ({ id: doc._id.toString(), similarity: doc.similarity })),
+    keywordHits || [],
+    config
+  );
+
+  // Keyword-only hits: load their chunks and compute cosine so `similarity` is always meaningful.
+  // The keyword index spans all models; rows not yet re-embedded into the active one are skipped.
+  const missing = fused.filter(c => !docsById.has(c.id)).map(c => c.id);
+  if (missing.length > 0) {
+    const extra = await Embedding.find({ _id: { $in: missing }, embeddingModel: modelId }).lean();
+    for (const doc of extra) {
+      const similarity = doc.embedding && doc.embedding.length === queryEmbedding.length
+        ? cosineSimilarity(queryEmbedding, doc.embedding)
+        : 0;
+      const { embedding, ...rest } = doc;
+      docsById.set(doc._id.toString(), { ...rest, similarity });
+    }
+  }
+  let ranked = fused.filter(c => docsById.has(c.id));
+
+  // Stage 4: optional rerank of the head of the fused list
+  let rerankError = null;
+  const reranker = RERANKERS[config.rerank];
+  if (reranker && ranked.length > 1) {
+    const head = ranked.slice(0, config.rerankTopN);
+    try {
+      const scores = await reranker(query, head.map(c => docsById.get(c.id).text));
+      head.forEach((c, i) => { c.rerank = scores[i]; });
+      ranked = head.sort((a, b) => b.rerank - a.rerank).concat(ranked.slice(config.rerankTopN));
+    } catch (err) {
+      // Reranking is an enhancement — keep the fused order if it fails
+      rerankError = err.message;
+      console.error(`[Retrieval] ${config.rerank} rerank failed, using fused order:`, err.message);
+    }
+  }
+
+  // Stage 5: top-K with document names and citation details
+  const top = ranked.slice(0, topK);
+  const kbIds = [...new Set(top.map(c => docsById.get(c.id).knowledgeBaseId.toString()))];
+  const kbDocs = await KnowledgeBase.find({ _id: { $in: kbIds } }).select('filename originalName sourceUrl audience').lean();
+  const kbById = new Map(kbDocs.map(kb => [kb._id.toString(), kb]));
+
+  const results = top.map(c => {
+    const doc = docsById.get(c.id);
+    const kb = kbById.get(doc.knowledgeBaseId.toString());
+    return {
+      text: doc.text,
+      similarity: doc.similarity,
+      filename: kb ? kb.filename : 'Unknown',
+      title: kb ? (kb.originalName || kb.filename) : 'Unknown',
+      sourceUrl: (kb && kb.sourceUrl) || null,
+      location: describeChunkLocation(doc.metadata),
+      audience: (kb && kb.audience) || 'public',
+      knowledgeBaseId: doc.knowledgeBaseId,
+      chunkIndex: doc.chunkIndex,
+      metadata: doc.metadata,
+      scores: {
+        vector: c.vector,
+        vectorRank: c.vectorRank,
+        bm25: c.bm25,
+        bm25Rank: c.bm25Rank,
+        fused: c.fused,
+        rerank: c.rerank !== undefined ? c.rerank : null
+      }
+    };
+  });
+
+  const retrieval = {
+    mode: keywordAvailable ? config.mode : 'vector',
+    fusion: config.fusion,
+    rerank: reranker ? config.rerank : 'none',
+    keywordAvailable,
+    rerankError,
+    candidates: { vector: vectorDocs.length, keyword: (keywordHits || []).length },
+    latencyMs: Date.now() - startTime
+  };
+
+  console.log(`[Retrieval] ${retrieval.mode}/${retrieval.fusion}${reranker ? `+${config.rerank}` : ''}: ${results.length} results from ${retrieval.candidates.vector} vector + ${retrieval.candidates.keyword} keyword candidates in ${retrieval.latencyMs}ms`);
+
+  return { results, retrieval };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  getRetrievalConfig,
+  clearRetrievalConfigCache,
+  fuseResults,
+  hybridSearch
+};
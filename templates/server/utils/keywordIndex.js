@@ -0,0 +1,187 @@
+/**
+ * @file keywordIndex — In-memory BM25 keyword index over KB embedding chunks
+ * @description Complements vector search with exact term matching so identifiers that
+ * customers paste verbatim (SKUs, error codes, plan names) are found even when their
+ * embeddings aren't close to the query's. Indexes Embedding.text, keyed by Embedding _id.
+ *
+ * Tokenization keeps compound identifiers whole ("err-4012", "sku_ab12", "v2.3.1") and
+ * also indexes their parts ("err", "4012"), so both "ERR-4012" and "error 4012" match.
+ *
+ * Built from MongoDB at startup (initKeywordIndex) and kept current by utils/embeddings.
+ * Text is cheap to re-read, so unlike the ANN index it is not persisted to disk.
+ * searchKeywords() returns null until the index is ready; callers use vector-only results.
+ * @module utils/keywordIndex
+ */
+
+const { Embedding } = require('../db/models');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const BUILD_YIELD_EVERY = 500;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'how', 'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the',
+  'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'you', 'your'
+]);
+
+/**
+ * Split text into index terms.
+ * @param {string} text - Raw text
+ * @returns {string[]} Lowercased terms (compound identifiers plus their parts)
+ */
+function tokenize(text) {
+  const terms = [];
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}](?:[\p{L}\p{N}_\-./#]*[\p{L}\p{N}])?/gu) || [];
+  for (const word of words) {
+    const parts = word.split(/[_\-./#]+/).filter(Boolean);
+    if (parts.length > 1) terms.push(word);
+    for (const part of parts) {
+      if (!STOPWORDS.has(part)) terms.push(part);
+    }
+  }
+  return terms;
+}
+
+// Index state
+const postings = new Map();   // term -> Map(docId -> term frequency)
+const docs = new Map();       // docId -> { length, terms: Set, knowledgeBaseId }
+let totalLength = 0;
+let ready = false;
+let building = false;
+let pendingOps = [];          // Ops received during a build: ['add', id, text, kbId] | ['remove', id]
+
+function removeDoc(id) {
+  const doc = docs.get(id);
+  if (!doc) return;
+  totalLength -= doc.length;
+  docs.delete(id);
+  for (const term of doc.terms) {
+    const termDocs = postings.get(term);
+    if (termDocs && termDocs.delete(id) && termDocs.size === 0) postings.delete(term);
+  }
+}
+
+function addDoc(id, text, knowledgeBaseId) {
+  removeDoc(id);
+  const terms = tokenize(text);
+  docs.set(id, { length: terms.length, terms: new Set(terms), knowledgeBaseId: String(knowledgeBaseId) });
+  totalLength += terms.length;
+  for (const term of terms) {
+    let termDocs = postings.get(term);
+    if (!termDocs) postings.set(term, (termDocs = new Map()));
+    termDocs.set(id, (termDocs.get(id) || 0) + 1);
+  }
+}
+
+/**
+ * Build the index from every stored embedding chunk.
+ * @returns {Promise<void>}
+ */
+async function initKeywordIndex() {
+  if (building) return;
+  building = true;
+  const startTime = Date.now();
+
+  try {
+    // Searches fall back to vector-only results while the index is rebuilt
+    ready = false;
+    postings.clear();
+    docs.clear();
+    totalLength = 0;
+
+    let count = 0;
+    const cursor = Embedding.find({}).select('text knowledgeBaseId').lean().cursor();
+    for await (const doc of cursor) {
+      addDoc(doc._id.toString(), doc.text, doc.knowledgeBaseId);
+      if (++count % BUILD_YIELD_EVERY === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    ready = true;
+    console.log(`[Keyword] Indexed ${count} chunks (${postings.size} terms) in ${Date.now() - startTime}ms`);
+  } catch (err) {
+    console.error('[Keyword] Index build failed — hybrid search will use vector results only:', err.message);
+  } finally {
+    building = false;
+    const ops = pendingOps;
+    pendingOps = [];
+    for (const [op, id, text, knowledgeBaseId] of ops) {
+      if (op === 'add') indexText(id, text, knowledgeBaseId);
+      else unindexText([id]);
+    }
+  }
+}
+
+/**
+ * Add or replace a chunk's text.
+ * @param {ObjectId|string} id - Embedding _id
+ * @param {string} text - Chunk text
+ * @param {ObjectId|string} knowledgeBaseId - Parent KnowledgeBase document (for scope filtering)
+ */
+function indexText(id, text, knowledgeBaseId) {
+  if (building) {
+    pendingOps.push(['add', String(id), text, knowledgeBaseId]);
+    return;
+  }
+  if (ready) addDoc(String(id), text, knowledgeBaseId);
+}
+
+/**
+ * Remove chunks from the index.
+ * @param {Array<ObjectId|string>} ids - Embedding _ids
+ */
+function unindexText(ids) {
+  if (building) {
+    ids.forEach(id => pendingOps.push(['remove', String(id)]));
+    return;
+  }
+  if (ready) ids.forEach(id => removeDoc(String(id)));
+}
+
+/**
+ * BM25 search. Corpus statistics cover all chunks; scope only filters which are returned.
+ * @param {string} query - Query text
+ * @param {number} limit - Max results
+ * @param {Set<string>} [allowedKnowledgeBaseIds] - Only return chunks of these documents
+ * @returns {Array<{id: string, score: number}>|null} Highest score first; null if the index isn't ready
+ */
+function searchKeywords(query, limit, allowedKnowledgeBaseIds) {
+  if (!ready) return null;
+  const docCount = docs.size;
+  if (docCount === 0) return [];
+
+  const avgLength = totalLength / docCount;
+  const scores = new Map();
+
+  for (const term of new Set(tokenize(query))) {
+    const termDocs = postings.get(term);
+    if (!termDocs) continue;
+    const idf = Math.log(1 + (docCount - termDocs.size + 0.5) / (termDocs.size + 0.5));
+    for (const [id, tf] of termDocs) {
+      if (allowedKnowledgeBaseIds && !allowedKnowledgeBaseIds.has(docs.get(id).knowledgeBaseId)) continue;
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (docs.get(id).length / avgLength));
+      scores.set(id, (scores.get(id) || 0) + idf * (tf * (BM25_K1 + 1)) / norm);
+    }
+  }
+
+  return Array.from(scores, ([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/** Index state for diagnostics */
+function getKeywordIndexStatus() {
+  return { ready, building, documents: docs.size, terms: postings.size };
+}
+
+module.exports = {
+  tokenize,
+  initKeywordIndex,
+  indexText,
+  unindexText,
+  searchKeywords,
+  getKeywordIndexStatus
+};
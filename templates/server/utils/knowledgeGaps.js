@@ -0,0 +1,227 @@
+/**
+ * @file knowledgeGaps — Questions the knowledge base couldn't answer, clustered into topics
+ * @description /api/ai/query records a KnowledgeGap for every AI turn that escalated because
+ * its confidence was under CLAUDE_CONFIDENCE_THRESHOLD, or that said it had no answer (the
+ * prompt profile's fallback phrase, "I don't have that information", or an ungrounded answer
+ * that was replaced). The question is stored with personal details masked, plus its
+ * embedding. The first reply an agent sends in that chat afterwards is attached to the gap,
+ * masked the same way — usually the answer the article needs.
+ *
+ * The report clusters open gaps when it is requested: greedy single pass, newest first, each
+ * gap joining the cluster whose centroid is most similar at >= GAP_CLUSTER_THRESHOLD
+ * (default 0.8) or starting a new one. Clusters are ranked by how many gaps they hold.
+ * Clustering on read keeps it correct across date ranges and embedding model switches —
+ * vectors from another model are re-embedded on the way.
+ * @module utils/knowledgeGaps
+ */
+
+const { KnowledgeGap } = require('../db/models');
+const { embedText, embedTexts, getEmbeddingModelId } = require('./embeddings');
+const { cosineSimilarity } = require('./vectorSearch');
+const { maskPii, recordRedactions } = require('./redaction');
+
+const CLUSTER_THRESHOLD = parseFloat(process.env.GAP_CLUSTER_THRESHOLD || '0.8');
+
+/** Most gaps clustered per report (newest first) */
+const MAX_REPORT_GAPS = 2000;
+
+/** Questions listed per cluster besides its representative */
+const SAMPLE_QUESTIONS = 5;
+
+const EMBED_BATCH_SIZE = 32;
+
+/**
+ * Record a turn the knowledge base couldn't answer. Never throws — gap logging must not fail
+ * the reply. Without an embedding (backend down) the gap is still stored and embedded by the
+ * next report.
+ * @param {Object} gap - { chatId, messageId, question, answer, reason, confidence, categoryId }
+ * @returns {Promise<void>}
+ */
+async function recordKnowledgeGap(gap) {
+  try {
+    if (!gap.question || !gap.question.trim()) return;
+    const masked = await maskPii(gap.question.trim());
+    recordRedactions('gaps', masked.counts);
+
+    let vector;
+    let modelId;
+    try {
+      ({ vector, modelId } = await embedText(masked.text));
+    } catch (err) {
+      console.warn('[Gaps] Could not embed question, clustering it later:', err.message);
+    }
+
+    await KnowledgeGap.create({
+      chatId: gap.chatId,
+      messageId: gap.messageId,
+      question: masked.text,
+      answer: gap.answer,
+      reason: gap.reason,
+      confidence: gap.confidence,
+      categoryId: gap.categoryId || undefined,
+      embedding: vector,
+      embeddingModel: modelId
+    });
+    console.log(`[Gaps] Recorded ${gap.reason} gap: "${masked.text.substring(0, 50)}..."`);
+  } catch (err) {
+    console.error('[Gaps] Failed to record gap:', err.message);
+  }
+}
+
+/**
+ * Attach an agent's reply to the chat's open gaps that don't have one yet. Never throws.
+ * @param {ObjectId|string} chatId
+ * @param {Object} reply - { messageId, agentId, agentName, content }
+ * @returns {Promise<void>}
+ */
+async function attachAgentReply(chatId, reply) {
+  try {
+    const filter = { chatId, status: 'open', 'agentReply.content': { $exists: false } };
+    if (!reply.content || !(await KnowledgeGap.exists(filter))) return;
+    const masked = await maskPii(reply.content);
+    recordRedactions('gaps', masked.counts);
+    const result = await KnowledgeGap.updateMany(filter, {
+      $set: { agentReply: { ...reply, content: masked.text, at: new Date() } }
+    });
+    if (result.modifiedCount > 0) {
+      console.log(`[Gaps] Attached agent reply to ${result.modifiedCount} gap(s) in chat ${chatId}`);
+    }
+  } catch (err) {
+    console.error('[Gaps] Failed to attach agent reply:', err.message);
+  }
+}
+
+/** Embed gaps that have no vector, or one from another model, and save the new vectors */
+async function ensureVectors(gaps, modelId) {
+  const stale = gaps.filter(gap => gap.embeddingModel !== modelId || !gap.embedding || gap.embedding.length === 0);
+  for (let i = 0; i < stale.length; i += EMBED_BATCH_SIZE) {
+    const batch = stale.slice(i, i + EMBED_BATCH_SIZE);
+    const { vectors, modelId: embeddedWith } = await embedTexts(batch.map(gap => gap.question));
+    batch.forEach((gap, j) => {
+      gap.embedding = vectors[j];
+      gap.embeddingModel = embeddedWith;
+    });
+    await KnowledgeGap.bulkWrite(batch.map(gap => ({
+      updateOne: { filter: { _id: gap._id }, update: { $set: { embedding: gap.embedding, embeddingModel: embeddedWith } } }
+    })));
+  }
+  if (stale.length > 0) console.log(`[Gaps] Embedded ${stale.length} gap(s) for clustering`);
+}
+
+/**
+ * Greedy centroid clustering.
+ * @param {Array<Object>} gaps - Gaps with `embedding`, in the order they should seed clusters
+ * @param {number} threshold - Minimum cosine similarity to a cluster's centroid
+ * @returns {Array<{gaps: Array<Object>, centroid: number[]}>}
+ */
+function clusterGaps(gaps, threshold) {
+  const clusters = [];
+  for (const gap of gaps) {
+    let best = null;
+    let bestSimilarity = threshold;
+    for (const cluster of clusters) {
+      const similarity = cosineSimilarity(gap.embedding, cluster.centroid);
+      if (similarity >= bestSimilarity) {
+        best = cluster;
+        bestSimilarity = similarity;
+      }
+    }
+    if (!best) {
+      clusters.push({ gaps: [gap], sum: gap.embedding.slice(), centroid: gap.embedding });
+      continue;
+    }
+    best.gaps.push(gap);
+    gap.embedding.forEach((v, i) => { best.sum[i] += v; });
+    best.centroid = best.sum.map(v => v / best.gaps.length);
+  }
+  return clusters.map(({ gaps: members, centroid }) => ({ gaps: members, centroid }));
+}
+
+/** Report view of one cluster */
+function formatCluster({ gaps, centroid }) {
+  // The question closest to the centroid names the topic
+  const ranked = gaps
+    .map(gap => ({ gap, similarity: cosineSimilarity(gap.embedding, centroid) }))
+    .sort((a, b) => b.similarity - a.similarity);
+  const question = ranked[0].gap.question;
+  const seen = new Set([question.toLowerCase()]);
+  const questions = [];
+  for (const { gap } of ranked) {
+    const key = gap.question.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    questions.push(gap.question);
+    if (questions.length >= SAMPLE_QUESTIONS) break;
+  }
+
+  const replied = gaps.filter(gap => gap.agentReply && gap.agentReply.content)
+    .sort((a, b) => new Date(b.agentReply.at) - new Date(a.agentReply.at));
+  const reasons = { low_confidence: 0, no_answer: 0 };
+  gaps.forEach(gap => { reasons[gap.reason] = (reasons[gap.reason] || 0) + 1; });
+  const confidences = gaps.map(gap => gap.confidence).filter(c => typeof c === 'number');
+  const times = gaps.map(gap => new Date(gap.createdAt).getTime());
+
+  return {
+    question,
+    questions,
+    count: gaps.length,
+    chats: new Set(gaps.map(gap => String(gap.chatId))).size,
+    reasons,
+    avgConfidence: confidences.length > 0
+      ? Math.round((confidences.reduce((a, b) => a + b, 0) / confidences.length) * 100) / 100
+      : null,
+    firstSeen: new Date(Math.min(...times)),
+    lastSeen: new Date(Math.max(...times)),
+    agentReply: replied.length > 0 ? replied[0].agentReply : null,
+    replies: replied.length,
+    aiAnswer: gaps[0].answer || '',
+    gapIds: gaps.map(gap => gap._id)
+  };
+}
+
+/**
+ * Clustered gap report for a date range.
+ * @param {Object} options
+ * @param {Date} options.startDate
+ * @param {Date} options.endDate
+ * @param {string} [options.status='open'] - 'open' | 'resolved' | 'dismissed'
+ * @param {number} [options.limit=20] - Max clusters returned
+ * @param {number} [options.threshold] - Similarity threshold (default GAP_CLUSTER_THRESHOLD)
+ * @returns {Promise<{total: number, unclustered: number, truncated: boolean, threshold: number,
+ *   clusters: Array<Object>}>} clusters most frequent first
+ */
+async function getKnowledgeGapReport({ startDate, endDate, status = 'open', limit = 20, threshold = CLUSTER_THRESHOLD }) {
+  const gaps = await KnowledgeGap.find({ status, createdAt: { $gte: startDate, $lte: endDate } })
+    .select('+embedding')
+    .sort({ createdAt: -1 })
+    .limit(MAX_REPORT_GAPS)
+    .lean();
+
+  const modelId = await getEmbeddingModelId();
+  try {
+    await ensureVectors(gaps, modelId);
+  } catch (err) {
+    console.error('[Gaps] Embedding gaps for the report failed:', err.message);
+  }
+  // Gaps that still have no comparable vector are counted but not clustered
+  const comparable = gaps.filter(gap => gap.embeddingModel === modelId && gap.embedding && gap.embedding.length > 0);
+  const clusters = clusterGaps(comparable, threshold)
+    .map(formatCluster)
+    .sort((a, b) => b.count - a.count || b.lastSeen - a.lastSeen);
+
+  return {
+    total: gaps.length,
+    unclustered: gaps.length - comparable.length,
+    truncated: gaps.length === MAX_REPORT_GAPS,
+    threshold,
+    clusters: clusters.slice(0, limit)
+  };
+}
+
+module.exports = {
+  CLUSTER_THRESHOLD,
+  recordKnowledgeGap,
+  attachAgentReply,
+  clusterGaps,
+  getKnowledgeGapReport
+};
@@ -0,0 +1,114 @@
+/**
+ * @file knowledgeScope — Visibility and relevance scoping for knowledge base retrieval
+ * @description KB documents carry `tags`, an `audience` ('public' — usable in customer-facing
+ * AI answers, or 'internal' — agent-only, e.g. for copilot suggestions) and linked
+ * WorkflowCategory ids. Retrieval resolves a scope filter into the set of KnowledgeBase ids
+ * it may draw from; embeddings belonging to any other document are ignored.
+ *
+ * Rules:
+ *   - Inactive (soft-deleted) documents are never retrievable
+ *   - audiences: only documents whose audience is listed (default: all)
+ *   - categoryId: documents linked to that category plus unlinked (general) documents;
+ *     with no category, only general documents. Omit the key entirely to ignore categories.
+ *   - tags: documents with at least one of the tags (default: no tag filter)
+ * @module utils/knowledgeScope
+ */
+
+const mongoose = require('mongoose');
+const { KnowledgeBase } = require('../db/models');
+
+const AUDIENCES = ['public', 'internal'];
+
+/**
+ * Validate and normalize scope fields from a request body. Accepts arrays or
+ * comma-separated strings (multipart uploads send strings). Omitted fields are left out.
+ * @param {Object} input - { tags, audience, categoryIds }
+ * @returns {{scope: Object, errors: string[]}}
+ */
+function normalizeScope(input = {}) {
+  const errors = [];
+  const scope = {};
+  const toList = (value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try { return JSON.parse(trimmed); } catch (err) { return null; }
+    }
+    return trimmed.split(',');
+  };
+
+  if (input.tags !== undefined) {
+    const tags = toList(input.tags);
+    if (!tags) errors.push('tags must be an array or comma-separated string');
+    else scope.tags = [...new Set(tags.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+  }
+
+  if (input.audience !== undefined) {
+    if (!AUDIENCES.includes(input.audience)) errors.push(`audience must be one of: ${AUDIENCES.join(', ')}`);
+    else scope.audience = input.audience;
+  }
+
+  if (input.categoryIds !== undefined) {
+    const ids = toList(input.categoryIds);
+    if (!ids) {
+      errors.push('categoryIds must be an array or comma-separated string');
+    } else {
+      const cleaned = ids.map(id => String(id).trim()).filter(Boolean);
+      const invalid = cleaned.filter(id => !mongoose.isValidObjectId(id));
+      if (invalid.length > 0) errors.push(`Invalid categoryIds: ${invalid.join(', ')}`);
+      else scope.categoryIds = [...new Set(cleaned)];
+    }
+  }
+
+  return { scope, errors };
+}
+
+/**
+ * Build the KnowledgeBase query for a retrieval scope.
+ * @param {Object} [filter]
+ * @param {string[]} [filter.audiences] - Allowed audiences
+ * @param {string|null} [filter.categoryId] - Current workflow category (null = none selected)
+ * @param {string[]} [filter.tags] - Match any of these tags
+ * @returns {Object} Mongo query
+ */
+function buildScopeQuery(filter = {}) {
+  const query = { active: true };
+
+  if (filter.audiences) {
+    // Documents created before audiences existed have no field — treat them as public
+    query.audience = filter.audiences.includes('public')
+      ? { $in: [...filter.audiences, null] }
+      : { $in: filter.audiences };
+  }
+
+  if ('categoryId' in filter) {
+    const general = { $or: [{ categoryIds: { $exists: false } }, { categoryIds: { $size: 0 } }] };
+    query.$or = filter.categoryId
+      ? [...general.$or, { categoryIds: filter.categoryId }]
+      : general.$or;
+  }
+
+  if (filter.tags && filter.tags.length > 0) {
+    query.tags = { $in: filter.tags.map(t => t.toLowerCase()) };
+  }
+
+  return query;
+}
+
+/**
+ * Resolve a scope filter to the KnowledgeBase ids retrieval may use.
+ * @param {Object} [filter] - See buildScopeQuery
+ * @returns {Promise<Set<string>>}
+ */
+async function getAllowedKnowledgeBaseIds(filter = {}) {
+  const docs = await KnowledgeBase.find(buildScopeQuery(filter)).select('_id').lean();
+  return new Set(docs.map(d => d._id.toString()));
+}
+
+module.exports = {
+  AUDIENCES,
+  normalizeScope,
+  buildScopeQuery,
+  getAllowedKnowledgeBaseIds
+};
@@ -0,0 +1,171 @@
+/**
+ * @file knowledgeVersions — Content history, diffs and rollback for knowledge base documents
+ * @description Every change to a KnowledgeBase document's content is stored as a
+ * KnowledgeBaseVersion with its author, source (upload/import/crawl/edit/learned/push/rollback/gap)
+ * and timestamp. Content changes go through updateDocumentContent(), which records the
+ * version and re-chunks/re-embeds the document (with its type's chunking strategy, see
+ * utils/chunker) so history and the searchable set stay in step, and drops the cached answers
+ * that were built from the old content (utils/responseCache).
+ *
+ * Documents that predate versioning have their existing content recorded as v1 the first
+ * time they change, so the pre-change state can always be restored.
+ * @module utils/knowledgeVersions
+ */
+
+const { KnowledgeBase, KnowledgeBaseVersion } = require('../db/models');
+const { chunkText, chunkOptionsFor } = require('./chunker');
+const { generateEmbeddingsForChunks, deleteEmbeddings } = require('./embeddings');
+const { diffLines, diffStats } = require('./textDiff');
+const { invalidateCachedAnswers } = require('./responseCache');
+
+/** Best guess at how a document without history was created */
+function inferSource(document) {
+  if (document.fileType === 'qa-pair') return 'learned';
+  if (document.crawlJobId) return 'crawl';
+  if (document.fileType === 'web-page') return 'import';
+  if ((document.filename || '').startsWith('chat-learning-')) return 'push';
+  return 'upload';
+}
+
+/**
+ * Record the document's current content as its next version.
+ * @param {Object} document - KnowledgeBase document (content already updated)
+ * @param {Object} options
+ * @param {string} options.source - upload | import | crawl | edit | learned | push | rollback | gap
+ * @param {ObjectId|string} [options.author] - Agent who made the change
+ * @param {string} [options.note] - Free-text note shown in history
+ * @returns {Promise<Object>} Created KnowledgeBaseVersion
+ */
+async function recordVersion(document, { source, author, note } = {}) {
+  const version = (document.version || 0) + 1;
+  const entry = await KnowledgeBaseVersion.create({
+    knowledgeBaseId: document._id,
+    version,
+    content: document.content,
+    source,
+    author: author || null,
+    note
+  });
+  await KnowledgeBase.updateOne({ _id: document._id }, { $set: { version } });
+  document.version = version;
+  return entry;
+}
+
+/**
+ * Record a pre-versioning document's current content as v1 before it is changed.
+ * @param {Object} document - KnowledgeBase document
+ */
+async function ensureBaseline(document) {
+  if (document.version || !document.content) return;
+  const entry = await KnowledgeBaseVersion.create({
+    knowledgeBaseId: document._id,
+    version: 1,
+    content: document.content,
+    source: inferSource(document),
+    author: document.uploadedBy || null,
+    note: 'Recorded before version history was enabled',
+    createdAt: document.uploadedAt || document.createdAt || new Date()
+  });
+  await KnowledgeBase.updateOne({ _id: document._id }, { $set: { version: entry.version } });
+  document.version = entry.version;
+}
+
+/**
+ * Replace a document's content: record a version, re-chunk and re-embed, invalidate cached answers.
+ * @param {Object} document - KnowledgeBase mongoose document
+ * @param {string} content - New full content
+ * @param {Object} options - { source, author, note } (see recordVersion)
+ * @returns {Promise<{version: number, chunks: number, embeddings: number}>}
+ */
+async function updateDocumentContent(document, content, options) {
+  await ensureBaseline(document);
+
+  await deleteEmbeddings(document._id);
+  const chunkObjs = chunkText(content, chunkOptionsFor(document));
+
+  document.content = content;
+  document.chunks = chunkObjs.map(c => ({ text: c.text, metadata: c.metadata }));
+  await document.save();
+  await recordVersion(document, options);
+
+  const embeddings = await generateEmbeddingsForChunks(document._id, chunkObjs);
+  await invalidateCachedAnswers(document._id, `Document changed (${options.source})`);
+  return { version: document.version, chunks: chunkObjs.length, embeddings };
+}
+
+/**
+ * Version history of a document, newest first (content omitted).
+ * @param {ObjectId|string} knowledgeBaseId
+ * @returns {Promise<Array>}
+ */
+async function listVersions(knowledgeBaseId) {
+  const versions = await KnowledgeBaseVersion.find({ knowledgeBaseId })
+    .sort({ version: -1 })
+    .populate('author', 'name email')
+    .lean();
+  return versions.map(v => ({
+    version: v.version,
+    source: v.source,
+    author: v.author,
+    note: v.note,
+    createdAt: v.createdAt,
+    length: (v.content || '').length
+  }));
+}
+
+/**
+ * @param {ObjectId|string} knowledgeBaseId
+ * @param {number} version
+ * @returns {Promise<Object|null>} KnowledgeBaseVersion (lean) or null
+ */
+function getVersion(knowledgeBaseId, version) {
+  return KnowledgeBaseVersion.findOne({ knowledgeBaseId, version }).populate('author', 'name email').lean();
+}
+
+/**
+ * Line diff between two versions of a document.
+ * @param {Object} document - KnowledgeBase document
+ * @param {number} from - Older version
+ * @param {number} [to] - Newer version (default: current content)
+ * @returns {Promise<Object|null>} { from, to, diff, stats }, or null if a version doesn't exist
+ */
+async function diffVersions(document, from, to) {
+  const fromVersion = await getVersion(document._id, from);
+  if (!fromVersion) return null;
+
+  let toContent = document.content || '';
+  if (to !== undefined) {
+    const toVersion = await getVersion(document._id, to);
+    if (!toVersion) return null;
+    toContent = toVersion.content || '';
+  }
+
+  const diff = diffLines(fromVersion.content || '', toContent);
+  return { from, to: to !== undefined ? to : document.version, diff, stats: diffStats(diff) };
+}
+
+/**
+ * Restore a previous version's content as a new version, and re-embed.
+ * @param {Object} document - KnowledgeBase mongoose document
+ * @param {number} version - Version to restore
+ * @param {ObjectId|string} [author] - Agent performing the rollback
+ * @returns {Promise<Object|null>} updateDocumentContent result, or null if the version doesn't exist
+ */
+async function rollbackDocument(document, version, author) {
+  const target = await getVersion(document._id, version);
+  if (!target) return null;
+  return updateDocumentContent(document, target.content || '', {
+    source: 'rollback',
+    author,
+    note: `Rolled back to v${version}`
+  });
+}
+
+module.exports = {
+  recordVersion,
+  updateDocumentContent,
+  listVersions,
+  getVersion,
+  diffVersions,
+  rollbackDocument
+};
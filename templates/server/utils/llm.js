@@ -0,0 +1,563 @@
+/**
+ * @file llm — Pluggable LLM provider layer for all chat-completion call sites
+ * @description Routes every LLM call (AI query, summarize, suggest-reply, sentiment,
+ * category/role icon picking, retrieval reranking, answer grounding checks) through a single
+ * `complete()` function that resolves a provider and model per feature, runs the call
+ * (optionally streamed), and records token usage and latency — in memory for
+ * getProviderStatus(), and as a costed Usage record (utils/usage). Paid calls are refused
+ * with SPEND_CAP_REACHED once an admin-set daily spend cap is reached. Personal data in the
+ * prompt is swapped for placeholders before it reaches any provider and restored in the
+ * returned text, streamed deltas and tool-call arguments (utils/redaction).
+ *
+ * Providers:
+ *   - anthropic          — Claude via @anthropic-ai/sdk (CLAUDE_API_KEY)
+ *   - openai-compatible  — Any OpenAI-style /chat/completions server such as vLLM or
+ *                          Ollama (LLM_BASE_URL, LLM_MODEL, optional LLM_API_KEY)
+ *   - mock               — Deterministic offline provider for tests and local runs
+ *
+ * Tool calling: pass `params.tools` ([{ name, description, parameters (JSON schema) }]) and the
+ * result carries `toolCalls` ([{ id, name, input }]). Conversations continue in a provider-neutral
+ * shape that each provider translates:
+ *   { role: 'assistant', content, toolCalls: [{ id, name, input }] } — the model's tool request
+ *   { role: 'tool', toolCallId, content }                              — the result, as text
+ * Anthropic tool calls go through the tools beta endpoint of the pinned SDK, which doesn't
+ * stream — the text of such calls reaches onDelta in one piece.
+ *
+ * Provider selection (first match wins):
+ *   0. withProviderOverride() — scoped to one async call chain (offline eval runs)
+ *   1. complete()'s options.provider — per call (A/B experiment variants)
+ *   2. Setting `llmProviders[feature]`, e.g. { provider: 'openai-compatible', model: 'llama3.1:70b' }
+ *   3. Setting `llmProviders.default`
+ *   4. LLM_PROVIDER env var (default 'anthropic')
+ * @module utils/llm
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const Anthropic = require('@anthropic-ai/sdk');
+const OpenAI = require('openai');
+const { Setting } = require('../db/models');
+const { recordCall, assertWithinCap } = require('./usage');
+const { leadParagraph } = require('./chunker');
+const { getRedactionSettings, createRedactor, recordRedactions } = require('./redaction');
+
+/** Features that call the LLM — used as keys in the llmProviders setting */
+const FEATURES = ['query', 'summarize', 'suggest-reply', 'sentiment', 'icon', 'rerank', 'grounding'];
+
+/** How long the llmProviders setting is cached in memory */
+const SETTINGS_TTL_MS = 30000;
+
+/** Default Claude model per feature (icon picking only needs a small, fast model) */
+const ANTHROPIC_DEFAULT_MODELS = {
+  icon: 'claude-haiku-3-20240307'
+};
+
+let settingsCache = null;
+let settingsLoadedAt = 0;
+
+/** Provider config forced for the current async context (see withProviderOverride) */
+const providerOverride = new AsyncLocalStorage();
+
+/** Per-feature usage counters since process start: { calls, errors, inputTokens, outputTokens, totalLatencyMs } */
+const usageStats = {};
+
+/**
+ * Build an error that call sites map to 503 "AI service not configured".
+ * @param {string} message - Human-readable reason
+ * @returns {Error} Error with code LLM_NOT_CONFIGURED
+ */
+function notConfigured(message) {
+  const err = new Error(message);
+  err.code = 'LLM_NOT_CONFIGURED';
+  return err;
+}
+
+/** Parse tool-call arguments a model sent as a JSON string; unparseable input becomes {} */
+function parseToolInput(args) {
+  if (args && typeof args === 'object') return args;
+  try {
+    const parsed = JSON.parse(args || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+/** Rough token estimate (~4 chars/token) for providers that don't report usage */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// ============================================================
+// Anthropic provider
+// ============================================================
+
+/** Lazy-initialized Anthropic client singleton */
+let anthropic;
+function getAnthropicClient() {
+  if (!anthropic) {
+    if (!process.env.CLAUDE_API_KEY) {
+      throw notConfigured('CLAUDE_API_KEY environment variable is required');
+    }
+    anthropic = new Anthropic({
+      apiKey: process.env.CLAUDE_API_KEY
+    });
+  }
+  return anthropic;
+}
+
+const anthropicProvider = {
+  defaultModel(feature) {
+    return ANTHROPIC_DEFAULT_MODELS[feature] || process.env.CLAUDE_MODEL || 'claude-sonnet-4-5-20250929';
+  },
+
+  /**
+   * Convert neutral messages to Anthropic content blocks: tool requests become tool_use
+   * blocks, and consecutive tool results are merged into one user turn of tool_result blocks.
+   */
+  toMessages(messages) {
+    const converted = [];
+    for (const msg of messages) {
+      if (msg.role === 'tool') {
+        const block = { type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content };
+        const last = converted[converted.length - 1];
+        if (last && last.role === 'user' && Array.isArray(last.content) && last.content[0]?.type === 'tool_result') {
+          last.content.push(block);
+        } else {
+          converted.push({ role: 'user', content: [block] });
+        }
+      } else if (msg.toolCalls && msg.toolCalls.length > 0) {
+        converted.push({
+          role: 'assistant',
+          content: [
+            ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+            ...msg.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input }))
+          ]
+        });
+      } else {
+        converted.push({ role: msg.role, content: msg.content });
+      }
+    }
+    return converted;
+  },
+
+  async complete({ model, system, messages, tools, maxTokens, temperature }, onDelta) {
+    const client = getAnthropicClient();
+    const params = { model, max_tokens: maxTokens, messages: this.toMessages(messages) };
+    if (system) params.system = system;
+    if (temperature !== undefined) params.temperature = temperature;
+
+    let message;
+    if (tools && tools.length > 0) {
+      params.tools = tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }));
+      message = await client.beta.tools.messages.create(params);
+      const text = message.content.filter(block => block.type === 'text').map(block => block.text).join('');
+      if (onDelta && text) onDelta(text);
+    } else if (onDelta) {
+      const stream = client.messages.stream(params);
+      stream.on('text', (delta) => onDelta(delta));
+      message = await stream.finalMessage();
+    } else {
+      message = await client.messages.create(params);
+    }
+
+    return {
+      text: message.content.map(block => block.text || '').join(''),
+      toolCalls: message.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, input: block.input || {} })),
+      usage: {
+        inputTokens: message.usage?.input_tokens || 0,
+        outputTokens: message.usage?.output_tokens || 0
+      }
+    };
+  }
+};
+
+// ============================================================
+// OpenAI-compatible provider (vLLM, Ollama, LM Studio, OpenAI itself)
+// ============================================================
+
+/** Lazy-initialized OpenAI-compatible client singleton */
+let openaiCompatible;
+function getOpenAICompatibleClient() {
+  if (!openaiCompatible) {
+    if (!process.env.LLM_BASE_URL) {
+      throw notConfigured('LLM_BASE_URL environment variable is required for the openai-compatible provider');
+    }
+    openaiCompatible = new OpenAI({
+      baseURL: process.env.LLM_BASE_URL,
+      apiKey: process.env.LLM_API_KEY || 'not-needed' // Local servers usually ignore the key
+    });
+  }
+  return openaiCompatible;
+}
+
+const openaiCompatibleProvider = {
+  defaultModel() {
+    return process.env.LLM_MODEL || 'llama3.1:70b';
+  },
+
+  /** Convert neutral messages to OpenAI chat messages (tool_calls / role 'tool') */
+  toMessages(messages) {
+    return messages.map(msg => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+      }
+      if (msg.toolCalls && msg.toolCalls.length > 0) {
+        return {
+          role: 'assistant',
+          content: msg.content || null,
+          tool_calls: msg.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.input || {}) }
+          }))
+        };
+      }
+      return { role: msg.role, content: msg.content };
+    });
+  },
+
+  async complete({ model, system, messages, tools, maxTokens, temperature }, onDelta) {
+    const client = getOpenAICompatibleClient();
+    const converted = this.toMessages(messages);
+    const chatMessages = system ? [{ role: 'system', content: system }, ...converted] : converted;
+    const params = { model, max_tokens: maxTokens, messages: chatMessages };
+    if (temperature !== undefined) params.temperature = temperature;
+    if (tools && tools.length > 0) {
+      params.tools = tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+    }
+
+    if (!onDelta) {
+      const completion = await client.chat.completions.create(params);
+      const message = completion.choices[0]?.message || {};
+      const text = message.content || '';
+      return {
+        text,
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function?.name,
+          input: parseToolInput(call.function?.arguments)
+        })),
+        usage: {
+          inputTokens: completion.usage?.prompt_tokens || estimateTokens(JSON.stringify(chatMessages)),
+          outputTokens: completion.usage?.completion_tokens || estimateTokens(text)
+        }
+      };
+    }
+
+    const stream = await client.chat.completions.create({ ...params, stream: true });
+    let text = '';
+    let usage = null;
+    // Tool calls arrive as fragments keyed by index: id and name once, arguments in pieces
+    const calls = [];
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta;
+      if (delta?.content) {
+        text += delta.content;
+        onDelta(delta.content);
+      }
+      for (const fragment of delta?.tool_calls || []) {
+        const call = calls[fragment.index] || (calls[fragment.index] = { id: '', name: '', args: '' });
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.args += fragment.function.arguments;
+      }
+      if (chunk.usage) usage = chunk.usage;
+    }
+    return {
+      text,
+      toolCalls: calls.filter(Boolean).map(call => ({ id: call.id, name: call.name, input: parseToolInput(call.args) })),
+      usage: {
+        inputTokens: usage?.prompt_tokens || estimateTokens(JSON.stringify(chatMessages)),
+        outputTokens: usage?.completion_tokens || estimateTokens(text)
+      }
+    };
+  }
+};
+
+// ============================================================
+// Mock provider — deterministic, no network
+// ============================================================
+
+const mockProvider = {
+  defaultModel() {
+    return 'mock';
+  },
+
+  /**
+   * Pick a tool the way a model might, deterministically: the first tool whose name shares a
+   * word with the user's message ("get_order_status" for "where is my order?") and whose
+   * required arguments can be read from it — IDs are tokens containing a digit, emails look
+   * like emails (or their redaction placeholder), numbers are numbers, enums must be mentioned.
+   * @returns {{name: string, input: Object}|null}
+   */
+  pickTool(tools, message) {
+    const text = message || '';
+    const words = new Set(text.toLowerCase().match(/[a-z]+/g) || []);
+    for (const tool of tools) {
+      const nameWords = tool.name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z]+/)
+        .filter(word => word.length >= 3 && !['get', 'set', 'list', 'lookup', 'fetch', 'find', 'check'].includes(word));
+      if (!nameWords.some(word => words.has(word) || words.has(`${word}s`))) continue;
+
+      const schema = tool.parameters || {};
+      const input = {};
+      for (const [prop, def] of Object.entries(schema.properties || {})) {
+        let value;
+        if (Array.isArray(def.enum)) value = def.enum.find(option => text.toLowerCase().includes(String(option).toLowerCase()));
+        else if (def.type === 'number' || def.type === 'integer') value = (text.match(/\b\d+(?:\.\d+)?\b/) || [])[0];
+        else if (def.type === 'boolean') value = true;
+        else if (/email/i.test(prop)) value = (text.match(/[^\s@]+@[^\s@]+\.\w+|\[EMAIL_\d+\]/) || [])[0];
+        else value = (text.match(/[A-Za-z#]*\d[\w-]*/) || [])[0];
+        if (value !== undefined) input[prop] = def.type === 'number' || def.type === 'integer' ? Number(value) : value;
+      }
+      if ((schema.required || []).every(prop => input[prop] !== undefined)) return { name: tool.name, input };
+    }
+    return null;
+  },
+
+  /**
+   * Returns `config.response` when set (per-feature fixed output, e.g. JSON for sentiment).
+   * With `config.extractive`, answers with the first sentence of the prompt's [Source 1] and
+   * cites it — a stand-in for a grounded model in offline evals. When tools are offered, calls
+   * one (see pickTool) and then answers with its result. Otherwise echoes the last user
+   * message. Streams word-by-word when onDelta is given.
+   */
+  async complete({ system, messages, tools, response, extractive }, onDelta) {
+    const lastUserIdx = messages.map(m => m.role).lastIndexOf('user');
+    const lastUser = messages[lastUserIdx];
+    const toolResults = messages.slice(lastUserIdx + 1).filter(m => m.role === 'tool');
+    const toolCall = tools && tools.length > 0 && toolResults.length === 0 ? this.pickTool(tools, lastUser?.content) : null;
+    let text;
+    if (toolCall) {
+      return {
+        text: '',
+        toolCalls: [{ id: `mock_call_${Date.now()}`, ...toolCall }],
+        usage: { inputTokens: estimateTokens((system || '') + messages.map(m => m.content).join('')), outputTokens: 10 }
+      };
+    } else if (toolResults.length > 0) {
+      text = `[mock] ${toolResults.map(m => m.content).join(' ').substring(0, 300)}`;
+    } else if (response !== undefined && response !== null) {
+      text = String(response);
+    } else if (extractive) {
+      const source = (system || '').match(/\[Source 1[^\]]*\]\n([\s\S]*?)(?=\n\n\[Source \d|\n\nCite the sources|$)/);
+      const paragraph = source && leadParagraph(source[1]);
+      const sentence = paragraph && (paragraph.match(/^[\s\S]*?[.!?](?=\s|$)/) || [paragraph])[0];
+      text = sentence ? `${sentence.replace(/\s+/g, ' ').trim()} [1]` : "I don't have that information.";
+    } else {
+      text = `[mock] ${(lastUser?.content || '').substring(0, 200)}`;
+    }
+
+    if (onDelta) {
+      for (const part of text.match(/\S+\s*/g) || []) onDelta(part);
+    }
+
+    return {
+      text,
+      usage: {
+        inputTokens: estimateTokens((system || '') + messages.map(m => m.content).join('')),
+        outputTokens: estimateTokens(text)
+      }
+    };
+  }
+};
+
+const PROVIDERS = {
+  anthropic: anthropicProvider,
+  'openai-compatible': openaiCompatibleProvider,
+  mock: mockProvider
+};
+
+// ============================================================
+// Provider resolution and public API
+// ============================================================
+
+/**
+ * Load the llmProviders setting (cached for SETTINGS_TTL_MS).
+ * DB errors fall back to env configuration so a settings outage never blocks AI replies.
+ * @returns {Promise<Object>} Map of feature -> { provider, model, response }
+ */
+async function loadProviderSettings() {
+  if (settingsCache && Date.now() - settingsLoadedAt < SETTINGS_TTL_MS) {
+    return settingsCache;
+  }
+  try {
+    const setting = await Setting.findOne({ key: 'llmProviders' }).lean();
+    settingsCache = (setting && setting.value) || {};
+  } catch (err) {
+    console.error('[LLM] Failed to load llmProviders setting:', err.message);
+    settingsCache = settingsCache || {};
+  }
+  settingsLoadedAt = Date.now();
+  return settingsCache;
+}
+
+/** Drop the cached llmProviders setting so the next call re-reads it */
+function clearProviderCache() {
+  settingsCache = null;
+}
+
+/**
+ * Resolve which provider and model a feature should use.
+ * @param {string} feature - One of FEATURES
+ * @param {Object} [override] - Per-call { provider?, model? } taking precedence over settings
+ * @returns {Promise<{provider: string, model: string, response?: string}>}
+ */
+async function resolveProvider(feature, override) {
+  const settings = await loadProviderSettings();
+  const configured = { ...(settings.default || {}), ...(settings[feature] || {}) };
+  // A configured model belongs to the configured provider — don't carry it over to another one
+  if (override && override.provider && !override.model && override.provider !== configured.provider) {
+    delete configured.model;
+  }
+  const config = { ...configured, ...(override || {}), ...(providerOverride.getStore() || {}) };
+  const providerName = config.provider || process.env.LLM_PROVIDER || 'anthropic';
+  const provider = PROVIDERS[providerName];
+  if (!provider) {
+    throw notConfigured(`Unknown LLM provider: ${providerName}`);
+  }
+  return {
+    ...config,
+    provider: providerName,
+    model: config.model || provider.defaultModel(feature)
+  };
+}
+
+/**
+ * Record a call in the per-feature usage counters, log it, and store it with its cost.
+ * @param {string} feature - Feature name
+ * @param {Object} result - { provider, model, usage, latencyMs } or { error }
+ */
+function recordUsage(feature, result) {
+  const stats = usageStats[feature] || (usageStats[feature] = {
+    calls: 0, errors: 0, inputTokens: 0, outputTokens: 0, totalLatencyMs: 0
+  });
+  stats.calls++;
+  stats.totalLatencyMs += result.latencyMs || 0;
+  if (result.error) {
+    stats.errors++;
+    return;
+  }
+  stats.inputTokens += result.usage.inputTokens;
+  stats.outputTokens += result.usage.outputTokens;
+  console.log(`[LLM] ${feature} via ${result.provider}/${result.model}: ${result.latencyMs}ms, ${result.usage.inputTokens} in / ${result.usage.outputTokens} out tokens`);
+  recordCall({
+    feature,
+    provider: result.provider,
+    model: result.model,
+    inputTokens: result.usage.inputTokens,
+    outputTokens: result.usage.outputTokens,
+    latencyMs: result.latencyMs
+  });
+}
+
+/**
+ * Run a chat completion for a feature through its configured provider.
+ * @param {string} feature - One of FEATURES (selects provider/model from settings)
+ * @param {Object} params - Completion parameters
+ * @param {string} [params.system] - System prompt
+ * @param {Array<Object>} params.messages - Conversation: { role: 'user'|'assistant', content }, plus
+ *   assistant tool requests and { role: 'tool', toolCallId, content } results (see file header)
+ * @param {Array<{name: string, description: string, parameters: Object}>} [params.tools] - Tools the model may call
+ * @param {number} [params.maxTokens=1024] - Max output tokens
+ * @param {number} [params.temperature] - Sampling temperature
+ * @param {Object} [options]
+ * @param {Function} [options.onDelta] - Called with each text delta; enables streaming
+ * @param {Object} [options.provider] - { provider?, model? } for this call only, over the feature's settings
+ * @returns {Promise<{text: string, toolCalls: Array<{id: string, name: string, input: Object}>, provider: string, model: string, usage: {inputTokens: number, outputTokens: number}, latencyMs: number}>}
+ * @throws {Error} code LLM_NOT_CONFIGURED when the provider lacks credentials/endpoint
+ * @throws {Error} code SPEND_CAP_REACHED when today's spend cap is reached (see utils/usage)
+ */
+async function complete(feature, params, options = {}) {
+  const config = await resolveProvider(feature, options.provider);
+  const provider = PROVIDERS[config.provider];
+  await assertWithinCap(feature, config.model);
+
+  // PII leaves as placeholders and comes back restored (see utils/redaction)
+  const redactor = createRedactor(await getRedactionSettings());
+  const system = redactor.redact(params.system);
+  const messages = params.messages.map(msg => ({
+    ...msg,
+    content: redactor.redactDeep(msg.content),
+    ...(msg.toolCalls && { toolCalls: msg.toolCalls.map(call => ({ ...call, input: redactor.redactDeep(call.input) })) })
+  }));
+  const stream = options.onDelta ? redactor.streamRestorer(options.onDelta) : null;
+  const startTime = Date.now();
+
+  try {
+    const { text, toolCalls, usage } = await provider.complete({
+      model: config.model,
+      response: config.response,
+      extractive: config.extractive,
+      system,
+      messages,
+      tools: params.tools,
+      maxTokens: params.maxTokens || 1024,
+      temperature: params.temperature
+    }, stream ? delta => stream.push(delta) : undefined);
+    if (stream) stream.flush();
+
+    const result = {
+      text: redactor.restore(text),
+      toolCalls: (toolCalls || []).map(call => ({ ...call, input: redactor.restoreDeep(call.input) })),
+      provider: config.provider,
+      model: config.model,
+      usage,
+      latencyMs: Date.now() - startTime
+    };
+    recordUsage(feature, result);
+    recordRedactions(feature, redactor.counts, redactor.restored);
+    return result;
+  } catch (err) {
+    recordUsage(feature, { error: true, latencyMs: Date.now() - startTime });
+    recordRedactions(feature, redactor.counts);
+    throw err;
+  }
+}
+
+/**
+ * Run `fn` with every complete() call it makes (directly or deep in its call chain) forced
+ * onto one provider config, regardless of settings. Scoped via AsyncLocalStorage, so
+ * concurrent live traffic is unaffected — used by stubbed eval runs.
+ * @param {Object} config - e.g. { provider: 'mock', extractive: true }
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} fn's result
+ */
+function withProviderOverride(config, fn) {
+  return providerOverride.run(config, fn);
+}
+
+/**
+ * Snapshot of resolved provider config and usage counters for every feature.
+ * @returns {Promise<Object>} feature -> { provider, model, stats }
+ */
+async function getProviderStatus() {
+  const status = {};
+  for (const feature of FEATURES) {
+    const { provider, model, error } = await resolveProvider(feature)
+      .catch(err => ({ provider: null, model: null, error: err.message }));
+    const stats = usageStats[feature] || { calls: 0, errors: 0, inputTokens: 0, outputTokens: 0, totalLatencyMs: 0 };
+    status[feature] = {
+      provider,
+      model,
+      ...(error && { error }),
+      stats: {
+        ...stats,
+        avgLatencyMs: stats.calls > 0 ? Math.round(stats.totalLatencyMs / stats.calls) : 0
+      }
+    };
+  }
+  return status;
+}
+
+module.exports = {
+  FEATURES,
+  complete,
+  resolveProvider,
+  clearProviderCache,
+  withProviderOverride,
+  getProviderStatus
+};
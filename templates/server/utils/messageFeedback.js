@@ -0,0 +1,113 @@
+/**
+ * @file messageFeedback — Customer thumbs up/down on individual AI answers
+ * @description The widget shows 👍/👎 under every AI answer; a thumbs down can carry one of
+ * FEEDBACK_REASONS and a short comment. The rating is stored on the Message (`feedback`),
+ * stamped with what it rates — the KB documents the answer was built from and the chat's
+ * workflow category — so /api/analytics/feedback can roll ratings up by document and category
+ * without re-reading retrieval metadata.
+ *
+ * A thumbs down also:
+ *   - evicts the response cache entry the answer was served from or stored as
+ *     (utils/responseCache evictCachedAnswer), so the next customer gets a fresh answer —
+ *     a pinned entry is marked stale for an admin to look at instead
+ *   - opens the turn in the review list (/api/feedback, feedback.review.status 'open')
+ *
+ * The customer can change their mind: the latest rating wins. Switching to a thumbs up takes
+ * the turn off the review list; an evicted cache entry stays evicted.
+ * @module utils/messageFeedback
+ */
+
+const mongoose = require('mongoose');
+const { Message } = require('../db/models');
+const { evictCachedAnswer } = require('./responseCache');
+
+/** Why an answer got a thumbs down */
+const FEEDBACK_REASONS = ['incorrect', 'incomplete', 'outdated', 'irrelevant', 'unclear', 'other'];
+
+const MAX_COMMENT = 1000;
+
+/**
+ * Validate a widget's rating.
+ * @param {Object} body - { rating: 'up'|'down', reason?, comment? }
+ * @returns {{feedback: Object|null, error: string|null}}
+ */
+function normalizeFeedback({ rating, reason, comment } = {}) {
+  if (rating !== 'up' && rating !== 'down') {
+    return { feedback: null, error: "rating must be 'up' or 'down'" };
+  }
+  if (rating === 'up') return { feedback: { rating }, error: null };
+
+  if (reason !== undefined && reason !== null && !FEEDBACK_REASONS.includes(reason)) {
+    return { feedback: null, error: `reason must be one of: ${FEEDBACK_REASONS.join(', ')}` };
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    return { feedback: null, error: 'comment must be a string' };
+  }
+  const text = comment ? comment.trim().substring(0, MAX_COMMENT) : '';
+  return { feedback: { rating, ...(reason && { reason }), ...(text && { comment: text }) }, error: null };
+}
+
+/**
+ * KB documents an AI message's answer was built from: its retrieval results, or for a cached
+ * answer the documents of the cache entry.
+ * @param {Object} message - Message with metadata
+ * @returns {string[]} Distinct document ids
+ */
+function answerDocuments(message) {
+  const metadata = message.metadata || {};
+  const ids = metadata.retrieval && Array.isArray(metadata.retrieval.results)
+    ? metadata.retrieval.results.map(r => r.knowledgeBaseId)
+    : metadata.knowledgeBaseIds || [];
+  return [...new Set(ids.filter(Boolean).map(String))];
+}
+
+/**
+ * Whether a message is an AI answer the customer can rate — not a scripted flow step or the
+ * handoff notice.
+ * @param {Object} message
+ * @returns {boolean}
+ */
+function isRateable(message) {
+  const metadata = message.metadata || {};
+  return message.sender === 'ai' && !message.isInternal && !metadata.flow && !metadata.handoff;
+}
+
+/**
+ * Store a rating on an AI message; a (first) thumbs down evicts its cached answer and opens
+ * it for review.
+ * @param {Object} message - The rated Message (lean or document)
+ * @param {Object} chat - Its Chat
+ * @param {Object} rating - Output of normalizeFeedback
+ * @returns {Promise<{feedback: Object, evicted: {deleted: number, stale: number}|null}>}
+ */
+async function recordMessageFeedback(message, chat, rating) {
+  const previous = message.feedback || {};
+  const categoryId = chat.metadata && chat.metadata.categoryId;
+  const feedback = {
+    ...rating,
+    knowledgeBaseIds: answerDocuments(message),
+    // The widget sets the chat's category unchecked
+    categoryId: mongoose.isValidObjectId(categoryId) ? categoryId : undefined,
+    at: new Date()
+  };
+
+  let evicted = null;
+  if (rating.rating === 'down') {
+    // A changed reason or comment keeps the review where it is
+    feedback.review = previous.rating === 'down' && previous.review ? previous.review : { status: 'open' };
+    if (previous.rating !== 'down') {
+      evicted = await evictCachedAnswer(message, 'Thumbs down from a customer');
+    }
+  }
+
+  await Message.updateOne({ _id: message._id }, { $set: { feedback } });
+  console.log(`[Feedback] Thumbs ${rating.rating} on message ${message._id}${rating.reason ? ` (${rating.reason})` : ''}`);
+  return { feedback, evicted };
+}
+
+module.exports = {
+  FEEDBACK_REASONS,
+  normalizeFeedback,
+  isRateable,
+  recordMessageFeedback
+};
@@ -0,0 +1,352 @@
+/**
+ * @file promptProfile — Admin-editable, versioned system prompt and brand profile
+ * @description Stores the AI assistant's brand profile (company name, support contact,
+ * tone, answer length, forbidden topics, fallback phrase, whether the AI may offer quick
+ * replies and cards) and an optional prompt template in the Setting collection under the
+ * `promptProfile` key, and renders the final system prompt for /api/ai/query.
+ *
+ * Templates use {{variable}} placeholders (see TEMPLATE_VARIABLES). Unknown variables
+ * render as empty strings. Workflow category prompts are composed into the
+ * {{categoryInstructions}} slot, below the base role and above the safety/format rules,
+ * so a category can change greeting style and focus but never lifts the KB-only rules.
+ *
+ * Storage shape (Setting value):
+ *   { activeVersion: 3, versions: [{ version, profile, updatedBy, updatedAt, note }, ...] }
+ * Every save or rollback appends a new version; the newest MAX_VERSIONS are kept.
+ * @module utils/promptProfile
+ */
+
+const { Setting } = require('../db/models');
+const { RICH_INSTRUCTIONS } = require('./richMessages');
+
+const SETTING_KEY = 'promptProfile';
+const MAX_VERSIONS = 50;
+const CACHE_TTL_MS = 30000;
+
+const ANSWER_LENGTHS = ['short', 'medium', 'detailed'];
+
+/** Format rule rendered for each answerLength option */
+const LENGTH_RULES = {
+  short: 'Keep answers SHORT — 2-3 sentences max unless the user asks for detail',
+  medium: 'Keep answers concise — one short paragraph (4-6 sentences) unless the user asks for detail',
+  detailed: 'Give complete, thorough answers; use short sections or lists when they help readability'
+};
+
+/** Built-in template — reproduces the original hardcoded prompt with brand details templated out */
+const DEFAULT_TEMPLATE = `You are a helpful customer support AI assistant for {{companyName}}. Answer questions ONLY based on the provided knowledge base context. If the knowledge base doesn't contain the answer, say "{{fallbackPhrase}}" Do NOT make up or guess product names, features, or details not in the knowledge base. Respond in {{language}} language.
+
+{{categoryInstructions}}
+
+Important rules:
+- ONLY use facts from the knowledge base context provided below — NEVER invent product names, company names, or features
+- If no knowledge base context is provided or it doesn't answer the question, clearly say you don't have that information
+- NEVER include the user's personal information (their name, phone, email) in your responses
+- Do NOT greet the user by name or reference their personal details
+{{supportContactRule}}
+- Do NOT give vague redirect responses like "they can help you" — instead answer the question directly using the knowledge base, and only suggest contacting support as a last resort
+- Only provide company contact details when the user specifically asks for contact info, pricing, or important inquiries — do NOT add contact info to every reply
+- Focus only on answering the question with relevant product/service information from the knowledge base
+{{forbiddenTopicsRule}}
+
+Tone: {{tone}}
+
+Format rules:
+- {{lengthRule}}
+- Use bullet points only when listing 3+ items
+- Use **bold** sparingly for key terms
+- No filler or repetition — get straight to the point
+
+{{richMessagesRule}}
+
+{{knowledgeBase}}
+
+{{pageContext}}
+
+{{conversationSummary}}`;
+
+const DEFAULT_PROFILE = {
+  companyName: 'our company',
+  supportContact: '',
+  tone: 'Friendly, professional and concise',
+  answerLength: 'short',
+  forbiddenTopics: [],
+  fallbackPhrase: "I don't have that information in our knowledge base. Let me connect you with a team member who can help.",
+  richReplies: true,
+  template: ''
+};
+
+/** Variables available to templates, with descriptions (shown by the preview endpoint) */
+const TEMPLATE_VARIABLES = {
+  companyName: 'Company/brand name from the profile',
+  supportContact: 'Support email/phone from the profile (raw value)',
+  supportContactRule: 'Rule line telling the AI to include the support contact (empty if none set)',
+  tone: 'Tone description from the profile',
+  lengthRule: 'Answer-length format rule derived from answerLength',
+  fallbackPhrase: 'Exact phrase the AI uses when the knowledge base has no answer',
+  forbiddenTopicsRule: 'Rule line listing forbidden topics (empty if none)',
+  language: 'Detected user language code',
+  categoryInstructions: 'Workflow category prompt section (empty if no category selected)',
+  knowledgeBase: 'Retrieved knowledge base chunks with the inline citation rule (empty if none matched)',
+  pageContext: 'Page the user is on (empty if unknown)',
+  richMessagesRule: 'How to offer quick replies and cards (empty when richReplies is off; added at the end if the template leaves it out)',
+  conversationSummary: 'Summary of earlier messages and facts the user gave in a long chat (empty until there is one; added at the end if the template leaves it out)'
+};
+
+let cachedSetting = null;
+let cachedAt = 0;
+
+/**
+ * Load the raw promptProfile setting (cached for CACHE_TTL_MS).
+ * @returns {Promise<{activeVersion: number, versions: Array}>}
+ */
+async function loadSetting() {
+  if (cachedSetting && Date.now() - cachedAt < CACHE_TTL_MS) return cachedSetting;
+  const setting = await Setting.findOne({ key: SETTING_KEY }).lean();
+  cachedSetting = (setting && setting.value) || { activeVersion: 0, versions: [] };
+  cachedAt = Date.now();
+  return cachedSetting;
+}
+
+/**
+ * Get the active profile merged over DEFAULT_PROFILE. Falls back to the defaults
+ * if settings can't be read so AI replies never fail on a settings outage.
+ * @returns {Promise<Object>} Profile with all fields populated plus `version`
+ */
+async function getActiveProfile() {
+  try {
+    const setting = await loadSetting();
+    const active = setting.versions.find(v => v.version === setting.activeVersion);
+    return { ...DEFAULT_PROFILE, ...(active ? active.profile : {}), version: setting.activeVersion || 0 };
+  } catch (err) {
+    console.error('[PromptProfile] Failed to load profile, using defaults:', err.message);
+    return { ...DEFAULT_PROFILE, version: 0 };
+  }
+}
+
+/**
+ * Get a specific stored version merged over DEFAULT_PROFILE, e.g. for an experiment
+ * variant pinned to an older or newer profile than the active one.
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Profile plus `version`, or null if that version is not stored
+ */
+async function getProfileVersion(version) {
+  const setting = await loadSetting();
+  const stored = setting.versions.find(v => v.version === version);
+  return stored ? { ...DEFAULT_PROFILE, ...stored.profile, version } : null;
+}
+
+/**
+ * Validate and normalize profile input. Only known fields are kept.
+ * @param {Object} input - Raw profile fields from the request body
+ * @returns {{profile: Object, errors: string[]}}
+ */
+function normalizeProfile(input = {}) {
+  const errors = [];
+  const profile = {};
+
+  for (const field of ['companyName', 'supportContact', 'tone', 'fallbackPhrase', 'template']) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+      continue;
+    }
+    profile[field] = input[field].trim();
+  }
+
+  if (input.answerLength !== undefined) {
+    if (!ANSWER_LENGTHS.includes(input.answerLength)) {
+      errors.push(`answerLength must be one of: ${ANSWER_LENGTHS.join(', ')}`);
+    } else {
+      profile.answerLength = input.answerLength;
+    }
+  }
+
+  if (input.forbiddenTopics !== undefined) {
+    const topics = typeof input.forbiddenTopics === 'string'
+      ? input.forbiddenTopics.split(',')
+      : input.forbiddenTopics;
+    if (!Array.isArray(topics)) {
+      errors.push('forbiddenTopics must be an array or comma-separated string');
+    } else {
+      profile.forbiddenTopics = topics.map(t => String(t).trim()).filter(Boolean);
+    }
+  }
+
+  if (input.richReplies !== undefined) {
+    if (typeof input.richReplies !== 'boolean') {
+      errors.push('richReplies must be a boolean');
+    } else {
+      profile.richReplies = input.richReplies;
+    }
+  }
+
+  if (profile.fallbackPhrase === '') {
+    errors.push('fallbackPhrase cannot be empty');
+  }
+
+  return { profile, errors };
+}
+
+/**
+ * Save a new profile version and make it active. Fields not supplied are carried
+ * over from the currently active version.
+ * @param {Object} input - Profile fields
+ * @param {Object} [meta]
+ * @param {string} [meta.updatedBy] - Agent ID making the change
+ * @param {string} [meta.note] - Change note shown in version history
+ * @returns {Promise<{version: number, profile: Object}|{errors: string[]}>}
+ */
+async function saveProfile(input, meta = {}) {
+  const { profile, errors } = normalizeProfile(input);
+  if (errors.length > 0) return { errors };
+
+  cachedSetting = null;
+  const setting = await loadSetting();
+  const active = setting.versions.find(v => v.version === setting.activeVersion);
+  const merged = { ...(active ? active.profile : {}), ...profile };
+
+  const version = setting.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+  const versions = [...setting.versions, {
+    version,
+    profile: merged,
+    updatedBy: meta.updatedBy || null,
+    updatedAt: new Date(),
+    note: meta.note || ''
+  }].slice(-MAX_VERSIONS);
+
+  await Setting.findOneAndUpdate(
+    { key: SETTING_KEY },
+    { key: SETTING_KEY, value: { activeVersion: version, versions }, updatedAt: new Date() },
+    { upsert: true }
+  );
+  cachedSetting = null;
+
+  console.log(`[PromptProfile] Saved version ${version}`);
+  return { version, profile: { ...DEFAULT_PROFILE, ...merged } };
+}
+
+/**
+ * Restore an earlier version by re-saving its profile as a new version.
+ * @param {number} version - Version number to restore
+ * @param {Object} [meta] - { updatedBy }
+ * @returns {Promise<{version: number, profile: Object}|null>} null if the version doesn't exist
+ */
+async function rollbackProfile(version, meta = {}) {
+  cachedSetting = null;
+  const setting = await loadSetting();
+  const target = setting.versions.find(v => v.version === version);
+  if (!target) return null;
+  return saveProfile(target.profile, { updatedBy: meta.updatedBy, note: `Rollback to v${version}` });
+}
+
+/**
+ * List stored versions, newest first.
+ * @returns {Promise<{activeVersion: number, versions: Array}>}
+ */
+async function listVersions() {
+  cachedSetting = null;
+  const setting = await loadSetting();
+  return {
+    activeVersion: setting.activeVersion || 0,
+    versions: [...setting.versions].reverse()
+  };
+}
+
+/**
+ * Replace {{variable}} placeholders. Unknown variables render as ''. A line holding
+ * only a placeholder that renders empty is dropped, so optional rule lines don't
+ * leave gaps in lists.
+ * @param {string} template - Template text
+ * @param {Object} vars - Variable values
+ * @returns {string}
+ */
+function renderTemplate(template, vars) {
+  const placeholder = /\{\{\s*(\w+)\s*\}\}/g;
+  const valueOf = (name) => {
+    const value = vars[name];
+    return value === undefined || value === null ? '' : String(value);
+  };
+
+  return template
+    .split('\n')
+    .filter(line => {
+      const only = line.trim().match(/^\{\{\s*(\w+)\s*\}\}$/);
+      return !only || valueOf(only[1]) !== '';
+    })
+    .map(line => line.replace(placeholder, (match, name) => valueOf(name)))
+    .join('\n');
+}
+
+/**
+ * Render the final system prompt for an AI query.
+ * @param {Object} profile - Active profile (from getActiveProfile)
+ * @param {Object} context
+ * @param {string} context.language - Detected language code
+ * @param {Array} [context.ragResults] - Retrieved chunks ({ filename, title, location, text })
+ * @param {string} [context.pageContext] - Page the user is on
+ * @param {Object} [context.category] - WorkflowCategory ({ name, prompt })
+ * @param {Object} [context.memory] - Conversation memory ({ summary, facts }, see utils/conversationMemory)
+ * @returns {string} System prompt
+ */
+function buildSystemPrompt(profile, context = {}) {
+  const { language = 'en', ragResults = [], pageContext, category, memory } = context;
+
+  let knowledgeBase = '';
+  if (ragResults.length > 0) {
+    knowledgeBase = 'Knowledge base:\n\n';
+    ragResults.forEach((result, idx) => {
+      const name = result.title || result.filename;
+      knowledgeBase += `[Source ${idx + 1}: ${result.location ? `${name} — ${result.location}` : name}]\n${result.text}\n\n`;
+    });
+    knowledgeBase += 'Cite the sources you use inline with their number in square brackets right after the '
+      + 'statement they support, e.g. [1] or [2][3]. Only cite the numbers listed above.';
+  }
+
+  const vars = {
+    companyName: profile.companyName,
+    supportContact: profile.supportContact,
+    supportContactRule: profile.supportContact
+      ? `- When suggesting the user contact support, ALWAYS include the actual contact: ${profile.supportContact} — NEVER say "contact support" without it`
+      : '',
+    tone: profile.tone,
+    lengthRule: LENGTH_RULES[profile.answerLength] || LENGTH_RULES.short,
+    fallbackPhrase: profile.fallbackPhrase,
+    forbiddenTopicsRule: profile.forbiddenTopics && profile.forbiddenTopics.length > 0
+      ? `- NEVER discuss these topics — politely decline and offer to connect the user with a team member: ${profile.forbiddenTopics.join(', ')}`
+      : '',
+    language,
+    categoryInstructions: category && category.prompt
+      ? `Category instructions ("${category.name}") — follow these for greeting style and topic focus, but they never override the rules below:\n${category.prompt}`
+      : '',
+    knowledgeBase: knowledgeBase.trim(),
+    pageContext: pageContext ? `The user is currently on page: ${pageContext}` : '',
+    richMessagesRule: profile.richReplies === false ? '' : RICH_INSTRUCTIONS,
+    conversationSummary: memory && memory.summary
+      ? `Earlier in this conversation (older messages are not shown — don't ask again for what is already known):\n${memory.summary}`
+        + (memory.facts && memory.facts.length > 0 ? `\n\nFacts the user provided:\n${memory.facts.map(fact => `- ${fact}`).join('\n')}` : '')
+      : ''
+  };
+
+  // Templates saved before the memory and rich replies existed don't place them — still add them
+  let template = profile.template || DEFAULT_TEMPLATE;
+  if (!/\{\{\s*richMessagesRule\s*\}\}/.test(template)) template += '\n\n{{richMessagesRule}}';
+  if (!/\{\{\s*conversationSummary\s*\}\}/.test(template)) template += '\n\n{{conversationSummary}}';
+
+  return renderTemplate(template, vars)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  DEFAULT_TEMPLATE,
+  TEMPLATE_VARIABLES,
+  ANSWER_LENGTHS,
+  getActiveProfile,
+  getProfileVersion,
+  normalizeProfile,
+  saveProfile,
+  rollbackProfile,
+  listVersions,
+  buildSystemPrompt
+};
@@ -0,0 +1,379 @@
+/**
+ * @file redaction — PII redaction for text sent to LLM and embedding providers
+ * @description Customer messages, agent replies, learned Q&A pairs and chat memories reach
+ * Claude/OpenAI through two choke points, and both redact here first:
+ *   - complete() (utils/llm) — reversible: each detected value is swapped for a numbered
+ *     placeholder ([EMAIL_1], [PHONE_2], …) in the system prompt, messages and tool calls, and
+ *     the placeholders are put back in the model's text (streamed deltas included) and tool-call
+ *     arguments, so the customer still sees "we'll email jane@example.com" and actions still
+ *     receive real values. The same value gets the same placeholder throughout one call.
+ *   - generateEmbedding() (utils/embeddings) — one-way: values become their type ([EMAIL]),
+ *     which keeps "my email is a@b.com" and "my email is c@d.com" close in vector space.
+ *   - learnFromAgentReply (routes/messages) masks the Q&A pair the same one-way way before it
+ *     is stored for review, since approved pairs are shown to other customers.
+ *
+ * Detectors: email, phone, card (13-19 digits passing the Luhn check), street address
+ * ("12 Main St, Apt 4"), plus custom regexes. A phone number has 9-15 digits in a known shape —
+ * international (+44 20 7946 0958), a parenthesised area code ((555) 123-4567), North American
+ * (555-123-4567) or national with a leading 0 (020 7946 0958) — so dates, times, order numbers
+ * and SKUs are left alone.
+ *
+ * Setting `redaction` (cached for 30s; PUT /api/settings validates it and clears the cache):
+ *   { enabled?: true, detectors?: { email, phone, card, address } (all on by default),
+ *     customPatterns?: [{ name: 'ACCOUNT_ID', pattern: 'ACC-\\d{6}', flags?: 'i' }],
+ *     allowList?: ['support@example.com'] — values never redacted, e.g. the company's contacts }
+ *
+ * Every call that redacted something is stored as a RedactionEvent — feature, chat, counts
+ * per type, placeholders restored — never the values themselves. /api/analytics/redactions
+ * rolls them up.
+ * @module utils/redaction
+ */
+
+const { RedactionEvent, Setting } = require('../db/models');
+const { getUsageContext } = require('./usage');
+
+/** How long the redaction setting is cached in memory */
+const SETTINGS_TTL_MS = 30000;
+
+const BUILTIN_DETECTORS = ['email', 'phone', 'card', 'address'];
+
+/** Placeholder as produced by createRedactor: [TYPE_N] */
+const PLACEHOLDER_PATTERN = /\[([A-Z][A-Z0-9_]*)_(\d+)\]/g;
+
+/** Longest placeholder a stream may hold back while waiting for its closing bracket */
+const MAX_PLACEHOLDER_LENGTH = 48;
+
+/** Phone number shapes, see the file description; separators are one space, '.' or '-' */
+const PHONE_SEP = '[\\s.-]';
+const PHONE_SHAPES = [
+  `\\+\\d{1,3}(?:${PHONE_SEP}?\\(\\d{1,4}\\))?(?:${PHONE_SEP}?\\d{1,5}){1,5}`,
+  `\\(\\d{2,5}\\)${PHONE_SEP}?\\d{3,4}${PHONE_SEP}?\\d{3,4}`,
+  `(?:1${PHONE_SEP})?\\d{3}${PHONE_SEP}\\d{3}${PHONE_SEP}\\d{4}`,
+  `0\\d{1,4}(?:${PHONE_SEP}\\d{2,8}){1,4}`
+];
+
+/** ISO dates (2024-10-21) inside a phone-shaped match */
+const ISO_DATE_PATTERN = /\b\d{4}-\d{2}-\d{2}\b/;
+
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|'
+  + 'Terrace|Ter|Parkway|Pkwy|Circle|Cir|Highway|Hwy|Square|Sq';
+
+/** Built-in detectors, in priority order — an earlier match wins over an overlapping later one */
+const DETECTORS = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  card: {
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    accept: match => luhnValid(match.replace(/\D/g, ''))
+  },
+  phone: {
+    pattern: new RegExp(`(?<![\\w+.(-])(?:${PHONE_SHAPES.join('|')})(?![\\w-]|[.:]\\d)`, 'g'),
+    accept: match => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15 && !ISO_DATE_PATTERN.test(match);
+    }
+  },
+  address: {
+    pattern: new RegExp(`\\b\\d{1,6}[A-Za-z]?\\s+(?:[A-Z][A-Za-z'.-]*\\s+){1,4}(?:${STREET_SUFFIXES})\\b\\.?`
+      + '(?:,?\\s*(?:Apt|Apartment|Suite|Ste|Unit|#)\\.?\\s*[A-Za-z0-9-]+)?', 'g')
+  }
+};
+
+let settingsCache = null;
+let settingsLoadedAt = 0;
+
+/** Luhn checksum for card numbers */
+function luhnValid(digits) {
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/** Placeholder type for a custom pattern name: 'account id' -> ACCOUNT_ID */
+function typeLabel(name) {
+  const label = String(name || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return /^[A-Z]/.test(label) ? label : `CUSTOM_${label || 'PATTERN'}`;
+}
+
+/**
+ * Validate and compile the `redaction` setting.
+ * @param {Object} value - Raw setting value
+ * @returns {{settings: Object, errors: string[]}} settings is { enabled, detectors: string[],
+ *   custom: [{ type, pattern: RegExp }], allowList: Set<string> } with invalid entries dropped
+ */
+function normalizeSettings(value) {
+  const raw = value && typeof value === 'object' ? value : {};
+  const errors = [];
+  const toggles = raw.detectors && typeof raw.detectors === 'object' ? raw.detectors : {};
+  const custom = [];
+
+  if (raw.customPatterns !== undefined && !Array.isArray(raw.customPatterns)) {
+    errors.push('customPatterns must be an array');
+  }
+  (Array.isArray(raw.customPatterns) ? raw.customPatterns : []).forEach((entry, i) => {
+    if (!entry || !entry.name || !entry.pattern) {
+      errors.push(`customPatterns[${i}]: name and pattern are required`);
+      return;
+    }
+    const flags = String(entry.flags || '').replace(/[^imsu]/g, '');
+    try {
+      const pattern = new RegExp(entry.pattern, `${flags}g`);
+      if (pattern.test('')) {
+        errors.push(`customPatterns[${i}]: pattern must not match empty text`);
+        return;
+      }
+      custom.push({ type: typeLabel(entry.name), pattern });
+    } catch (err) {
+      errors.push(`customPatterns[${i}]: invalid regex (${err.message})`);
+    }
+  });
+
+  return {
+    settings: {
+      enabled: raw.enabled !== false,
+      detectors: BUILTIN_DETECTORS.filter(name => toggles[name] !== false),
+      custom,
+      allowList: new Set((Array.isArray(raw.allowList) ? raw.allowList : [])
+        .map(item => String(item).trim().toLowerCase())
+        .filter(Boolean))
+    },
+    errors
+  };
+}
+
+/**
+ * Errors in a `redaction` setting value, for PUT /api/settings.
+ * @param {Object} value
+ * @returns {string[]} Empty when valid
+ */
+function validateRedactionSettings(value) {
+  if (value !== null && value !== undefined && typeof value !== 'object') return ['redaction must be an object'];
+  return normalizeSettings(value).errors;
+}
+
+/**
+ * Load the redaction setting (cached for SETTINGS_TTL_MS). DB errors keep the last loaded
+ * setting, or the defaults — redaction stays on through a settings outage.
+ * @returns {Promise<Object>} Normalized settings (see normalizeSettings)
+ */
+async function getRedactionSettings() {
+  if (settingsCache && Date.now() - settingsLoadedAt < SETTINGS_TTL_MS) {
+    return settingsCache;
+  }
+  try {
+    const setting = await Setting.findOne({ key: 'redaction' }).lean();
+    const { settings, errors } = normalizeSettings(setting && setting.value);
+    if (errors.length > 0) console.error('[Redaction] Ignoring invalid settings:', errors.join('; '));
+    settingsCache = settings;
+  } catch (err) {
+    console.error('[Redaction] Failed to load redaction setting:', err.message);
+    settingsCache = settingsCache || normalizeSettings(null).settings;
+  }
+  settingsLoadedAt = Date.now();
+  return settingsCache;
+}
+
+/** Drop the cached redaction setting so the next call re-reads it */
+function clearRedactionSettingsCache() {
+  settingsCache = null;
+}
+
+/**
+ * Find PII in a text: custom patterns first, then the built-in detectors, keeping the first
+ * match wherever two overlap.
+ * @returns {Array<{start: number, end: number, type: string, value: string}>} Sorted by start
+ */
+function findPii(text, settings) {
+  if (!settings.enabled || !text) return [];
+  const detectors = [
+    ...settings.custom,
+    ...settings.detectors.map(name => ({ type: name.toUpperCase(), ...DETECTORS[name] }))
+  ];
+  const spans = [];
+  for (const detector of detectors) {
+    detector.pattern.lastIndex = 0;
+    for (const match of text.matchAll(detector.pattern)) {
+      const value = match[0];
+      if (!value || (detector.accept && !detector.accept(value))) continue;
+      if (settings.allowList.has(value.trim().toLowerCase())) continue;
+      const start = match.index;
+      const end = start + value.length;
+      if (spans.some(span => start < span.end && end > span.start)) continue;
+      spans.push({ start, end, type: detector.type, value });
+    }
+  }
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+/** Replace spans right to left with label(span) */
+function replaceSpans(text, spans, label) {
+  let result = text;
+  for (let i = spans.length - 1; i >= 0; i--) {
+    const span = spans[i];
+    result = result.slice(0, span.start) + label(span) + result.slice(span.end);
+  }
+  return result;
+}
+
+/**
+ * Reversible redactor for one LLM call.
+ * @param {Object} settings - From getRedactionSettings()
+ * @returns {Object} { redact(text), redactDeep(value), restore(text), restoreDeep(value),
+ *   streamRestorer(onDelta) -> { push(delta), flush() }, counts: { type: n }, restored: number }
+ */
+function createRedactor(settings) {
+  const placeholders = new Map(); // `${type}:${value}` -> placeholder
+  const values = new Map();       // placeholder -> value
+  const perType = {};             // type -> last number used
+
+  function restoreText(text, count) {
+    if (typeof text !== 'string' || values.size === 0) return text;
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => {
+      if (!values.has(placeholder)) return placeholder;
+      if (count) redactor.restored++;
+      return values.get(placeholder);
+    });
+  }
+
+  const redactor = {
+    counts: {},
+    restored: 0,
+
+    redact(text) {
+      if (typeof text !== 'string') return text;
+      const spans = findPii(text, settings);
+      // Number placeholders in reading order
+      for (const span of spans) {
+        const key = `${span.type}:${span.value}`;
+        if (!placeholders.has(key)) {
+          perType[span.type] = (perType[span.type] || 0) + 1;
+          const placeholder = `[${span.type}_${perType[span.type]}]`;
+          placeholders.set(key, placeholder);
+          values.set(placeholder, span.value);
+        }
+        const type = span.type.toLowerCase();
+        redactor.counts[type] = (redactor.counts[type] || 0) + 1;
+      }
+      return replaceSpans(text, spans, span => placeholders.get(`${span.type}:${span.value}`));
+    },
+
+    /** Put the original values back; counts toward `restored` */
+    restore(text) {
+      return restoreText(text, true);
+    },
+
+    redactDeep(value) {
+      return mapStrings(value, text => redactor.redact(text));
+    },
+
+    restoreDeep(value) {
+      return mapStrings(value, text => redactor.restore(text));
+    },
+
+    /**
+     * Wrap a streaming delta callback: text after an unclosed '[' is held back until the
+     * placeholder it may start is complete, so a placeholder split across deltas still
+     * reaches the customer restored. Call flush() once the stream ends. Streamed text is
+     * also returned whole by the provider, so only restore() on that counts toward `restored`.
+     */
+    streamRestorer(onDelta) {
+      let pending = '';
+      return {
+        push(delta) {
+          pending += delta;
+          const open = pending.lastIndexOf('[');
+          const held = open !== -1 && !pending.includes(']', open) && pending.length - open < MAX_PLACEHOLDER_LENGTH;
+          const ready = held ? pending.slice(0, open) : pending;
+          pending = held ? pending.slice(open) : '';
+          if (ready) onDelta(restoreText(ready, false));
+        },
+        flush() {
+          if (pending) onDelta(restoreText(pending, false));
+          pending = '';
+        }
+      };
+    }
+  };
+  return redactor;
+}
+
+/** Apply fn to every string in a JSON-like value */
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+  }
+  return value;
+}
+
+/**
+ * One-way redaction: each value becomes its type in brackets ([EMAIL], [PHONE], …).
+ * @param {string} text
+ * @returns {Promise<{text: string, counts: Object<string, number>}>}
+ */
+async function maskPii(text) {
+  const settings = await getRedactionSettings();
+  const spans = findPii(text, settings);
+  const counts = {};
+  spans.forEach(span => {
+    const type = span.type.toLowerCase();
+    counts[type] = (counts[type] || 0) + 1;
+  });
+  return { text: replaceSpans(text, spans, span => `[${span.type}]`), counts };
+}
+
+/**
+ * Whether a text contains anything the current settings would redact.
+ * @param {string} text
+ * @returns {Promise<boolean>}
+ */
+async function containsPii(text) {
+  const settings = await getRedactionSettings();
+  return findPii(text, settings).length > 0;
+}
+
+/**
+ * Store one redaction event (counts only, never values), attributed to the chat of the
+ * current usage context. Never throws; calls that redacted nothing aren't stored.
+ * @param {string} feature - 'query', 'summarize', 'embeddings', 'learned', …
+ * @param {Object<string, number>} counts - Redacted values per type
+ * @param {number} [restored=0] - Placeholders restored in the output
+ * @returns {Promise<void>}
+ */
+async function recordRedactions(feature, counts, restored = 0) {
+  const total = Object.values(counts || {}).reduce((sum, n) => sum + n, 0);
+  if (total === 0) return;
+  try {
+    const context = getUsageContext() || {};
+    await RedactionEvent.create({
+      feature,
+      chatId: context.chatId || undefined,
+      counts,
+      total,
+      restored
+    });
+  } catch (err) {
+    console.error('[Redaction] Failed to record event:', err.message);
+  }
+}
+
+module.exports = {
+  BUILTIN_DETECTORS,
+  getRedactionSettings,
+  clearRedactionSettingsCache,
+  validateRedactionSettings,
+  createRedactor,
+  maskPii,
+  containsPii,
+  recordRedactions
+};
@@ -3,28 +3,54 @@
  * @description Caches AI responses with their question embeddings in MongoDB. On new questions,
  * computes cosine similarity against cached entries and returns a hit if above the similarity
  * threshold (0.75). Reduces redundant OpenAI API calls for semantically equivalent questions.
+ *
+ * Entries are scoped: a question only matches entries asked in the same language and the
+ * same workflow category (or none). Each entry records the KB documents its answer was built
+ * from; when one of them is edited, deleted or re-crawled, invalidateCachedAnswers() drops the
+ * entry so the next question is answered from the new content.
+ *
+ * Entries expire 7 days after they were cached. Admins can pin an entry (optionally rewriting
+ * its answer) to promote a curated answer: pinned entries never expire and win over unpinned
+ * matches. A pinned entry whose documents change is marked stale instead of deleted, and is
+ * not served until it is reviewed and pinned again. A customer's thumbs down on an answer
+ * evicts the entry it came from the same way (evictCachedAnswer).
+ *
+ * Entries are stamped with the embedding model of their question vector and only entries
+ * from the current model are compared; the re-embedding migration (utils/embeddingMigration)
+ * carries them over to a new model.
  * @module utils/responseCache
  */
 
 const { ResponseCache } = require('../db/models');
-const { generateEmbedding } = require('./embeddings');
+const { embedText, getEmbeddingModelId } = require('./embeddings');
 const { cosineSimilarity } = require('./vectorSearch');
 
 const CACHE_SIMILARITY_THRESHOLD = 0.75;
 const MAX_CACHE_ENTRIES = 500;
 
+/** How long an unpinned entry is served */
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
 /**
  * Find a cached response for a question using semantic similarity
  * @param {string} questionText - The user's question
+ * @param {Object} [scope]
+ * @param {string} [scope.language='en'] - Detected language of the question
+ * @param {ObjectId|string} [scope.categoryId] - Workflow category the chat is in
  * @returns {Promise<object|null>} - Cached response or null
  */
-async function findCachedResponse(questionText) {
+async function findCachedResponse(questionText, { language = 'en', categoryId = null } = {}) {
   try {
-    const questionEmbedding = await generateEmbedding(questionText);
+    const { vector: questionEmbedding, modelId } = await embedText(questionText);
 
-    // Load recent cache entries
-    const cacheEntries = await ResponseCache.find({})
-      .sort({ createdAt: -1 })
+    // Pinned entries first, then the most recent ones — same model, language and category
+    const cacheEntries = await ResponseCache.find({
+      embeddingModel: modelId,
+      language,
+      categoryId: categoryId || null,
+      'stale.at': { $exists: false }
+    })
+      .sort({ pinned: -1, createdAt: -1 })
       .limit(MAX_CACHE_ENTRIES)
       .lean();
 
@@ -32,6 +58,8 @@ async function findCachedResponse(questionText) {
 
     let bestMatch = null;
     let bestSimilarity = 0;
+    let bestPinned = null;
+    let bestPinnedSimilarity = 0;
 
     for (const entry of cacheEntries) {
       const similarity = cosineSimilarity(questionEmbedding, entry.questionEmbedding);
@@ -39,17 +67,30 @@ async function findCachedResponse(questionText) {
         bestSimilarity = similarity;
         bestMatch = entry;
       }
+      if (entry.pinned && similarity > bestPinnedSimilarity) {
+        bestPinnedSimilarity = similarity;
+        bestPinned = entry;
+      }
+    }
+
+    // A curated answer wins whenever it matches at all
+    if (bestPinnedSimilarity >= CACHE_SIMILARITY_THRESHOLD) {
+      bestMatch = bestPinned;
+      bestSimilarity = bestPinnedSimilarity;
     }
 
     if (bestSimilarity >= CACHE_SIMILARITY_THRESHOLD && bestMatch) {
-      // Increment hit count
-      await ResponseCache.findByIdAndUpdate(bestMatch._id, { $inc: { hitCount: 1 } });
-      console.log(`[Cache] HIT (${bestSimilarity.toFixed(3)}) for: "${questionText.substring(0, 50)}..."`);
+      await ResponseCache.updateOne({ _id: bestMatch._id }, { $inc: { hitCount: 1 }, $set: { lastHitAt: new Date() } });
+      console.log(`[Cache] HIT${bestMatch.pinned ? ' (pinned)' : ''} (${bestSimilarity.toFixed(3)}) for: "${questionText.substring(0, 50)}..."`);
       return {
+        id: bestMatch._id,
         response: bestMatch.response,
         confidence: bestMatch.confidence,
         sources: bestMatch.sources,
+        citations: bestMatch.citations || [],
+        knowledgeBaseIds: bestMatch.knowledgeBaseIds || [],
         similarity: bestSimilarity,
+        pinned: !!bestMatch.pinned,
         cached: true
       };
     }
@@ -69,16 +110,32 @@ async function findCachedResponse(questionText) {
  * @param {string} response - The AI response
  * @param {number} confidence - Confidence score
  * @param {string[]} sources - Source filenames
+ * @param {Object[]} [citations] - Footnotes for the response's [n] markers (utils/citations)
+ * @param {Object} [scope]
+ * @param {Array<ObjectId|string>} [scope.knowledgeBaseIds] - KB documents the answer was built from
+ * @param {string} [scope.language='en'] - Detected language of the question
+ * @param {ObjectId|string} [scope.categoryId] - Workflow category it was asked in
+ * @param {ObjectId|string} [scope.messageId] - AI message that gave the answer
  */
-async function cacheResponse(question, embedding, response, confidence, sources) {
+async function cacheResponse(question, embedding, response, confidence, sources, citations,
+  { knowledgeBaseIds = [], language = 'en', categoryId = null, messageId } = {}) {
   try {
-    const questionEmbedding = embedding || await generateEmbedding(question);
+    const { vector: questionEmbedding, modelId } = embedding
+      ? { vector: embedding, modelId: await getEmbeddingModelId() }
+      : await embedText(question);
     await ResponseCache.create({
       questionEmbedding,
+      embeddingModel: modelId,
       question,
       response,
       confidence,
-      sources: sources || []
+      sources: sources || [],
+      citations: citations || [],
+      knowledgeBaseIds: [...new Set(knowledgeBaseIds.filter(Boolean).map(String))],
+      language,
+      categoryId: categoryId || null,
+      messageId,
+      expiresAt: new Date(Date.now() + CACHE_TTL_MS)
     });
     console.log(`[Cache] Stored response for: "${question.substring(0, 50)}..."`);
   } catch (error) {
@@ -87,4 +144,76 @@ async function cacheResponse(question, embedding, response, confidence, sources)
   }
 }
 
-module.exports = { findCachedResponse, cacheResponse };
+/** Delete the unpinned entries matching a filter and mark the pinned ones stale. Never throws. */
+async function dropEntries(filter, reason) {
+  try {
+    const { deletedCount } = await ResponseCache.deleteMany({ ...filter, pinned: { $ne: true } });
+    const { modifiedCount } = await ResponseCache.updateMany(
+      { ...filter, pinned: true, 'stale.at': { $exists: false } },
+      { $set: { stale: { at: new Date(), reason } } }
+    );
+    if (deletedCount > 0 || modifiedCount > 0) {
+      console.log(`[Cache] ${reason}: dropped ${deletedCount} cached answer(s), ${modifiedCount} pinned answer(s) marked stale`);
+    }
+    return { deleted: deletedCount, stale: modifiedCount };
+  } catch (error) {
+    console.error('[Cache] Invalidation error:', error.message);
+    return { deleted: 0, stale: 0 };
+  }
+}
+
+/**
+ * Drop cached answers built from documents whose content changed or that were removed.
+ * Pinned entries are marked stale instead. Never throws — the document change has already
+ * happened and must not fail because of the cache.
+ * @param {ObjectId|string|Array<ObjectId|string>} knowledgeBaseIds - Changed documents
+ * @param {string} reason - Shown on stale pinned entries, e.g. 'Document edited'
+ * @returns {Promise<{deleted: number, stale: number}>}
+ */
+async function invalidateCachedAnswers(knowledgeBaseIds, reason) {
+  const ids = [].concat(knowledgeBaseIds).filter(Boolean);
+  if (ids.length === 0) return { deleted: 0, stale: 0 };
+  return dropEntries({ knowledgeBaseIds: { $in: ids } }, reason);
+}
+
+/**
+ * Stop serving the answer an AI message gave: the entry it was served from, or the entry it
+ * was stored as. Pinned entries are marked stale instead. Never throws.
+ * @param {Object} message - { _id, metadata }
+ * @param {string} reason - Shown on a stale pinned entry
+ * @returns {Promise<{deleted: number, stale: number}>}
+ */
+async function evictCachedAnswer(message, reason) {
+  const cacheEntryId = message.metadata && message.metadata.cacheEntryId;
+  return dropEntries(cacheEntryId ? { _id: cacheEntryId } : { messageId: message._id }, reason);
+}
+
+/**
+ * One-off upgrade at startup. Entries cached before answers were linked to their documents
+ * can't be invalidated or scoped, so they are dropped; and the old TTL index on createdAt,
+ * which would also expire pinned entries, is replaced by the one on expiresAt.
+ * @returns {Promise<void>}
+ */
+async function prepareResponseCache() {
+  try {
+    const indexes = await ResponseCache.collection.indexes().catch(() => []);
+    const legacyTtl = indexes.find(index => index.key.createdAt && index.expireAfterSeconds !== undefined);
+    if (legacyTtl) {
+      await ResponseCache.collection.dropIndex(legacyTtl.name);
+      console.log('[Cache] Dropped legacy createdAt TTL index');
+    }
+    const { deletedCount } = await ResponseCache.deleteMany({ knowledgeBaseIds: { $exists: false } });
+    if (deletedCount > 0) console.log(`[Cache] Dropped ${deletedCount} entries cached before document links`);
+  } catch (error) {
+    console.error('[Cache] Upgrade failed:', error.message);
+  }
+}
+
+module.exports = {
+  CACHE_TTL_MS,
+  findCachedResponse,
+  cacheResponse,
+  invalidateCachedAnswers,
+  evictCachedAnswer,
+  prepareResponseCache
+};
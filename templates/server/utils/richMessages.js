@@ -0,0 +1,215 @@
+/**
+ * @file richMessages — Quick replies, buttons, cards and carousels attached to bot messages
+ * @description Message.content stays plain text; structured content lives next to it in
+ * Message.rich:
+ *   {
+ *     quickReplies: [{ label, payload }],       — chips under the message, gone once one is clicked
+ *     blocks: [
+ *       { type: 'buttons', text?, buttons: [button] },
+ *       { type: 'card', title, subtitle?, imageUrl?, url?, buttons?: [button] },
+ *       { type: 'carousel', cards: [card] }
+ *     ]
+ *   }
+ *   button = { label, payload } (sent back as a message) or { label, url } (opens a link)
+ *
+ * Where it comes from:
+ *   - The AI: when the prompt profile's richReplies is on, the model may end its answer with
+ *     `<rich>{...}</rich>` (see RICH_INSTRUCTIONS). extractRich() strips the block from the
+ *     answer, and createRichStreamFilter() keeps it out of streamed deltas.
+ *   - Workflow categories: a category's `rich` is attached to the first answer in that category.
+ *   - Agents and integrations: POST /api/messages accepts `rich` from authenticated agents.
+ *
+ * A click is sent back as a user message whose content is the label and whose `payload` is
+ * the button's payload. HANDOFF_PAYLOAD hands the chat to a human without asking the AI.
+ *
+ * Everything is normalized here — unknown fields dropped, lengths capped, links limited to
+ * http(s) — so clients can render it without further checks.
+ * @module utils/richMessages
+ */
+
+/** Payload of a "Talk to a human" choice: escalates instead of asking the AI */
+const HANDOFF_PAYLOAD = 'human_handoff';
+
+const MAX_QUICK_REPLIES = 6;
+const MAX_BUTTONS = 5;
+const MAX_BLOCKS = 5;
+const MAX_CAROUSEL_CARDS = 10;
+const MAX_LABEL = 40;
+const MAX_PAYLOAD = 200;
+const MAX_TEXT = 300;
+
+const OPEN_TAG = '<rich>';
+const CLOSE_TAG = '</rich>';
+
+/** Output format for the model, rendered into the system prompt ({{richMessagesRule}}) */
+const RICH_INSTRUCTIONS = 'Interactive replies: when the user should pick between a few clear options (yes/no, '
+  + 'which product or plan, whether to talk to a person), end your answer with ONE block on its own line:\n'
+  + `${OPEN_TAG}{"quickReplies":[{"label":"Yes","payload":"yes"},{"label":"No","payload":"no"}]}${CLOSE_TAG}\n`
+  + `Labels are at most ${MAX_LABEL} characters; offer at most ${MAX_QUICK_REPLIES}. Offer {"label":"Talk to a human","payload":"${HANDOFF_PAYLOAD}"} `
+  + 'when the user may want a person. To show products or articles from the knowledge base, add '
+  + '"blocks":[{"type":"card","title":"…","subtitle":"…","imageUrl":"https://…","url":"https://…"}] '
+  + '(several cards: {"type":"carousel","cards":[…]}) using only URLs that appear in the knowledge base. '
+  + 'The block must be valid JSON and is not shown as text — the answer must still read complete without it. '
+  + 'Leave it out when no choice is needed.';
+
+function cleanString(value, max) {
+  return typeof value === 'string' || typeof value === 'number'
+    ? String(value).replace(/\s+/g, ' ').trim().substring(0, max)
+    : '';
+}
+
+function cleanUrl(value) {
+  const url = cleanString(value, 2000);
+  return /^https?:\/\/[^\s]+$/i.test(url) ? url : '';
+}
+
+/** { label, payload } or { label, url }; a button without either sends its label as payload */
+function normalizeButton(input) {
+  if (!input || typeof input !== 'object') return null;
+  const label = cleanString(input.label || input.title, MAX_LABEL);
+  if (!label) return null;
+  const url = cleanUrl(input.url);
+  if (url) return { label, url };
+  return { label, payload: cleanString(input.payload, MAX_PAYLOAD) || label };
+}
+
+function normalizeButtons(list) {
+  return (Array.isArray(list) ? list : []).map(normalizeButton).filter(Boolean).slice(0, MAX_BUTTONS);
+}
+
+function normalizeCard(input) {
+  if (!input || typeof input !== 'object') return null;
+  const title = cleanString(input.title, 80);
+  if (!title) return null;
+  const card = { type: 'card', title };
+  const subtitle = cleanString(input.subtitle, MAX_TEXT);
+  const imageUrl = cleanUrl(input.imageUrl);
+  const url = cleanUrl(input.url);
+  const buttons = normalizeButtons(input.buttons);
+  if (subtitle) card.subtitle = subtitle;
+  if (imageUrl) card.imageUrl = imageUrl;
+  if (url) card.url = url;
+  if (buttons.length > 0) card.buttons = buttons;
+  return card;
+}
+
+function normalizeBlock(input) {
+  if (!input || typeof input !== 'object') return null;
+  if (input.type === 'buttons') {
+    const buttons = normalizeButtons(input.buttons);
+    if (buttons.length === 0) return null;
+    const text = cleanString(input.text, MAX_TEXT);
+    return text ? { type: 'buttons', text, buttons } : { type: 'buttons', buttons };
+  }
+  if (input.type === 'card') return normalizeCard(input);
+  if (input.type === 'carousel') {
+    const cards = (Array.isArray(input.cards) ? input.cards : []).map(normalizeCard).filter(Boolean)
+      .slice(0, MAX_CAROUSEL_CARDS);
+    return cards.length > 0 ? { type: 'carousel', cards } : null;
+  }
+  return null;
+}
+
+/**
+ * Normalize rich content from any source.
+ * @param {Object} input - { quickReplies?, blocks? }
+ * @returns {Object|null} { quickReplies?, blocks? }, or null when nothing usable is left
+ */
+function normalizeRich(input) {
+  if (!input || typeof input !== 'object') return null;
+  const rich = {};
+  const quickReplies = (Array.isArray(input.quickReplies) ? input.quickReplies : [])
+    .map(normalizeButton)
+    .filter(reply => reply && reply.payload)
+    .slice(0, MAX_QUICK_REPLIES);
+  const blocks = (Array.isArray(input.blocks) ? input.blocks : []).map(normalizeBlock).filter(Boolean)
+    .slice(0, MAX_BLOCKS);
+  if (quickReplies.length > 0) rich.quickReplies = quickReplies;
+  if (blocks.length > 0) rich.blocks = blocks;
+  return Object.keys(rich).length > 0 ? rich : null;
+}
+
+/**
+ * Combine rich content: quick replies from `primary` win; blocks are concatenated.
+ * @returns {Object|null}
+ */
+function mergeRich(primary, secondary) {
+  if (!primary) return secondary || null;
+  if (!secondary) return primary;
+  return normalizeRich({
+    quickReplies: primary.quickReplies || secondary.quickReplies,
+    blocks: [...(primary.blocks || []), ...(secondary.blocks || [])]
+  });
+}
+
+/**
+ * Split a model answer into its text and the trailing <rich> block. A block that isn't valid
+ * JSON is dropped (the text is still used).
+ * @param {string} text - Raw model output
+ * @returns {{text: string, rich: Object|null}}
+ */
+function extractRich(text) {
+  const start = (text || '').indexOf(OPEN_TAG);
+  if (start === -1) return { text: text || '', rich: null };
+  const end = text.indexOf(CLOSE_TAG, start);
+  const json = text.substring(start + OPEN_TAG.length, end === -1 ? undefined : end);
+  const rest = end === -1 ? '' : text.substring(end + CLOSE_TAG.length);
+  let rich = null;
+  try {
+    rich = normalizeRich(JSON.parse(json));
+  } catch (err) {
+    console.warn('[Rich] Dropped unparseable rich block:', err.message);
+  }
+  return { text: `${text.substring(0, start)}${rest}`.trim(), rich };
+}
+
+/**
+ * Wrap a streaming delta callback so the <rich> block never reaches the widget as text.
+ * Text that may be the start of the tag is held back until it is clear it isn't; everything
+ * from the tag onwards is swallowed. Call flush() once the stream ends.
+ * @param {Function} onDelta
+ * @returns {{push: Function, flush: Function}}
+ */
+function createRichStreamFilter(onDelta) {
+  let pending = '';
+  let inBlock = false;
+  return {
+    push(delta) {
+      if (inBlock) return;
+      pending += delta;
+      const tag = pending.indexOf(OPEN_TAG);
+      if (tag !== -1) {
+        inBlock = true;
+        const before = pending.substring(0, tag).replace(/\s+$/, '');
+        pending = '';
+        if (before) onDelta(before);
+        return;
+      }
+      // Hold back a trailing prefix of the tag ("<", "<ri", …)
+      let keep = 0;
+      for (let len = Math.min(OPEN_TAG.length - 1, pending.length); len > 0; len--) {
+        if (OPEN_TAG.startsWith(pending.substring(pending.length - len))) {
+          keep = len;
+          break;
+        }
+      }
+      const ready = pending.substring(0, pending.length - keep);
+      pending = pending.substring(pending.length - keep);
+      if (ready) onDelta(ready);
+    },
+    flush() {
+      if (!inBlock && pending) onDelta(pending);
+      pending = '';
+    }
+  };
+}
+
+module.exports = {
+  HANDOFF_PAYLOAD,
+  MAX_PAYLOAD,
+  RICH_INSTRUCTIONS,
+  normalizeRich,
+  mergeRich,
+  extractRich,
+  createRichStreamFilter
+};
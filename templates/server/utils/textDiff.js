@@ -0,0 +1,81 @@
+/**
+ * @file textDiff — Line-based text diff for reviewing knowledge base changes
+ * @description Computes a minimal line diff (longest common subsequence) between two texts,
+ * e.g. a KB document before and after a proposed merge. Output is a flat list of
+ * equal/add/remove lines the dashboard renders directly.
+ * @module utils/textDiff
+ */
+
+/** Above this many line pairs the LCS table gets too large — fall back to a whole-text replace */
+const MAX_CELLS = 4000000;
+
+/**
+ * Diff two texts line by line.
+ * @param {string} before - Original text
+ * @param {string} after - New text
+ * @returns {Array<{type: 'equal'|'add'|'remove', text: string}>} Lines in display order
+ */
+function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // Common prefix/suffix are by far the usual case (appends, small edits) — skip them in the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const result = a.slice(0, start).map(text => ({ type: 'equal', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_CELLS) {
+    midA.forEach(text => result.push({ type: 'remove', text }));
+    midB.forEach(text => result.push({ type: 'add', text }));
+  } else {
+    // lcs[i][j] = length of the LCS of midA[i..] and midB[j..]
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        result.push({ type: 'equal', text: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        result.push({ type: 'remove', text: midA[i++] });
+      } else {
+        result.push({ type: 'add', text: midB[j++] });
+      }
+    }
+    while (i < midA.length) result.push({ type: 'remove', text: midA[i++] });
+    while (j < midB.length) result.push({ type: 'add', text: midB[j++] });
+  }
+
+  a.slice(endA).forEach(text => result.push({ type: 'equal', text }));
+  return result;
+}
+
+/**
+ * Count added/removed lines in a diff.
+ * @param {Array<{type: string}>} diff - Output of diffLines
+ * @returns {{added: number, removed: number}}
+ */
+function diffStats(diff) {
+  return {
+    added: diff.filter(d => d.type === 'add').length,
+    removed: diff.filter(d => d.type === 'remove').length
+  };
+}
+
+module.exports = { diffLines, diffStats };
@@ -3,6 +3,10 @@
  * @description Extracts plain text from uploaded files in various formats: PDF, TXT, Markdown,
  * DOCX, JSON, CSV, and HTML. Normalizes whitespace and removes markup. Used during
  * knowledge base document upload before chunking and embedding.
+ *
+ * Output keeps the structure utils/chunker relies on: HTML and DOCX headings become
+ * Markdown '#' lines, PDF pages are separated by a form feed, and CSV rows / JSON array
+ * items are one record per line.
  * @module utils/textExtractor
  */
 
@@ -28,7 +32,7 @@ async function extractText(filePath, fileType) {
     // PDF files
     if (ext === '.pdf' || mimeType.includes('pdf')) {
       const dataBuffer = await fs.readFile(filePath);
-      const data = await pdf(dataBuffer);
+      const data = await pdf(dataBuffer, { pagerender: renderPdfPage });
       return cleanText(data.text);
     }
 
@@ -40,14 +44,19 @@ async function extractText(filePath, fileType) {
 
     // DOCX files
     if (ext === '.docx' || mimeType.includes('wordprocessingml') || mimeType.includes('msword')) {
-      const result = await mammoth.extractRawText({ path: filePath });
-      return cleanText(result.value);
+      // Convert via HTML so Word headings survive as section headings
+      const result = await mammoth.convertToHtml({ path: filePath });
+      return cleanText(htmlToText(cheerio.load(result.value), 'body'));
     }
 
     // JSON files
     if (ext === '.json' || mimeType.includes('json')) {
       const content = await fs.readFile(filePath, 'utf-8');
       const data = JSON.parse(content);
+      // Arrays of records: one item per line so chunks never cut a record
+      if (Array.isArray(data)) {
+        return cleanText(data.map(item => JSON.stringify(item)).join('\n'));
+      }
       // Pretty print for better readability
       return cleanText(JSON.stringify(data, null, 2));
     }
@@ -63,9 +72,8 @@ async function extractText(filePath, fileType) {
       const $ = cheerio.load(content);
       // Remove script and style tags
       $('script, style').remove();
-      // Extract text content
-      const text = $('body').text() || $.text();
-      return cleanText(text);
+      // Extract text content, keeping headings, paragraphs, list items and table rows
+      return cleanText(htmlToText($, 'body'));
     }
 
     throw new Error(`Unsupported file type: ${ext || mimeType}. Supported formats: PDF, TXT, MD, DOCX, JSON, CSV, HTML`);
@@ -77,6 +85,71 @@ async function extractText(filePath, fileType) {
   }
 }
 
+/**
+ * Render one PDF page's text (same line handling as pdf-parse's default renderer),
+ * ending with a form feed so page boundaries survive into the extracted text.
+ * @param {Object} pageData - pdf.js page
+ * @returns {Promise<string>}
+ */
+async function renderPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+    lastY = item.transform[5];
+  }
+  return text + '\f';
+}
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'aside', 'blockquote', 'pre', 'ul', 'ol', 'dl', 'dt', 'dd',
+  'table', 'thead', 'tbody', 'figure', 'figcaption', 'form', 'fieldset', 'details', 'summary', 'address', 'hr'
+]);
+
+/**
+ * Convert HTML to plain text that keeps its structure: h1–h6 become Markdown '#' headings,
+ * block elements become paragraphs, list items '- ' lines and table rows ' | '-separated lines.
+ * @param {Function} $ - cheerio instance
+ * @param {string|Object} root - Selector or element to convert
+ * @returns {string}
+ */
+function htmlToText($, root) {
+  const out = [];
+  const walk = (node) => {
+    if (node.type === 'text') {
+      out.push(node.data.replace(/\s+/g, ' '));
+      return;
+    }
+    if (node.type !== 'tag') return;
+
+    const tag = node.name.toLowerCase();
+    if (/^h[1-6]$/.test(tag)) {
+      const heading = $(node).text().replace(/\s+/g, ' ').trim();
+      if (heading) out.push(`\n\n${'#'.repeat(Number(tag[1]))} ${heading}\n\n`);
+      return;
+    }
+    if (tag === 'br') {
+      out.push('\n');
+      return;
+    }
+
+    const before = tag === 'li' ? '\n- ' : tag === 'tr' ? '\n' : (tag === 'td' || tag === 'th') ? ' | ' : BLOCK_TAGS.has(tag) ? '\n\n' : '';
+    const after = BLOCK_TAGS.has(tag) ? '\n\n' : '';
+    out.push(before);
+    (node.children || []).forEach(walk);
+    out.push(after);
+  };
+  $(root).each((i, el) => walk(el));
+
+  return out.join('')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim().replace(/^\| /, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
 /**
  * Parse CSV file and convert to readable text format
  * @param {string} filePath - Path to CSV file
@@ -89,10 +162,12 @@ function parseCSV(filePath) {
       .pipe(csvParser())
       .on('data', (row) => rows.push(row))
       .on('end', () => {
-        // Convert rows to readable format
+        // Convert rows to readable format, one record per line: newlines inside quoted
+        // fields are written as \n, the way JSON records are
+        const oneLine = value => String(value).replace(/\r\n|\r|\n/g, '\\n');
         const lines = rows.map(row => {
           return Object.entries(row)
-            .map(([key, value]) => `${key}: ${value}`)
+            .map(([key, value]) => `${oneLine(key)}: ${oneLine(value)}`)
             .join(', ');
         });
         resolve(cleanText(lines.join('\n')));
@@ -120,4 +195,4 @@ function cleanText(text) {
     .replace(/[ \t]+/g, ' ');
 }
 
-module.exports = { extractText };
+module.exports = { extractText, htmlToText };
@@ -0,0 +1,250 @@
+/**
+ * @file usage — Token usage, cost and daily spend caps for LLM and embedding calls
+ * @description Every complete() call (utils/llm) and every embedding call (utils/embeddings)
+ * is recorded here as a Usage document: feature, provider, model, input/output tokens,
+ * latency, cost from the price table, and the chat it served. /api/analytics/usage rolls the
+ * records up per chat, feature, model and day.
+ *
+ * Chat attribution: routes wrap the work they do for a chat in withUsageContext({ chatId }),
+ * and every call in that async call chain — retrieval embeddings, rerank, the answer itself,
+ * grounding checks, tool rounds — is stamped with the chat.
+ *
+ * Settings (cached for 30s; PUT /api/settings clears the cache):
+ *   - `llmPricing`  — { [model or model prefix]: { input, output } } in USD per million tokens,
+ *                     merged over DEFAULT_PRICES. The longest matching prefix wins, so
+ *                     'claude-sonnet-4-5' covers every dated snapshot. Models with no price
+ *                     are recorded with cost 0 and priced: false.
+ *   - `usageCaps`   — { dailyUsd?, features?: { [feature]: usd } } optional spend caps per UTC day
+ *
+ * Once a cap is reached, complete() refuses paid calls for the rest of the day with
+ * SPEND_CAP_REACHED: /api/ai/query falls back to the response cache and KB-only answers,
+ * the other AI endpoints return 429. Embedding calls are never blocked — search, the response
+ * cache and KB indexing depend on them — but their cost counts toward the daily total. Calls
+ * that cost nothing (mock, self-hosted models without a price) are never blocked either.
+ * @module utils/usage
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { Usage, Setting } = require('../db/models');
+
+/** Built-in prices, USD per million tokens; `llmPricing` overrides or extends them */
+const DEFAULT_PRICES = {
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-haiku-3': { input: 0.25, output: 1.25 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  mock: { input: 0, output: 0 }
+};
+
+/** How long the pricing/caps settings are cached in memory */
+const SETTINGS_TTL_MS = 30000;
+
+/** How long today's spend is trusted before it is re-read from the database */
+const SPEND_TTL_MS = 60000;
+
+/** Chat the current async context is working for (see withUsageContext) */
+const usageContext = new AsyncLocalStorage();
+
+let settingsCache = null;
+let settingsLoadedAt = 0;
+
+/** Today's spend: { day: 'YYYY-MM-DD' (UTC), totalUsd, features: { feature: usd }, loadedAt } */
+let spend = null;
+
+/** Keep only entries with non-negative numeric prices */
+function normalizePricing(value) {
+  const pricing = {};
+  if (!value || typeof value !== 'object') return pricing;
+  for (const [model, price] of Object.entries(value)) {
+    const input = Number(price && price.input);
+    const output = Number(price && price.output);
+    if (!model || !Number.isFinite(input) || input < 0) continue;
+    pricing[model] = { input, output: Number.isFinite(output) && output >= 0 ? output : 0 };
+  }
+  return pricing;
+}
+
+/** Keep only positive caps: { dailyUsd?, features: { feature: usd } } */
+function normalizeCaps(value) {
+  const caps = { dailyUsd: null, features: {} };
+  if (!value || typeof value !== 'object') return caps;
+  const daily = Number(value.dailyUsd);
+  if (Number.isFinite(daily) && daily > 0) caps.dailyUsd = daily;
+  for (const [feature, usd] of Object.entries(value.features || {})) {
+    const cap = Number(usd);
+    if (Number.isFinite(cap) && cap > 0) caps.features[feature] = cap;
+  }
+  return caps;
+}
+
+/**
+ * Load the price table and spend caps (cached for SETTINGS_TTL_MS).
+ * DB errors fall back to the defaults without caps, so a settings outage never blocks replies.
+ * @returns {Promise<{pricing: Object, caps: Object}>}
+ */
+async function getUsageSettings() {
+  if (settingsCache && Date.now() - settingsLoadedAt < SETTINGS_TTL_MS) {
+    return settingsCache;
+  }
+  try {
+    const settings = await Setting.find({ key: { $in: ['llmPricing', 'usageCaps'] } }).lean();
+    const value = key => (settings.find(s => s.key === key) || {}).value;
+    settingsCache = {
+      pricing: { ...DEFAULT_PRICES, ...normalizePricing(value('llmPricing')) },
+      caps: normalizeCaps(value('usageCaps'))
+    };
+  } catch (err) {
+    console.error('[Usage] Failed to load pricing settings:', err.message);
+    settingsCache = settingsCache || { pricing: { ...DEFAULT_PRICES }, caps: normalizeCaps(null) };
+  }
+  settingsLoadedAt = Date.now();
+  return settingsCache;
+}
+
+/** Drop the cached pricing/caps settings so the next call re-reads them */
+function clearUsageSettingsCache() {
+  settingsCache = null;
+}
+
+/**
+ * Price of a model: exact match, else the longest key the model name starts with.
+ * @param {Object} pricing - Price table
+ * @param {string} model - Model name
+ * @returns {{input: number, output: number}|null} null when the model has no price
+ */
+function findPrice(pricing, model) {
+  if (!model) return null;
+  if (pricing[model]) return pricing[model];
+  const prefix = Object.keys(pricing)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : null;
+}
+
+/**
+ * Cost of one call.
+ * @returns {{costUsd: number, priced: boolean}}
+ */
+function computeCost(pricing, model, inputTokens, outputTokens) {
+  const price = findPrice(pricing, model);
+  if (!price) return { costUsd: 0, priced: false };
+  const costUsd = ((inputTokens || 0) * price.input + (outputTokens || 0) * price.output) / 1e6;
+  return { costUsd: Math.round(costUsd * 1e8) / 1e8, priced: true };
+}
+
+/** UTC day key and its start */
+function today() {
+  const day = new Date().toISOString().substring(0, 10);
+  return { day, start: new Date(`${day}T00:00:00.000Z`) };
+}
+
+/**
+ * Spend so far today (UTC), re-read from the database every SPEND_TTL_MS so caps hold across
+ * server instances; calls recorded in this process are added in between.
+ * @returns {Promise<{day: string, totalUsd: number, features: Object<string, number>}>}
+ */
+async function getTodaySpend() {
+  const { day, start } = today();
+  if (spend && spend.day === day && Date.now() - spend.loadedAt < SPEND_TTL_MS) return spend;
+  try {
+    const rows = await Usage.aggregate([
+      { $match: { createdAt: { $gte: start } } },
+      { $group: { _id: '$feature', costUsd: { $sum: '$costUsd' } } }
+    ]);
+    const features = {};
+    rows.forEach(row => { features[row._id] = row.costUsd; });
+    spend = { day, totalUsd: rows.reduce((sum, row) => sum + row.costUsd, 0), features, loadedAt: Date.now() };
+  } catch (err) {
+    console.error('[Usage] Failed to load today\'s spend:', err.message);
+    if (!spend || spend.day !== day) spend = { day, totalUsd: 0, features: {}, loadedAt: Date.now() };
+  }
+  return spend;
+}
+
+/**
+ * Run `fn` with every call it makes (directly or deep in its call chain) attributed to a chat.
+ * @param {Object} context - { chatId }
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} fn's result
+ */
+function withUsageContext(context, fn) {
+  return usageContext.run(context, fn);
+}
+
+/**
+ * Context set by the nearest enclosing withUsageContext(), if any.
+ * @returns {Object|undefined} { chatId }
+ */
+function getUsageContext() {
+  return usageContext.getStore();
+}
+
+/**
+ * Store one call. Never throws — usage logging must not fail the call it describes.
+ * @param {Object} call - { feature, provider, model, inputTokens, outputTokens, latencyMs }
+ * @returns {Promise<void>}
+ */
+async function recordCall(call) {
+  try {
+    const { pricing } = await getUsageSettings();
+    const { costUsd, priced } = computeCost(pricing, call.model, call.inputTokens, call.outputTokens);
+    const context = usageContext.getStore() || {};
+
+    const { day } = today();
+    if (spend && spend.day === day) {
+      spend.totalUsd += costUsd;
+      spend.features[call.feature] = (spend.features[call.feature] || 0) + costUsd;
+    }
+
+    await Usage.create({
+      feature: call.feature,
+      provider: call.provider,
+      model: call.model,
+      inputTokens: call.inputTokens || 0,
+      outputTokens: call.outputTokens || 0,
+      costUsd,
+      priced,
+      chatId: context.chatId || undefined,
+      latencyMs: call.latencyMs
+    });
+  } catch (err) {
+    console.error('[Usage] Failed to record call:', err.message);
+  }
+}
+
+/**
+ * Throw SPEND_CAP_REACHED if today's spend has reached the daily cap or the feature's cap.
+ * Calls to models that cost nothing always pass.
+ * @param {string} feature - Feature about to make a call
+ * @param {string} model - Model it would use
+ * @throws {Error} code SPEND_CAP_REACHED
+ */
+async function assertWithinCap(feature, model) {
+  const { pricing, caps } = await getUsageSettings();
+  const featureCap = caps.features[feature];
+  if (!caps.dailyUsd && !featureCap) return;
+  const price = findPrice(pricing, model);
+  if (!price || (price.input === 0 && price.output === 0)) return;
+
+  const { totalUsd, features } = await getTodaySpend();
+  let reached = null;
+  if (caps.dailyUsd && totalUsd >= caps.dailyUsd) reached = `$${caps.dailyUsd} total`;
+  else if (featureCap && (features[feature] || 0) >= featureCap) reached = `$${featureCap} for ${feature}`;
+  if (!reached) return;
+
+  const err = new Error(`Daily AI spend cap reached (${reached})`);
+  err.code = 'SPEND_CAP_REACHED';
+  throw err;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  getUsageSettings,
+  clearUsageSettingsCache,
+  computeCost,
+  getTodaySpend,
+  withUsageContext,
+  getUsageContext,
+  recordCall,
+  assertWithinCap
+};
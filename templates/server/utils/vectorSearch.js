@@ -1,14 +1,25 @@
 /**
  * @file vectorSearch — Semantic search over knowledge base embeddings
  * @description Performs vector similarity search by embedding a query via OpenAI,
- * computing cosine similarity against all stored embeddings, and returning the
- * top-K results above a configurable similarity threshold. Used by the AI chat
- * pipeline to retrieve relevant knowledge base context (RAG).
+ * finding the nearest stored embeddings through the in-process ANN index (falling
+ * back to exact cosine similarity over all embeddings when the index isn't ready),
+ * and returning the top-K results above a configurable similarity threshold. Used by
+ * the AI chat pipeline to retrieve relevant knowledge base context (RAG) and by the
+ * self-learning paths for duplicate detection.
+ *
+ * Only embeddings stamped with the query's model (utils/embeddingBackends) are compared —
+ * vectors from different models live in different spaces even when their dimensions match.
  * @module utils/vectorSearch
  */
 
 const { Embedding, KnowledgeBase } = require('../db/models');
-const { generateEmbedding } = require('./embeddings');
+const { embedText, getEmbeddingModelId } = require('./embeddings');
+const { queryIndex } = require('./annIndex');
+const { getAllowedKnowledgeBaseIds } = require('./knowledgeScope');
+
+// ANN candidates fetched per requested result (out-of-scope chunks are filtered afterwards)
+const ANN_OVERFETCH = 4;
+const ANN_MIN_CANDIDATES = 50;
 
 /**
  * Calculate cosine similarity between two vectors
@@ -37,16 +48,107 @@ function cosineSimilarity(vecA, vecB) {
   return dotProduct / (magnitudeA * magnitudeB);
 }
 
+/**
+ * Exact (brute-force) similarity search over every in-scope embedding.
+ * Used when the ANN index is disabled, not yet built, or can't serve the query.
+ * @param {number[]} queryEmbedding - Query vector
+ * @param {number} limit - Max results
+ * @param {number} minSimilarity - Minimum similarity threshold
+ * @param {Set<string>} allowedIds - KnowledgeBase ids to search within
+ * @param {string} embeddingModel - Model id the query vector came from
+ * @returns {Promise<Array>} - Embedding docs (lean, with similarity), most similar first
+ */
+async function exactSearch(queryEmbedding, limit, minSimilarity, allowedIds, embeddingModel) {
+  const allEmbeddings = await Embedding.find({
+    knowledgeBaseId: { $in: Array.from(allowedIds) },
+    embeddingModel
+  }).lean();
+
+  if (allEmbeddings.length === 0) {
+    console.warn('No in-scope embeddings found');
+    return [];
+  }
+
+  console.log(`Searching across ${allEmbeddings.length} embeddings (exact)...`);
+
+  return allEmbeddings
+    .filter(embedding => embedding.embedding && embedding.embedding.length === queryEmbedding.length)
+    .map(embedding => ({ ...embedding, similarity: cosineSimilarity(queryEmbedding, embedding.embedding) }))
+    .filter(item => item.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+/**
+ * Find the stored embeddings most similar to a vector, restricted to in-scope documents
+ * (always active ones; see utils/knowledgeScope for audience/category/tag filters). Uses the
+ * ANN index when it is ready and falls back to exact search otherwise, or when too few
+ * in-scope chunks survive the index's over-fetched candidate list.
+ * @param {number[]} queryEmbedding - Query vector
+ * @param {object} options
+ * @param {number} options.limit - Max results (default: 5)
+ * @param {number} options.minSimilarity - Minimum similarity threshold (default: 0)
+ * @param {object} options.filter - Scope filter { audiences, categoryId, tags }
+ * @param {Set<string>} options.allowedKnowledgeBaseIds - Pre-resolved scope (skips resolving `filter`)
+ * @param {string} options.embeddingModel - Model id of queryEmbedding (default: the current model)
+ * @returns {Promise<Array>} - Embedding docs (lean, without vectors) with similarity, most similar first
+ */
+async function findSimilarEmbeddings(queryEmbedding, options = {}) {
+  const { limit = 5, minSimilarity = 0 } = options;
+  const allowedIds = options.allowedKnowledgeBaseIds || await getAllowedKnowledgeBaseIds(options.filter);
+  if (allowedIds.size === 0) return [];
+  const embeddingModel = options.embeddingModel || await getEmbeddingModelId();
+
+  // Over-fetch: out-of-scope chunks are dropped after the index lookup
+  const requested = Math.max(limit * ANN_OVERFETCH, ANN_MIN_CANDIDATES);
+  const hits = queryIndex(queryEmbedding, requested, embeddingModel);
+
+  if (hits) {
+    const matched = hits.filter(hit => hit.similarity >= minSimilarity);
+    const docs = matched.length === 0 ? [] : await Embedding.find({ _id: { $in: matched.map(hit => hit.id) } })
+      .select('-embedding')
+      .lean();
+    const docsById = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+    // Index may briefly reference embeddings deleted by another process — skip those
+    const results = matched
+      .filter(hit => docsById.has(hit.id) && allowedIds.has(String(docsById.get(hit.id).knowledgeBaseId)))
+      .map(hit => ({ ...docsById.get(hit.id), similarity: hit.similarity }));
+
+    // Done if we have enough, or the index has no further candidates above the threshold
+    const exhausted = hits.length < requested || matched.length < hits.length;
+    if (results.length >= limit || exhausted) return results.slice(0, limit);
+  }
+
+  return (await exactSearch(queryEmbedding, limit, minSimilarity, allowedIds, embeddingModel))
+    .map(({ embedding, ...rest }) => rest);
+}
+
+/**
+ * Find the single most similar stored embedding among active documents (used for
+ * duplicate detection).
+ * @param {number[]} queryEmbedding - Query vector
+ * @param {object} [filter] - Scope filter, e.g. { audiences: ['public'] } so content is only
+ *   merged into documents with the same visibility
+ * @param {string} [embeddingModel] - Model id of queryEmbedding (default: the current model)
+ * @returns {Promise<Object|null>} - Embedding doc with similarity, or null if nothing is in scope
+ */
+async function findNearestEmbedding(queryEmbedding, filter = {}, embeddingModel) {
+  const [nearest] = await findSimilarEmbeddings(queryEmbedding, { limit: 1, minSimilarity: -1, filter, embeddingModel });
+  return nearest || null;
+}
+
 /**
  * Search knowledge base for relevant chunks using vector similarity
  * @param {string} query - Search query text
  * @param {object} options - Search options
  * @param {number} options.topK - Number of top results to return (default: 5)
  * @param {number} options.minSimilarity - Minimum similarity threshold (default: 0.3)
+ * @param {object} options.filter - Scope filter { audiences, categoryId, tags } (see utils/knowledgeScope)
  * @returns {Promise<Array>} - Array of {text, similarity, filename, knowledgeBaseId, chunkIndex}
  */
 async function searchKnowledgeBase(query, options = {}) {
-  const { topK = 5, minSimilarity = 0.3 } = options;
+  const { topK = 5, minSimilarity = 0.3, filter } = options;
 
   if (!query || typeof query !== 'string' || query.trim().length === 0) {
     throw new Error('Query must be a non-empty string');
@@ -55,45 +157,19 @@ async function searchKnowledgeBase(query, options = {}) {
   try {
     // Step 1: Generate embedding for query
     console.log(`Generating embedding for query: "${query.substring(0, 50)}..."`);
-    const queryEmbedding = await generateEmbedding(query);
-
-    // Step 2: Fetch all embeddings from MongoDB
-    const allEmbeddings = await Embedding.find({}).lean();
+    const { vector: queryEmbedding, modelId } = await embedText(query);
 
-    if (allEmbeddings.length === 0) {
-      console.warn('Knowledge base is empty - no embeddings found');
-      return [];
-    }
-
-    console.log(`Searching across ${allEmbeddings.length} embeddings...`);
-
-    // Step 3: Calculate cosine similarity for each embedding
-    const similarities = allEmbeddings.map(embedding => {
-      const similarity = cosineSimilarity(queryEmbedding, embedding.embedding);
-      return {
-        text: embedding.text,
-        similarity,
-        knowledgeBaseId: embedding.knowledgeBaseId,
-        chunkIndex: embedding.chunkIndex,
-        metadata: embedding.metadata
-      };
+    // Step 2: Find the top K most similar chunks above the threshold (ANN index, exact fallback)
+    const topResults = await findSimilarEmbeddings(queryEmbedding, {
+      limit: topK, minSimilarity, filter, embeddingModel: modelId
     });
 
-    // Step 4: Sort by similarity descending
-    similarities.sort((a, b) => b.similarity - a.similarity);
-
-    // Step 5: Filter by minimum similarity threshold
-    const filtered = similarities.filter(item => item.similarity >= minSimilarity);
-
-    if (filtered.length === 0) {
+    if (topResults.length === 0) {
       console.log(`No results above similarity threshold ${minSimilarity}`);
       return [];
     }
 
-    // Step 6: Take top K results
-    const topResults = filtered.slice(0, topK);
-
-    // Step 7: Populate KnowledgeBase references to get filenames
+    // Step 3: Populate KnowledgeBase references to get filenames
     const resultsWithFilenames = await Promise.all(
       topResults.map(async result => {
         const knowledgeDoc = await KnowledgeBase.findById(result.knowledgeBaseId).lean();
@@ -121,5 +197,7 @@ async function searchKnowledgeBase(query, options = {}) {
 
 module.exports = {
   cosineSimilarity,
+  findSimilarEmbeddings,
+  findNearestEmbedding,
   searchKnowledgeBase
 };
@@ -18,6 +18,8 @@
  *   - agent.takeover    — Broadcast to session clients when agent takes over
  *   - agent.return      — Broadcast to session clients when agent returns to AI
  *   - chat.closed       — Broadcast to dashboard when chat auto-closes
+ *   - ai.delta          — Incremental AI response text for a streamed reply (see /api/ai/query)
+ *   - ai.done           — Streamed AI reply finished and persisted (full text, confidence, escalation)
  *   - error             — Error response for unknown/failed messages
  *
  * @requires ws